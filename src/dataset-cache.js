@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+// Parsed datasets keyed by report URL
+const memoryCache = new Map();
+
+// In-flight loads keyed by report URL, so parallel callers share one download
+const pendingLoads = new Map();
+
+/**
+ * Read cache configuration from the environment
+ * EMA_CACHE_TTL_SECONDS - seconds a dataset is served without revalidation (default: 3600)
+ * EMA_CACHE_DIR - optional directory for persisting datasets between server runs
+ * @returns {{ttlSeconds: number, cacheDir: string|null}} Cache configuration
+ */
+function getCacheConfig() {
+  const ttl = parseInt(process.env.EMA_CACHE_TTL_SECONDS, 10);
+
+  return {
+    ttlSeconds: Number.isNaN(ttl) || ttl < 0 ? DEFAULT_TTL_SECONDS : ttl,
+    cacheDir: process.env.EMA_CACHE_DIR || null
+  };
+}
+
+/**
+ * Build the on-disk cache file path for a report URL
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - Report URL
+ * @returns {string} Cache file path
+ */
+function getCacheFilePath(cacheDir, url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(cacheDir, `${hash}.json`);
+}
+
+/**
+ * Build the path of the small file recording when a cached report was last revalidated
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - Report URL
+ * @returns {string} Validation metadata file path
+ */
+function getMetaFilePath(cacheDir, url) {
+  return getCacheFilePath(cacheDir, url).replace(/\.json$/, '.meta.json');
+}
+
+/**
+ * Load a cache entry from disk, ignoring missing or unreadable files.
+ * A later revalidation recorded in the metadata file replaces the entry's validatedAt.
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - Report URL
+ * @returns {Object|null} Cache entry or null
+ */
+function readDiskEntry(cacheDir, url) {
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(getCacheFilePath(cacheDir, url), 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!entry || entry.url !== url || !Array.isArray(entry.data)) {
+    return null;
+  }
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(getMetaFilePath(cacheDir, url), 'utf8'));
+    if (meta && meta.url === url && meta.fetchedAt === entry.fetchedAt && meta.validatedAt > entry.validatedAt) {
+      entry.validatedAt = meta.validatedAt;
+    }
+  } catch {
+    // No revalidation since the entry was written
+  }
+  return entry;
+}
+
+/**
+ * Write a file atomically through a temporary file in the same directory
+ * @param {string} filePath - Destination path
+ * @param {Object} value - Value to store as JSON
+ */
+function writeJsonFile(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Persist a cache entry to disk. Failures are logged and otherwise ignored,
+ * since the in-memory copy is still valid.
+ * @param {string} cacheDir - Cache directory
+ * @param {Object} entry - Cache entry
+ */
+function writeDiskEntry(cacheDir, entry) {
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    writeJsonFile(getCacheFilePath(cacheDir, entry.url), entry);
+  } catch (error) {
+    console.error(`EMA cache write failed for ${entry.url}: ${error.message}`);
+  }
+}
+
+/**
+ * Record a revalidation (HTTP 304) of a persisted entry without rewriting its data.
+ * The entry's fetchedAt ties the metadata to the data file it confirms.
+ * @param {string} cacheDir - Cache directory
+ * @param {Object} entry - Cache entry
+ */
+function writeDiskValidation(cacheDir, entry) {
+  try {
+    writeJsonFile(getMetaFilePath(cacheDir, entry.url), { url: entry.url, fetchedAt: entry.fetchedAt, validatedAt: entry.validatedAt });
+  } catch (error) {
+    console.error(`EMA cache write failed for ${entry.url}: ${error.message}`);
+  }
+}
+
+/**
+ * Describe a cache entry for inclusion in tool results
+ * @param {Object} entry - Cache entry
+ * @param {boolean} hit - Whether the data was served from cache
+ * @param {boolean} revalidated - Whether the server confirmed the cached copy (HTTP 304)
+ * @returns {Object} Cache metadata
+ */
+function describeEntry(entry, hit, revalidated) {
+  return {
+    hit,
+    revalidated,
+    fetched_at: new Date(entry.fetchedAt).toISOString(),
+    validated_at: new Date(entry.validatedAt).toISOString(),
+    age_seconds: Math.round((Date.now() - entry.fetchedAt) / 1000),
+    last_modified: entry.lastModified || null
+  };
+}
+
+/**
+ * Load a dataset through the shared cache.
+ * Fresh entries (younger than the TTL) are served without a request. Stale entries
+ * are revalidated with If-None-Match / If-Modified-Since and reused on HTTP 304.
+ * @param {string} url - Report URL (cache key)
+ * @param {Function} fetcher - async (url, headers) => ({notModified}|{data, etag, lastModified})
+ * @returns {Promise<{data: Array, cache: Object}>} Dataset and cache metadata
+ */
+async function getCachedDataset(url, fetcher) {
+  if (pendingLoads.has(url)) {
+    return pendingLoads.get(url);
+  }
+
+  const load = loadDataset(url, fetcher).finally(() => pendingLoads.delete(url));
+  pendingLoads.set(url, load);
+  return load;
+}
+
+/**
+ * Resolve a dataset from memory, disk or network
+ * @param {string} url - Report URL
+ * @param {Function} fetcher - Network fetcher
+ * @returns {Promise<{data: Array, cache: Object}>} Dataset and cache metadata
+ */
+async function loadDataset(url, fetcher) {
+  const { ttlSeconds, cacheDir } = getCacheConfig();
+
+  let entry = memoryCache.get(url);
+  if (!entry && cacheDir) {
+    entry = readDiskEntry(cacheDir, url);
+    if (entry) {
+      memoryCache.set(url, entry);
+    }
+  }
+
+  if (entry && Date.now() - entry.validatedAt < ttlSeconds * 1000) {
+    return { data: entry.data, cache: describeEntry(entry, true, false) };
+  }
+
+  const headers = {};
+  if (entry && entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry && entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  const response = await fetcher(url, headers);
+
+  if (response.notModified && entry) {
+    entry.validatedAt = Date.now();
+    if (cacheDir) {
+      writeDiskValidation(cacheDir, entry);
+    }
+    return { data: entry.data, cache: describeEntry(entry, true, true) };
+  }
+
+  if (response.notModified) {
+    throw new Error('EMA API returned 304 Not Modified for an uncached report');
+  }
+
+  const now = Date.now();
+  const freshEntry = {
+    url,
+    data: response.data,
+    etag: response.etag || null,
+    lastModified: response.lastModified || null,
+    fetchedAt: now,
+    validatedAt: now
+  };
+
+  memoryCache.set(url, freshEntry);
+  if (cacheDir) {
+    writeDiskEntry(cacheDir, freshEntry);
+  }
+
+  return { data: freshEntry.data, cache: describeEntry(freshEntry, false, false) };
+}
+
+module.exports = {
+  getCachedDataset
+};
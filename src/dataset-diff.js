@@ -0,0 +1,196 @@
+const { loadEmaDataset, getDatasetConfig, DATASET_NAMES } = require('./ema-api.js');
+const { resolveSnapshotDir } = require('./snapshot.js');
+const { parameterError } = require('./errors.js');
+
+/**
+ * Pick the record key field for a dataset: an explicit override, the first
+ * configured key field present in the data, or the first *_url field as a fallback
+ * @param {string} datasetName - Dataset name (see DATASET_NAMES)
+ * @param {Array} records - Sample records (both sides of the diff)
+ * @param {string} [override] - Caller-provided key field
+ * @returns {string} Key field name
+ */
+function selectKeyField(datasetName, records, override) {
+  const hasField = field => records.some(r => r && r[field] !== undefined && r[field] !== null && r[field] !== '');
+
+  if (override) {
+    if (!hasField(override)) {
+      throw parameterError(`key_field "${override}" does not occur in the ${datasetName} dataset`);
+    }
+    return override;
+  }
+
+  const configured = getDatasetConfig(datasetName).keyFields.find(hasField);
+  if (configured) {
+    return configured;
+  }
+
+  const urlField = records.length > 0 && Object.keys(records[0]).find(f => f.endsWith('_url') && hasField(f));
+  if (urlField) {
+    return urlField;
+  }
+
+  throw parameterError(`No stable key field found for the ${datasetName} dataset; pass key_field explicitly`);
+}
+
+/**
+ * Index records by key. Records sharing a key are disambiguated by occurrence
+ * order ("KEY#2"), which keeps the diff deterministic for repeated rows.
+ * @param {Array} records - Dataset records
+ * @param {string} keyField - Key field name
+ * @returns {{index: Map<string, Object>, duplicates: number, missing: number}} Keyed records
+ */
+function indexRecords(records, keyField) {
+  const index = new Map();
+  const seen = new Map();
+  let duplicates = 0;
+  let missing = 0;
+
+  for (const record of records) {
+    const rawKey = record[keyField];
+    if (rawKey === undefined || rawKey === null || rawKey === '') {
+      missing++;
+      continue;
+    }
+
+    const baseKey = String(rawKey).trim();
+    const occurrence = (seen.get(baseKey) || 0) + 1;
+    seen.set(baseKey, occurrence);
+    if (occurrence > 1) {
+      duplicates++;
+    }
+
+    index.set(occurrence > 1 ? `${baseKey}#${occurrence}` : baseKey, record);
+  }
+
+  return { index, duplicates, missing };
+}
+
+/**
+ * Compare two records field by field
+ * @param {Object} before - Older record
+ * @param {Object} after - Newer record
+ * @param {string[]|null} fields - Fields to compare (null compares every field)
+ * @returns {Object} Map of field name to {from, to} for changed fields
+ */
+function diffRecord(before, after, fields) {
+  const names = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const changes = {};
+
+  for (const field of names) {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Summarise where one side of a diff was loaded from
+ * @param {Object} provenance - Provenance returned by loadEmaDataset
+ * @returns {Object} Snapshot name, source URL and data date
+ */
+function describeSide(provenance) {
+  return {
+    snapshot: provenance.snapshot ? provenance.snapshot.name : null,
+    source_url: provenance.source_url,
+    last_updated: provenance.last_updated
+  };
+}
+
+/**
+ * Compare two versions of an EMA dataset and report added, removed and modified records
+ * @param {Object} params - Diff parameters
+ * @param {string} params.dataset - Dataset name (e.g., 'medicines', 'shortages', 'herbal_medicines')
+ * @param {string} params.from_snapshot - Older snapshot name or directory
+ * @param {string} [params.to_snapshot] - Newer snapshot name or directory (default: current data)
+ * @param {string} [params.key_field] - Record key override
+ * @param {string[]} [params.compare_fields] - Only compare these fields
+ * @param {number} [params.limit] - Maximum records per change list (default: 100)
+ * @returns {Promise<Object>} Change feed
+ */
+async function getDatasetChanges(params = {}) {
+  // Validate input parameters
+  if (!params.dataset || !DATASET_NAMES.includes(params.dataset)) {
+    throw parameterError(`dataset must be one of: ${DATASET_NAMES.join(', ')}`);
+  }
+
+  if (!params.from_snapshot || typeof params.from_snapshot !== 'string') {
+    throw parameterError('from_snapshot parameter is required (snapshot name or directory)');
+  }
+
+  if (params.to_snapshot !== undefined && typeof params.to_snapshot !== 'string') {
+    throw parameterError('to_snapshot must be a snapshot name or directory');
+  }
+
+  if (params.compare_fields !== undefined && (!Array.isArray(params.compare_fields) || params.compare_fields.some(f => typeof f !== 'string'))) {
+    throw parameterError('compare_fields must be an array of field names');
+  }
+
+  if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
+    throw parameterError('limit must be a number between 1 and 10000');
+  }
+
+  const fromDir = resolveSnapshotDir(params.from_snapshot);
+  const toDir = params.to_snapshot ? resolveSnapshotDir(params.to_snapshot) : undefined;
+
+  const before = await loadEmaDataset(params.dataset, fromDir);
+  const after = await loadEmaDataset(params.dataset, toDir);
+
+  const keyField = selectKeyField(params.dataset, [...before.data, ...after.data], params.key_field);
+  const beforeIndex = indexRecords(before.data, keyField);
+  const afterIndex = indexRecords(after.data, keyField);
+  const fields = params.compare_fields && params.compare_fields.length > 0 ? params.compare_fields : null;
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [key, record] of afterIndex.index) {
+    if (!beforeIndex.index.has(key)) {
+      added.push({ key, record });
+    }
+  }
+
+  for (const [key, record] of beforeIndex.index) {
+    const newer = afterIndex.index.get(key);
+    if (!newer) {
+      removed.push({ key, record });
+      continue;
+    }
+
+    const changes = diffRecord(record, newer, fields);
+    if (Object.keys(changes).length > 0) {
+      modified.push({ key, changes, record: newer });
+    }
+  }
+
+  const limit = params.limit || 100;
+
+  return {
+    dataset: params.dataset,
+    key_field: keyField,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length,
+      unchanged: afterIndex.index.size - added.length - modified.length,
+      records_without_key: { from: beforeIndex.missing, to: afterIndex.missing },
+      duplicate_keys: { from: beforeIndex.duplicates, to: afterIndex.duplicates }
+    },
+    added: added.slice(0, limit),
+    removed: removed.slice(0, limit),
+    modified: modified.slice(0, limit),
+    from: describeSide(before.provenance),
+    to: describeSide(after.provenance),
+    source: 'EMA Dataset Change Feed'
+  };
+}
+
+module.exports = {
+  getDatasetChanges,
+  diffRecord
+};
@@ -0,0 +1,273 @@
+const {
+  searchMedicines,
+  getMedicineByName,
+  findMedicineByProductNumber,
+  getOrphanDesignations,
+  getSupplyShortages,
+  getReferrals,
+  getPostAuthProcedures,
+  getDhpcs,
+  getPsusas,
+  getPips,
+  searchEparDocuments,
+  loadEmaDataset,
+  normaliseRecordDates,
+  validateProjectionParams,
+  shapeRecords
+} = require('./ema-api.js');
+const { normaliseName, splitSubstanceComponents } = require('./substance-index.js');
+const { parameterError } = require('./errors.js');
+
+// Dataset functions cap a page at 10000 records; the dossier refines those pages further
+const SECTION_FETCH_LIMIT = 10000;
+
+/**
+ * Check whether a product name field contains a trade name as whole words.
+ * Unlike the partial name filters in ema-api.js, "Aerius" does not match "Aeriusmax" here.
+ * @param {*} value - Field value
+ * @param {string} tradeName - Trade name
+ * @returns {boolean} True on a whole-word match
+ */
+function containsTradeName(value, tradeName) {
+  const normalisedName = normaliseName(tradeName);
+  return normalisedName.length > 0 && ` ${normaliseName(value)} `.includes(` ${normalisedName} `);
+}
+
+/**
+ * Pick the most recent of several data dates
+ * @param {Array<string|null|undefined>} dates - ISO dates or timestamps
+ * @returns {string|null} Newest date, or null if none is known
+ */
+function newestDate(dates) {
+  return dates.filter(Boolean).sort().pop() || null;
+}
+
+/**
+ * Describe where the dossier's data came from, like the sides of a get_changes diff
+ * @param {Object} provenance - Provenance of a loaded dataset, or a result that includes it
+ * @returns {Object} Snapshot name (null for live data) and data date
+ */
+function describeData(provenance) {
+  return {
+    snapshot: provenance.snapshot ? provenance.snapshot.name : null,
+    last_updated: provenance.last_updated || null
+  };
+}
+
+/**
+ * Run a dataset function once per search term, refine the matches and merge them without duplicates
+ * @param {Function} fetcher - Dataset function (e.g., getDhpcs)
+ * @param {string} param - Filter parameter to pass the term in (e.g., 'medicine_name')
+ * @param {string[]} terms - Trade names or substances
+ * @param {string[]} fields - Record fields that must match the term (empty keeps every result)
+ * @param {Function|null} matcher - (value, term) => boolean, applied to each field
+ * @param {number} limit - Maximum records to return in the section
+ * @returns {Promise<Object>} Section with total_count, truncated flag, results and the data date
+ */
+async function collectSection(fetcher, param, terms, fields, matcher, limit) {
+  const seen = new Set();
+  const matches = [];
+  const dates = [];
+
+  for (const term of terms) {
+    const response = await fetcher({ [param]: term, limit: SECTION_FETCH_LIMIT });
+    dates.push(response.last_updated);
+    for (const record of response.results) {
+      if (fields.length > 0 && !fields.some(field => matcher(record[field], term))) continue;
+
+      const key = JSON.stringify(record);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      matches.push(record);
+    }
+  }
+
+  return {
+    total_count: matches.length,
+    truncated: matches.length > limit,
+    results: matches.slice(0, limit),
+    last_updated: newestDate(dates)
+  };
+}
+
+/**
+ * Apply fields/format/max_text_length to a section's records
+ * @param {Object} section - Result of collectSection
+ * @param {Object} params - Dossier parameters
+ * @param {string} method - List method the section's records come from
+ * @returns {Object} Section with shaped results and, if text was shortened, a truncation report
+ */
+function shapeSection(section, params, method) {
+  const shaped = shapeRecords(section.results, params, method);
+  return {
+    ...section,
+    ...(shaped.truncation ? { truncation: shaped.truncation } : {}),
+    results: shaped.records
+  };
+}
+
+/**
+ * Build a single regulatory profile for a medicine (by trade name) or an active substance,
+ * joining the medicines report with shortages, referrals, post-authorisation procedures,
+ * DHPCs, PSUSAs, PIPs, orphan designations and EPAR documents
+ * @param {Object} params - Dossier parameters
+ * @param {string} [params.name] - Medicine trade name
+ * @param {string} [params.ema_product_number] - EMA product number (used instead of name, e.g. to pick an ambiguous name's candidate)
+ * @param {string} [params.active_substance] - Active substance (used when no name or product number is given)
+ * @param {number} [params.limit] - Maximum records per section (default: 50)
+ * @param {string[]} [params.fields] - Only return these record fields
+ * @param {string} [params.format] - Record format: full, summary or ids_only
+ * @param {number} [params.max_text_length] - Truncate longer free-text values
+ * @returns {Promise<Object>} Medicine dossier, or the candidates without sections when the name is ambiguous
+ */
+async function getMedicineDossier(params = {}) {
+  // Validate input parameters
+  if (!params.name && !params.ema_product_number && !params.active_substance) {
+    throw parameterError('name, ema_product_number or active_substance parameter is required for get_medicine_dossier');
+  }
+
+  for (const key of ['name', 'ema_product_number', 'active_substance']) {
+    if (params[key] !== undefined && (typeof params[key] !== 'string' || params[key].trim().length === 0)) {
+      throw parameterError(`${key} must be a non-empty string`);
+    }
+  }
+
+  if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
+    throw parameterError('limit must be a number between 1 and 10000');
+  }
+
+  validateProjectionParams(params);
+
+  // A product is identified by its number first, then by name; a substance dossier covers every product
+  const productMode = Boolean(params.ema_product_number || params.name);
+  const query = {
+    name: params.name || null,
+    ema_product_number: params.ema_product_number || null,
+    active_substance: params.active_substance || null
+  };
+
+  let medicines;
+  let medicinesProvenance;
+  let nameResolution = null;
+  if (params.ema_product_number) {
+    const { data, provenance } = await loadEmaDataset('medicines');
+    const medicine = findMedicineByProductNumber(data, params.ema_product_number);
+    if (!medicine) {
+      return {
+        found: false,
+        message: `No medicine with EMA product number "${params.ema_product_number}"`,
+        query,
+        source: 'EMA Medicine Dossier',
+        ...describeData(provenance)
+      };
+    }
+    medicines = [normaliseRecordDates(medicine)];
+    medicinesProvenance = provenance;
+  } else if (params.name) {
+    const lookup = await getMedicineByName(params.name);
+    if (!lookup.found) {
+      return {
+        found: false,
+        message: `Medicine "${params.name}" not found in EMA database`,
+        query,
+        source: 'EMA Medicine Dossier',
+        ...describeData(lookup)
+      };
+    }
+
+    // Joining every dataset on a guessed product would report another medicine's safety history
+    if (lookup.ambiguous) {
+      return {
+        found: false,
+        ambiguous: true,
+        message: `Several medicines match "${params.name}" closely; repeat the request with the ema_product_number of one of the candidates`,
+        query,
+        candidates: lookup.candidates.slice(0, 5),
+        source: 'EMA Medicine Dossier',
+        ...describeData(lookup)
+      };
+    }
+
+    medicines = [lookup.medicine];
+    medicinesProvenance = lookup;
+    nameResolution = {
+      match: lookup.match,
+      ambiguous: lookup.ambiguous,
+      candidates: lookup.candidates.slice(0, 5)
+    };
+  } else {
+    const search = await searchMedicines({ active_substance: params.active_substance, limit: SECTION_FETCH_LIMIT });
+    medicines = search.results;
+    medicinesProvenance = search;
+  }
+
+  const tradeNames = [...new Set(medicines.map(m => m.name_of_medicine).filter(Boolean))];
+  const substances = productMode
+    ? [...new Set(medicines.flatMap(m => splitSubstanceComponents(m.active_substance)))]
+    : [params.active_substance.trim()];
+
+  // Product-specific datasets match on trade names, narrowed to whole-word matches. Substance-level
+  // reviews match on the substance, which ema-api.js already resolves through the substance index.
+  const limit = params.limit || 50;
+  const sectionSpecs = {
+    supply_shortages: productMode
+      ? [getSupplyShortages, 'medicine_name', tradeNames, ['medicine_affected'], containsTradeName]
+      : [getSupplyShortages, 'active_substance', substances, [], null],
+    referrals: [getReferrals, 'active_substance', substances, [], null],
+    post_authorisation_procedures: [getPostAuthProcedures, 'medicine_name', tradeNames, ['medicine_name'], containsTradeName],
+    dhpcs: productMode
+      ? [getDhpcs, 'medicine_name', tradeNames, ['name_of_medicine'], containsTradeName]
+      : [getDhpcs, 'active_substance', substances, [], null],
+    psusas: [getPsusas, 'active_substance', substances, [], null],
+    pips: [getPips, 'active_substance', substances, [], null],
+    orphan_designations: [getOrphanDesignations, 'active_substance', substances, [], null],
+    epar_documents: [searchEparDocuments, 'medicine_name', tradeNames, ['medicine_name'], containsTradeName]
+  };
+
+  // Sections are independent: one unavailable dataset should not sink the whole dossier
+  const sectionNames = Object.keys(sectionSpecs);
+  const settled = await Promise.allSettled(
+    sectionNames.map(section => collectSection(...sectionSpecs[section], limit))
+  );
+
+  // Records are shaped after refinement, which needs the full records
+  const sectionMethods = {
+    supply_shortages: 'get_supply_shortages',
+    referrals: 'get_referrals',
+    post_authorisation_procedures: 'get_post_auth_procedures',
+    dhpcs: 'get_dhpcs',
+    psusas: 'get_psusas',
+    pips: 'get_pips',
+    orphan_designations: 'get_orphan_designations',
+    epar_documents: 'search_epar_documents'
+  };
+
+  const sections = {};
+  const errors = {};
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      sections[sectionNames[i]] = shapeSection(outcome.value, params, sectionMethods[sectionNames[i]]);
+    } else {
+      errors[sectionNames[i]] = outcome.reason.message;
+    }
+  });
+
+  return {
+    found: medicines.length > 0,
+    query,
+    matched_on: { trade_names: tradeNames, substances },
+    ...(nameResolution ? { name_resolution: nameResolution } : {}),
+    medicines: shapeRecords(medicines, params, 'search_medicines').records,
+    sections,
+    ...(Object.keys(errors).length > 0 ? { errors } : {}),
+    source: 'EMA Medicine Dossier',
+    snapshot: describeData(medicinesProvenance).snapshot,
+    last_updated: newestDate([medicinesProvenance.last_updated, ...Object.values(sections).map(section => section.last_updated)])
+  };
+}
+
+module.exports = {
+  getMedicineDossier,
+  collectSection,
+  containsTradeName
+};
@@ -1,7 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
+const { getCachedDataset } = require('./dataset-cache.js');
+const { parameterError, upstreamError } = require('./errors.js');
+const { getSnapshotDir, loadSnapshotReport, hasSnapshotFile, loadSnapshotExport } = require('./snapshot.js');
+const {
+  buildSubstanceIndex,
+  resolveSubstance,
+  matchesSubstance,
+  matchesProductName,
+  describeResolution
+} = require('./substance-index.js');
+const { rankMedicines, isAmbiguous } = require('./name-ranking.js');
+const { readReportRows, rowsToRecords } = require('./tabular-report.js');
+const { buildSearchIndex, parseSearchQuery, searchIndex, buildSnippets } = require('./search-index.js');
+const { parseQuery, getQueryFields, matchesQuery } = require('./query-language.js');
 
 const EMA_BASE_URL = 'https://www.ema.europa.eu/en/documents/report';
 
+const EMA_DOWNLOAD_PAGE = 'https://www.ema.europa.eu/en/medicines/download-medicine-data';
+
+/**
+ * EMA JSON reports served by this module, keyed by dataset name.
+ * format 'array' reports return [...]; format 'document' reports return {data: [...]}.
+ * keyFields lists candidate stable record identifiers, most specific first.
+ * dateFields lists the date used for date_from/date_to filtering, with fallbacks for records missing it.
+ */
+const EMA_DATASETS = {
+  medicines: { endpoint: 'medicines-output-medicines_json-report_en.json', format: 'array', keyFields: ['ema_product_number', 'medicine_url'], dateFields: ['marketing_authorisation_date', 'european_commission_decision_date'] },
+  orphan_designations: { endpoint: 'medicines-output-orphan_designations-json-report_en.json', format: 'array', keyFields: ['eu_designation_number', 'orphan_designation_url'], dateFields: ['date_of_designation_or_refusal'] },
+  shortages: { endpoint: 'shortages-output-json-report_en.json', format: 'array', keyFields: ['shortage_url'], dateFields: ['start_of_shortage_date', 'first_published_date'] },
+  referrals: { endpoint: 'referrals-output-json-report_en.json', format: 'array', keyFields: ['procedure_number', 'reference_number', 'referral_url'], dateFields: ['procedure_start_date'] },
+  post_authorisation: { endpoint: 'medicines-output-post_authorisation_json-report_en.json', format: 'array', keyFields: ['procedure_number'], dateFields: ['decision_date', 'opinion_date', 'first_published_date'] },
+  dhpcs: { endpoint: 'dhpc-output-json-report_en.json', format: 'array', keyFields: ['dhpc_url'], dateFields: ['dissemination_date'] },
+  psusas: { endpoint: 'medicines-output-periodic_safety_update_report_single_assessments-output-json-report_en.json', format: 'array', keyFields: ['procedure_number', 'psusa_url'], dateFields: ['decision_date', 'opinion_date', 'first_published_date'] },
+  pips: { endpoint: 'medicines-output-paediatric_investigation_plans-output-json-report_en.json', format: 'array', keyFields: ['decision_number', 'pip_number', 'pip_url'], dateFields: ['decision_date'] },
+  epar_documents: { endpoint: 'documents-output-epar_documents_json-report_en.json', format: 'document', keyFields: ['document_url', 'url'], dateFields: ['first_published_date', 'publish_date', 'last_updated_date'] },
+  all_documents: { endpoint: 'documents-output-json-report_en.json', format: 'document', keyFields: ['document_url', 'url'], dateFields: ['first_published_date', 'publish_date', 'last_updated_date'] },
+  non_epar_documents: { endpoint: 'documents-output-non_epar_documents_json-report_en.json', format: 'document', keyFields: ['document_url', 'url'], dateFields: ['first_published_date', 'publish_date', 'last_updated_date'] }
+};
+
+/**
+ * EMA reports only published as spreadsheet downloads, keyed by dataset name.
+ * sourceEnv names the environment variable that replaces the download (a URL or a local
+ * .xlsx/.csv/.json file), for when EMA moves the file or the server runs offline.
+ * columns maps this server's field names to the accepted (normalised) column headers;
+ * requiredFields lists groups of fields of which the header row must contain at least one each.
+ * keyFields and dateFields work as in EMA_DATASETS.
+ */
+const EMA_EXPORTS = {
+  herbal_medicines: {
+    label: 'herbal medicines',
+    endpoint: 'medicines-output-herbal_medicines-report_en.xlsx',
+    sourceEnv: 'EMA_HERBAL_SOURCE',
+    columns: {
+      herbal_substance: ['latin_name_of_herbal_substance', 'herbal_substance_latin_name', 'latin_name', 'substance'],
+      botanical_name: ['botanical_name_of_plant', 'botanical_name_of_the_plant', 'plant'],
+      english_common_name: ['english_common_name_of_herbal_substance', 'english_name', 'common_name'],
+      combination: ['combination_product'],
+      use_category: ['use', 'type_of_use', 'herbal_use', 'well_established_use_traditional_use'],
+      hmpc_outcome: ['outcome', 'outcome_of_assessment', 'hmpc_opinion'],
+      monograph_status: ['status', 'assessment_status', 'status_of_monograph'],
+      therapeutic_area: ['therapeutic_areas', 'therapeutic_area_mesh'],
+      first_published_date: ['first_published', 'date_of_first_publication'],
+      last_updated_date: ['revision_date', 'last_updated', 'last_update_date'],
+      herbal_url: ['url', 'herbal_medicine_url', 'link']
+    },
+    requiredFields: [['herbal_substance', 'botanical_name']],
+    keyFields: ['herbal_url', 'herbal_substance'],
+    dateFields: ['first_published_date', 'last_updated_date']
+  },
+  article58_medicines: {
+    label: 'Article 58 (EU-M4all)',
+    endpoint: 'medicines-output-eu_m4all-report_en.xlsx',
+    sourceEnv: 'EMA_ARTICLE58_SOURCE',
+    columns: {
+      medicine_name: ['name_of_medicine', 'medicine', 'product_name', 'trade_name'],
+      active_substance: ['active_substances', 'international_non_proprietary_name_inn_common_name', 'international_non_proprietary_name_inn_or_common_name', 'inn_common_name', 'inn'],
+      opinion_date: ['date_of_opinion', 'date_of_scientific_opinion', 'scientific_opinion_date', 'chmp_opinion_date'],
+      target_use: ['intended_use', 'therapeutic_indication', 'indication', 'use'],
+      therapeutic_area: ['therapeutic_areas', 'therapeutic_area_mesh'],
+      opinion_status: ['status', 'opinion_status', 'scientific_opinion_status', 'outcome'],
+      who_prequalification_url: ['who_prequalification', 'who_prequalification_link', 'who_prequalification_url', 'link_to_who_prequalification'],
+      article58_url: ['url', 'medicine_url', 'eu_m4all_url', 'link'],
+      first_published_date: ['first_published', 'date_of_first_publication'],
+      last_updated_date: ['revision_date', 'last_updated', 'last_update_date']
+    },
+    requiredFields: [['medicine_name'], ['active_substance'], ['opinion_date']],
+    keyFields: ['article58_url', 'medicine_name'],
+    dateFields: ['opinion_date']
+  }
+};
+
+// Every dataset name accepted by get_changes, get_statistics, sync and the dataset resources
+const DATASET_NAMES = [...Object.keys(EMA_DATASETS), ...Object.keys(EMA_EXPORTS)];
+
+/**
+ * Look up a JSON report or spreadsheet export by dataset name
+ * @param {string} datasetName - Key of EMA_DATASETS or EMA_EXPORTS
+ * @returns {Object|undefined} Dataset configuration (endpoint, keyFields, dateFields, ...)
+ */
+function getDatasetConfig(datasetName) {
+  return Object.prototype.hasOwnProperty.call(EMA_DATASETS, datasetName) ? EMA_DATASETS[datasetName]
+    : Object.prototype.hasOwnProperty.call(EMA_EXPORTS, datasetName) ? EMA_EXPORTS[datasetName]
+      : undefined;
+}
+
+// use_category filter values of get_herbal_medicines
+const HERBAL_USE_CATEGORIES = ['well-established', 'traditional'];
+
 /**
  * Generate EMA API URL for different JSON endpoints
  * @param {string} endpoint - The specific endpoint (e.g., 'medicines-output-medicines_json-report_en.json')
@@ -14,82 +122,326 @@ function generateEmaUrl(endpoint) {
 /**
  * Make HTTP request to EMA JSON API with proper error handling
  * @param {string} url - API URL to request
- * @returns {Promise<Array|Object>} Response data
+ * @param {Object} [conditionalHeaders] - If-None-Match / If-Modified-Since headers for revalidation
+ * @param {Object} [options] - {raw: true} returns the unparsed body instead of json, {binary: true} returns it as a Buffer
+ * @returns {Promise<Object>} {notModified: true} on HTTP 304, otherwise {json|body, etag, lastModified}
  */
-async function makeEmaRequest(url) {
+async function fetchEmaJson(url, conditionalHeaders = {}, options = {}) {
   try {
     const response = await axios.get(url, {
       timeout: 30000,
       headers: {
         'User-Agent': 'EMA-MCP-Server/0.0.1',
-        'Accept': 'application/json'
-      }
+        'Accept': options.binary ? '*/*' : 'application/json',
+        ...conditionalHeaders
+      },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304,
+      ...(options.raw ? { responseType: 'text', transformResponse: data => data } : {}),
+      ...(options.binary ? { responseType: 'arraybuffer' } : {})
     });
 
-    const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+
+    if (options.binary) {
+      return {
+        body: Buffer.from(response.data),
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified']
+      };
+    }
 
-    // Validate response is an array
-    if (!Array.isArray(data)) {
-      throw new Error('EMA API returned non-array response');
+    if (options.raw) {
+      return {
+        body: response.data,
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified']
+      };
     }
 
-    return data;
+    return {
+      json: typeof response.data === 'string' ? JSON.parse(response.data) : response.data,
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified']
+    };
   } catch (error) {
     if (error.code === 'ECONNABORTED') {
-      throw new Error('EMA API request timeout (30s exceeded)');
+      throw upstreamError('EMA API request timeout (30s exceeded)');
     } else if (error.response) {
-      throw new Error(`EMA API HTTP error ${error.response.status}: ${error.response.statusText}`);
+      throw upstreamError(`EMA API HTTP error ${error.response.status}: ${error.response.statusText}`);
     } else if (error.request) {
-      throw new Error('EMA API network error: No response received');
+      throw upstreamError('EMA API network error: No response received');
     } else {
-      throw new Error(`EMA API request failed: ${error.message}`);
+      throw upstreamError(`EMA API request failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate a parsed EMA report and return its record array
+ * @param {*} json - Parsed report body
+ * @param {string} format - 'array' ([...]) or 'document' ({data: [...]})
+ * @returns {Array} Report records
+ */
+function extractReportRecords(json, format) {
+  if (format === 'document') {
+    // Document endpoints return {data: [...]} format
+    if (!json || !json.data || !Array.isArray(json.data)) {
+      throw new Error('EMA API document response missing data array');
     }
+    return json.data;
   }
+
+  // Validate response is an array
+  if (!Array.isArray(json)) {
+    throw new Error('EMA API returned non-array response');
+  }
+  return json;
+}
+
+/**
+ * Load a report either from an offline snapshot or through the shared dataset cache
+ * @param {string} url - API URL to request
+ * @param {string} format - 'array' or 'document' (see extractReportRecords)
+ * @param {string|null} [snapshotDir] - Snapshot directory to read from (default: EMA_SNAPSHOT_DIR, null for live)
+ * @returns {Promise<{data: Array, provenance: Object}>} Records and provenance (source_url, last_updated, cache/snapshot)
+ */
+async function loadEmaReport(url, format, snapshotDir = getSnapshotDir()) {
+  if (snapshotDir) {
+    const { json, provenance } = loadSnapshotReport(snapshotDir, url);
+    return { data: extractReportRecords(json, format), provenance };
+  }
+
+  const { data, cache } = await getCachedDataset(url, async (requestUrl, headers) => {
+    const response = await fetchEmaJson(requestUrl, headers);
+    if (response.notModified) {
+      return response;
+    }
+
+    return {
+      data: extractReportRecords(response.json, format),
+      etag: response.etag,
+      lastModified: response.lastModified
+    };
+  });
+
+  return {
+    data,
+    provenance: {
+      source_url: url,
+      last_updated: cache.fetched_at,
+      cache
+    }
+  };
+}
+
+/**
+ * Load an EMA JSON report (array format)
+ * @param {string} url - API URL to request
+ * @returns {Promise<{data: Array, provenance: Object}>} Response data and provenance
+ */
+async function makeEmaRequest(url) {
+  return loadEmaReport(url, 'array');
 }
 
 /**
- * Make HTTP request to EMA document endpoints (which return {data: [...]} format)
+ * Load an EMA document report (which returns {data: [...]} format)
  * @param {string} url - API URL to request
- * @returns {Promise<Array>} Response data array
+ * @returns {Promise<{data: Array, provenance: Object}>} Response data array and provenance
  */
 async function makeEmaDocumentRequest(url) {
+  return loadEmaReport(url, 'document');
+}
+
+/**
+ * Load a dataset by name, from a specific snapshot or from the current data source
+ * @param {string} datasetName - Key of EMA_DATASETS or EMA_EXPORTS
+ * @param {string|null} [snapshotDir] - Snapshot directory (default: EMA_SNAPSHOT_DIR, or live when unset)
+ * @returns {Promise<{data: Array, provenance: Object}>} Records and provenance
+ */
+async function loadEmaDataset(datasetName, snapshotDir = getSnapshotDir()) {
+  if (Object.prototype.hasOwnProperty.call(EMA_EXPORTS, datasetName)) {
+    return loadEmaExport(datasetName, snapshotDir);
+  }
+
+  const dataset = EMA_DATASETS[datasetName];
+  if (!dataset) {
+    throw new Error(`Unknown EMA dataset: ${datasetName}`);
+  }
+
+  return loadEmaReport(generateEmaUrl(dataset.endpoint), dataset.format, snapshotDir);
+}
+
+// Parsed local export files keyed by path, reloaded when the file changes
+const exportFiles = new Map();
+
+/**
+ * Parse a spreadsheet export into records
+ * @param {Object} exportConfig - Entry of EMA_EXPORTS
+ * @param {Buffer} body - Export bytes
+ * @param {string} source - URL or file the bytes came from (for error messages)
+ * @returns {Array<Object>} Records
+ */
+function parseEmaExport(exportConfig, body, source) {
   try {
-    const response = await axios.get(url, {
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'EMA-MCP-Server/0.0.1',
-        'Accept': 'application/json'
-      }
-    });
+    return rowsToRecords(readReportRows(body), exportConfig.columns, exportConfig.requiredFields);
+  } catch (error) {
+    throw new Error(`EMA ${exportConfig.label} export format not recognised (${source}): ${error.message}. ` +
+      `Download the current export from ${EMA_DOWNLOAD_PAGE} and point ${exportConfig.sourceEnv} at it`);
+  }
+}
 
-    const json = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+/**
+ * Load a spreadsheet-only EMA report: from the local file in its source variable,
+ * from the snapshot in snapshot mode, otherwise from the URL in its source variable or
+ * the EMA download through the shared dataset cache
+ * @param {string} exportName - Key of EMA_EXPORTS
+ * @param {string|null} [snapshotDir] - Snapshot directory (default: EMA_SNAPSHOT_DIR, or live when unset)
+ * @returns {Promise<{data: Array, provenance: Object}>} Records and provenance
+ */
+async function loadEmaExport(exportName, snapshotDir = getSnapshotDir()) {
+  const exportConfig = EMA_EXPORTS[exportName];
+  const source = process.env[exportConfig.sourceEnv] || generateEmaUrl(exportConfig.endpoint);
+
+  if (!/^https?:\/\//i.test(source)) {
+    const filePath = path.resolve(source);
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      throw new Error(`EMA ${exportConfig.label} export not found: ${filePath} (${exportConfig.sourceEnv})`);
+    }
 
-    // Document endpoints return {data: [...]} format
-    if (json.data && Array.isArray(json.data)) {
-      return json.data;
+    const cached = exportFiles.get(filePath);
+    if (!cached || cached.mtimeMs !== stat.mtimeMs) {
+      exportFiles.set(filePath, { mtimeMs: stat.mtimeMs, data: parseEmaExport(exportConfig, fs.readFileSync(filePath), filePath) });
     }
 
-    throw new Error('EMA API document response missing data array');
+    return {
+      data: exportFiles.get(filePath).data,
+      provenance: {
+        source_url: `file://${filePath}`,
+        last_updated: stat.mtime.toISOString()
+      }
+    };
+  }
+
+  if (snapshotDir) {
+    const url = generateEmaUrl(exportConfig.endpoint);
+    if (!hasSnapshotFile(snapshotDir, url)) {
+      throw new Error(`EMA ${exportConfig.label} data is not part of the snapshot in ${snapshotDir}. ` +
+        `Re-run sync to include it, or set ${exportConfig.sourceEnv} to a local copy of the export from ${EMA_DOWNLOAD_PAGE}`);
+    }
+    return loadSnapshotExport(snapshotDir, url, (body, filePath) => parseEmaExport(exportConfig, body, filePath));
+  }
+
+  let data;
+  let cache;
+  try {
+    ({ data, cache } = await getCachedDataset(source, async (requestUrl, headers) => {
+      const response = await fetchEmaJson(requestUrl, headers, { binary: true });
+      if (response.notModified) {
+        return response;
+      }
+
+      return {
+        data: parseEmaExport(exportConfig, response.body, requestUrl),
+        etag: response.etag,
+        lastModified: response.lastModified
+      };
+    }));
   } catch (error) {
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('EMA API request timeout (30s exceeded)');
-    } else if (error.response) {
-      throw new Error(`EMA API HTTP error ${error.response.status}: ${error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error('EMA API network error: No response received');
-    } else {
-      throw new Error(`EMA API request failed: ${error.message}`);
+    if (/HTTP error 404/.test(error.message)) {
+      throw upstreamError(`EMA ${exportConfig.label} export is no longer available at ${source}. ` +
+        `Download it from ${EMA_DOWNLOAD_PAGE} and set ${exportConfig.sourceEnv} to the file or its URL`);
+    }
+    throw error;
+  }
+
+  return {
+    data,
+    provenance: {
+      source_url: source,
+      last_updated: cache.fetched_at,
+      cache
     }
+  };
+}
+
+/**
+ * Download a spreadsheet export verbatim, from the source in its source variable or EMA
+ * @param {Object} exportConfig - Entry of EMA_EXPORTS
+ * @returns {Promise<{url: string, body: Buffer, recordCount: number}>} Export bytes and their record count
+ */
+async function downloadEmaExport(exportConfig) {
+  const source = process.env[exportConfig.sourceEnv] || generateEmaUrl(exportConfig.endpoint);
+
+  let url;
+  let body;
+  if (/^https?:\/\//i.test(source)) {
+    url = source;
+    body = (await fetchEmaJson(url, {}, { binary: true })).body;
+  } else {
+    url = `file://${path.resolve(source)}`;
+    body = fs.readFileSync(path.resolve(source));
+  }
+
+  return { url, body, recordCount: parseEmaExport(exportConfig, body, url).length };
+}
+
+/**
+ * Download a dataset report verbatim from EMA, bypassing cache and snapshot mode
+ * @param {string} datasetName - Key of EMA_DATASETS or EMA_EXPORTS
+ * @returns {Promise<{url: string, body: string|Buffer, recordCount: number}>} Raw report body and its record count
+ */
+async function downloadEmaReport(datasetName) {
+  if (Object.prototype.hasOwnProperty.call(EMA_EXPORTS, datasetName)) {
+    return downloadEmaExport(EMA_EXPORTS[datasetName]);
+  }
+
+  const dataset = EMA_DATASETS[datasetName];
+  if (!dataset) {
+    throw new Error(`Unknown EMA dataset: ${datasetName}`);
   }
+
+  const url = generateEmaUrl(dataset.endpoint);
+  const response = await fetchEmaJson(url, {}, { raw: true });
+
+  let json;
+  try {
+    json = JSON.parse(response.body);
+  } catch (error) {
+    throw new Error(`EMA API returned invalid JSON: ${error.message}`);
+  }
+  const records = extractReportRecords(json, dataset.format);
+
+  return { url, body: response.body, recordCount: records.length };
 }
 
 /**
- * Parse EMA date format (DD Month YYYY) to ISO format (YYYY-MM-DD)
+ * Build an ISO date from its parts, rejecting impossible dates such as 31/02/2024
+ * @param {string} year - Four-digit year
+ * @param {string} month - Month (1-12)
+ * @param {string} day - Day of the month
+ * @returns {string|null} ISO date or null
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Parse an EMA date to ISO format (YYYY-MM-DD).
+ * Accepts the formats used across EMA reports: "DD Month YYYY", "DD/MM/YYYY" and ISO dates/timestamps.
  * @param {string} emaDate - Date in EMA format
  * @returns {string|null} ISO formatted date or null
  */
 function parseEmaDate(emaDate) {
-  if (!emaDate) return null;
+  if (!emaDate || typeof emaDate !== 'string') return null;
 
   try {
     const months = {
@@ -98,19 +450,601 @@ function parseEmaDate(emaDate) {
       'September': '09', 'October': '10', 'November': '11', 'December': '12'
     };
 
-    const parts = emaDate.trim().split(' ');
+    const value = emaDate.trim();
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/);
+    if (iso) {
+      return toIsoDate(iso[1], iso[2], iso[3]);
+    }
+
+    const numeric = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (numeric) {
+      return toIsoDate(numeric[3], numeric[2], numeric[1]);
+    }
+
+    const parts = value.split(/\s+/);
     if (parts.length !== 3) return null;
 
-    const day = parts[0].padStart(2, '0');
+    const day = parts[0];
     const month = months[parts[1]];
     const year = parts[2];
 
-    return month ? `${year}-${month}-${day}` : null;
+    return month && /^\d{1,2}$/.test(day) && /^\d{4}$/.test(year) ? toIsoDate(year, month, day) : null;
   } catch {
     return null;
   }
 }
 
+/**
+ * Get a record's date as ISO, from the first date field that holds a parseable value
+ * @param {Object} record - Dataset record
+ * @param {string[]} dateFields - Candidate date fields, in order of preference
+ * @returns {string|null} ISO date or null
+ */
+function getRecordDate(record, dateFields) {
+  for (const field of dateFields) {
+    const isoDate = parseEmaDate(record[field]);
+    if (isoDate) {
+      return isoDate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a record date falls in a given year
+ * @param {*} value - Raw date value from a record
+ * @param {number} year - Year to match
+ * @returns {boolean} True if the parsed date is in that year
+ */
+function isDateInYear(value, year) {
+  const isoDate = parseEmaDate(value);
+  return isoDate !== null && isoDate.startsWith(`${year}-`);
+}
+
+/**
+ * Validate date_from/date_to/date_field parameters
+ * @param {Object} params - Method parameters
+ */
+function validateDateRangeParams(params) {
+  const datePattern = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+  for (const key of ['date_from', 'date_to']) {
+    if (params[key] !== undefined && (typeof params[key] !== 'string' || !datePattern.test(params[key]))) {
+      throw parameterError(`${key} must be an ISO date (YYYY-MM-DD, YYYY-MM or YYYY)`);
+    }
+  }
+
+  // Partial bounds cover whole periods: date_from "2024-06" with date_to "2024" is valid
+  if (params.date_from && params.date_to && params.date_from.slice(0, params.date_to.length) > params.date_to) {
+    throw parameterError('date_from must not be after date_to');
+  }
+
+  if (params.date_field !== undefined && (typeof params.date_field !== 'string' || !params.date_field.endsWith('_date'))) {
+    throw parameterError('date_field must be the name of a date field (ending in _date)');
+  }
+}
+
+/**
+ * Filter records to a date range. Partial bounds cover whole periods,
+ * so date_to "2024" includes every date in 2024.
+ * @param {Array} results - Records to filter
+ * @param {Object} params - Method parameters (date_from, date_to, date_field)
+ * @param {string[]} dateFields - The dataset's default date fields
+ * @returns {Array} Records whose date falls in the range (records without a date are dropped)
+ */
+function filterByDateRange(results, params, dateFields) {
+  if (!params.date_from && !params.date_to) {
+    return results;
+  }
+
+  const fields = params.date_field ? [params.date_field] : dateFields;
+
+  return results.filter(record => {
+    const isoDate = getRecordDate(record, fields);
+    if (!isoDate) return false;
+    if (params.date_from && isoDate.slice(0, params.date_from.length) < params.date_from) return false;
+    if (params.date_to && isoDate.slice(0, params.date_to.length) > params.date_to) return false;
+    return true;
+  });
+}
+
+/**
+ * Sort keys accepted by each list method, mapped to how they compare.
+ * The 'date' key sorts by the method's default date field (see dateFields in EMA_DATASETS).
+ */
+const SORT_FIELDS = {
+  search_medicines: {
+    date: 'date', marketing_authorisation_date: 'date', european_commission_decision_date: 'date',
+    name_of_medicine: 'text', active_substance: 'text', medicine_status: 'text', therapeutic_area_mesh: 'text'
+  },
+  get_orphan_designations: {
+    date: 'date', date_of_designation_or_refusal: 'date',
+    active_substance: 'text', intended_use: 'text', status: 'text'
+  },
+  get_supply_shortages: {
+    date: 'date', start_of_shortage_date: 'date', expected_resolution_date: 'date',
+    medicine_affected: 'text', international_non_proprietary_name_inn_or_common_name: 'text', supply_shortage_status: 'text'
+  },
+  get_referrals: {
+    date: 'date', procedure_start_date: 'date',
+    international_non_proprietary_name_inn_common_name: 'text', current_status: 'text'
+  },
+  get_post_auth_procedures: {
+    date: 'date', decision_date: 'date', first_published_date: 'date',
+    medicine_name: 'text'
+  },
+  get_dhpcs: {
+    date: 'date', dissemination_date: 'date',
+    name_of_medicine: 'text', active_substances: 'text', dhpc_type: 'text'
+  },
+  get_psusas: {
+    date: 'date', decision_date: 'date', first_published_date: 'date',
+    active_substance: 'text', regulatory_outcome: 'text'
+  },
+  get_pips: {
+    date: 'date', decision_date: 'date',
+    active_substance: 'text', therapeutic_area: 'text', decision_type: 'text'
+  },
+  get_herbal_medicines: {
+    date: 'date', first_published_date: 'date', last_updated_date: 'date',
+    herbal_substance: 'text', botanical_name: 'text', therapeutic_area: 'text',
+    use_category: 'text', monograph_status: 'text'
+  },
+  get_article58_medicines: {
+    date: 'date', opinion_date: 'date', medicine_name: 'text', active_substance: 'text',
+    target_use: 'text', opinion_status: 'text'
+  },
+  search_epar_documents: {
+    date: 'date', first_published_date: 'date', last_updated_date: 'date',
+    medicine_name: 'text', document_type: 'text', language: 'text'
+  },
+  search_all_documents: {
+    date: 'date', first_published_date: 'date', last_updated_date: 'date',
+    title: 'text', document_type: 'text', category: 'text'
+  },
+  search_non_epar_documents: {
+    date: 'date', first_published_date: 'date', last_updated_date: 'date',
+    title: 'text', document_type: 'text'
+  }
+};
+
+/**
+ * Validate sort_by/sort_order parameters against the method's sort keys
+ * @param {Object} params - Method parameters
+ * @param {string} method - Method name (key of SORT_FIELDS)
+ */
+function validateSortParams(params, method) {
+  if (params.sort_by !== undefined && !Object.prototype.hasOwnProperty.call(SORT_FIELDS[method], params.sort_by)) {
+    throw parameterError(`sort_by for ${method} must be one of: ${Object.keys(SORT_FIELDS[method]).join(', ')}`);
+  }
+
+  if (params.sort_order !== undefined && !['asc', 'desc'].includes(params.sort_order)) {
+    throw parameterError('sort_order must be one of: asc, desc');
+  }
+
+  if (params.sort_order !== undefined && params.sort_by === undefined) {
+    throw parameterError('sort_order requires sort_by');
+  }
+}
+
+/**
+ * Sort records by a method sort key. Dates sort newest first and text sorts A-Z
+ * unless sort_order says otherwise; records missing the value always sort last.
+ * @param {Array} results - Records to sort (not mutated)
+ * @param {Object} params - Method parameters (sort_by, sort_order)
+ * @param {string} method - Method name (key of SORT_FIELDS)
+ * @param {string[]} dateFields - The dataset's default date fields, used by the 'date' key
+ * @returns {Array} Sorted copy of the records
+ */
+function sortResults(results, params, method, dateFields) {
+  if (!params.sort_by) {
+    return results;
+  }
+
+  const type = SORT_FIELDS[method][params.sort_by];
+  const order = params.sort_order || (type === 'date' ? 'desc' : 'asc');
+  const direction = order === 'desc' ? -1 : 1;
+
+  const getValue = record => {
+    if (type === 'date') {
+      return getRecordDate(record, params.sort_by === 'date' ? dateFields : [params.sort_by]);
+    }
+    const value = record[params.sort_by];
+    return value === undefined || value === null || value === '' ? null : String(value);
+  };
+
+  return results
+    .map(record => ({ record, value: getValue(record) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null);
+      }
+      const comparison = type === 'date'
+        ? (a.value < b.value ? -1 : a.value > b.value ? 1 : 0)
+        : a.value.localeCompare(b.value, 'en', { sensitivity: 'base', numeric: true });
+      return comparison * direction;
+    })
+    .map(entry => entry.record);
+}
+
+// Field names accepted by the `query` parameter besides the record's own fields.
+// Names match the method's filter parameters; `date` always means the dataset's default date fields.
+const QUERY_FIELDS = {
+  search_medicines: {
+    name: ['name_of_medicine'],
+    active_substance: ['active_substance', 'international_non_proprietary_name_common_name'],
+    therapeutic_area: ['therapeutic_area_mesh', 'therapeutic_indication'],
+    status: ['medicine_status'],
+    orphan: ['orphan_medicine'],
+    prime: ['prime_priority_medicine'],
+    product_number: ['ema_product_number']
+  },
+  get_orphan_designations: {
+    active_substance: ['active_substance'],
+    therapeutic_area: ['intended_use'],
+    designation_number: ['eu_designation_number']
+  },
+  get_supply_shortages: {
+    active_substance: ['international_non_proprietary_name_inn_or_common_name', 'medicine_affected'],
+    medicine_name: ['medicine_affected'],
+    therapeutic_area: ['therapeutic_area_mesh'],
+    status: ['supply_shortage_status']
+  },
+  get_referrals: {
+    active_substance: ['international_non_proprietary_name_inn_common_name'],
+    safety: ['safety_referral'],
+    status: ['current_status']
+  },
+  get_post_auth_procedures: {},
+  get_dhpcs: {
+    medicine_name: ['name_of_medicine'],
+    active_substance: ['active_substances']
+  },
+  get_psusas: {
+    active_substance: ['active_substance', 'active_substances_in_scope_of_procedure'],
+    outcome: ['regulatory_outcome']
+  },
+  get_pips: {},
+  get_herbal_medicines: {
+    substance: ['herbal_substance', 'botanical_name', 'english_common_name']
+  },
+  get_article58_medicines: {
+    target_use: ['target_use', 'therapeutic_area'],
+    status: ['opinion_status']
+  },
+  search_epar_documents: {},
+  search_all_documents: {
+    title: ['title', 'document_title']
+  },
+  search_non_epar_documents: {
+    title: ['title', 'document_title']
+  }
+};
+
+/**
+ * Validate the query expression before any data is downloaded
+ * @param {Object} params - Method parameters (query)
+ */
+function validateQueryParam(params) {
+  if (params.query !== undefined) {
+    parseQuery(params.query);
+  }
+}
+
+/**
+ * Filter records by a boolean query expression (see query-language.js).
+ * Field names are the aliases in QUERY_FIELDS, `date`, or any field of the dataset's records.
+ * @param {Array} results - Records to filter
+ * @param {Object} params - Method parameters (query)
+ * @param {string} method - Method name (key of QUERY_FIELDS)
+ * @param {string[]} dateFields - The dataset's default date fields, used by the `date` field
+ * @returns {Array} Matching records
+ */
+function filterByQuery(results, params, method, dateFields) {
+  if (params.query === undefined) {
+    return results;
+  }
+
+  const ast = parseQuery(params.query);
+  const aliases = { ...QUERY_FIELDS[method], date: dateFields };
+
+  const recordFields = new Set();
+  for (const record of results) {
+    for (const field of Object.keys(record)) recordFields.add(field);
+  }
+
+  const fields = {};
+  for (const field of getQueryFields(ast)) {
+    if (Object.prototype.hasOwnProperty.call(aliases, field)) {
+      fields[field] = aliases[field];
+    } else if (recordFields.has(field) || results.length === 0) {
+      fields[field] = [field];
+    } else {
+      throw parameterError(`Unknown query field "${field}" for ${method}. Use ${Object.keys(aliases).join(', ')} or a record field ` +
+        `(${[...recordFields].sort().join(', ')})`);
+    }
+  }
+
+  return results.filter(record => matchesQuery(ast, record, { fields, parseDate: parseEmaDate }));
+}
+
+/**
+ * Return a copy of a record with every parseable *_date field converted to ISO (YYYY-MM-DD)
+ * @param {Object} record - Dataset record (never mutated; records are shared with the cache)
+ * @returns {Object} Record with normalised dates
+ */
+function normaliseRecordDates(record) {
+  const normalised = { ...record };
+  for (const [field, value] of Object.entries(record)) {
+    if (field.endsWith('_date')) {
+      const isoDate = parseEmaDate(value);
+      if (isoDate) {
+        normalised[field] = isoDate;
+      }
+    }
+  }
+  return normalised;
+}
+
+// Response formats: full records, a short set of fields per dataset, or identifiers only
+const RECORD_FORMATS = ['full', 'summary', 'ids_only'];
+
+// Free-text limit applied in summary format unless max_text_length is given
+const SUMMARY_TEXT_LENGTH = 300;
+
+const DOCUMENT_VIEW = {
+  ids_only: ['document_url', 'url', 'title', 'document_title'],
+  summary: ['title', 'document_title', 'medicine_name', 'document_type', 'category', 'language', 'first_published_date', 'last_updated_date', 'document_url', 'url']
+};
+
+// Fields kept by the summary and ids_only formats, per method
+const RECORD_VIEWS = {
+  search_medicines: {
+    ids_only: ['ema_product_number', 'name_of_medicine'],
+    summary: ['name_of_medicine', 'ema_product_number', 'active_substance', 'therapeutic_area_mesh', 'medicine_status',
+      'orphan_medicine', 'biosimilar', 'conditional_approval', 'marketing_authorisation_date', 'medicine_url']
+  },
+  get_orphan_designations: {
+    ids_only: ['eu_designation_number', 'active_substance'],
+    summary: ['eu_designation_number', 'active_substance', 'intended_use', 'status', 'date_of_designation_or_refusal', 'orphan_designation_url']
+  },
+  get_supply_shortages: {
+    ids_only: ['shortage_url', 'medicine_affected'],
+    summary: ['medicine_affected', 'international_non_proprietary_name_inn_or_common_name', 'supply_shortage_status',
+      'start_of_shortage_date', 'expected_resolution_date', 'shortage_url']
+  },
+  get_referrals: {
+    ids_only: ['procedure_number', 'reference_number', 'international_non_proprietary_name_inn_common_name'],
+    summary: ['international_non_proprietary_name_inn_common_name', 'procedure_number', 'current_status', 'safety_referral',
+      'procedure_start_date', 'referral_url']
+  },
+  get_post_auth_procedures: {
+    ids_only: ['procedure_number', 'medicine_name'],
+    summary: ['medicine_name', 'procedure_number', 'decision_date', 'opinion_date', 'first_published_date']
+  },
+  get_dhpcs: {
+    ids_only: ['dhpc_url', 'name_of_medicine'],
+    summary: ['name_of_medicine', 'active_substances', 'dhpc_type', 'dissemination_date', 'dhpc_url']
+  },
+  get_psusas: {
+    ids_only: ['procedure_number', 'active_substance'],
+    summary: ['active_substance', 'procedure_number', 'regulatory_outcome', 'decision_date', 'psusa_url']
+  },
+  get_pips: {
+    ids_only: ['decision_number', 'pip_number', 'active_substance'],
+    summary: ['active_substance', 'therapeutic_area', 'decision_type', 'decision_number', 'decision_date', 'pip_url']
+  },
+  get_herbal_medicines: {
+    ids_only: ['herbal_substance', 'botanical_name'],
+    summary: ['herbal_substance', 'botanical_name', 'english_common_name', 'use_category', 'monograph_status', 'hmpc_outcome', 'therapeutic_area', 'first_published_date', 'herbal_url']
+  },
+  get_article58_medicines: {
+    ids_only: ['medicine_name', 'active_substance'],
+    summary: ['medicine_name', 'active_substance', 'opinion_date', 'opinion_status', 'target_use', 'who_prequalification_url', 'article58_url']
+  },
+  search_epar_documents: DOCUMENT_VIEW,
+  search_all_documents: DOCUMENT_VIEW,
+  search_non_epar_documents: DOCUMENT_VIEW,
+  search_documents_fulltext: {
+    ids_only: [...DOCUMENT_VIEW.ids_only, 'score'],
+    summary: [...DOCUMENT_VIEW.summary, 'score', 'snippets']
+  }
+};
+
+/**
+ * Validate fields/format/max_text_length parameters
+ * @param {Object} params - Method parameters
+ */
+function validateProjectionParams(params) {
+  if (params.fields !== undefined && (!Array.isArray(params.fields) || params.fields.length === 0 ||
+    params.fields.some(field => typeof field !== 'string' || field.length === 0))) {
+    throw parameterError('fields must be a non-empty array of field names');
+  }
+
+  if (params.format !== undefined && !RECORD_FORMATS.includes(params.format)) {
+    throw parameterError(`format must be one of: ${RECORD_FORMATS.join(', ')}`);
+  }
+
+  if (params.fields && params.format && params.format !== 'full') {
+    throw parameterError('fields cannot be combined with format summary or ids_only');
+  }
+
+  if (params.max_text_length !== undefined && (!Number.isInteger(params.max_text_length) || params.max_text_length < 20)) {
+    throw parameterError('max_text_length must be an integer of at least 20');
+  }
+}
+
+/**
+ * Apply field projection, response format and free-text truncation to records.
+ * URL fields are never truncated.
+ * @param {Array} records - Records (dates already normalised)
+ * @param {Object} params - Method parameters (fields, format, max_text_length)
+ * @param {string} method - Method name (key of RECORD_VIEWS)
+ * @returns {{records: Array, truncation: Object|null}} Shaped records and a truncation report
+ */
+function shapeRecords(records, params, method) {
+  const format = params.format || 'full';
+  const keep = params.fields || (format === 'full' ? null : RECORD_VIEWS[method][format]);
+  const maxLength = params.max_text_length || (format === 'summary' ? SUMMARY_TEXT_LENGTH : null);
+  const truncatedFields = {};
+
+  const shaped = records.map(record => {
+    const shapedRecord = {};
+    for (const field of keep || Object.keys(record)) {
+      if (!Object.prototype.hasOwnProperty.call(record, field)) continue;
+
+      let value = record[field];
+      if (maxLength && typeof value === 'string' && value.length > maxLength && !field.endsWith('_url')) {
+        value = `${value.slice(0, maxLength).trimEnd()}…`;
+        truncatedFields[field] = (truncatedFields[field] || 0) + 1;
+      }
+      shapedRecord[field] = value;
+    }
+    return shapedRecord;
+  });
+
+  return {
+    records: shaped,
+    truncation: maxLength ? { max_text_length: maxLength, truncated_fields: truncatedFields } : null
+  };
+}
+
+// Substance indexes keyed by the medicines record array they were built from
+const substanceIndexes = new WeakMap();
+
+/**
+ * Get the substance/product index built from the current medicines report.
+ * Falls back to rule-based resolution (null index) if the medicines report cannot be loaded,
+ * so other datasets stay searchable.
+ * @returns {Promise<Object|null>} Substance index or null
+ */
+async function getSubstanceIndex() {
+  try {
+    const { data } = await makeEmaRequest(generateEmaUrl(EMA_DATASETS.medicines.endpoint));
+    if (!substanceIndexes.has(data)) {
+      substanceIndexes.set(data, buildSubstanceIndex(data));
+    }
+    return substanceIndexes.get(data);
+  } catch (error) {
+    console.error(`EMA substance index unavailable, matching on name rules only: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve an active_substance parameter to canonical substance IDs
+ * @param {string} value - Substance, salt form, synonym, combination or trade name
+ * @returns {Promise<Object>} Resolved substance for matchesSubstance
+ */
+async function resolveSubstanceQuery(value) {
+  return resolveSubstance(value, await getSubstanceIndex());
+}
+
+// Parameters that change how a page is presented, not which records match
+const PRESENTATION_PARAMS = ['limit', 'offset', 'cursor', 'fields', 'format', 'max_text_length'];
+
+/**
+ * Fingerprint the filter parameters of a list query, so a cursor cannot be replayed against a different query
+ * @param {Object} params - Method parameters
+ * @param {string} scope - Method the cursor belongs to
+ * @returns {string} Short query fingerprint
+ */
+function getQueryFingerprint(params, scope) {
+  const filters = Object.keys(params)
+    .filter(key => !PRESENTATION_PARAMS.includes(key) && params[key] !== undefined)
+    .sort()
+    .map(key => [key, params[key]]);
+
+  return crypto.createHash('sha1').update(JSON.stringify([scope, filters])).digest('hex').slice(0, 12);
+}
+
+/**
+ * Encode an opaque pagination cursor
+ * @param {number} offset - Offset of the next page
+ * @param {string} fingerprint - Query fingerprint
+ * @returns {string} Cursor
+ */
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, q: fingerprint })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous next_cursor
+ * @returns {{offset: number, fingerprint: string}} Decoded cursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(decoded.o) && decoded.o >= 0 && typeof decoded.q === 'string') {
+      return { offset: decoded.o, fingerprint: decoded.q };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw parameterError('cursor is invalid; pass the next_cursor value from a previous response unchanged');
+}
+
+/**
+ * Validate offset/cursor pagination parameters
+ * @param {Object} params - Method parameters
+ */
+function validatePaginationParams(params) {
+  if (params.offset !== undefined && (!Number.isInteger(params.offset) || params.offset < 0)) {
+    throw parameterError('offset must be a non-negative integer');
+  }
+
+  if (params.cursor !== undefined) {
+    if (typeof params.cursor !== 'string' || params.cursor.length === 0) {
+      throw parameterError('cursor must be a non-empty string');
+    }
+    if (params.offset !== undefined) {
+      throw parameterError('offset and cursor cannot be combined');
+    }
+    decodeCursor(params.cursor);
+  }
+}
+
+/**
+ * Slice one page out of the filtered results, with dates normalised to ISO and
+ * fields/format/max_text_length applied
+ * @param {Array} results - All matching records
+ * @param {Object} params - Method parameters (limit, offset, cursor, presentation and filters)
+ * @param {number} defaultLimit - Page size when no limit is given
+ * @param {string} scope - Method the page belongs to
+ * @returns {Object} total_count, returned_count, offset, limit, has_more, next_cursor and results
+ */
+function paginateResults(results, params, defaultLimit, scope) {
+  const fingerprint = getQueryFingerprint(params, scope);
+  let offset = params.offset || 0;
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (cursor.fingerprint !== fingerprint) {
+      throw parameterError('cursor does not belong to this query; repeat the original filters or start again without a cursor');
+    }
+    offset = cursor.offset;
+  }
+
+  const limit = params.limit || defaultLimit;
+  const page = results.slice(offset, offset + limit);
+  const hasMore = offset + page.length < results.length;
+  const shaped = shapeRecords(page.map(normaliseRecordDates), params, scope);
+
+  return {
+    total_count: results.length,
+    returned_count: page.length,
+    offset: offset,
+    limit: limit,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(offset + page.length, fingerprint) : null,
+    ...(params.format ? { format: params.format } : {}),
+    ...(shaped.truncation ? { truncation: shaped.truncation } : {}),
+    results: shaped.records
+  };
+}
+
 /**
  * Search medicines in EMA database
  * @param {Object} params - Search parameters
@@ -119,23 +1053,30 @@ function parseEmaDate(emaDate) {
 async function searchMedicines(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'search_medicines');
+  validateQueryParam(params);
+
   if (params.status && !['Authorised', 'Withdrawn', 'Refused', 'Suspended'].includes(params.status)) {
-    throw new Error('status must be one of: Authorised, Withdrawn, Refused, Suspended');
+    throw parameterError('status must be one of: Authorised, Withdrawn, Refused, Suspended');
   }
 
-  const url = generateEmaUrl('medicines-output-medicines_json-report_en.json');
-  const allMedicines = await makeEmaRequest(url);
+  const url = generateEmaUrl(EMA_DATASETS.medicines.endpoint);
+  const { data: allMedicines, provenance } = await makeEmaRequest(url);
 
   let results = allMedicines;
 
-  // Filter by active substance
+  // Filter by active substance (resolved through the substance index)
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
+    const substance = await resolveSubstanceQuery(params.active_substance);
     results = results.filter(m =>
-      m.active_substance && m.active_substance.toLowerCase().includes(searchTerm)
+      matchesSubstance(m.active_substance, substance) ||
+      matchesSubstance(m.international_non_proprietary_name_common_name, substance)
     );
   }
 
@@ -170,53 +1111,116 @@ async function searchMedicines(params = {}) {
     results = results.filter(m => m.conditional_approval === 'Yes');
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'search_medicines', EMA_DATASETS.medicines.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.medicines.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'search_medicines', EMA_DATASETS.medicines.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'search_medicines');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Medicines Database',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
 /**
- * Get specific medicine by name
+ * Get specific medicine by name, ranked by exact, prefix, token and edit-distance matching
+ * over trade names and (with lower weight) active substances
  * @param {string} name - Medicine name to search
- * @returns {Promise<Object>} Medicine data or null
+ * @param {Object} [options] - {limit: maximum candidates to return (default: 10), fields, format, max_text_length}
+ * @returns {Promise<Object>} Best match, ranked candidates and an ambiguity flag
  */
-async function getMedicineByName(name) {
+async function getMedicineByName(name, options = {}) {
   // Validate input
   if (!name || typeof name !== 'string' || name.trim().length === 0) {
-    throw new Error('name parameter is required and must be a non-empty string');
+    throw parameterError('name parameter is required and must be a non-empty string');
   }
 
-  const url = generateEmaUrl('medicines-output-medicines_json-report_en.json');
-  const allMedicines = await makeEmaRequest(url);
+  if (options.limit && (typeof options.limit !== 'number' || options.limit < 1 || options.limit > 100)) {
+    throw parameterError('limit must be a number between 1 and 100');
+  }
 
-  const searchTerm = name.trim().toLowerCase();
-  const medicine = allMedicines.find(m =>
-    m.name_of_medicine && m.name_of_medicine.toLowerCase().includes(searchTerm)
-  );
+  validateProjectionParams(options);
+
+  const url = generateEmaUrl(EMA_DATASETS.medicines.endpoint);
+  const { data: allMedicines, provenance } = await makeEmaRequest(url);
+
+  const ranked = rankMedicines(name, allMedicines);
 
-  if (!medicine) {
+  if (ranked.length === 0) {
     return {
       found: false,
       message: `Medicine "${name}" not found in EMA database`,
+      candidates: [],
       source: 'EMA Medicines Database',
-      source_url: url
+      ...provenance
     };
   }
 
+  const best = ranked[0];
+  const ambiguous = isAmbiguous(ranked);
+  const shaped = shapeRecords([normaliseRecordDates(best.medicine)], options, 'search_medicines');
+
   return {
     found: true,
-    medicine: medicine,
+    medicine: shaped.records[0],
+    ...(shaped.truncation ? { truncation: shaped.truncation } : {}),
+    match: { score: best.score, match_type: best.match_type, matched_field: best.matched_field },
+    ambiguous: ambiguous,
+    ...(ambiguous ? { message: `Several medicines match "${name}" closely; check candidates before relying on the top match` } : {}),
+    candidates: ranked.slice(0, options.limit || 10).map(candidate => ({
+      name_of_medicine: candidate.medicine.name_of_medicine,
+      ema_product_number: candidate.medicine.ema_product_number,
+      active_substance: candidate.medicine.active_substance,
+      medicine_status: candidate.medicine.medicine_status,
+      score: candidate.score,
+      match_type: candidate.match_type,
+      matched_field: candidate.matched_field
+    })),
     source: 'EMA Medicines Database',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
+  };
+}
+
+/**
+ * Find a medicine by EMA product number, given in full ("EMEA/H/C/004174") or as its last segment ("004174")
+ * @param {Array<Object>} medicines - Medicines report records
+ * @param {string} productNumber - Product number
+ * @returns {Object|null} Matching record, or null
+ */
+function findMedicineByProductNumber(medicines, productNumber) {
+  const wanted = productNumber.trim().toLowerCase();
+  const numbered = medicines.filter(m => typeof m.ema_product_number === 'string');
+  return numbered.find(m => m.ema_product_number.trim().toLowerCase() === wanted) ||
+    numbered.find(m => m.ema_product_number.trim().toLowerCase().endsWith(`/${wanted}`)) ||
+    null;
+}
+
+/**
+ * Resolve an active substance to its canonical ID, known name variants and products
+ * @param {Object} params - {active_substance}
+ * @returns {Promise<Object>} Substance resolution
+ */
+async function resolveActiveSubstance(params = {}) {
+  // Validate input
+  if (!params.active_substance || typeof params.active_substance !== 'string' || params.active_substance.trim().length === 0) {
+    throw parameterError('active_substance parameter is required and must be a non-empty string');
+  }
+
+  const index = await getSubstanceIndex();
+  const resolved = resolveSubstance(params.active_substance, index);
+
+  return {
+    ...describeResolution(resolved, index),
+    index_available: index !== null,
+    source: 'EMA Medicines Database (substance index)'
   };
 }
 
@@ -228,19 +1232,25 @@ async function getMedicineByName(name) {
 async function getOrphanDesignations(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_orphan_designations');
+  validateQueryParam(params);
+
   if (params.year && (typeof params.year !== 'number' || params.year < 1995 || params.year > new Date().getFullYear() + 1)) {
-    throw new Error(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
+    throw parameterError(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
   }
 
   if (params.status && !['Positive', 'Negative', 'Withdrawn'].includes(params.status)) {
-    throw new Error('status must be one of: Positive, Negative, Withdrawn');
+    throw parameterError('status must be one of: Positive, Negative, Withdrawn');
   }
 
-  const url = generateEmaUrl('medicines-output-orphan_designations-json-report_en.json');
-  const allDesignations = await makeEmaRequest(url);
+  const url = generateEmaUrl(EMA_DATASETS.orphan_designations.endpoint);
+  const { data: allDesignations, provenance } = await makeEmaRequest(url);
 
   let results = allDesignations;
 
@@ -252,19 +1262,17 @@ async function getOrphanDesignations(params = {}) {
     );
   }
 
-  // Filter by active substance if provided
+  // Filter by active substance if provided (resolved through the substance index)
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
-    results = results.filter(d =>
-      d.active_substance && d.active_substance.toLowerCase().includes(searchTerm)
-    );
+    const substance = await resolveSubstanceQuery(params.active_substance);
+    results = results.filter(d => matchesSubstance(d.active_substance, substance));
   }
 
   // Filter by year if provided (searches in date_of_designation_or_refusal)
   if (params.year) {
     results = results.filter(d => {
       const date = d.date_of_designation_or_refusal;
-      return date && date.includes(params.year.toString());
+      return isDateInYear(date, params.year);
     });
   }
 
@@ -275,16 +1283,22 @@ async function getOrphanDesignations(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_orphan_designations', EMA_DATASETS.orphan_designations.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.orphan_designations.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_orphan_designations', EMA_DATASETS.orphan_designations.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'get_orphan_designations');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Orphan Designations',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -296,34 +1310,36 @@ async function getOrphanDesignations(params = {}) {
 async function getSupplyShortages(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_supply_shortages');
+  validateQueryParam(params);
+
   if (params.status && !['Ongoing', 'Resolved', 'ongoing', 'resolved'].includes(params.status)) {
-    throw new Error('status must be one of: Ongoing, Resolved (case-insensitive)');
+    throw parameterError('status must be one of: Ongoing, Resolved (case-insensitive)');
   }
 
-  const url = generateEmaUrl('shortages-output-json-report_en.json');
-  const allShortages = await makeEmaRequest(url);
+  const url = generateEmaUrl(EMA_DATASETS.shortages.endpoint);
+  const { data: allShortages, provenance } = await makeEmaRequest(url);
 
   let results = allShortages;
 
   // Filter by active substance (uses international_non_proprietary_name_inn_or_common_name field)
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
+    const substance = await resolveSubstanceQuery(params.active_substance);
     results = results.filter(s =>
-      (s.international_non_proprietary_name_inn_or_common_name &&
-       s.international_non_proprietary_name_inn_or_common_name.toLowerCase().includes(searchTerm)) ||
-      (s.medicine_affected && s.medicine_affected.toLowerCase().includes(searchTerm))
+      matchesSubstance(s.international_non_proprietary_name_inn_or_common_name, substance) ||
+      matchesSubstance(s.medicine_affected, substance)
     );
   }
 
   // Filter by medicine name if provided
   if (params.medicine_name) {
-    const searchTerm = params.medicine_name.toLowerCase();
-    results = results.filter(s =>
-      s.medicine_affected && s.medicine_affected.toLowerCase().includes(searchTerm)
-    );
+    results = results.filter(s => matchesProductName(s.medicine_affected, params.medicine_name));
   }
 
   // Filter by therapeutic area if provided
@@ -342,16 +1358,22 @@ async function getSupplyShortages(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 50;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_supply_shortages', EMA_DATASETS.shortages.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.shortages.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_supply_shortages', EMA_DATASETS.shortages.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 50, 'get_supply_shortages');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Medicine Supply Shortages',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -363,19 +1385,25 @@ async function getSupplyShortages(params = {}) {
 async function getReferrals(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_referrals');
+  validateQueryParam(params);
+
   if (params.safety !== undefined && typeof params.safety !== 'boolean') {
-    throw new Error('safety parameter must be a boolean (true or false)');
+    throw parameterError('safety parameter must be a boolean (true or false)');
   }
 
   if (params.year && (typeof params.year !== 'number' || params.year < 1995 || params.year > new Date().getFullYear() + 1)) {
-    throw new Error(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
+    throw parameterError(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
   }
 
-  const url = generateEmaUrl('referrals-output-json-report_en.json');
-  const allReferrals = await makeEmaRequest(url);
+  const url = generateEmaUrl(EMA_DATASETS.referrals.endpoint);
+  const { data: allReferrals, provenance } = await makeEmaRequest(url);
 
   let results = allReferrals;
 
@@ -392,10 +1420,9 @@ async function getReferrals(params = {}) {
 
   // Filter by active substance if provided
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
+    const substance = await resolveSubstanceQuery(params.active_substance);
     results = results.filter(r =>
-      r.international_non_proprietary_name_inn_common_name &&
-      r.international_non_proprietary_name_inn_common_name.toLowerCase().includes(searchTerm)
+      matchesSubstance(r.international_non_proprietary_name_inn_common_name, substance)
     );
   }
 
@@ -409,22 +1436,25 @@ async function getReferrals(params = {}) {
 
   // Filter by year if provided (uses procedure_start_date field)
   if (params.year) {
-    results = results.filter(r => {
-      const startDate = r.procedure_start_date;
-      return startDate && startDate.includes(params.year.toString());
-    });
+    results = results.filter(r => isDateInYear(r.procedure_start_date, params.year));
   }
 
-  // Apply limit
-  const limit = params.limit || 50;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_referrals', EMA_DATASETS.referrals.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.referrals.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_referrals', EMA_DATASETS.referrals.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 50, 'get_referrals');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Referrals',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -436,32 +1466,41 @@ async function getReferrals(params = {}) {
 async function getPostAuthProcedures(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
-  const url = generateEmaUrl('medicines-output-post_authorisation_json-report_en.json');
-  const allProcedures = await makeEmaRequest(url);
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_post_auth_procedures');
+  validateQueryParam(params);
+
+  const url = generateEmaUrl(EMA_DATASETS.post_authorisation.endpoint);
+  const { data: allProcedures, provenance } = await makeEmaRequest(url);
 
   let results = allProcedures;
 
   // Filter by medicine name if provided
   if (params.medicine_name) {
-    const searchTerm = params.medicine_name.toLowerCase();
-    results = results.filter(p =>
-      p.medicine_name && p.medicine_name.toLowerCase().includes(searchTerm)
-    );
+    results = results.filter(p => matchesProductName(p.medicine_name, params.medicine_name));
   }
 
-  // Apply limit
-  const limit = params.limit || 50;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_post_auth_procedures', EMA_DATASETS.post_authorisation.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.post_authorisation.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_post_auth_procedures', EMA_DATASETS.post_authorisation.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 50, 'get_post_auth_procedures');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Post-Authorization Procedures',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -473,32 +1512,33 @@ async function getPostAuthProcedures(params = {}) {
 async function getDhpcs(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_dhpcs');
+  validateQueryParam(params);
+
   if (params.year && (typeof params.year !== 'number' || params.year < 1995 || params.year > new Date().getFullYear() + 1)) {
-    throw new Error(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
+    throw parameterError(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
   }
 
-  const url = generateEmaUrl('dhpc-output-json-report_en.json');
-  const allDhpcs = await makeEmaRequest(url);
+  const url = generateEmaUrl(EMA_DATASETS.dhpcs.endpoint);
+  const { data: allDhpcs, provenance } = await makeEmaRequest(url);
 
   let results = allDhpcs;
 
   // Filter by medicine name
   if (params.medicine_name) {
-    const searchTerm = params.medicine_name.toLowerCase();
-    results = results.filter(d =>
-      d.name_of_medicine && d.name_of_medicine.toLowerCase().includes(searchTerm)
-    );
+    results = results.filter(d => matchesProductName(d.name_of_medicine, params.medicine_name));
   }
 
-  // Filter by active substance
+  // Filter by active substance (resolved through the substance index)
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
-    results = results.filter(d =>
-      d.active_substances && d.active_substances.toLowerCase().includes(searchTerm)
-    );
+    const substance = await resolveSubstanceQuery(params.active_substance);
+    results = results.filter(d => matchesSubstance(d.active_substances, substance));
   }
 
   // Filter by DHPC type
@@ -512,20 +1552,26 @@ async function getDhpcs(params = {}) {
   if (params.year) {
     results = results.filter(d => {
       const date = d.dissemination_date;
-      return date && date.includes(params.year.toString());
+      return isDateInYear(date, params.year);
     });
   }
 
-  // Apply limit
-  const limit = params.limit || 50;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_dhpcs', EMA_DATASETS.dhpcs.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.dhpcs.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_dhpcs', EMA_DATASETS.dhpcs.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 50, 'get_dhpcs');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Direct Healthcare Professional Communications',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -537,20 +1583,26 @@ async function getDhpcs(params = {}) {
 async function getPsusas(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
-  const url = generateEmaUrl('medicines-output-periodic_safety_update_report_single_assessments-output-json-report_en.json');
-  const allPsusas = await makeEmaRequest(url);
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_psusas');
+  validateQueryParam(params);
+
+  const url = generateEmaUrl(EMA_DATASETS.psusas.endpoint);
+  const { data: allPsusas, provenance } = await makeEmaRequest(url);
 
   let results = allPsusas;
 
   // Filter by active substance
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
+    const substance = await resolveSubstanceQuery(params.active_substance);
     results = results.filter(p =>
-      (p.active_substance && p.active_substance.toLowerCase().includes(searchTerm)) ||
-      (p.active_substances_in_scope_of_procedure && p.active_substances_in_scope_of_procedure.toLowerCase().includes(searchTerm))
+      matchesSubstance(p.active_substance, substance) ||
+      matchesSubstance(p.active_substances_in_scope_of_procedure, substance)
     );
   }
 
@@ -561,16 +1613,22 @@ async function getPsusas(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_psusas', EMA_DATASETS.psusas.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.psusas.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_psusas', EMA_DATASETS.psusas.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'get_psusas');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Periodic Safety Update Reports',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -582,24 +1640,28 @@ async function getPsusas(params = {}) {
 async function getPips(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_pips');
+  validateQueryParam(params);
+
   if (params.year && (typeof params.year !== 'number' || params.year < 1995 || params.year > new Date().getFullYear() + 1)) {
-    throw new Error(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
+    throw parameterError(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
   }
 
-  const url = generateEmaUrl('medicines-output-paediatric_investigation_plans-output-json-report_en.json');
-  const allPips = await makeEmaRequest(url);
+  const url = generateEmaUrl(EMA_DATASETS.pips.endpoint);
+  const { data: allPips, provenance } = await makeEmaRequest(url);
 
   let results = allPips;
 
   // Filter by active substance
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
-    results = results.filter(p =>
-      p.active_substance && p.active_substance.toLowerCase().includes(searchTerm)
-    );
+    const substance = await resolveSubstanceQuery(params.active_substance);
+    results = results.filter(p => matchesSubstance(p.active_substance, substance));
   }
 
   // Filter by therapeutic area
@@ -622,52 +1684,72 @@ async function getPips(params = {}) {
   if (params.year) {
     results = results.filter(p => {
       const date = p.decision_date;
-      return date && date.includes(params.year.toString());
+      return isDateInYear(date, params.year);
     });
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_pips', EMA_DATASETS.pips.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.pips.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_pips', EMA_DATASETS.pips.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'get_pips');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Paediatric Investigation Plans',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
 /**
- * Get Herbal Medicines assessments
- * NOTE: EMA does not currently publish herbal medicine data as a JSON endpoint.
- * This method is a placeholder and returns empty results until a valid endpoint is identified.
+ * Get Herbal Medicines assessments: HMPC monographs and list entries per herbal substance.
+ * EMA publishes these as a spreadsheet download only (see EMA_EXPORTS.herbal_medicines).
  * @param {Object} params - Filter parameters
+ * @param {string} [params.substance] - Herbal substance (Latin name), botanical or English common name
+ * @param {string} [params.therapeutic_area] - Therapeutic area
+ * @param {string} [params.use_category] - 'well-established' or 'traditional'
+ * @param {string} [params.monograph_status] - Monograph/assessment status (partial match)
+ * @param {string} [params.hmpc_outcome] - HMPC outcome (partial match)
+ * @param {string} [params.query] - Boolean query expression (see filterByQuery)
  * @returns {Promise<Object>} Herbal medicine data
  */
 async function getHerbalMedicines(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
+  }
+
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_herbal_medicines');
+  validateQueryParam(params);
+
+  if (params.use_category !== undefined && !HERBAL_USE_CATEGORIES.includes(params.use_category)) {
+    throw parameterError(`use_category must be one of: ${HERBAL_USE_CATEGORIES.join(', ')}`);
   }
 
-  // TODO: Find valid EMA herbal medicines JSON endpoint
-  // Returning empty dataset for now
-  const allHerbal = [];
+  const { data: allHerbal, provenance } = await loadEmaExport('herbal_medicines');
 
   let results = allHerbal;
 
-  // Filter by herbal substance (if field exists)
+  // Filter by herbal substance, botanical or common name
   if (params.substance) {
     const searchTerm = params.substance.toLowerCase();
     results = results.filter(h =>
       (h.herbal_substance && h.herbal_substance.toLowerCase().includes(searchTerm)) ||
-      (h.botanical_name && h.botanical_name.toLowerCase().includes(searchTerm))
+      (h.botanical_name && h.botanical_name.toLowerCase().includes(searchTerm)) ||
+      (h.english_common_name && h.english_common_name.toLowerCase().includes(searchTerm))
     );
   }
 
-  // Filter by therapeutic area (if field exists)
+  // Filter by therapeutic area
   if (params.therapeutic_area) {
     const searchTerm = params.therapeutic_area.toLowerCase();
     results = results.filter(h =>
@@ -675,64 +1757,122 @@ async function getHerbalMedicines(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 50;
-  results = results.slice(0, limit);
+  // Filter by use category ("Well-established use", "Traditional use" or both)
+  if (params.use_category) {
+    const searchTerm = params.use_category === 'well-established' ? 'well' : 'traditional';
+    results = results.filter(h =>
+      h.use_category && h.use_category.toLowerCase().includes(searchTerm)
+    );
+  }
+
+  // Filter by monograph status
+  if (params.monograph_status) {
+    const searchTerm = params.monograph_status.toLowerCase();
+    results = results.filter(h =>
+      h.monograph_status && h.monograph_status.toLowerCase().includes(searchTerm)
+    );
+  }
+
+  // Filter by HMPC outcome
+  if (params.hmpc_outcome) {
+    const searchTerm = params.hmpc_outcome.toLowerCase();
+    results = results.filter(h =>
+      h.hmpc_outcome && h.hmpc_outcome.toLowerCase().includes(searchTerm)
+    );
+  }
+
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_herbal_medicines', EMA_EXPORTS.herbal_medicines.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_EXPORTS.herbal_medicines.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_herbal_medicines', EMA_EXPORTS.herbal_medicines.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 50, 'get_herbal_medicines');
 
   return {
-    total_count: results.length,
-    results: results,
-    source: 'EMA Herbal Medicines (placeholder - no JSON endpoint available)',
-    source_url: 'https://www.ema.europa.eu/en/medicines/download-medicine-data',
-    last_updated: new Date().toISOString()
+    ...page,
+    source: 'EMA Herbal Medicines (HMPC assessments)',
+    ...provenance
   };
 }
 
 /**
- * Get Medicines for Use Outside EU (Article 58)
- * NOTE: EMA does not currently publish Article 58 data as a JSON endpoint.
- * This method is a placeholder and returns empty results until a valid endpoint is identified.
+ * Get Medicines for Use Outside EU (Article 58 / EU-M4all): CHMP scientific opinions
+ * on medicines intended for markets outside the EU, often with WHO prequalification.
+ * EMA publishes these as a spreadsheet download only (see EMA_EXPORTS.article58_medicines).
  * @param {Object} params - Filter parameters
+ * @param {string} [params.active_substance] - Active substance
+ * @param {string} [params.medicine_name] - Medicine name
+ * @param {string} [params.target_use] - Intended use or therapeutic area (partial match)
+ * @param {number} [params.year] - Opinion year
+ * @param {string} [params.query] - Boolean query expression (see filterByQuery)
  * @returns {Promise<Object>} Article 58 medicine data
  */
 async function getArticle58Medicines(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
-  // TODO: Find valid EMA Article 58 JSON endpoint
-  // Returning empty dataset for now
-  const allArticle58 = [];
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'get_article58_medicines');
+  validateQueryParam(params);
+
+  if (params.year && (typeof params.year !== 'number' || params.year < 1995 || params.year > new Date().getFullYear() + 1)) {
+    throw parameterError(`year must be a number between 1995 and ${new Date().getFullYear() + 1}`);
+  }
+
+  const { data: allArticle58, provenance } = await loadEmaExport('article58_medicines');
 
   let results = allArticle58;
 
-  // Filter by active substance (if field exists)
+  // Filter by active substance
   if (params.active_substance) {
-    const searchTerm = params.active_substance.toLowerCase();
-    results = results.filter(m =>
-      m.active_substance && m.active_substance.toLowerCase().includes(searchTerm)
-    );
+    const substance = await resolveSubstanceQuery(params.active_substance);
+    results = results.filter(m => matchesSubstance(m.active_substance, substance));
   }
 
-  // Filter by medicine name (if field exists)
+  // Filter by medicine name
   if (params.medicine_name) {
-    const searchTerm = params.medicine_name.toLowerCase();
+    results = results.filter(m => matchesProductName(m.medicine_name, params.medicine_name));
+  }
+
+  // Filter by intended use or therapeutic area
+  if (params.target_use) {
+    const searchTerm = params.target_use.toLowerCase();
     results = results.filter(m =>
-      m.medicine_name && m.medicine_name.toLowerCase().includes(searchTerm)
+      (m.target_use && m.target_use.toLowerCase().includes(searchTerm)) ||
+      (m.therapeutic_area && m.therapeutic_area.toLowerCase().includes(searchTerm))
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 50;
-  results = results.slice(0, limit);
+  // Filter by year (opinion_date)
+  if (params.year) {
+    results = results.filter(m => isDateInYear(m.opinion_date, params.year));
+  }
+
+  // Filter by query expression
+  results = filterByQuery(results, params, 'get_article58_medicines', EMA_EXPORTS.article58_medicines.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_EXPORTS.article58_medicines.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'get_article58_medicines', EMA_EXPORTS.article58_medicines.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 50, 'get_article58_medicines');
 
   return {
-    total_count: results.length,
-    results: results,
-    source: 'EMA Medicines for Use Outside EU - Article 58 (placeholder - no JSON endpoint available)',
-    source_url: 'https://www.ema.europa.eu/en/medicines/download-medicine-data',
-    last_updated: new Date().toISOString()
+    ...page,
+    source: 'EMA Medicines for Use Outside EU - Article 58 (EU-M4all)',
+    ...provenance
   };
 }
 
@@ -744,20 +1884,23 @@ async function getArticle58Medicines(params = {}) {
 async function searchEparDocuments(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
-  const url = generateEmaUrl('documents-output-epar_documents_json-report_en.json');
-  const allDocuments = await makeEmaDocumentRequest(url);
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'search_epar_documents');
+  validateQueryParam(params);
+
+  const url = generateEmaUrl(EMA_DATASETS.epar_documents.endpoint);
+  const { data: allDocuments, provenance } = await makeEmaDocumentRequest(url);
 
   let results = allDocuments;
 
   // Filter by medicine name (if field exists)
   if (params.medicine_name) {
-    const searchTerm = params.medicine_name.toLowerCase();
-    results = results.filter(d =>
-      d.medicine_name && d.medicine_name.toLowerCase().includes(searchTerm)
-    );
+    results = results.filter(d => matchesProductName(d.medicine_name, params.medicine_name));
   }
 
   // Filter by document type (if field exists)
@@ -776,16 +1919,22 @@ async function searchEparDocuments(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'search_epar_documents', EMA_DATASETS.epar_documents.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.epar_documents.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'search_epar_documents', EMA_DATASETS.epar_documents.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'search_epar_documents');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA EPAR Documents',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -797,11 +1946,17 @@ async function searchEparDocuments(params = {}) {
 async function searchAllDocuments(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
-  const url = generateEmaUrl('documents-output-json-report_en.json');
-  const allDocuments = await makeEmaDocumentRequest(url);
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'search_all_documents');
+  validateQueryParam(params);
+
+  const url = generateEmaUrl(EMA_DATASETS.all_documents.endpoint);
+  const { data: allDocuments, provenance } = await makeEmaDocumentRequest(url);
 
   let results = allDocuments;
 
@@ -830,16 +1985,22 @@ async function searchAllDocuments(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'search_all_documents', EMA_DATASETS.all_documents.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.all_documents.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'search_all_documents', EMA_DATASETS.all_documents.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'search_all_documents');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA All Documents',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
   };
 }
 
@@ -851,11 +2012,17 @@ async function searchAllDocuments(params = {}) {
 async function searchNonEparDocuments(params = {}) {
   // Validate input parameters
   if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
-    throw new Error('limit must be a number between 1 and 10000');
+    throw parameterError('limit must be a number between 1 and 10000');
   }
 
-  const url = generateEmaUrl('documents-output-non_epar_documents_json-report_en.json');
-  const allDocuments = await makeEmaDocumentRequest(url);
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+  validateSortParams(params, 'search_non_epar_documents');
+  validateQueryParam(params);
+
+  const url = generateEmaUrl(EMA_DATASETS.non_epar_documents.endpoint);
+  const { data: allDocuments, provenance } = await makeEmaDocumentRequest(url);
 
   let results = allDocuments;
 
@@ -876,22 +2043,211 @@ async function searchNonEparDocuments(params = {}) {
     );
   }
 
-  // Apply limit
-  const limit = params.limit || 100;
-  results = results.slice(0, limit);
+  // Filter by query expression
+  results = filterByQuery(results, params, 'search_non_epar_documents', EMA_DATASETS.non_epar_documents.dateFields);
+
+  // Filter by date range
+  results = filterByDateRange(results, params, EMA_DATASETS.non_epar_documents.dateFields);
+
+  // Sort before paginating
+  results = sortResults(results, params, 'search_non_epar_documents', EMA_DATASETS.non_epar_documents.dateFields);
+
+  // Apply pagination
+  const page = paginateResults(results, params, 100, 'search_non_epar_documents');
 
   return {
-    total_count: results.length,
-    results: results,
+    ...page,
     source: 'EMA Non-EPAR Documents',
-    source_url: url,
-    last_updated: new Date().toISOString()
+    ...provenance
+  };
+}
+
+// Document datasets covered by search_documents_fulltext, and the weight of each indexed field
+const DOCUMENT_SEARCH_DATASETS = ['all_documents', 'epar_documents', 'non_epar_documents'];
+const DOCUMENT_SEARCH_FIELDS = { title: 3, document_title: 3, medicine_name: 2, document_type: 1, category: 1, content: 1 };
+
+// An unquoted field:value term, the filter syntax of the list methods' query (field:=value, field:>=2020, field:* alike)
+const FIELD_TERM_PATTERN = /(?:^|\s)(-?[A-Za-z_]\w*:\S*)/;
+
+// Document search indexes keyed by the document record array they were built from
+const documentIndexes = new WeakMap();
+
+/**
+ * Get the directory of extracted document text, if configured
+ * EMA_DOCUMENT_TEXT_DIR - directory of plain-text files named after each document's file
+ * (e.g., ozempic-epar-product-information_en.txt for ozempic-epar-product-information_en.pdf)
+ * @returns {string|null} Absolute directory or null
+ */
+function getDocumentTextDir() {
+  return process.env.EMA_DOCUMENT_TEXT_DIR ? path.resolve(process.env.EMA_DOCUMENT_TEXT_DIR) : null;
+}
+
+/**
+ * Name of the extracted text file for a document: its URL file name with a .txt extension
+ * @param {Object} document - Document record
+ * @returns {string|null} File name
+ */
+function documentTextFileName(document) {
+  const url = document.document_url || document.url;
+  if (!url || typeof url !== 'string') return null;
+  const fileName = path.basename(url.replace(/[?#].*$/, ''));
+  return fileName ? `${fileName.replace(/\.[^.]+$/, '')}.txt` : null;
+}
+
+/**
+ * Fingerprint the text files in EMA_DOCUMENT_TEXT_DIR by name, size and modification time,
+ * so added, removed and rewritten files all change it
+ * @param {string} textDir - Document text directory
+ * @returns {string} Fingerprint of the directory's text files
+ */
+function documentTextVersion(textDir) {
+  let fileNames;
+  try {
+    fileNames = fs.readdirSync(textDir).filter(fileName => fileName.endsWith('.txt')).sort();
+  } catch (error) {
+    throw upstreamError(`EMA_DOCUMENT_TEXT_DIR not found: ${textDir}`);
+  }
+
+  const hash = crypto.createHash('sha1').update(textDir);
+  for (const fileName of fileNames) {
+    try {
+      const stat = fs.statSync(path.join(textDir, fileName));
+      hash.update(`\n${fileName}:${stat.size}:${stat.mtimeMs}`);
+    } catch {
+      // Removed since the directory was listed
+    }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Get (or build) the search index for a document dataset. The index is rebuilt when the
+ * dataset is reloaded or a text file in EMA_DOCUMENT_TEXT_DIR is added, removed or rewritten.
+ * @param {Array} documents - Document records
+ * @returns {{index: Object, withText: number}} Index and the number of documents with extracted text
+ */
+function getDocumentIndex(documents) {
+  const textDir = getDocumentTextDir();
+  const textVersion = textDir ? documentTextVersion(textDir) : null;
+
+  const cached = documentIndexes.get(documents);
+  if (cached && cached.textVersion === textVersion) {
+    return cached;
+  }
+
+  const texts = new Map();
+  if (textDir) {
+    const available = new Set(fs.readdirSync(textDir));
+    documents.forEach((document, docId) => {
+      const fileName = documentTextFileName(document);
+      if (fileName && available.has(fileName)) {
+        texts.set(docId, fs.readFileSync(path.join(textDir, fileName), 'utf8'));
+      }
+    });
+  }
+
+  const docIds = new Map(documents.map((document, docId) => [document, docId]));
+  const index = buildSearchIndex(documents, DOCUMENT_SEARCH_FIELDS, (document, field) =>
+    field === 'content' ? texts.get(docIds.get(document)) : document[field]
+  );
+
+  const entry = { textVersion, index, withText: texts.size };
+  documentIndexes.set(documents, entry);
+  return entry;
+}
+
+/**
+ * Full-text search over EMA documents, ranked with BM25. Indexes titles, medicine names,
+ * document types and categories, plus extracted document text from EMA_DOCUMENT_TEXT_DIR.
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Words, "quoted phrases" and -excluded words
+ * @param {string} [params.dataset] - all_documents (default), epar_documents or non_epar_documents
+ * @param {string} [params.medicine_name] - Medicine name (partial match)
+ * @param {string} [params.document_type] - Document type (partial match)
+ * @param {string} [params.date_from] - Earliest publication date (ISO)
+ * @param {string} [params.date_to] - Latest publication date (ISO)
+ * @returns {Promise<Object>} Ranked hits with scores, matched terms and highlighted snippets
+ */
+async function searchDocumentsFullText(params = {}) {
+  // Validate input parameters
+  if (!params.query || typeof params.query !== 'string' || params.query.trim().length === 0) {
+    throw parameterError('query parameter is required');
+  }
+
+  if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
+    throw parameterError('limit must be a number between 1 and 10000');
+  }
+
+  validatePaginationParams(params);
+  validateProjectionParams(params);
+  validateDateRangeParams(params);
+
+  const datasetName = params.dataset || 'all_documents';
+  if (!DOCUMENT_SEARCH_DATASETS.includes(datasetName)) {
+    throw parameterError(`dataset must be one of: ${DOCUMENT_SEARCH_DATASETS.join(', ')}`);
+  }
+
+  if (params.sort_by !== undefined || params.sort_order !== undefined) {
+    throw parameterError('search_documents_fulltext results are ranked by relevance; sort_by is not supported');
+  }
+
+  // The list methods' field syntax would otherwise be searched as words
+  const fieldTerm = params.query.replace(/"[^"]*"/g, ' ').match(FIELD_TERM_PATTERN);
+  if (fieldTerm) {
+    throw parameterError(`search_documents_fulltext query is free text and does not take field filters such as "${fieldTerm[1]}". ` +
+      'Filter with medicine_name, document_type, date_from and date_to, or put the text in quotes to search for it as words');
+  }
+
+  // Reports query syntax errors before any download
+  parseSearchQuery(params.query);
+
+  const dataset = EMA_DATASETS[datasetName];
+  const { data: allDocuments, provenance } = await makeEmaDocumentRequest(generateEmaUrl(dataset.endpoint));
+  const { index, withText } = getDocumentIndex(allDocuments);
+
+  const medicineName = params.medicine_name ? params.medicine_name.toLowerCase() : null;
+  const documentType = params.document_type ? params.document_type.toLowerCase() : null;
+
+  // Every filter runs before ranking, so filtered-out documents are never scored
+  const hits = searchIndex(index, params.query, d =>
+    (!medicineName || (typeof d.medicine_name === 'string' && d.medicine_name.toLowerCase().includes(medicineName))) &&
+    (!documentType || (typeof d.document_type === 'string' && d.document_type.toLowerCase().includes(documentType))) &&
+    filterByDateRange([d], params, dataset.dateFields).length > 0
+  );
+
+  // Snippets are a getter, so they are only built for the records on the returned page
+  const results = hits.map(hit => {
+    const record = { ...hit.document, score: hit.score, matched_terms: hit.matched_terms };
+    Object.defineProperty(record, 'snippets', {
+      enumerable: true,
+      get: () => buildSnippets(index, hit.document, hit.matched_terms)
+    });
+    return record;
+  });
+
+  // Apply pagination
+  const page = paginateResults(results, params, 20, 'search_documents_fulltext');
+
+  return {
+    ...page,
+    query: params.query,
+    index: {
+      dataset: datasetName,
+      documents: allDocuments.length,
+      documents_with_text: withText,
+      terms: index.postings.size
+    },
+    source: 'EMA Documents (full-text index)',
+    ...provenance
   };
 }
 
 module.exports = {
   searchMedicines,
   getMedicineByName,
+  findMedicineByProductNumber,
+  resolveActiveSubstance,
+  resolveSubstanceQuery,
   getOrphanDesignations,
   getSupplyShortages,
   getReferrals,
@@ -904,5 +2260,25 @@ module.exports = {
   searchEparDocuments,
   searchAllDocuments,
   searchNonEparDocuments,
-  parseEmaDate
+  searchDocumentsFullText,
+  parseEmaDate,
+  getRecordDate,
+  validateDateRangeParams,
+  validateQueryParam,
+  filterByDateRange,
+  filterByQuery,
+  normaliseRecordDates,
+  validateProjectionParams,
+  shapeRecords,
+  loadEmaDataset,
+  downloadEmaReport,
+  getDatasetConfig,
+  EMA_DATASETS,
+  EMA_EXPORTS,
+  DATASET_NAMES,
+  HERBAL_USE_CATEGORIES,
+  DOCUMENT_SEARCH_DATASETS,
+  SORT_FIELDS,
+  RECORD_FORMATS,
+  RECORD_VIEWS
 };
@@ -0,0 +1,37 @@
+// Error codes that let callers tell a bad request apart from a data source failure.
+// Errors without a code are unexpected failures.
+
+// A request parameter is missing, malformed or does not fit the data (the caller can fix it)
+const INVALID_PARAMETER = 'EMA_INVALID_PARAMETER';
+
+// EMA could not be reached or answered with an error
+const UPSTREAM_ERROR = 'EMA_UPSTREAM_ERROR';
+
+/**
+ * Build an error for an invalid request parameter
+ * @param {string} message - What is wrong with the parameter
+ * @returns {Error} Error with code INVALID_PARAMETER
+ */
+function parameterError(message) {
+  const error = new Error(message);
+  error.code = INVALID_PARAMETER;
+  return error;
+}
+
+/**
+ * Build an error for a failed request to EMA
+ * @param {string} message - What went wrong
+ * @returns {Error} Error with code UPSTREAM_ERROR
+ */
+function upstreamError(message) {
+  const error = new Error(message);
+  error.code = UPSTREAM_ERROR;
+  return error;
+}
+
+module.exports = {
+  parameterError,
+  upstreamError,
+  INVALID_PARAMETER,
+  UPSTREAM_ERROR
+};
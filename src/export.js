@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { RECORD_VIEWS } = require('./ema-api.js');
+const { parameterError } = require('./errors.js');
+
+const OUTPUT_FORMATS = ['json', 'csv', 'ndjson', 'markdown'];
+
+const FILE_EXTENSIONS = { json: '.json', csv: '.csv', ndjson: '.ndjson', markdown: '.md' };
+
+/**
+ * Read the export directory from the environment
+ * EMA_EXPORT_DIR - directory output_file paths are written to (file export is disabled when unset)
+ * @returns {string|null} Absolute export directory
+ */
+function getExportDir() {
+  return process.env.EMA_EXPORT_DIR ? path.resolve(process.env.EMA_EXPORT_DIR) : null;
+}
+
+/**
+ * Validate output_format/output_file parameters
+ * @param {Object} params - {output_format, output_file}
+ */
+function validateExportParams(params) {
+  if (params.output_format !== undefined && !OUTPUT_FORMATS.includes(params.output_format)) {
+    throw parameterError(`output_format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (params.output_file !== undefined && (typeof params.output_file !== 'string' || params.output_file.trim().length === 0)) {
+    throw parameterError('output_file must be a non-empty file name');
+  }
+}
+
+/**
+ * Pick the table rows out of a method result
+ * @param {string} method - Method name
+ * @param {Object} result - Method result
+ * @returns {Array<Object>} Rows
+ */
+function extractRows(method, result) {
+  switch (method) {
+    case 'get_medicine_by_name':
+      return result.found ? [result.medicine] : [];
+    case 'get_medicine_dossier':
+      return Object.entries(result.sections || {}).flatMap(([section, content]) =>
+        content.results.map(record => ({ section, ...record }))
+      );
+    case 'get_changes':
+      return ['added', 'removed', 'modified'].flatMap(change =>
+        result[change].map(entry => ({
+          change,
+          key: entry.key,
+          changed_fields: entry.changes ? Object.keys(entry.changes) : [],
+          ...entry.record
+        }))
+      );
+    case 'resolve_substance':
+      return result.substances.flatMap(substance =>
+        substance.products.map(product => ({ substance_id: substance.id, ...product }))
+      );
+    case 'get_medicine_timeline':
+      return result.events;
+    case 'save_watchlist':
+      return result.items;
+    case 'check_watchlist':
+      return result.alerts.map(alert => ({
+        change: alert.change,
+        key: alert.key,
+        changed_fields: alert.changes ? Object.keys(alert.changes) : [],
+        item_type: alert.item_type,
+        item_value: alert.item_value,
+        dataset: alert.dataset,
+        date: alert.date,
+        url: alert.url,
+        ...alert.record
+      }));
+    case 'get_statistics':
+      return [
+        ...result.facets.flatMap(facet => facet.buckets.map(bucket => ({ facet: facet.field, value: bucket.value, count: bucket.count }))),
+        ...(result.time_series
+          ? result.time_series.points.map(point => ({ facet: `time_series_${result.time_series.interval}`, value: point.period, count: point.count }))
+          : [])
+      ];
+    default:
+      return result.results || [];
+  }
+}
+
+/**
+ * Result without its rows: counts, pagination and provenance
+ * @param {string} method - Method name
+ * @param {Object} result - Method result
+ * @returns {Object} Metadata
+ */
+function extractMetadata(method, result) {
+  const rowKeys = {
+    get_medicine_by_name: ['medicine', 'candidates'],
+    get_medicine_dossier: ['sections', 'medicines', 'name_resolution'],
+    get_changes: ['added', 'removed', 'modified'],
+    resolve_substance: ['substances'],
+    get_statistics: ['facets', 'time_series'],
+    get_medicine_timeline: ['events'],
+    save_watchlist: ['items'],
+    check_watchlist: ['alerts']
+  }[method] || ['results'];
+
+  return Object.fromEntries(Object.entries(result).filter(([key]) => !rowKeys.includes(key)));
+}
+
+/**
+ * Flatten a record for tabular output: nested objects become dotted columns,
+ * arrays of plain values are joined with "; ", other arrays are kept as JSON
+ * @param {Object} record - Record
+ * @param {string} [prefix] - Column prefix for nested objects
+ * @returns {Object} Flat record
+ */
+function flattenRecord(record, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(record)) {
+    const column = `${prefix}${key}`;
+    if (Array.isArray(value)) {
+      flat[column] = value.every(item => item === null || typeof item !== 'object')
+        ? value.join('; ')
+        : JSON.stringify(value);
+    } else if (value !== null && typeof value === 'object') {
+      Object.assign(flat, flattenRecord(value, `${column}.`));
+    } else {
+      flat[column] = value;
+    }
+  }
+  return flat;
+}
+
+// Leading columns for methods whose rows are not dataset records
+const ROW_COLUMNS = {
+  get_statistics: ['facet', 'value', 'count'],
+  get_medicine_timeline: ['date', 'type', 'title', 'reference', 'dataset', 'matched_on', 'url'],
+  save_watchlist: ['type', 'value', 'added', 'last_checked'],
+  check_watchlist: ['item_type', 'item_value', 'dataset', 'date', 'url']
+};
+
+// Columns a method adds in front of the records it returns
+const KEY_COLUMNS = {
+  get_medicine_dossier: ['section'],
+  get_changes: ['change', 'key', 'changed_fields'],
+  check_watchlist: ['change', 'key', 'changed_fields'],
+  resolve_substance: ['substance_id']
+};
+
+/**
+ * Column order for a table: the method's key columns, then requested fields, else the method's row columns
+ * or the dataset's summary fields, then every other column alphabetically. The leading columns are always
+ * present, even without rows, so every page and export of a method starts with the same header. The order
+ * does not depend on record key order.
+ * @param {Array<Object>} rows - Flat rows
+ * @param {string} method - Method name
+ * @param {string[]} [fields] - Requested fields
+ * @returns {string[]} Columns
+ */
+function getColumns(rows, method, fields) {
+  const view = RECORD_VIEWS[method === 'get_medicine_by_name' ? 'search_medicines' : method];
+  const leading = [...(KEY_COLUMNS[method] || []), ...(fields || ROW_COLUMNS[method] || (view ? view.summary : []))];
+
+  const columns = leading.filter((column, i) => leading.indexOf(column) === i);
+  const rest = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => !columns.includes(column)).sort();
+  return [...columns, ...rest];
+}
+
+/**
+ * Render a cell value as text
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Spreadsheet applications run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV cell when needed (RFC 4180). Text that a spreadsheet would read as a
+ * formula is prefixed with an apostrophe, so exported EMA data cannot run formulas.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  const raw = cellText(value);
+  const text = typeof value !== 'number' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Markdown cell
+ */
+function markdownCell(value) {
+  return cellText(value).replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Format a method result
+ * @param {string} method - Method name
+ * @param {Object} result - Method result
+ * @param {string} format - json, csv, ndjson or markdown
+ * @param {string[]} [fields] - Requested fields (column order)
+ * @returns {{text: string, rows: number}} Formatted output and row count
+ */
+function formatResult(method, result, format, fields) {
+  if (format === 'json') {
+    return { text: JSON.stringify(result, null, 2), rows: extractRows(method, result).length };
+  }
+
+  const rows = extractRows(method, result);
+
+  if (format === 'ndjson') {
+    return { text: rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''), rows: rows.length };
+  }
+
+  const flatRows = rows.map(row => flattenRecord(row));
+  const columns = getColumns(flatRows, method, fields);
+
+  if (format === 'csv') {
+    const lines = [columns.map(csvCell).join(','), ...flatRows.map(row => columns.map(column => csvCell(row[column])).join(','))];
+    return { text: lines.join('\r\n') + '\r\n', rows: rows.length };
+  }
+
+  if (flatRows.length === 0) {
+    return { text: '_No records._\n', rows: 0 };
+  }
+  const lines = [
+    `| ${columns.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...flatRows.map(row => `| ${columns.map(column => markdownCell(row[column])).join(' | ')} |`)
+  ];
+  return { text: lines.join('\n') + '\n', rows: rows.length };
+}
+
+/**
+ * Resolve an output_file name inside EMA_EXPORT_DIR
+ * @param {string} outputFile - Requested file name or relative path
+ * @param {string} format - Output format (adds the extension when missing)
+ * @returns {string} Absolute path
+ */
+function resolveExportPath(outputFile, format) {
+  const exportDir = getExportDir();
+  if (!exportDir) {
+    throw parameterError('File export is disabled: set EMA_EXPORT_DIR to the directory exports may be written to');
+  }
+
+  const fileName = path.extname(outputFile) ? outputFile : `${outputFile}${FILE_EXTENSIONS[format]}`;
+  const target = path.resolve(exportDir, fileName);
+  const relative = path.relative(exportDir, target);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw parameterError(`output_file must stay inside the export directory (${exportDir})`);
+  }
+  return target;
+}
+
+/**
+ * Format a method result and either return it inline or write it to a file
+ * @param {string} method - Method name
+ * @param {Object} result - Method result
+ * @param {Object} params - {output_format, output_file, fields}
+ * @returns {{text: string, metadata: Object}} Inline output (or export report) and result metadata
+ */
+function exportResult(method, result, params) {
+  const format = params.output_format || 'json';
+  const { text, rows } = formatResult(method, result, format, params.fields);
+  const metadata = extractMetadata(method, result);
+
+  if (!params.output_file) {
+    return { text, metadata };
+  }
+
+  const target = resolveExportPath(params.output_file, format);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  // A BOM makes spreadsheet applications read UTF-8 CSV (accented names) correctly
+  const body = format === 'csv' ? `\uFEFF${text}` : text;
+  const tmpFile = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, body);
+  fs.renameSync(tmpFile, target);
+
+  const report = {
+    exported: true,
+    path: target,
+    output_format: format,
+    rows,
+    bytes: Buffer.byteLength(body),
+    ...metadata
+  };
+  return { text: JSON.stringify(report, null, 2), metadata: report };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  validateExportParams,
+  exportResult
+};
@@ -0,0 +1,373 @@
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+// Request bodies are JSON-RPC messages; anything larger is rejected
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Sessions without a request or an open stream for this long are closed
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Interfaces that only local clients can reach, and the Host names such a server answers to.
+// A browser page on another site that rebinds its DNS name to 127.0.0.1 still sends its own name.
+const LOOPBACK_INTERFACES = ['127.0.0.1', '::1', 'localhost'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Parse `http` (and `rest`) subcommand arguments
+ * --host <host>  Interface to listen on (default: EMA_HTTP_HOST or 127.0.0.1)
+ * --port <port>  Port to listen on (default: EMA_HTTP_PORT or 3000)
+ * The bearer token is read from EMA_HTTP_TOKEN only, so it does not show up in process lists.
+ * Allowed Host/Origin names come from EMA_HTTP_ALLOWED_HOSTS (comma-separated), and default to
+ * the loopback names when listening on a loopback interface.
+ * @param {string[]} args - Arguments following the subcommand
+ * @returns {{host: string, port: number, token: string|null, allowedHosts: string[]|null}} HTTP options
+ */
+function parseHttpArgs(args) {
+  const options = {
+    host: process.env.EMA_HTTP_HOST || '127.0.0.1',
+    port: process.env.EMA_HTTP_PORT || '3000',
+    token: process.env.EMA_HTTP_TOKEN || null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--host' || arg === '--port') {
+      const value = args[i + 1];
+      if (!value || value.startsWith('--')) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[arg.slice(2)] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+
+  const configuredHosts = (process.env.EMA_HTTP_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  const allowedHosts = configuredHosts.length > 0
+    ? configuredHosts
+    : (LOOPBACK_INTERFACES.includes(options.host) ? LOOPBACK_HOSTS : null);
+
+  return { ...options, port, allowedHosts };
+}
+
+/**
+ * Host name of a Host header or Origin URL, lowercased
+ * @param {string} value - "name[:port]" or "scheme://name[:port]"
+ * @returns {string|null} Host name, or null if the value cannot be parsed
+ */
+function hostName(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the Host and Origin headers against the allowed host names (DNS rebinding protection)
+ * @param {http.IncomingMessage} req - Request
+ * @param {string[]|null} allowedHosts - Allowed host names (null disables the check)
+ * @returns {boolean} True if the request may proceed
+ */
+function isAllowedHost(req, allowedHosts) {
+  if (!allowedHosts) return true;
+
+  if (!allowedHosts.includes(hostName(req.headers.host || ''))) return false;
+
+  // Browsers send Origin on cross-site requests; non-browser clients usually omit it
+  const origin = req.headers.origin;
+  return origin === undefined || allowedHosts.includes(hostName(origin));
+}
+
+/**
+ * Check the Authorization header against the configured bearer token
+ * @param {http.IncomingMessage} req - Request
+ * @param {string|null} token - Expected token (null disables the check)
+ * @returns {boolean} True if the request may proceed
+ */
+function isAuthorized(req, token) {
+  if (!token) return true;
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+
+  // Compare digests so the comparison takes the same time whatever the token length
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error response (no request ID)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body (undefined when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim().length === 0) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start the HTTP server. Serves the Streamable HTTP transport on /mcp and the older
+ * SSE transport on /sse + /messages, each session with its own MCP server from createServer.
+ * @param {Function} createServer - Factory returning an unconnected MCP server
+ * @param {Object} options - {host, port, token, allowedHosts} from parseHttpArgs
+ * @param {number} [options.sessionIdleMs] - Idle time after which sessions are closed (default: 30 minutes)
+ * @returns {Promise<{httpServer: http.Server, close: Function}>} Running server
+ */
+async function startHttpServer(createServer, options) {
+  const sessionIdleMs = options.sessionIdleMs || SESSION_IDLE_MS;
+
+  // Session ID -> {type, transport, server, lastSeen, openStreams}
+  const sessions = new Map();
+
+  const touch = sessionId => {
+    const session = sessions.get(sessionId);
+    if (session) session.lastSeen = Date.now();
+    return session;
+  };
+
+  const closeSession = async sessionId => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    await session.server.close().catch(() => {});
+  };
+
+  // A session with an open response stream (a GET notification stream, or a POST still streaming
+  // its answer) is in use however long ago its last request was
+  const trackStream = (session, res) => {
+    session.openStreams++;
+    res.on('close', () => {
+      session.openStreams--;
+      session.lastSeen = Date.now();
+    });
+  };
+
+  /**
+   * Handle a Streamable HTTP request (POST, GET or DELETE on /mcp)
+   */
+  const handleMcpRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = touch(sessionId);
+      if (!session || session.type !== 'streamable') {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      trackStream(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: send an initialize request without mcp-session-id to start a session');
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: id => {
+        sessions.set(id, { type: 'streamable', transport, server, lastSeen: Date.now(), openStreams: 0 });
+      }
+    });
+    // Closing the transport (DELETE, or the client going away) ends the session and its server
+    transport.onclose = () => {
+      if (transport.sessionId) closeSession(transport.sessionId);
+    };
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // An initialize that failed before a session was registered leaves nothing to come back to
+      if (!sessions.has(transport.sessionId)) {
+        await server.close().catch(() => {});
+      }
+    }
+  };
+
+  /**
+   * Open an SSE stream (GET /sse) for clients that do not support Streamable HTTP
+   */
+  const handleSseStream = async (req, res) => {
+    const server = createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    // The stream is open for the whole session, so the idle sweeper leaves it alone
+    sessions.set(transport.sessionId, { type: 'sse', transport, server, lastSeen: Date.now(), openStreams: 1 });
+    res.on('close', () => closeSession(transport.sessionId));
+    await server.connect(transport);
+  };
+
+  /**
+   * Deliver a client message for an SSE session (POST /messages?sessionId=...)
+   */
+  const handleSseMessage = async (req, res, url) => {
+    const session = touch(url.searchParams.get('sessionId'));
+    if (!session || session.type !== 'sse') {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (!isAllowedHost(req, options.allowedHosts)) {
+        sendJson(res, 403, { error: 'Forbidden: Host or Origin header not allowed' });
+        return;
+      }
+
+      if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+        sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+        return;
+      }
+
+      if (!isAuthorized(req, options.token)) {
+        sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+
+      if (url.pathname === MCP_PATH && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+        await handleMcpRequest(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSseStream(req, res);
+      } else if (url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+      }
+    } catch (error) {
+      console.error('HTTP request error:', error);
+      if (!res.headersSent) {
+        const parseError = error.message === 'Invalid JSON body' || error.message === 'Request body too large';
+        sendJsonRpcError(res, parseError ? 400 : 500, parseError ? -32700 : -32603, error.message);
+      }
+    }
+  });
+
+  // Close sessions whose clients went away without a DELETE
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.openStreams === 0 && session.lastSeen < cutoff) closeSession(sessionId);
+    }
+  }, Math.min(60 * 1000, sessionIdleMs));
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, resolve);
+  });
+
+  const close = async () => {
+    clearInterval(sweeper);
+    await Promise.all([...sessions.keys()].map(closeSession));
+    await new Promise(resolve => httpServer.close(resolve));
+  };
+
+  return { httpServer, close };
+}
+
+/**
+ * Entry point for `ema-mcp-server http`
+ * @param {Function} createServer - Factory returning an unconnected MCP server
+ * @param {string[]} args - Arguments following `http`
+ * @returns {Promise<Object>} Running server ({httpServer, close})
+ */
+async function runHttp(createServer, args) {
+  const options = parseHttpArgs(args);
+  const running = await startHttpServer(createServer, options);
+  const { port } = running.httpServer.address();
+
+  console.error(`EMA MCP Server listening on http://${options.host}:${port}${MCP_PATH} (SSE: ${SSE_PATH})` +
+    (options.token ? ', bearer token required' : ''));
+
+  const shutdown = () => {
+    running.close().then(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return running;
+}
+
+module.exports = {
+  runHttp,
+  startHttpServer,
+  parseHttpArgs,
+  isAuthorized,
+  isAllowedHost,
+  sendJson
+};
@@ -5,169 +5,356 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { SORT_FIELDS } = require('./ema-api.js');
 const {
-  searchMedicines,
-  getMedicineByName,
-  getOrphanDesignations,
-  getSupplyShortages,
-  getReferrals,
-  getPostAuthProcedures,
-  getDhpcs,
-  getPsusas,
-  getPips,
-  getHerbalMedicines,
-  getArticle58Medicines,
-  searchEparDocuments,
-  searchAllDocuments,
-  searchNonEparDocuments
-} = require('./ema-api.js');
+  TOOLS,
+  describeTool,
+  validateToolArguments,
+  dropSharedInfoParams,
+  combinedPropertySchema,
+  findToolByName,
+  findToolByMethod
+} = require('./tools.js');
+const { summariseResult } = require('./summaries.js');
+const { OUTPUT_FORMATS, validateExportParams, exportResult } = require('./export.js');
+const { listResources, listResourceTemplates, readResource } = require('./resources.js');
+const { listPrompts, getPrompt } = require('./prompts.js');
+const { runSync } = require('./sync.js');
+const { runHttp } = require('./http-server.js');
+const { runRest } = require('./rest-api.js');
 
-const server = new Server(
-  {
-    name: 'ema-mcp-server',
-    version: '0.0.1',
-  },
-  {
-    capabilities: {
-      tools: {},
+/**
+ * Build the ema_info parameter schemas: the documentation below plus the typed tools' constraints,
+ * so ema_info accepts the same types and ranges as the ema_* tools
+ * @param {Object} docs - Parameter name -> {description, examples} (and a full schema for ema_info-only parameters)
+ * @returns {Object} Parameter name -> schema
+ */
+function emaInfoProperties(docs) {
+  return Object.fromEntries(
+    Object.entries(docs).map(([key, doc]) => [key, { ...combinedPropertySchema(key), ...doc }])
+  );
+}
+
+/**
+ * Create an MCP server with every tool, resource and prompt handler registered.
+ * stdio uses one server; the HTTP transport creates one per session.
+ * @returns {Server} MCP server, not yet connected
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'ema-mcp-server',
+      version: '0.0.1',
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'ema_info',
-        description: 'Unified tool for EMA (European Medicines Agency) drug information lookup. Provides access to EU drug approvals, EPARs, orphan designations, supply shortages, and regulatory information through EMA\'s public JSON API.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            method: {
-              type: 'string',
-              enum: ['search_medicines', 'get_medicine_by_name', 'get_orphan_designations', 'get_supply_shortages', 'get_referrals', 'get_post_auth_procedures', 'get_dhpcs', 'get_psusas', 'get_pips', 'get_herbal_medicines', 'get_article58_medicines', 'search_epar_documents', 'search_all_documents', 'search_non_epar_documents'],
-              description: 'The operation to perform: search_medicines (search EU approved drugs), get_medicine_by_name (get specific medicine), get_orphan_designations (EU orphan drugs), get_supply_shortages (medicine shortages), get_referrals (EU safety reviews), get_post_auth_procedures (label updates), get_dhpcs (safety communications), get_psusas (periodic safety reports), get_pips (paediatric plans), get_herbal_medicines (herbal assessments), get_article58_medicines (non-EU use), search_epar_documents (EPAR docs), search_all_documents (all EMA docs), search_non_epar_documents (non-EPAR docs)',
-              examples: ['search_medicines', 'get_dhpcs', 'search_epar_documents']
-            },
-            // Parameters for search_medicines
-            active_substance: {
-              type: 'string',
-              description: 'For search_medicines, get_supply_shortages: Active substance name (e.g., "semaglutide", "adalimumab")',
-              examples: ['semaglutide', 'adalimumab', 'pembrolizumab']
-            },
-            therapeutic_area: {
-              type: 'string',
-              description: 'For search_medicines, get_orphan_designations: Therapeutic area or disease (e.g., "diabetes", "cancer", "multiple sclerosis")',
-              examples: ['diabetes', 'cancer', 'multiple sclerosis', 'obesity']
-            },
-            status: {
-              type: 'string',
-              description: 'For search_medicines: Medicine status filter. For get_supply_shortages: "ongoing" or "resolved"',
-              examples: ['Authorised', 'Withdrawn', 'Refused', 'ongoing', 'resolved']
-            },
-            orphan: {
-              type: 'boolean',
-              description: 'For search_medicines: Filter for orphan medicines only',
-              examples: [true, false]
-            },
-            prime: {
-              type: 'boolean',
-              description: 'For search_medicines: Filter for PRIME (priority) medicines only',
-              examples: [true, false]
-            },
-            biosimilar: {
-              type: 'boolean',
-              description: 'For search_medicines: Filter for biosimilar medicines only',
-              examples: [true, false]
-            },
-            conditional_approval: {
-              type: 'boolean',
-              description: 'For search_medicines: Filter for conditionally approved medicines',
-              examples: [true, false]
-            },
-            limit: {
-              type: 'integer',
-              description: 'Maximum number of results to return (default: 100 for medicines, 50 for other methods)',
-              examples: [10, 50, 100]
-            },
-            // Parameter for get_medicine_by_name
-            name: {
-              type: 'string',
-              description: 'For get_medicine_by_name: Medicine trade name to search (e.g., "Ozempic", "Wegovy", "Humira")',
-              examples: ['Ozempic', 'Wegovy', 'Humira', 'Keytruda']
-            },
-            // Parameters for get_orphan_designations
-            year: {
-              type: 'integer',
-              description: 'For get_orphan_designations, get_referrals: Filter by year (e.g., 2024, 2023)',
-              examples: [2024, 2023, 2022]
-            },
-            // Parameters for get_referrals
-            safety: {
-              type: 'boolean',
-              description: 'For get_referrals: Filter for safety-related referrals (true=Yes, false=No)',
-              examples: [true, false]
-            },
-            // Parameters for get_supply_shortages and get_post_auth_procedures
-            medicine_name: {
-              type: 'string',
-              description: 'For get_supply_shortages, get_post_auth_procedures: Medicine name to filter',
-              examples: ['Ozempic', 'Keytruda', 'Insulin lispro']
-            }
-          },
-          required: ['method'],
-          additionalProperties: false
+  // List available tools
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: [
+        ...TOOLS.map(describeTool),
+        {
+          name: 'ema_info',
+          description: 'Unified tool (kept for compatibility; prefer the dedicated ema_* tools) for EMA (European Medicines Agency) drug information lookup. Provides access to EU drug approvals, EPARs, orphan designations, supply shortages, and regulatory information through EMA\'s public JSON API.',
+          inputSchema: {
+            type: 'object',
+            properties: emaInfoProperties({
+              method: {
+                type: 'string',
+                enum: TOOLS.map(tool => tool.method),
+                description: 'The operation to perform: search_medicines (search EU approved drugs), get_medicine_by_name (get specific medicine), get_orphan_designations (EU orphan drugs), get_supply_shortages (medicine shortages), get_referrals (EU safety reviews), get_post_auth_procedures (label updates), get_dhpcs (safety communications), get_psusas (periodic safety reports), get_pips (paediatric plans), get_herbal_medicines (herbal assessments), get_article58_medicines (non-EU use), search_epar_documents (EPAR docs), search_all_documents (all EMA docs), search_non_epar_documents (non-EPAR docs), search_documents_fulltext (ranked full-text document search with snippets), get_changes (added/removed/modified records between two dataset snapshots), get_statistics (record counts per field value and per year/month, with optional time series), get_medicine_dossier (one profile joining every dataset for a medicine or substance), get_medicine_timeline (chronological regulatory events for one medicine, from orphan designation to withdrawal), resolve_substance (canonical substance ID, name variants and products for a substance or trade name), save_watchlist (store a named list of products, substances and therapeutic areas), check_watchlist (new, changed or removed shortages, DHPCs, referrals, PSUSAs and post-authorisation procedures for a watchlist since its last check)',
+                examples: ['search_medicines', 'get_dhpcs', 'search_epar_documents']
+              },
+              // Parameters for search_medicines
+              active_substance: {
+                description: 'For search_medicines, get_supply_shortages, get_medicine_dossier, resolve_substance and other list methods: Active substance name (e.g., "semaglutide", "adalimumab"). Salt forms, INN synonyms and combinations resolve to the same substance',
+                examples: ['semaglutide', 'adalimumab', 'pembrolizumab']
+              },
+              therapeutic_area: {
+                description: 'For search_medicines, get_orphan_designations: Therapeutic area or disease (e.g., "diabetes", "cancer", "multiple sclerosis")',
+                examples: ['diabetes', 'cancer', 'multiple sclerosis', 'obesity']
+              },
+              status: {
+                description: 'For search_medicines: Medicine status filter. For get_supply_shortages: "ongoing" or "resolved"',
+                examples: ['Authorised', 'Withdrawn', 'Refused', 'ongoing', 'resolved']
+              },
+              orphan: {
+                description: 'For search_medicines: Filter for orphan medicines only',
+                examples: [true, false]
+              },
+              prime: {
+                description: 'For search_medicines: Filter for PRIME (priority) medicines only',
+                examples: [true, false]
+              },
+              biosimilar: {
+                description: 'For search_medicines: Filter for biosimilar medicines only',
+                examples: [true, false]
+              },
+              conditional_approval: {
+                description: 'For search_medicines: Filter for conditionally approved medicines',
+                examples: [true, false]
+              },
+              limit: {
+                description: 'Maximum number of results to return per page (default: 100 for medicines, 50 for other methods). For check_watchlist: maximum alerts (default: 100)',
+                examples: [10, 50, 100]
+              },
+              offset: {
+                description: 'Number of matching results to skip before the returned page (default: 0). total_count always reports every match.',
+                examples: [0, 100, 200]
+              },
+              cursor: {
+                description: 'Opaque next_cursor value from a previous response; returns the following page of the same query. Cannot be combined with offset.'
+              },
+              fields: {
+                description: 'Only return these record fields. Applies to every method that returns records',
+                examples: [['name_of_medicine', 'active_substance', 'medicine_status']]
+              },
+              format: {
+                description: 'Record format: full (default), summary (main fields per dataset, long text truncated) or ids_only (identifiers and names)',
+                examples: ['summary', 'ids_only']
+              },
+              max_text_length: {
+                description: 'Truncate free-text values longer than this many characters (default: 300 in summary format). Truncated fields are listed under truncation',
+                examples: [200, 500]
+              },
+              // Parameter for get_medicine_by_name
+              name: {
+                description: 'For get_medicine_by_name, get_medicine_dossier, get_medicine_timeline: Medicine trade name to search (e.g., "Ozempic", "Wegovy", "Humira"). Matching tolerates typos and partial names; get_medicine_by_name returns ranked candidates and an ambiguous flag',
+                examples: ['Ozempic', 'Wegovy', 'Humira', 'Keytruda']
+              },
+              ema_product_number: {
+                description: 'For get_medicine_dossier, get_medicine_timeline: EMA product number, in full or as its last segment. Used instead of name, e.g. to pick one of the candidates of an ambiguous name',
+                examples: ['EMEA/H/C/004174', '004174']
+              },
+              // Parameters for get_orphan_designations
+              year: {
+                description: 'For get_orphan_designations, get_referrals, get_article58_medicines: Filter by year (e.g., 2024, 2023)',
+                examples: [2024, 2023, 2022]
+              },
+              date_from: {
+                description: 'Only include records dated on or after this ISO date (YYYY-MM-DD, YYYY-MM or YYYY). Uses each dataset\'s main date: marketing authorisation (medicines), designation (orphan), shortage start, procedure start (referrals), dissemination (DHPCs), decision (PIPs, PSUSAs, post-authorisation), publication (documents, herbal medicines)',
+                examples: ['2024-01-01', '2023-06', '2020']
+              },
+              date_to: {
+                description: 'Only include records dated on or before this ISO date (YYYY-MM-DD, YYYY-MM or YYYY). Partial dates cover the whole month/year',
+                examples: ['2024-12-31', '2024-06', '2024']
+              },
+              sort_by: {
+                description: `Sort results before pagination. "date" sorts by the method's default date. Allowed keys per method: ${Object.entries(SORT_FIELDS).map(([method, keys]) => `${method} (${Object.keys(keys).join(', ')})`).join('; ')}`,
+                examples: ['date', 'name_of_medicine', 'medicine_status']
+              },
+              sort_order: {
+                description: 'Sort direction (default: desc for dates, asc for names and status). Records without a value sort last.',
+                examples: ['desc', 'asc']
+              },
+              date_field: {
+                description: 'Date field to apply date_from/date_to to instead of the dataset default',
+                examples: ['european_commission_decision_date', 'expected_resolution_date', 'first_published_date']
+              },
+              // Parameters for get_referrals
+              safety: {
+                description: 'For get_referrals: Filter for safety-related referrals (true=Yes, false=No)',
+                examples: [true, false]
+              },
+              // Parameters for get_supply_shortages and get_post_auth_procedures
+              medicine_name: {
+                description: 'For get_supply_shortages, get_post_auth_procedures, get_dhpcs, get_article58_medicines, search_epar_documents, search_documents_fulltext: Medicine name to filter',
+                examples: ['Ozempic', 'Keytruda', 'Insulin lispro']
+              },
+              // Parameters for get_dhpcs, get_psusas and get_pips
+              dhpc_type: {
+                description: 'For get_dhpcs: DHPC type (case-insensitive exact match)'
+              },
+              regulatory_outcome: {
+                description: 'For get_psusas: Regulatory outcome (case-insensitive exact match)',
+                examples: ['Variation', 'Maintenance']
+              },
+              decision_type: {
+                description: 'For get_pips: Decision type (partial match)',
+                examples: ['waiver', 'PIP']
+              },
+              // Parameter for get_article58_medicines
+              target_use: {
+                description: 'For get_article58_medicines: Intended use or therapeutic area (partial match)',
+                examples: ['malaria', 'HIV']
+              },
+              // Parameters for get_herbal_medicines
+              substance: {
+                description: 'For get_herbal_medicines: Herbal substance (Latin name), botanical name or English common name',
+                examples: ['valerian', 'Valerianae radix']
+              },
+              use_category: {
+                description: 'For get_herbal_medicines: Well-established use or traditional use'
+              },
+              monograph_status: {
+                description: 'For get_herbal_medicines: Monograph/assessment status (partial match)'
+              },
+              hmpc_outcome: {
+                description: 'For get_herbal_medicines: HMPC outcome (partial match)'
+              },
+              // Parameters for document searches
+              query: {
+                description: 'For search_documents_fulltext: Words (ranked with BM25, stemmed), "quoted phrases" (must match) and -excluded words; ' +
+                  'field:value terms are rejected there, use medicine_name, document_type and date_from/date_to to filter. ' +
+                  'For get_statistics and every other list method: Boolean filter over record fields with AND, OR, NOT and parentheses; field:value (partial match), ' +
+                  'field:=value (whole value), field:>=2020 (dates and numbers), field:* (present)',
+                examples: ['hepatotoxicity monitoring', 'therapeutic_area:"breast cancer" AND (orphan:yes OR prime:yes) AND NOT status:Withdrawn']
+              },
+              search_term: {
+                description: 'For search_all_documents, search_non_epar_documents: Text to find in the document title'
+              },
+              document_type: {
+                description: 'For search_epar_documents, search_all_documents, search_non_epar_documents, search_documents_fulltext: Document type (partial match)'
+              },
+              language: {
+                description: 'For search_epar_documents: Document language code',
+                examples: ['en']
+              },
+              category: {
+                description: 'For search_all_documents: Document category (partial match)'
+              },
+              // Parameters for get_changes
+              dataset: {
+                description: 'For get_changes: Dataset to compare. For get_statistics: Dataset to aggregate. For search_documents_fulltext: all_documents (default), epar_documents or non_epar_documents',
+                examples: ['medicines', 'shortages', 'referrals', 'dhpcs']
+              },
+              from_snapshot: {
+                description: 'For get_changes: Older snapshot name (written by `ema-mcp-server sync`) or snapshot directory',
+                examples: ['2026-09-01']
+              },
+              to_snapshot: {
+                description: 'For get_changes: Newer snapshot name or directory (default: current data)',
+                examples: ['2026-09-08']
+              },
+              key_field: {
+                description: 'For get_changes: Record field used to match records between snapshots (default: dataset-specific, e.g. ema_product_number for medicines)',
+                examples: ['ema_product_number', 'procedure_number']
+              },
+              compare_fields: {
+                description: 'For get_changes: Only report modifications to these fields',
+                examples: [['medicine_status'], ['supply_shortage_status']]
+              },
+              // Parameters for get_statistics
+              group_by: {
+                description: 'For get_statistics: Record fields to count values of (up to 5); "year" or "month" count records per period of their date',
+                examples: [['medicine_status'], ['year'], ['supply_shortage_status', 'therapeutic_area_mesh']]
+              },
+              interval: {
+                description: 'For get_statistics: Add a time series per year or month, overall and for each listed group_by value'
+              },
+              top: {
+                description: 'For get_statistics: Values listed per group_by field (default: 25, max: 1000); the rest are summed in other_count'
+              },
+              split_values: {
+                description: 'For get_statistics: Count each part of multi-valued fields ("a; b") separately'
+              },
+              // Parameters for get_medicine_timeline
+              event_types: {
+                description: 'For get_medicine_timeline: Only return these event types',
+                examples: [['marketing_authorisation', 'conversion_to_standard', 'withdrawal'], ['dhpc', 'referral']]
+              },
+              // Parameters for save_watchlist and check_watchlist
+              watchlist: {
+                description: 'For save_watchlist, check_watchlist: Watchlist name (letters, digits, ".", "_" and "-")',
+                examples: ['pv-portfolio', 'oncology']
+              },
+              products: {
+                description: 'For save_watchlist: Medicine trade names to watch',
+                examples: [['Ozempic', 'Wegovy', 'Keytruda']]
+              },
+              substances: {
+                description: 'For save_watchlist: Active substances to watch',
+                examples: [['semaglutide', 'valproate']]
+              },
+              therapeutic_areas: {
+                description: 'For save_watchlist: Therapeutic areas (MeSH, partial match) to watch',
+                examples: [['Multiple Myeloma']]
+              },
+              mode: {
+                description: 'For save_watchlist: replace the items (default), add them or remove them'
+              },
+              dry_run: {
+                description: 'For check_watchlist: Report changes without recording this check, so the next check reports them again'
+              },
+              // Export parameters (every method)
+              output_format: {
+                type: 'string',
+                enum: OUTPUT_FORMATS,
+                description: 'Output format: json (default), csv (nested fields flattened to dotted columns, stable column order per dataset), ndjson (one record per line) or markdown (table). Non-JSON formats return the records followed by the result metadata (counts, pagination, provenance)',
+                examples: ['csv', 'markdown']
+              },
+              output_file: {
+                type: 'string',
+                description: 'Write the output to this file inside EMA_EXPORT_DIR instead of returning it; the response reports the path, row and byte counts. The extension is added when missing. Combine with a large limit for bulk exports',
+                examples: ['ozempic-dhpcs.csv', 'shortages/2026-10']
+              }
+            }),
+            required: ['method'],
+            additionalProperties: false
+          }
         }
-      }
-    ]
-  };
-});
+      ]
+    };
+  });
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
 
-  if (name !== 'ema_info') {
-    throw new Error(`Unknown tool: ${name}`);
-  }
+    if (name !== 'ema_info' && !findToolByName(name)) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
 
-  try {
-    const { method, ...params } = args;
+    try {
+      let tool;
+      let params;
+      let exportParams = {};
 
-    switch (method) {
-      case 'search_medicines': {
-        const results = await searchMedicines(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
+      if (name === 'ema_info') {
+        // Compatibility layer: dispatch the method to its typed tool
+        const { method, output_format: outputFormat, output_file: outputFile, ...rest } = args || {};
+        tool = findToolByMethod(method);
+        if (!tool) {
+          throw new Error(`Unknown method: ${method}`);
+        }
+        params = dropSharedInfoParams(tool, rest);
+        validateToolArguments(tool, params);
+        exportParams = { output_format: outputFormat, output_file: outputFile, fields: rest.fields };
+        validateExportParams(exportParams);
+      } else {
+        tool = findToolByName(name);
+        params = args || {};
+        validateToolArguments(tool, params);
       }
 
-      case 'get_medicine_by_name': {
-        const { name } = params;
-        if (!name) {
-          throw new Error('name parameter is required for get_medicine_by_name');
-        }
+      const results = await tool.run(params);
 
-        const results = await getMedicineByName(name);
+      // ema_info has no output schema and keeps returning the full JSON as text
+      if (name === 'ema_info' && (exportParams.output_format || exportParams.output_file)) {
+        const { text, metadata } = exportResult(tool.method, results, exportParams);
+        const inlineTable = !exportParams.output_file && exportParams.output_format !== 'json';
         return {
           content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
+            { type: 'text', text },
+            ...(inlineTable ? [{ type: 'text', text: JSON.stringify(metadata, null, 2) }] : [])
           ]
         };
       }
 
-      case 'get_orphan_designations': {
-        const results = await getOrphanDesignations(params);
+      if (name === 'ema_info') {
         return {
           content: [
             {
@@ -178,165 +365,92 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case 'get_supply_shortages': {
-        const results = await getSupplyShortages(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: summariseResult(tool.method, results)
+          }
+        ],
+        structuredContent: results
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              error: error.message,
+              source: 'EMA MCP Server'
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
 
-      case 'get_referrals': {
-        const results = await getReferrals(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  // List dataset resources and record URI templates
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources() };
+  });
 
-      case 'get_post_auth_procedures': {
-        const results = await getPostAuthProcedures(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: listResourceTemplates() };
+  });
 
-      case 'get_dhpcs': {
-        const results = await getDhpcs(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  // Read a record or dataset resource
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return readResource(request.params.uri);
+  });
 
-      case 'get_psusas': {
-        const results = await getPsusas(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  // List and render workflow prompts
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: listPrompts() };
+  });
 
-      case 'get_pips': {
-        const results = await getPips(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    return getPrompt(request.params.name, request.params.arguments);
+  });
 
-      case 'get_herbal_medicines': {
-        const results = await getHerbalMedicines(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  return server;
+}
 
-      case 'get_article58_medicines': {
-        const results = await getArticle58Medicines(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+// Start the server on stdio, or run a CLI subcommand (`ema-mcp-server sync`, `http` or `rest`)
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
 
-      case 'search_epar_documents': {
-        const results = await searchEparDocuments(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  if (command === 'sync') {
+    process.exitCode = await runSync(args);
+    return;
+  }
 
-      case 'search_all_documents': {
-        const results = await searchAllDocuments(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  if (command === 'http') {
+    await runHttp(createServer, args);
+    return;
+  }
 
-      case 'search_non_epar_documents': {
-        const results = await searchNonEparDocuments(params);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(results, null, 2)
-            }
-          ]
-        };
-      }
+  if (command === 'rest') {
+    await runRest(args);
+    return;
+  }
 
-      default:
-        throw new Error(`Unknown method: ${method}`);
-    }
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            error: error.message,
-            source: 'EMA MCP Server'
-          }, null, 2)
-        }
-      ],
-      isError: true
-    };
+  if (command) {
+    throw new Error(`Unknown command: ${command}`);
   }
-});
 
-// Start the server
-async function main() {
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
   console.error('EMA MCP Server running on stdio');
 }
 
-main().catch((error) => {
-  console.error('Server error:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Server error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createServer
+};
@@ -0,0 +1,142 @@
+const { normaliseName } = require('./substance-index.js');
+
+// Candidates scoring below this are not reported
+const MIN_SCORE = 0.5;
+
+// Candidates within this distance of the best score make a lookup ambiguous. Inexact
+// queries ("Insulin") get a wider margin than exact trade name hits.
+const EXACT_AMBIGUITY_MARGIN = 0.05;
+const INEXACT_AMBIGUITY_MARGIN = 0.2;
+
+// Substance matches rank below equally good trade name matches
+const SUBSTANCE_WEIGHT = 0.8;
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity between 0 and 1
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for identical strings, 0 for nothing in common
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Score how well a normalised query matches a normalised name
+ * @param {string} query - Normalised query
+ * @param {string} name - Normalised candidate name
+ * @returns {{score: number, match_type: string}|null} Best match or null
+ */
+function scoreName(query, name) {
+  if (!query || !name) return null;
+
+  if (name === query) {
+    return { score: 1, match_type: 'exact' };
+  }
+
+  // Shorter remainders rank higher: "Ozempic" beats "Ozempic FlexTouch" for "ozempic"
+  const lengthRatio = query.length / name.length;
+
+  if (name.startsWith(query)) {
+    return { score: 0.85 + 0.1 * lengthRatio, match_type: 'prefix' };
+  }
+
+  const queryTokens = query.split(' ');
+  const nameTokens = name.split(' ');
+  if (queryTokens.every(token => nameTokens.includes(token))) {
+    return { score: 0.75 + 0.1 * lengthRatio, match_type: 'token' };
+  }
+
+  if (name.includes(query)) {
+    return { score: 0.65 + 0.1 * lengthRatio, match_type: 'substring' };
+  }
+
+  // Typos: compare against the whole name and against each token ("ozempik" ~ "ozempic")
+  const fuzzy = Math.max(
+    similarity(query, name),
+    ...nameTokens.map(token => similarity(query, token))
+  );
+  if (fuzzy >= 0.75) {
+    return { score: 0.7 * fuzzy, match_type: 'fuzzy' };
+  }
+
+  return null;
+}
+
+/**
+ * Rank medicines against a name query by trade name and, with lower weight, by substance
+ * @param {string} query - Name as typed by the caller
+ * @param {Array} medicines - Medicines report records
+ * @returns {Array} Candidates sorted best first: {medicine, score, match_type, matched_field}
+ */
+function rankMedicines(query, medicines) {
+  const normalisedQuery = normaliseName(query);
+  const candidates = [];
+
+  for (const medicine of medicines) {
+    let best = null;
+
+    const nameMatch = scoreName(normalisedQuery, normaliseName(medicine.name_of_medicine));
+    if (nameMatch) {
+      best = { ...nameMatch, matched_field: 'name_of_medicine' };
+    }
+
+    for (const field of ['active_substance', 'international_non_proprietary_name_common_name']) {
+      const substanceMatch = scoreName(normalisedQuery, normaliseName(medicine[field]));
+      if (substanceMatch && (!best || substanceMatch.score * SUBSTANCE_WEIGHT > best.score)) {
+        best = { ...substanceMatch, score: substanceMatch.score * SUBSTANCE_WEIGHT, matched_field: field };
+      }
+    }
+
+    if (best && best.score >= MIN_SCORE) {
+      candidates.push({ medicine, ...best, score: Math.round(best.score * 1000) / 1000 });
+    }
+  }
+
+  // Ties go to authorised products, then alphabetical order
+  return candidates.sort((a, b) =>
+    b.score - a.score ||
+    (b.medicine.medicine_status === 'Authorised') - (a.medicine.medicine_status === 'Authorised') ||
+    String(a.medicine.name_of_medicine).localeCompare(String(b.medicine.name_of_medicine))
+  );
+}
+
+/**
+ * Check whether the top candidates are too close to pick one safely
+ * @param {Array} candidates - Ranked candidates
+ * @returns {boolean} True if the runner-up is within the ambiguity margin of the best match
+ */
+function isAmbiguous(candidates) {
+  if (candidates.length < 2) return false;
+  const margin = candidates[0].match_type === 'exact' ? EXACT_AMBIGUITY_MARGIN : INEXACT_AMBIGUITY_MARGIN;
+  return candidates[0].score - candidates[1].score <= margin;
+}
+
+module.exports = {
+  rankMedicines,
+  isAmbiguous
+};
@@ -0,0 +1,611 @@
+// JSON Schemas for structured tool output. Record schemas list the fields the server
+// filters, sorts or reports on; EMA reports carry more fields, so records stay open.
+
+/**
+ * Build an open record schema with nullable string fields
+ * @param {string} description - What one record describes
+ * @param {Object} fields - Field name -> description
+ * @returns {Object} JSON Schema
+ */
+function recordSchema(description, fields) {
+  const properties = {};
+  for (const [field, fieldDescription] of Object.entries(fields)) {
+    properties[field] = { type: ['string', 'null'], description: fieldDescription };
+  }
+  return { type: 'object', description, properties, additionalProperties: true };
+}
+
+const DATE = 'ISO date (YYYY-MM-DD)';
+
+const MEDICINE = recordSchema('EU centrally authorised medicine', {
+  name_of_medicine: 'Trade name',
+  ema_product_number: 'EMA product number (e.g., EMEA/H/C/004174)',
+  active_substance: 'Active substance(s)',
+  international_non_proprietary_name_common_name: 'INN or common name',
+  therapeutic_area_mesh: 'Therapeutic area (MeSH)',
+  therapeutic_indication: 'Authorised indication',
+  medicine_status: 'Authorised, Withdrawn, Refused or Suspended',
+  orphan_medicine: 'Yes/No',
+  prime_priority_medicine: 'Yes/No',
+  biosimilar: 'Yes/No',
+  conditional_approval: 'Yes/No',
+  marketing_authorisation_date: DATE,
+  european_commission_decision_date: DATE,
+  medicine_url: 'EMA product page'
+});
+
+const ORPHAN_DESIGNATION = recordSchema('EU orphan designation', {
+  eu_designation_number: 'EU designation number',
+  active_substance: 'Active substance',
+  intended_use: 'Condition the designation covers',
+  status: 'Positive, Negative or Withdrawn',
+  date_of_designation_or_refusal: DATE,
+  orphan_designation_url: 'EMA designation page'
+});
+
+const SHORTAGE = recordSchema('Medicine supply shortage', {
+  medicine_affected: 'Affected medicine(s)',
+  international_non_proprietary_name_inn_or_common_name: 'INN or common name',
+  therapeutic_area_mesh: 'Therapeutic area (MeSH)',
+  supply_shortage_status: 'Ongoing or Resolved',
+  start_of_shortage_date: DATE,
+  expected_resolution_date: DATE,
+  first_published_date: DATE,
+  shortage_url: 'EMA shortage page'
+});
+
+const REFERRAL = recordSchema('EU referral procedure', {
+  international_non_proprietary_name_inn_common_name: 'INN or common name',
+  procedure_number: 'Procedure number',
+  reference_number: 'Reference number',
+  current_status: 'Procedure status',
+  safety_referral: 'Whether the referral is safety-related',
+  procedure_start_date: DATE,
+  referral_url: 'EMA referral page'
+});
+
+const POST_AUTH_PROCEDURE = recordSchema('Post-authorisation procedure', {
+  medicine_name: 'Trade name',
+  procedure_number: 'Procedure number',
+  decision_date: DATE,
+  opinion_date: DATE,
+  first_published_date: DATE
+});
+
+const DHPC = recordSchema('Direct Healthcare Professional Communication', {
+  name_of_medicine: 'Trade name(s)',
+  active_substances: 'Active substance(s)',
+  dhpc_type: 'DHPC type',
+  dissemination_date: DATE,
+  dhpc_url: 'EMA DHPC page'
+});
+
+const PSUSA = recordSchema('Periodic Safety Update Report Single Assessment', {
+  active_substance: 'Active substance(s)',
+  procedure_number: 'PSUSA procedure number',
+  regulatory_outcome: 'Regulatory outcome',
+  decision_date: DATE,
+  opinion_date: DATE,
+  first_published_date: DATE,
+  psusa_url: 'EMA PSUSA page'
+});
+
+const PIP = recordSchema('Paediatric Investigation Plan', {
+  active_substance: 'Active substance',
+  therapeutic_area: 'Therapeutic area',
+  decision_type: 'Decision type',
+  decision_number: 'Decision number',
+  pip_number: 'PIP number',
+  decision_date: DATE,
+  pip_url: 'EMA PIP page'
+});
+
+const HERBAL_MEDICINE = recordSchema('Herbal medicine assessment', {
+  herbal_substance: 'Herbal substance (Latin name)',
+  botanical_name: 'Botanical name of the plant',
+  english_common_name: 'English common name',
+  use_category: 'Well-established use and/or traditional use',
+  monograph_status: 'Monograph/assessment status',
+  hmpc_outcome: 'HMPC outcome',
+  therapeutic_area: 'Therapeutic area',
+  first_published_date: DATE,
+  last_updated_date: DATE,
+  herbal_url: 'EMA herbal medicine page'
+});
+
+const ARTICLE58_MEDICINE = recordSchema('Medicine assessed for use outside the EU (Article 58)', {
+  medicine_name: 'Trade name',
+  active_substance: 'Active substance',
+  opinion_date: DATE,
+  opinion_status: 'Opinion status (e.g., positive, withdrawn)',
+  target_use: 'Intended use outside the EU',
+  therapeutic_area: 'Therapeutic area',
+  who_prequalification_url: 'WHO prequalification page',
+  article58_url: 'EMA EU-M4all page'
+});
+
+const DOCUMENT = recordSchema('EMA document', {
+  title: 'Document title',
+  document_title: 'Document title (alternative field)',
+  medicine_name: 'Medicine the document belongs to (EPAR documents)',
+  document_type: 'Document type',
+  category: 'Document category',
+  language: 'Language code',
+  first_published_date: DATE,
+  last_updated_date: DATE,
+  document_url: 'Document URL'
+});
+
+const DOCUMENT_HIT = {
+  ...DOCUMENT,
+  description: 'EMA document matching a full-text query',
+  properties: {
+    ...DOCUMENT.properties,
+    score: { type: 'number', description: 'BM25 relevance score (higher is better)' },
+    matched_terms: { type: 'array', items: { type: 'string' }, description: 'Stemmed query terms found in the document' },
+    snippets: {
+      type: 'array',
+      description: 'Fields containing query terms',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          text: { type: 'string', description: 'Field text, cut to a window around the first match in long fields' },
+          highlights: {
+            type: 'array',
+            description: '[start, end) character offsets of matches in text',
+            items: { type: 'array', items: { type: 'integer' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Reported when free-text values were shortened (format summary or max_text_length)
+const TRUNCATION = {
+  type: 'object',
+  properties: {
+    max_text_length: { type: 'integer' },
+    truncated_fields: {
+      type: 'object',
+      description: 'Field name -> number of records whose value was truncated',
+      additionalProperties: { type: 'integer' }
+    }
+  }
+};
+
+// Where the data came from (see "Provenance" in the README)
+const PROVENANCE_PROPERTIES = {
+  source: { type: 'string', description: 'Dataset name' },
+  source_url: { type: 'string', description: 'Report URL or snapshot file' },
+  last_updated: { type: ['string', 'null'], description: 'When the data was fetched or downloaded' },
+  cache: { type: 'object', description: 'Cache status for live data' },
+  snapshot: { type: 'object', description: 'Snapshot details in offline mode' }
+};
+
+/**
+ * Output schema for a paginated list method
+ * @param {Object} record - Record schema
+ * @returns {Object} JSON Schema
+ */
+function pageSchema(record) {
+  return {
+    type: 'object',
+    properties: {
+      total_count: { type: 'integer', description: 'Number of matching records' },
+      returned_count: { type: 'integer', description: 'Number of records in this page' },
+      offset: { type: 'integer' },
+      limit: { type: 'integer' },
+      has_more: { type: 'boolean' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass as cursor to fetch the next page' },
+      format: { type: 'string', enum: ['full', 'summary', 'ids_only'] },
+      truncation: TRUNCATION,
+      results: { type: 'array', items: record },
+      ...PROVENANCE_PROPERTIES
+    },
+    required: ['total_count', 'returned_count', 'results', 'source']
+  };
+}
+
+const CANDIDATE = {
+  type: 'object',
+  properties: {
+    name_of_medicine: { type: 'string' },
+    ema_product_number: { type: 'string' },
+    active_substance: { type: 'string' },
+    medicine_status: { type: 'string' },
+    score: { type: 'number' },
+    match_type: { type: 'string', enum: ['exact', 'prefix', 'token', 'substring', 'fuzzy'] },
+    matched_field: { type: 'string' }
+  }
+};
+
+const MEDICINE_LOOKUP = {
+  type: 'object',
+  properties: {
+    found: { type: 'boolean' },
+    medicine: MEDICINE,
+    match: {
+      type: 'object',
+      properties: {
+        score: { type: 'number' },
+        match_type: { type: 'string' },
+        matched_field: { type: 'string' }
+      }
+    },
+    ambiguous: { type: 'boolean', description: 'True when candidates score too close to pick one safely' },
+    message: { type: 'string' },
+    truncation: TRUNCATION,
+    candidates: { type: 'array', items: CANDIDATE },
+    ...PROVENANCE_PROPERTIES
+  },
+  required: ['found', 'candidates', 'source']
+};
+
+const CHANGE = {
+  type: 'object',
+  properties: {
+    key: { type: 'string' },
+    record: { type: 'object' },
+    changes: {
+      type: 'object',
+      additionalProperties: { type: 'object', properties: { from: {}, to: {} } }
+    }
+  },
+  required: ['key', 'record']
+};
+
+const SNAPSHOT_SIDE = {
+  type: 'object',
+  properties: {
+    snapshot: { type: ['string', 'null'] },
+    source_url: { type: 'string' },
+    last_updated: { type: ['string', 'null'] }
+  }
+};
+
+const DATASET_CHANGES = {
+  type: 'object',
+  properties: {
+    dataset: { type: 'string' },
+    key_field: { type: 'string' },
+    summary: {
+      type: 'object',
+      properties: {
+        added: { type: 'integer' },
+        removed: { type: 'integer' },
+        modified: { type: 'integer' },
+        unchanged: { type: 'integer' }
+      }
+    },
+    added: { type: 'array', items: CHANGE },
+    removed: { type: 'array', items: CHANGE },
+    modified: { type: 'array', items: CHANGE },
+    from: SNAPSHOT_SIDE,
+    to: SNAPSHOT_SIDE,
+    source: { type: 'string' }
+  },
+  required: ['dataset', 'key_field', 'summary', 'added', 'removed', 'modified', 'source']
+};
+
+/**
+ * Dossier section schema
+ * @param {Object} record - Record schema
+ * @returns {Object} JSON Schema
+ */
+function sectionSchema(record) {
+  return {
+    type: 'object',
+    properties: {
+      total_count: { type: 'integer' },
+      truncated: { type: 'boolean', description: 'True if the section has more records than limit' },
+      truncation: TRUNCATION,
+      results: { type: 'array', items: record },
+      last_updated: { type: ['string', 'null'], description: 'Data date of the section\'s dataset' }
+    }
+  };
+}
+
+const MEDICINE_DOSSIER = {
+  type: 'object',
+  properties: {
+    found: { type: 'boolean' },
+    message: { type: 'string' },
+    ambiguous: { type: 'boolean', description: 'True when the name matches several medicines closely; no sections are returned' },
+    candidates: { type: 'array', items: CANDIDATE, description: 'Closest medicines of an ambiguous name' },
+    query: { type: 'object' },
+    matched_on: {
+      type: 'object',
+      properties: {
+        trade_names: { type: 'array', items: { type: 'string' } },
+        substances: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    name_resolution: { type: 'object' },
+    medicines: { type: 'array', items: MEDICINE },
+    sections: {
+      type: 'object',
+      properties: {
+        supply_shortages: sectionSchema(SHORTAGE),
+        referrals: sectionSchema(REFERRAL),
+        post_authorisation_procedures: sectionSchema(POST_AUTH_PROCEDURE),
+        dhpcs: sectionSchema(DHPC),
+        psusas: sectionSchema(PSUSA),
+        pips: sectionSchema(PIP),
+        orphan_designations: sectionSchema(ORPHAN_DESIGNATION),
+        epar_documents: sectionSchema(DOCUMENT)
+      }
+    },
+    errors: { type: 'object', additionalProperties: { type: 'string' } },
+    source: { type: 'string' },
+    snapshot: { type: ['string', 'null'], description: 'Snapshot the data came from (null for live data)' },
+    last_updated: { type: ['string', 'null'], description: 'Newest data date of the joined datasets' }
+  },
+  required: ['found', 'source']
+};
+
+const SUBSTANCE_RESOLUTION = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    resolved_via: { type: 'string', enum: ['substance', 'trade_name', 'text'] },
+    substances: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Canonical substance ID' },
+          aliases: { type: 'array', items: { type: 'string' } },
+          products: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                ema_product_number: { type: ['string', 'null'] },
+                name_of_medicine: { type: ['string', 'null'] }
+              }
+            }
+          }
+        }
+      }
+    },
+    index_available: { type: 'boolean' },
+    source: { type: 'string' }
+  },
+  required: ['query', 'resolved_via', 'substances', 'source']
+};
+
+const TIME_POINTS = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { period: { type: 'string', description: 'YYYY or YYYY-MM' }, count: { type: 'integer' } }
+  }
+};
+
+const DATASET_STATISTICS = {
+  type: 'object',
+  properties: {
+    dataset: { type: 'string' },
+    total_count: { type: 'integer', description: 'Records counted (after query and date filters)' },
+    dataset_count: { type: 'integer', description: 'Records in the dataset' },
+    filters: {
+      type: 'object',
+      properties: {
+        query: { type: ['string', 'null'] },
+        date_from: { type: ['string', 'null'] },
+        date_to: { type: ['string', 'null'] },
+        date_fields: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    facets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', description: 'Grouped field, or year/month of the record date' },
+          distinct_count: { type: 'integer' },
+          missing_count: { type: 'integer', description: 'Records without a value (or date)' },
+          other_count: { type: 'integer', description: 'Count of values beyond top' },
+          buckets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                value: { type: 'string' },
+                count: { type: 'integer' },
+                series: { ...TIME_POINTS, description: 'Counts per period (with interval)' }
+              }
+            }
+          }
+        }
+      }
+    },
+    time_series: {
+      type: 'object',
+      properties: {
+        interval: { type: 'string', enum: ['year', 'month'] },
+        date_fields: { type: 'array', items: { type: 'string' } },
+        points: TIME_POINTS,
+        undated_count: { type: 'integer' }
+      }
+    },
+    ...PROVENANCE_PROPERTIES
+  },
+  required: ['dataset', 'total_count', 'facets', 'source']
+};
+
+const MEDICINE_TIMELINE = {
+  type: 'object',
+  properties: {
+    found: { type: 'boolean' },
+    message: { type: 'string' },
+    ambiguous: { type: 'boolean', description: 'True when the name matches several medicines closely; no events are returned' },
+    candidates: { type: 'array', items: CANDIDATE, description: 'Closest medicines of an ambiguous name' },
+    medicine: { type: 'object', description: 'Name, product number, substance, status and flags of the medicine' },
+    matched_on: { type: 'object' },
+    name_resolution: { type: 'object' },
+    total_count: { type: 'integer', description: 'Number of events' },
+    undated_count: { type: 'integer', description: 'Events without a parseable date (listed last)' },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          date: { type: ['string', 'null'], description: DATE },
+          date_field: { type: ['string', 'null'], description: 'Record field the date was read from' },
+          type: { type: 'string' },
+          title: { type: 'string' },
+          reference: { type: ['string', 'null'], description: 'Procedure, decision or designation number' },
+          dataset: { type: 'string', description: 'Dataset the event comes from' },
+          matched_on: { type: 'string', enum: ['product', 'substance'], description: 'Whether the record names the medicine or only its active substance' },
+          url: { type: ['string', 'null'], description: 'EMA page of the source record' }
+        }
+      }
+    },
+    errors: { type: 'object', additionalProperties: { type: 'string' } },
+    source: { type: 'string' },
+    snapshot: { type: ['string', 'null'], description: 'Snapshot the data came from (null for live data)' },
+    last_updated: { type: ['string', 'null'], description: 'Newest data date of the joined datasets' }
+  },
+  required: ['found', 'total_count', 'events', 'source']
+};
+
+// Output schema per method
+const WATCH_ITEM = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['product', 'substance', 'therapeutic_area'] },
+    value: { type: 'string' }
+  }
+};
+
+const WATCHLIST = {
+  type: 'object',
+  properties: {
+    watchlist: { type: 'string' },
+    created: { type: 'boolean', description: 'Whether the watchlist did not exist before' },
+    item_count: { type: 'integer' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...WATCH_ITEM.properties,
+          added: { type: 'string', description: 'When the item was added' },
+          last_checked: { type: ['string', 'null'], description: 'Last check of the item (null until checked)' }
+        }
+      }
+    },
+    added: { type: 'array', items: WATCH_ITEM },
+    removed: { type: 'array', items: WATCH_ITEM },
+    last_checked: { type: ['string', 'null'] },
+    file: { type: 'string', description: 'File the watchlist is stored in' },
+    source: { type: 'string' }
+  },
+  required: ['watchlist', 'item_count', 'items', 'source']
+};
+
+const WATCHLIST_CHECK = {
+  type: 'object',
+  properties: {
+    watchlist: { type: 'string' },
+    checked_at: { type: 'string' },
+    previous_check: { type: ['string', 'null'], description: 'Previous check of the watchlist (null on the first check)' },
+    dry_run: { type: 'boolean' },
+    summary: {
+      type: 'object',
+      properties: {
+        items: { type: 'integer' },
+        baseline_items: { type: 'integer', description: 'Items checked for the first time, which report no alerts' },
+        new: { type: 'integer' },
+        changed: { type: 'integer' },
+        removed: { type: 'integer' }
+      }
+    },
+    total_count: { type: 'integer', description: 'Number of alerts' },
+    alerts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          item_type: { type: 'string' },
+          item_value: { type: 'string' },
+          dataset: { type: 'string' },
+          change: { type: 'string', enum: ['new', 'changed', 'removed'] },
+          key: { type: 'string' },
+          date: { type: ['string', 'null'], description: DATE },
+          url: { type: ['string', 'null'] },
+          changes: CHANGE.properties.changes,
+          record: { type: 'object', description: 'Current record (the last seen one when removed)' }
+        },
+        required: ['item_type', 'item_value', 'dataset', 'change', 'key', 'record']
+      }
+    },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...WATCH_ITEM.properties,
+          resolved_name: { type: ['string', 'null'], description: 'Medicine the product name resolved to (null when not in the medicines report)' },
+          baseline: { type: 'boolean' },
+          tracked: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Records tracked per dataset' },
+          new_count: { type: 'integer' },
+          changed_count: { type: 'integer' },
+          removed_count: { type: 'integer' },
+          errors: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      }
+    },
+    source: { type: 'string' },
+    last_updated: { type: 'string' }
+  },
+  required: ['watchlist', 'checked_at', 'summary', 'total_count', 'alerts', 'items', 'source']
+};
+
+const OUTPUT_SCHEMAS = {
+  search_medicines: pageSchema(MEDICINE),
+  get_medicine_by_name: MEDICINE_LOOKUP,
+  get_orphan_designations: pageSchema(ORPHAN_DESIGNATION),
+  get_supply_shortages: pageSchema(SHORTAGE),
+  get_referrals: pageSchema(REFERRAL),
+  get_post_auth_procedures: pageSchema(POST_AUTH_PROCEDURE),
+  get_dhpcs: pageSchema(DHPC),
+  get_psusas: pageSchema(PSUSA),
+  get_pips: pageSchema(PIP),
+  get_herbal_medicines: pageSchema(HERBAL_MEDICINE),
+  get_article58_medicines: pageSchema(ARTICLE58_MEDICINE),
+  search_epar_documents: pageSchema(DOCUMENT),
+  search_all_documents: pageSchema(DOCUMENT),
+  search_non_epar_documents: pageSchema(DOCUMENT),
+  search_documents_fulltext: {
+    ...pageSchema(DOCUMENT_HIT),
+    properties: {
+      ...pageSchema(DOCUMENT_HIT).properties,
+      query: { type: 'string' },
+      index: {
+        type: 'object',
+        description: 'Index size: dataset, documents, documents_with_text (extracted text available) and terms',
+        properties: {
+          dataset: { type: 'string' },
+          documents: { type: 'integer' },
+          documents_with_text: { type: 'integer' },
+          terms: { type: 'integer' }
+        }
+      }
+    }
+  },
+  get_changes: DATASET_CHANGES,
+  get_statistics: DATASET_STATISTICS,
+  get_medicine_dossier: MEDICINE_DOSSIER,
+  get_medicine_timeline: MEDICINE_TIMELINE,
+  resolve_substance: SUBSTANCE_RESOLUTION,
+  save_watchlist: WATCHLIST,
+  check_watchlist: WATCHLIST_CHECK
+};
+
+module.exports = {
+  OUTPUT_SCHEMAS
+};
@@ -0,0 +1,184 @@
+// Prompt templates for recurring regulatory intelligence workflows. Each template
+// spells out the ema_info calls to make and the report structure, so the same
+// question gives comparable answers whoever asks it.
+
+/**
+ * Format an ema_info call for a prompt
+ * @param {string} method - ema_info method
+ * @param {Object} params - Call parameters (undefined values are dropped)
+ * @returns {string} One-line JSON call
+ */
+function call(method, params = {}) {
+  const args = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+  return `ema_info ${JSON.stringify({ method, ...args })}`;
+}
+
+/**
+ * Build a numbered step list
+ * @param {string[]} steps - Step descriptions
+ * @returns {string} Numbered lines
+ */
+function numbered(steps) {
+  return steps.map((step, i) => `${i + 1}. ${step}`).join('\n');
+}
+
+const REPORTING_RULES = [
+  'Report only what the EMA data returned; say so explicitly when a dataset has no matching records.',
+  'Give dates as YYYY-MM-DD and cite the EMA product, procedure or designation number for every record you mention.',
+  'If a result has has_more: true, fetch the remaining pages with next_cursor before summarising counts.',
+  'End with the source and last_updated of each dataset used.'
+].map(rule => `- ${rule}`).join('\n');
+
+const PROMPTS = [
+  {
+    name: 'regulatory_profile',
+    description: 'EU regulatory profile of an active substance: authorisations, orphan status, paediatric plans, safety reviews and shortages',
+    arguments: [
+      { name: 'substance', description: 'Active substance (INN), e.g. "semaglutide"', required: true }
+    ],
+    build: ({ substance }) => `Prepare the EU regulatory profile of ${substance}.
+
+Steps:
+${numbered([
+  `Resolve the substance and its products: ${call('resolve_substance', { active_substance: substance })}`,
+  `Collect every dataset for it in one call: ${call('get_medicine_dossier', { active_substance: substance, format: 'summary' })}`,
+  `List the authorised products with authorisation dates: ${call('search_medicines', { active_substance: substance, sort_by: 'marketing_authorisation_date', sort_order: 'asc' })}`
+])}
+
+Report structure:
+1. Products: trade name, product number, status, marketing authorisation date, orphan/PRIME/conditional flags
+2. Orphan designations and paediatric investigation plans
+3. Safety: referrals, PSUSA outcomes and DHPCs, newest first
+4. Supply shortages, ongoing first
+5. Key dates timeline
+
+Rules:
+${REPORTING_RULES}`
+  },
+  {
+    name: 'safety_signal_review',
+    description: 'Safety signal review for a medicine: DHPCs, PSUSA outcomes, referrals and label-changing procedures',
+    arguments: [
+      { name: 'medicine', description: 'Medicine trade name, e.g. "Ozempic"', required: true },
+      { name: 'since', description: 'Only review records from this date on (YYYY, YYYY-MM or YYYY-MM-DD)', required: false }
+    ],
+    build: ({ medicine, since }) => `Run a safety signal review for ${medicine}${since ? ` covering ${since} onwards` : ''}.
+
+Steps:
+${numbered([
+  `Identify the product and its active substance: ${call('get_medicine_by_name', { name: medicine })}. If the result is ambiguous, stop and list the candidates.`,
+  `Safety communications: ${call('get_dhpcs', { medicine_name: medicine, date_from: since, sort_by: 'date' })}`,
+  `PSUSA outcomes for each active substance of the product: ${call('get_psusas', { active_substance: '<active substance>', date_from: since, sort_by: 'date' })}`,
+  `EU referrals for each active substance: ${call('get_referrals', { active_substance: '<active substance>', date_from: since, sort_by: 'date' })}`,
+  `Label-changing procedures: ${call('get_post_auth_procedures', { medicine_name: medicine, date_from: since, sort_by: 'date' })}`
+])}
+
+Report structure:
+1. Product identification (trade name, product number, active substance, status)
+2. Signals table: date, source (DHPC / PSUSA / referral / procedure), identifier, issue, outcome
+3. Open items: ongoing referrals and procedures without a decision
+4. Assessment: whether the records show a new or recurring safety concern, with the records that support it
+
+Rules:
+${REPORTING_RULES}`
+  },
+  {
+    name: 'shortage_impact',
+    description: 'Supply shortage impact for a therapeutic area: affected medicines and authorised alternatives',
+    arguments: [
+      { name: 'therapeutic_area', description: 'Therapeutic area or disease, e.g. "diabetes"', required: true }
+    ],
+    build: ({ therapeutic_area: therapeuticArea }) => `Assess the impact of medicine supply shortages in ${therapeuticArea}.
+
+Steps:
+${numbered([
+  `Ongoing shortages: ${call('get_supply_shortages', { therapeutic_area: therapeuticArea, status: 'ongoing', sort_by: 'date' })}`,
+  `Recently resolved shortages: ${call('get_supply_shortages', { therapeutic_area: therapeuticArea, status: 'resolved', sort_by: 'date', limit: 20 })}`,
+  `Authorised medicines in the area, as potential alternatives: ${call('search_medicines', { therapeutic_area: therapeuticArea, status: 'Authorised', format: 'summary' })}`,
+  `For each affected substance, other authorised products: ${call('search_medicines', { active_substance: '<affected substance>', status: 'Authorised', format: 'ids_only' })}`
+])}
+
+Report structure:
+1. Ongoing shortages: medicine, substance, start date, expected resolution date
+2. Alternatives per shortage: other authorised products of the same substance, then other products in the area
+3. Shortages without an authorised alternative of the same substance
+4. Recently resolved shortages
+
+Rules:
+${REPORTING_RULES}`
+  },
+  {
+    name: 'orphan_landscape',
+    description: 'Orphan landscape for a rare condition: designations, authorised orphan medicines and paediatric plans',
+    arguments: [
+      { name: 'condition', description: 'Rare disease or condition, e.g. "amyotrophic lateral sclerosis"', required: true },
+      { name: 'since', description: 'Only include designations from this date on (YYYY, YYYY-MM or YYYY-MM-DD)', required: false }
+    ],
+    build: ({ condition, since }) => `Map the EU orphan landscape for ${condition}${since ? ` since ${since}` : ''}.
+
+Steps:
+${numbered([
+  `Orphan designations: ${call('get_orphan_designations', { therapeutic_area: condition, date_from: since, sort_by: 'date' })}`,
+  `Authorised orphan medicines: ${call('search_medicines', { therapeutic_area: condition, orphan: true, format: 'summary' })}`,
+  `Paediatric investigation plans: ${call('get_pips', { therapeutic_area: condition, date_from: since, sort_by: 'date' })}`
+])}
+
+Report structure:
+1. Designations by status (positive, negative, withdrawn) with counts per year
+2. Designated substances that reached marketing authorisation, and those that did not
+3. Paediatric development: PIP decisions and waivers
+4. Pipeline summary: most recent designations and the mechanisms or substance classes they cover
+
+Rules:
+${REPORTING_RULES}`
+  }
+];
+
+/**
+ * Prompt listing for prompts/list
+ * @returns {Array} {name, description, arguments}
+ */
+function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+/**
+ * Render a prompt with its arguments
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Prompt arguments
+ * @returns {Object} prompts/get result with one user message
+ */
+function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}. Available: ${PROMPTS.map(p => p.name).join(', ')}`);
+  }
+
+  for (const argument of prompt.arguments) {
+    const value = args[argument.name];
+    if (argument.required && (typeof value !== 'string' || value.trim().length === 0)) {
+      throw new Error(`${argument.name} argument is required for prompt ${name}`);
+    }
+  }
+
+  const values = {};
+  for (const argument of prompt.arguments) {
+    const value = args[argument.name];
+    values[argument.name] = typeof value === 'string' && value.trim().length > 0 ? value.trim() : undefined;
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: prompt.build(values) }
+      }
+    ]
+  };
+}
+
+module.exports = {
+  listPrompts,
+  getPrompt
+};
@@ -0,0 +1,330 @@
+// Boolean query expressions over record fields, e.g.
+//   therapeutic_area:"breast cancer" AND (orphan:yes OR prime:yes) AND NOT status:Withdrawn
+// Queries are parsed into a plain AST (no code generation, no user-supplied regular expressions)
+// and evaluated per record against a field map supplied by the caller.
+
+const { parameterError } = require('./errors.js');
+
+// Limits keep hostile or runaway queries cheap to parse and evaluate
+const MAX_QUERY_LENGTH = 2000;
+const MAX_QUERY_TERMS = 64;
+const MAX_QUERY_DEPTH = 16;
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '='];
+const DATE_VALUE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const NUMBER_VALUE = /^-?\d+(\.\d+)?$/;
+const BOOLEAN_VALUES = { yes: true, true: true, si: true, no: false, false: false };
+
+/**
+ * Build a parse error that points at the offending position
+ * @param {string} text - Query text
+ * @param {number} position - Zero-based character offset
+ * @param {string} message - What is wrong
+ * @returns {Error} Error
+ */
+function queryError(text, position, message) {
+  const near = text.slice(position, position + 20).trim();
+  return parameterError(`Invalid query at position ${position + 1}${near ? ` (near "${near}")` : ''}: ${message}`);
+}
+
+/**
+ * Read a double-quoted string. Backslash escapes \" and \\.
+ * @param {string} text - Query text
+ * @param {number} start - Offset of the opening quote
+ * @returns {{value: string, end: number}} Unquoted value and offset after the closing quote
+ */
+function readQuoted(text, start) {
+  let value = '';
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+      value += text[++i];
+    } else if (char === '"') {
+      return { value, end: i + 1 };
+    } else {
+      value += char;
+    }
+  }
+  throw queryError(text, start, 'unclosed quote');
+}
+
+/**
+ * Read an unquoted word: everything up to whitespace, a parenthesis or a quote
+ * @param {string} text - Query text
+ * @param {number} start - Offset of the first character
+ * @returns {{value: string, end: number}} Word and offset after it
+ */
+function readWord(text, start) {
+  let end = start;
+  while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+  return { value: text.slice(start, end), end };
+}
+
+/**
+ * Split a query into tokens: parentheses, AND/OR/NOT and terms
+ * @param {string} text - Query text
+ * @returns {Array<Object>} Tokens ({type, position, ...})
+ */
+function tokenizeQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readQuoted(text, i);
+      tokens.push({ type: 'term', field: null, operator: ':', value, position: i });
+      i = end;
+    } else {
+      const fieldMatch = /^([A-Za-z_][A-Za-z0-9_]*):/.exec(text.slice(i));
+      if (!fieldMatch) {
+        const { value, end } = readWord(text, i);
+        tokens.push(KEYWORDS.includes(value)
+          ? { type: value, position: i }
+          : { type: 'term', field: null, operator: ':', value, position: i });
+        i = end;
+        continue;
+      }
+
+      const position = i;
+      i += fieldMatch[0].length;
+      const operator = COMPARISON_OPERATORS.find(op => text.startsWith(op, i)) || ':';
+      if (operator !== ':') i += operator.length;
+
+      let value;
+      let quoted = false;
+      if (text[i] === '"') {
+        ({ value, end: i } = readQuoted(text, i));
+        quoted = true;
+      } else {
+        ({ value, end: i } = readWord(text, i));
+      }
+
+      if (!quoted && value.length === 0) {
+        throw queryError(text, position, `expected a value after "${text.slice(position, i)}"`);
+      }
+      if (operator !== ':' && operator !== '=' && !DATE_VALUE.test(value) && !NUMBER_VALUE.test(value)) {
+        throw queryError(text, position, `${operator} needs a date (YYYY, YYYY-MM or YYYY-MM-DD) or a number, got "${value}"`);
+      }
+
+      tokens.push({
+        type: 'term',
+        field: fieldMatch[1].toLowerCase(),
+        operator: !quoted && value === '*' && operator === ':' ? 'exists' : operator,
+        value,
+        position
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a boolean query into an AST.
+ * Grammar (NOT binds tightest, then AND, then OR; adjacent terms are ANDed):
+ *   or   := and ("OR" and)*
+ *   and  := not (["AND"] not)*
+ *   not  := "NOT" not | "(" or ")" | term
+ *   term := word | "phrase" | field:value | field:"phrase" | field:* | field:=value | field:>value (>=, <, <=)
+ * @param {string} text - Query text
+ * @returns {Object} AST: {type: 'and'|'or', operands} | {type: 'not', operand} | {type: 'term', field, operator, value}
+ */
+function parseQuery(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw parameterError('query must be a non-empty string');
+  }
+
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw parameterError(`query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const tokens = tokenizeQuery(text);
+  if (tokens.filter(token => token.type === 'term').length > MAX_QUERY_TERMS) {
+    throw parameterError(`query must contain at most ${MAX_QUERY_TERMS} terms`);
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = token => (token.type === 'term' ? `"${text.slice(token.position).split(/\s/)[0]}"` : `"${token.type}"`);
+
+  const parseOr = depth => {
+    const operands = [parseAnd(depth)];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      operands.push(parseAnd(depth));
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  const parseAnd = depth => {
+    const operands = [parseNot(depth)];
+    while (peek() && ['AND', 'NOT', '(', 'term'].includes(peek().type)) {
+      if (peek().type === 'AND') index++;
+      operands.push(parseNot(depth));
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+
+  const parseNot = depth => {
+    if (depth > MAX_QUERY_DEPTH) {
+      throw parameterError(`query must not nest NOT and parentheses more than ${MAX_QUERY_DEPTH} levels deep`);
+    }
+
+    const token = peek();
+    const previous = tokens[index - 1];
+    if (!token) {
+      throw queryError(text, text.length, previous
+        ? `query ends after "${previous.type === 'term' ? previous.value : previous.type}"; expected a term`
+        : 'expected a term');
+    }
+
+    if (token.type === 'NOT') {
+      index++;
+      return { type: 'not', operand: parseNot(depth + 1) };
+    }
+
+    if (token.type === '(') {
+      index++;
+      const expression = parseOr(depth + 1);
+      if (!peek() || peek().type !== ')') {
+        throw queryError(text, token.position, 'unclosed "("');
+      }
+      index++;
+      return expression;
+    }
+
+    if (token.type === 'term') {
+      index++;
+      const { field, operator, value } = token;
+      return { type: 'term', field, operator, value };
+    }
+
+    throw queryError(text, token.position, `expected a term or "(" but found ${describe(token)}`);
+  };
+
+  const ast = parseOr(0);
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw queryError(text, token.position, token.type === ')' ? 'unexpected ")" without a matching "("' : `unexpected ${describe(token)}`);
+  }
+
+  return ast;
+}
+
+/**
+ * List the field names a query refers to
+ * @param {Object} ast - Parsed query
+ * @returns {string[]} Distinct field names (bare terms are not included)
+ */
+function getQueryFields(ast) {
+  const fields = new Set();
+  const visit = node => {
+    if (node.type === 'term') {
+      if (node.field) fields.add(node.field);
+    } else if (node.type === 'not') {
+      visit(node.operand);
+    } else {
+      node.operands.forEach(visit);
+    }
+  };
+  visit(ast);
+  return [...fields];
+}
+
+/**
+ * Fold text for comparison: no accents, lower case, single spaces
+ * @param {*} value - Value
+ * @returns {string} Folded text
+ */
+function foldText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Test one record value against a term
+ * @param {string} value - Record value
+ * @param {Object} term - Term node
+ * @param {Function} parseDate - Converts a record date to ISO (or null)
+ * @returns {boolean} True if the value matches
+ */
+function matchesValue(value, term, parseDate) {
+  if (term.operator === 'exists') {
+    return value.trim().length > 0;
+  }
+
+  if (term.operator === ':' || term.operator === '=') {
+    const expected = foldText(term.value);
+    const actual = foldText(value);
+
+    // Yes/No flags ("Yes", "No", "Sì") compare as booleans, so orphan:true matches "Yes"
+    if (expected in BOOLEAN_VALUES && actual in BOOLEAN_VALUES) {
+      return BOOLEAN_VALUES[expected] === BOOLEAN_VALUES[actual];
+    }
+    return term.operator === '=' ? actual === expected : actual.includes(expected);
+  }
+
+  let actual;
+  let expected;
+  if (DATE_VALUE.test(term.value)) {
+    const isoDate = parseDate(value);
+    if (!isoDate) return false;
+    actual = isoDate.slice(0, term.value.length);
+    expected = term.value;
+  } else {
+    actual = Number(value);
+    expected = Number(term.value);
+    if (value.trim() === '' || !Number.isFinite(actual)) return false;
+  }
+
+  switch (term.operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    default: return actual <= expected;
+  }
+}
+
+/**
+ * Evaluate a parsed query against a record
+ * @param {Object} ast - Parsed query
+ * @param {Object} record - Record
+ * @param {Object} context - {fields: query field -> record fields, parseDate: record date -> ISO}
+ * @returns {boolean} True if the record matches
+ */
+function matchesQuery(ast, record, context) {
+  switch (ast.type) {
+    case 'and':
+      return ast.operands.every(operand => matchesQuery(operand, record, context));
+    case 'or':
+      return ast.operands.some(operand => matchesQuery(operand, record, context));
+    case 'not':
+      return !matchesQuery(ast.operand, record, context);
+    default: {
+      // Bare terms search every text field of the record
+      const fields = ast.field ? context.fields[ast.field] : Object.keys(record);
+      return fields.some(field => {
+        const value = Object.prototype.hasOwnProperty.call(record, field) ? record[field] : null;
+        return (typeof value === 'string' || typeof value === 'number') && matchesValue(String(value), ast, context.parseDate);
+      });
+    }
+  }
+}
+
+module.exports = {
+  parseQuery,
+  getQueryFields,
+  matchesQuery
+};
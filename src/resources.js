@@ -0,0 +1,251 @@
+const {
+  loadEmaDataset,
+  findMedicineByProductNumber,
+  normaliseRecordDates,
+  getRecordDate,
+  getDatasetConfig,
+  DATASET_NAMES
+} = require('./ema-api.js');
+const { normaliseName } = require('./substance-index.js');
+
+// Record fields sampled to describe a dataset's columns
+const METADATA_SAMPLE_SIZE = 500;
+
+/**
+ * Last path segment of a record URL, used as a stable readable ID
+ * @param {*} url - Record URL field
+ * @returns {string|null} URL slug
+ */
+function urlSlug(url) {
+  if (!url || typeof url !== 'string') return null;
+  const segments = url.replace(/[?#].*$/, '').split('/').filter(Boolean);
+  return segments.length > 0 ? segments[segments.length - 1] : null;
+}
+
+/**
+ * Case-insensitive identifier comparison that ignores surrounding whitespace
+ * @param {*} value - Record field
+ * @param {string} id - Requested identifier
+ * @returns {boolean} True if equal
+ */
+function sameId(value, id) {
+  return typeof value === 'string' && value.trim().toLowerCase() === id.trim().toLowerCase();
+}
+
+/**
+ * Serialise a resource payload as MCP resource contents
+ * @param {string} uri - Resource URI
+ * @param {Object} payload - Resource body
+ * @returns {Object} ReadResource result
+ */
+function jsonContents(uri, payload) {
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(payload, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Read one medicine by EMA product number ("EMEA/H/C/004174", or just "004174")
+ * @param {string} productNumber - Decoded product number
+ * @returns {Promise<Object>} Resource body
+ */
+async function readMedicine(productNumber) {
+  const { data, provenance } = await loadEmaDataset('medicines');
+  const medicine = findMedicineByProductNumber(data, productNumber);
+
+  if (!medicine) {
+    throw new Error(`No medicine with EMA product number "${productNumber}"`);
+  }
+  return { record: normaliseRecordDates(medicine), ...provenance };
+}
+
+/**
+ * Read one shortage by the last segment of its shortage page URL
+ * @param {string} id - Shortage ID
+ * @returns {Promise<Object>} Resource body
+ */
+async function readShortage(id) {
+  const { data, provenance } = await loadEmaDataset('shortages');
+  const shortage = data.find(s => sameId(urlSlug(s.shortage_url), id));
+
+  if (!shortage) {
+    throw new Error(`No shortage with ID "${id}" (the last segment of its shortage_url)`);
+  }
+  return { record: normaliseRecordDates(shortage), ...provenance };
+}
+
+/**
+ * Read one referral by procedure number, reference number or referral page ID
+ * @param {string} procedure - Procedure identifier
+ * @returns {Promise<Object>} Resource body
+ */
+async function readReferral(procedure) {
+  const { data, provenance } = await loadEmaDataset('referrals');
+  const referral = data.find(r =>
+    sameId(r.procedure_number, procedure) ||
+    sameId(r.reference_number, procedure) ||
+    sameId(urlSlug(r.referral_url), procedure)
+  );
+
+  if (!referral) {
+    throw new Error(`No referral with procedure "${procedure}"`);
+  }
+  return { record: normaliseRecordDates(referral), ...provenance };
+}
+
+/**
+ * Read every EPAR document of one medicine (exact trade name, case- and accent-insensitive)
+ * @param {string} medicine - Trade name
+ * @returns {Promise<Object>} Resource body
+ */
+async function readEparDocuments(medicine) {
+  const { data, provenance } = await loadEmaDataset('epar_documents');
+  const name = normaliseName(medicine);
+  const documents = data.filter(d => normaliseName(d.medicine_name) === name);
+
+  if (documents.length === 0) {
+    throw new Error(`No EPAR documents for medicine "${medicine}"`);
+  }
+  return {
+    medicine_name: documents[0].medicine_name,
+    total_count: documents.length,
+    documents: documents.map(normaliseRecordDates),
+    ...provenance
+  };
+}
+
+/**
+ * Describe a dataset: record count, fields, key and date fields and the covered date range
+ * @param {string} datasetName - Dataset name (see DATASET_NAMES)
+ * @returns {Promise<Object>} Resource body
+ */
+async function readDatasetMetadata(datasetName) {
+  const dataset = getDatasetConfig(datasetName);
+  if (!dataset) {
+    throw new Error(`Unknown dataset "${datasetName}". Available: ${DATASET_NAMES.join(', ')}`);
+  }
+
+  const { data, provenance } = await loadEmaDataset(datasetName);
+
+  const fields = new Set();
+  data.slice(0, METADATA_SAMPLE_SIZE).forEach(record => Object.keys(record).forEach(field => fields.add(field)));
+
+  let earliest = null;
+  let latest = null;
+  for (const record of data) {
+    const date = getRecordDate(record, dataset.dateFields);
+    if (!date) continue;
+    if (!earliest || date < earliest) earliest = date;
+    if (!latest || date > latest) latest = date;
+  }
+
+  return {
+    dataset: datasetName,
+    record_count: data.length,
+    fields: [...fields].sort(),
+    key_fields: dataset.keyFields,
+    date_fields: dataset.dateFields,
+    date_range: { earliest, latest },
+    ...provenance
+  };
+}
+
+// URI templates; each pattern captures the (URI-encoded) identifier
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'ema://medicine/{product_number}',
+    name: 'EMA medicine',
+    description: 'One medicine from the EMA medicines report by EMA product number (URI-encode the slashes, e.g. ema://medicine/EMEA%2FH%2FC%2F004174, or use the number alone: ema://medicine/004174)',
+    pattern: /^ema:\/\/medicine\/(.+)$/,
+    read: readMedicine
+  },
+  {
+    uriTemplate: 'ema://shortage/{id}',
+    name: 'EMA supply shortage',
+    description: 'One supply shortage by ID: the last segment of its shortage_url',
+    pattern: /^ema:\/\/shortage\/([^/]+)$/,
+    read: readShortage
+  },
+  {
+    uriTemplate: 'ema://referral/{procedure}',
+    name: 'EMA referral',
+    description: 'One referral by procedure number, reference number or the last segment of its referral_url (URI-encode slashes)',
+    pattern: /^ema:\/\/referral\/(.+)$/,
+    read: readReferral
+  },
+  {
+    uriTemplate: 'ema://epar/{medicine}/documents',
+    name: 'EPAR documents of a medicine',
+    description: 'Every EPAR document of a medicine, by exact trade name (e.g. ema://epar/Ozempic/documents)',
+    pattern: /^ema:\/\/epar\/([^/]+)\/documents$/,
+    read: readEparDocuments
+  },
+  {
+    uriTemplate: 'ema://dataset/{name}/metadata',
+    name: 'EMA dataset metadata',
+    description: `Record count, fields, key fields, date range and provenance of a dataset. Datasets: ${DATASET_NAMES.join(', ')}`,
+    pattern: /^ema:\/\/dataset\/([^/]+)\/metadata$/,
+    read: readDatasetMetadata
+  }
+];
+
+/**
+ * Resource templates for resources/templates/list
+ * @returns {Array} {uriTemplate, name, description, mimeType}
+ */
+function listResourceTemplates() {
+  return RESOURCE_TEMPLATES.map(({ uriTemplate, name, description }) => ({
+    uriTemplate,
+    name,
+    description,
+    mimeType: 'application/json'
+  }));
+}
+
+/**
+ * Concrete resources for resources/list: the metadata of every dataset.
+ * Individual records are reachable through the templates.
+ * @returns {Array} {uri, name, description, mimeType}
+ */
+function listResources() {
+  return DATASET_NAMES.map(datasetName => ({
+    uri: `ema://dataset/${datasetName}/metadata`,
+    name: `${datasetName} dataset metadata`,
+    description: `Record count, fields and date range of the EMA ${datasetName} report`,
+    mimeType: 'application/json'
+  }));
+}
+
+/**
+ * Read a resource by URI
+ * @param {string} uri - Resource URI (ema://...)
+ * @returns {Promise<Object>} ReadResource result
+ */
+async function readResource(uri) {
+  for (const template of RESOURCE_TEMPLATES) {
+    const match = template.pattern.exec(uri);
+    if (!match) continue;
+
+    let id;
+    try {
+      id = decodeURIComponent(match[1]);
+    } catch (error) {
+      throw new Error(`Invalid URI encoding in resource URI: ${uri}`);
+    }
+    return jsonContents(uri, { uri, ...(await template.read(id)) });
+  }
+
+  throw new Error(`Unknown resource URI: ${uri}. Supported templates: ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')}`);
+}
+
+module.exports = {
+  listResources,
+  listResourceTemplates,
+  readResource
+};
@@ -0,0 +1,270 @@
+const http = require('http');
+const { findToolByMethod, validateToolArguments } = require('./tools.js');
+const { OUTPUT_SCHEMAS } = require('./output-schemas.js');
+const { parseHttpArgs, isAuthorized, isAllowedHost, sendJson } = require('./http-server.js');
+const { INVALID_PARAMETER, UPSTREAM_ERROR } = require('./errors.js');
+
+// GET route -> method. Parameters, validation and response shapes come from the typed tools.
+const REST_ROUTES = {
+  '/medicines': 'search_medicines',
+  '/medicines/by-name': 'get_medicine_by_name',
+  '/orphan-designations': 'get_orphan_designations',
+  '/shortages': 'get_supply_shortages',
+  '/referrals': 'get_referrals',
+  '/post-authorisation-procedures': 'get_post_auth_procedures',
+  '/dhpcs': 'get_dhpcs',
+  '/psusas': 'get_psusas',
+  '/pips': 'get_pips',
+  '/herbal-medicines': 'get_herbal_medicines',
+  '/article58-medicines': 'get_article58_medicines',
+  '/documents': 'search_all_documents',
+  '/documents/epar': 'search_epar_documents',
+  '/documents/non-epar': 'search_non_epar_documents',
+  '/documents/search': 'search_documents_fulltext',
+  '/dossier': 'get_medicine_dossier',
+  '/timeline': 'get_medicine_timeline',
+  '/substances/resolve': 'resolve_substance',
+  '/changes': 'get_changes',
+  '/statistics': 'get_statistics'
+};
+
+const OPENAPI_PATH = '/openapi.json';
+
+/**
+ * Convert query string values to the types of the tool's input schema.
+ * Arrays accept repeated parameters (?fields=a&fields=b) or a comma-separated list.
+ * @param {Object} tool - Entry of TOOLS
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Object} Tool arguments
+ */
+function parseQuery(tool, query) {
+  const args = {};
+
+  for (const key of new Set(query.keys())) {
+    const schema = tool.properties[key];
+    const values = query.getAll(key);
+
+    // Unknown parameters are passed through so validateToolArguments reports them
+    if (!schema) {
+      args[key] = values[0];
+      continue;
+    }
+
+    if (schema.type === 'array') {
+      args[key] = values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    } else if (values.length > 1) {
+      throw new Error(`${key} may only be given once`);
+    } else if (schema.type === 'integer') {
+      if (!/^-?\d+$/.test(values[0])) {
+        throw new Error(`${key} must be an integer`);
+      }
+      args[key] = Number(values[0]);
+    } else if (schema.type === 'boolean') {
+      if (values[0] !== 'true' && values[0] !== 'false') {
+        throw new Error(`${key} must be true or false`);
+      }
+      args[key] = values[0] === 'true';
+    } else {
+      args[key] = values[0];
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Pagination headers for a list result
+ * @param {Object} result - Method result
+ * @param {URL} url - Request URL
+ * @returns {Object} X-Total-Count, X-Next-Cursor and Link headers (empty for non-list results)
+ */
+function paginationHeaders(result, url) {
+  if (typeof result.total_count !== 'number' || !('next_cursor' in result)) {
+    return {};
+  }
+
+  const headers = { 'X-Total-Count': String(result.total_count) };
+  if (result.next_cursor) {
+    const next = new URL(url);
+    next.searchParams.delete('offset');
+    next.searchParams.set('cursor', result.next_cursor);
+    headers['X-Next-Cursor'] = result.next_cursor;
+    headers['Link'] = `<${next.pathname}${next.search}>; rel="next"`;
+  }
+  return headers;
+}
+
+/**
+ * Build the OpenAPI document from the typed tool definitions
+ * @param {Object} [options] - {token: whether bearer authentication is required}
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(options = {}) {
+  const paths = {};
+
+  for (const [route, method] of Object.entries(REST_ROUTES)) {
+    const tool = findToolByMethod(method);
+    paths[route] = {
+      get: {
+        operationId: method,
+        summary: tool.description,
+        parameters: Object.entries(tool.properties).map(([name, schema]) => {
+          const { description, ...valueSchema } = schema;
+          return {
+            name,
+            in: 'query',
+            required: tool.required.includes(name),
+            description,
+            schema: valueSchema,
+            ...(schema.type === 'array' ? { style: 'form', explode: true } : {})
+          };
+        }),
+        responses: {
+          200: {
+            description: 'Result. List routes also return X-Total-Count, and X-Next-Cursor and a Link header when more pages exist.',
+            content: { 'application/json': { schema: OUTPUT_SCHEMAS[method] } }
+          },
+          400: {
+            description: 'Invalid parameters, including values that do not fit the data: an unknown field, ' +
+              'a cursor from another query or date_from after date_to',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          },
+          ...(options.token ? { 401: { description: 'Missing or invalid bearer token' } } : {}),
+          500: { description: 'EMA data could not be parsed, or the server failed', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+          502: { description: 'EMA could not be reached or answered with an error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+        }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'EMA REST API',
+      version: '0.0.1',
+      description: 'REST facade over the EMA MCP server methods. Same filters, pagination and response shapes as the ema_* MCP tools.'
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' }, source: { type: 'string' } },
+          required: ['error']
+        }
+      },
+      ...(options.token ? { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } } } : {})
+    },
+    ...(options.token ? { security: [{ bearerAuth: [] }] } : {})
+  };
+}
+
+/**
+ * Map an error from a tool run to an HTTP status
+ * @param {Error} error - Error thrown by the tool
+ * @returns {number} 400 for invalid parameters, 502 for EMA request failures, otherwise 500
+ */
+function errorStatus(error) {
+  if (error.code === INVALID_PARAMETER) return 400;
+  if (error.code === UPSTREAM_ERROR) return 502;
+  return 500;
+}
+
+/**
+ * Handle one REST request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} options - {token, allowedHosts}
+ */
+async function handleRestRequest(req, res, options) {
+  const url = new URL(req.url, 'http://localhost');
+  const route = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+
+  if (!isAllowedHost(req, options.allowedHosts)) {
+    sendJson(res, 403, { error: 'Forbidden: Host or Origin header not allowed' });
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Only GET is supported' }, { Allow: 'GET' });
+    return;
+  }
+
+  if (route === '/health') {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  if (!isAuthorized(req, options.token)) {
+    sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+
+  if (route === OPENAPI_PATH) {
+    sendJson(res, 200, buildOpenApiDocument(options));
+    return;
+  }
+
+  const method = REST_ROUTES[route];
+  if (!method) {
+    sendJson(res, 404, { error: `Not found: ${route}. See ${OPENAPI_PATH} for the available routes` });
+    return;
+  }
+
+  const tool = findToolByMethod(method);
+  let args;
+  try {
+    args = parseQuery(tool, url.searchParams);
+    validateToolArguments(tool, args);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message, source: 'EMA REST API' });
+    return;
+  }
+
+  try {
+    const result = await tool.run(args);
+    sendJson(res, 200, result, paginationHeaders(result, url));
+  } catch (error) {
+    sendJson(res, errorStatus(error), { error: error.message, source: 'EMA REST API' });
+  }
+}
+
+/**
+ * Entry point for `ema-mcp-server rest`. Takes the same --host/--port options and
+ * EMA_HTTP_* variables as `ema-mcp-server http`.
+ * @param {string[]} args - Arguments following `rest`
+ * @returns {Promise<http.Server>} Listening server
+ */
+async function runRest(args) {
+  const options = parseHttpArgs(args);
+  const server = http.createServer((req, res) => {
+    handleRestRequest(req, res, options).catch(error => {
+      console.error('REST request error:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message, source: 'EMA REST API' });
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+
+  const { port } = server.address();
+  console.error(`EMA REST API listening on http://${options.host}:${port} (OpenAPI: ${OPENAPI_PATH})` +
+    (options.token ? ', bearer token required' : ''));
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return server;
+}
+
+module.exports = {
+  runRest,
+  handleRestRequest,
+  buildOpenApiDocument,
+  REST_ROUTES
+};
@@ -0,0 +1,417 @@
+// Inverted index with BM25 ranking over document records. Terms are Porter-stemmed, so
+// "monitoring" finds "monitored"; positions are kept per field for phrase queries.
+
+const { parameterError } = require('./errors.js');
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Characters of context kept around the first match in long fields
+const SNIPPET_CONTEXT = 80;
+
+// Fields longer than this are cut to a window around the first match
+const SNIPPET_MAX_LENGTH = 240;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Whether the letter at position i is a consonant (Porter's definition: y after a consonant is a vowel)
+ * @param {string} word - Lowercase word
+ * @param {number} i - Position
+ * @returns {boolean} True for a consonant
+ */
+function isConsonant(word, i) {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * Porter measure: the number of vowel-consonant sequences in a stem
+ * @param {string} stem - Stem
+ * @returns {number} Measure
+ */
+function measure(stem) {
+  let count = 0;
+  let previousVowel = false;
+  for (let i = 0; i < stem.length; i++) {
+    const vowel = !isConsonant(stem, i);
+    if (!vowel && previousVowel) count++;
+    previousVowel = vowel;
+  }
+  return count;
+}
+
+/**
+ * @param {string} stem - Stem
+ * @returns {boolean} True if the stem contains a vowel
+ */
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+/**
+ * @param {string} word - Word
+ * @returns {boolean} True if the word ends in a double consonant
+ */
+function endsWithDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+/**
+ * @param {string} word - Word
+ * @returns {boolean} True if the word ends consonant-vowel-consonant, the last not w, x or y
+ */
+function endsCvc(word) {
+  const n = word.length;
+  return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
+
+/**
+ * Replace the longest matching suffix when the remaining stem satisfies a condition
+ * @param {string} word - Word
+ * @param {Array<Array<string>>} rules - [suffix, replacement] pairs
+ * @param {Function} condition - (stem) => boolean
+ * @returns {string} Word
+ */
+function replaceSuffix(word, rules, condition) {
+  let match = null;
+  for (const rule of rules) {
+    if (word.endsWith(rule[0]) && (!match || rule[0].length > match[0].length)) {
+      match = rule;
+    }
+  }
+  if (!match) return word;
+
+  const stem = word.slice(0, word.length - match[0].length);
+  return condition(stem) ? stem + match[1] : word;
+}
+
+const STEP2_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_RULES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+/**
+ * Porter stemmer (English)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -2);
+  else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = w.endsWith('ed') ? 'ed' : w.endsWith('ing') ? 'ing' : null;
+    if (suffix && hasVowel(w.slice(0, -suffix.length))) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+        w += 'e';
+      } else if (endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+        w = w.slice(0, -1);
+      } else if (measure(w) === 1 && endsCvc(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y -> i
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+    w = `${w.slice(0, -1)}i`;
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  w = replaceSuffix(w, STEP2_RULES, s => measure(s) > 0);
+  w = replaceSuffix(w, STEP3_RULES, s => measure(s) > 0);
+
+  // Step 4: remove suffixes from long stems
+  w = replaceSuffix(w, STEP4_SUFFIXES.map(suffix => [suffix, '']), s =>
+    measure(s) > 1 && (!w.endsWith('ion') || w.endsWith('sion') || w.endsWith('tion'))
+  );
+
+  // Step 5: final -e and -ll
+  if (w.endsWith('e')) {
+    const s = w.slice(0, -1);
+    if (measure(s) > 1 || (measure(s) === 1 && !endsCvc(s))) w = s;
+  }
+  if (measure(w) > 1 && endsWithDoubleConsonant(w) && w.endsWith('l')) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
+
+/**
+ * Split text into index terms with their word position and character offsets.
+ * Stop words take a position but are not returned, so phrases keep their spacing.
+ * @param {string} text - Text
+ * @returns {Array<{term: string, position: number, start: number, end: number}>} Tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const word = match[0].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (!STOP_WORDS.has(word)) {
+      tokens.push({ term: stem(word), position, start: match.index, end: match.index + match[0].length });
+    }
+    position++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Build an inverted index
+ * @param {Array<Object>} documents - Records to index
+ * @param {Object} fieldWeights - Field name -> weight (e.g., {title: 3, content: 1})
+ * @param {Function} [getFieldText] - (document, field) => text; defaults to document[field]
+ * @returns {Object} Index
+ */
+function buildSearchIndex(documents, fieldWeights, getFieldText = (document, field) => document[field]) {
+  // term -> Map(docId -> Map(field -> positions))
+  const postings = new Map();
+  const lengths = new Array(documents.length).fill(0);
+
+  documents.forEach((document, docId) => {
+    for (const [field, weight] of Object.entries(fieldWeights)) {
+      const text = getFieldText(document, field);
+      if (typeof text !== 'string' || text.length === 0) continue;
+
+      const tokens = tokenize(text);
+      lengths[docId] += tokens.length * weight;
+
+      for (const token of tokens) {
+        if (!postings.has(token.term)) postings.set(token.term, new Map());
+        const docs = postings.get(token.term);
+        if (!docs.has(docId)) docs.set(docId, new Map());
+        const fields = docs.get(docId);
+        if (!fields.has(field)) fields.set(field, []);
+        fields.get(field).push(token.position);
+      }
+    }
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    documents,
+    fieldWeights,
+    getFieldText,
+    postings,
+    lengths,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0
+  };
+}
+
+/**
+ * Parse a search query: words, "quoted phrases", and -word / -"phrase" exclusions
+ * @param {string} query - Query text
+ * @returns {{terms: string[], phrases: Array, excluded: Array}} Parsed query (phrases are token lists)
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  const quoteCount = (query.match(/"/g) || []).length;
+  if (quoteCount % 2 !== 0) {
+    throw parameterError('query has an unclosed quote');
+  }
+
+  for (const match of query.matchAll(/(-?)"([^"]*)"|(-?)([^\s"]+)/g)) {
+    const negated = (match[1] || match[3]) === '-';
+    const tokens = tokenize(match[2] !== undefined ? match[2] : match[4]);
+    if (tokens.length === 0) continue;
+
+    if (negated) {
+      excluded.push(tokens);
+    } else if (match[2] !== undefined && tokens.length > 1) {
+      phrases.push(tokens);
+      tokens.forEach(token => terms.push(token.term));
+    } else {
+      tokens.forEach(token => terms.push(token.term));
+    }
+  }
+
+  if (terms.length === 0) {
+    throw parameterError('query must contain at least one word that is not a stop word or an exclusion');
+  }
+
+  return { terms: [...new Set(terms)], phrases, excluded };
+}
+
+/**
+ * Check whether a document contains a phrase in any one field
+ * @param {Object} index - Search index
+ * @param {number} docId - Document ID
+ * @param {Array} phrase - Phrase tokens (term and relative position)
+ * @returns {boolean} True if the phrase occurs
+ */
+function matchesPhrase(index, docId, phrase) {
+  const first = index.postings.get(phrase[0].term);
+  const fields = first && first.get(docId);
+  if (!fields) return false;
+
+  for (const [field, starts] of fields) {
+    const found = starts.some(start => phrase.every(token => {
+      const docs = index.postings.get(token.term);
+      const positions = docs && docs.get(docId) && docs.get(docId).get(field);
+      return positions && positions.includes(start + token.position - phrase[0].position);
+    }));
+    if (found) return true;
+  }
+  return false;
+}
+
+/**
+ * Weighted term frequency of a term in a document
+ * @param {Object} index - Search index
+ * @param {Map} fields - Field -> positions for the term in the document
+ * @returns {number} Weighted frequency
+ */
+function weightedFrequency(index, fields) {
+  let frequency = 0;
+  for (const [field, positions] of fields) {
+    frequency += positions.length * index.fieldWeights[field];
+  }
+  return frequency;
+}
+
+/**
+ * Highlighted snippets of the fields that contain query terms
+ * @param {Object} index - Search index
+ * @param {Object} document - Document
+ * @param {string[]} terms - Query terms (matched_terms of a hit)
+ * @returns {Array<{field: string, text: string, highlights: number[][]}>} Snippets; highlights are [start, end) offsets into text
+ */
+function buildSnippets(index, document, terms) {
+  const termSet = new Set(terms);
+  const snippets = [];
+
+  for (const field of Object.keys(index.fieldWeights)) {
+    const text = index.getFieldText(document, field);
+    if (typeof text !== 'string' || text.length === 0) continue;
+
+    const matches = tokenize(text).filter(token => termSet.has(token.term));
+    if (matches.length === 0) continue;
+
+    let from = 0;
+    let to = text.length;
+    if (text.length > SNIPPET_MAX_LENGTH) {
+      from = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+      to = Math.min(text.length, from + SNIPPET_MAX_LENGTH);
+      // Start and end on word boundaries
+      if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+      if (to < text.length) to = text.lastIndexOf(' ', to) > from ? text.lastIndexOf(' ', to) : to;
+    }
+
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+    snippets.push({
+      field,
+      text: `${prefix}${text.slice(from, to)}${suffix}`,
+      highlights: matches
+        .filter(token => token.start >= from && token.end <= to)
+        .map(token => [token.start - from + prefix.length, token.end - from + prefix.length])
+    });
+  }
+
+  return snippets;
+}
+
+/**
+ * Rank documents for a query with BM25 over weighted fields.
+ * Documents that fail the filter, miss a phrase or contain an exclusion are dropped before
+ * they are scored; term rarity (IDF) is still measured over the whole index.
+ * Snippets are left to buildSnippets, so callers only build them for the page they return.
+ * @param {Object} index - Search index from buildSearchIndex
+ * @param {string} query - Query text (see parseSearchQuery)
+ * @param {Function} [filter] - (document) => boolean, applied before ranking
+ * @returns {Array<{document: Object, score: number, matched_terms: string[]}>} Hits, best first
+ */
+function searchIndex(index, query, filter = () => true) {
+  const parsed = parseSearchQuery(query);
+  const documentCount = index.documents.length;
+  const scores = new Map();
+  const matchedTerms = new Map();
+
+  // docId -> whether the document passes the filter, phrases and exclusions (checked once per document)
+  const eligible = new Map();
+  const isEligible = docId => {
+    if (!eligible.has(docId)) {
+      eligible.set(docId, filter(index.documents[docId]) &&
+        parsed.phrases.every(phrase => matchesPhrase(index, docId, phrase)) &&
+        !parsed.excluded.some(tokens => tokens.length === 1
+          ? index.postings.has(tokens[0].term) && index.postings.get(tokens[0].term).has(docId)
+          : matchesPhrase(index, docId, tokens)));
+    }
+    return eligible.get(docId);
+  };
+
+  for (const term of parsed.terms) {
+    const docs = index.postings.get(term);
+    if (!docs) continue;
+
+    const idf = Math.log(1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5));
+    for (const [docId, fields] of docs) {
+      if (!isEligible(docId)) continue;
+
+      const frequency = weightedFrequency(index, fields);
+      const norm = 1 - BM25_B + BM25_B * (index.lengths[docId] / (index.averageLength || 1));
+      scores.set(docId, (scores.get(docId) || 0) + idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm));
+      if (!matchedTerms.has(docId)) matchedTerms.set(docId, []);
+      matchedTerms.get(docId).push(term);
+    }
+  }
+
+  const hits = [...scores].map(([docId, score]) => ({
+    document: index.documents[docId],
+    score: Math.round(score * 10000) / 10000,
+    matched_terms: matchedTerms.get(docId)
+  }));
+
+  return hits.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  stem,
+  tokenize,
+  buildSearchIndex,
+  parseSearchQuery,
+  searchIndex,
+  buildSnippets
+};
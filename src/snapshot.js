@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { parameterError } = require('./errors.js');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Parsed snapshot files keyed by absolute path (snapshot files are immutable)
+const snapshotFiles = new Map();
+
+// Parsed manifests keyed by snapshot directory
+const snapshotManifests = new Map();
+
+/**
+ * Get the offline snapshot directory, if snapshot mode is enabled
+ * EMA_SNAPSHOT_DIR - directory of previously downloaded EMA JSON reports
+ * @returns {string|null} Absolute snapshot directory or null when running online
+ */
+function getSnapshotDir() {
+  return process.env.EMA_SNAPSHOT_DIR ? path.resolve(process.env.EMA_SNAPSHOT_DIR) : null;
+}
+
+/**
+ * Get the directory that holds named snapshots
+ * EMA_SNAPSHOT_ROOT - parent directory of snapshots written by `sync` (default: ./ema-snapshots)
+ * @returns {string} Absolute snapshot root directory
+ */
+function getSnapshotRoot() {
+  return path.resolve(process.env.EMA_SNAPSHOT_ROOT || 'ema-snapshots');
+}
+
+/**
+ * List snapshot names under the snapshot root (directories containing a manifest), oldest first
+ * @returns {string[]} Snapshot names
+ */
+function listSnapshots() {
+  const root = getSnapshotRoot();
+  try {
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(root, entry.name, MANIFEST_FILE)))
+      .map(entry => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Resolve a snapshot reference to a directory
+ * @param {string} ref - Snapshot name under the snapshot root, or a path to a snapshot directory
+ * @returns {string} Absolute snapshot directory
+ */
+function resolveSnapshotDir(ref) {
+  const candidates = path.isAbsolute(ref) || ref.includes('/') || ref.includes('\\')
+    ? [path.resolve(ref)]
+    : [path.join(getSnapshotRoot(), ref), path.resolve(ref)];
+
+  const found = candidates.find(dir => fs.existsSync(path.join(dir, MANIFEST_FILE)));
+  if (!found) {
+    const available = listSnapshots();
+    throw parameterError(`EMA snapshot not found: ${ref}` +
+      (available.length ? ` (available: ${available.join(', ')})` : ` (no snapshots under ${getSnapshotRoot()})`));
+  }
+
+  return found;
+}
+
+/**
+ * Get the snapshot file name for a report URL (the last path segment)
+ * @param {string} url - Report URL
+ * @returns {string} File name (e.g., 'medicines-output-medicines_json-report_en.json')
+ */
+function getReportFileName(url) {
+  return path.basename(new URL(url).pathname);
+}
+
+/**
+ * Read and validate a snapshot manifest
+ * @param {string} snapshotDir - Snapshot directory
+ * @returns {Object} Manifest with a `files` map of file name to metadata
+ */
+function readSnapshotManifest(snapshotDir) {
+  if (snapshotManifests.has(snapshotDir)) {
+    return snapshotManifests.get(snapshotDir);
+  }
+
+  const manifestPath = path.join(snapshotDir, MANIFEST_FILE);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`EMA snapshot manifest not found: ${manifestPath}`);
+    }
+    throw new Error(`EMA snapshot manifest is not valid JSON: ${manifestPath} (${error.message})`);
+  }
+
+  if (!manifest || typeof manifest.files !== 'object' || manifest.files === null) {
+    throw new Error(`EMA snapshot manifest is missing a "files" map: ${manifestPath}`);
+  }
+
+  snapshotManifests.set(snapshotDir, manifest);
+  return manifest;
+}
+
+/**
+ * Look up a report in a snapshot manifest
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} url - Original EMA report URL
+ * @returns {{filePath: string, provenance: Object}} File path and snapshot provenance
+ */
+function findSnapshotFile(snapshotDir, url) {
+  const fileName = getReportFileName(url);
+  const manifest = readSnapshotManifest(snapshotDir);
+  const fileInfo = manifest.files[fileName];
+
+  if (!fileInfo || !fileInfo.downloaded_at) {
+    throw new Error(`EMA snapshot manifest has no download date for ${fileName}`);
+  }
+
+  const filePath = path.join(snapshotDir, fileName);
+  return {
+    filePath,
+    provenance: {
+      source_url: `file://${filePath}`,
+      last_updated: fileInfo.downloaded_at,
+      snapshot: {
+        name: manifest.snapshot || path.basename(snapshotDir),
+        directory: snapshotDir,
+        file: fileName,
+        downloaded_at: fileInfo.downloaded_at,
+        original_url: fileInfo.source_url || url
+      }
+    }
+  };
+}
+
+/**
+ * Check whether a snapshot holds a report
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} url - Original EMA report URL
+ * @returns {boolean} True when the manifest lists the report with a download date
+ */
+function hasSnapshotFile(snapshotDir, url) {
+  const fileInfo = readSnapshotManifest(snapshotDir).files[getReportFileName(url)];
+  return Boolean(fileInfo && fileInfo.downloaded_at);
+}
+
+/**
+ * Load a spreadsheet export from a local snapshot directory
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} url - Original EMA report URL
+ * @param {Function} parse - (bytes, filePath) => records; the result is cached per file
+ * @returns {{data: Array, provenance: Object}} Records and snapshot provenance
+ */
+function loadSnapshotExport(snapshotDir, url, parse) {
+  const { filePath, provenance } = findSnapshotFile(snapshotDir, url);
+  if (!snapshotFiles.has(filePath)) {
+    let body;
+    try {
+      body = fs.readFileSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`EMA snapshot file not found: ${filePath}`);
+      }
+      throw error;
+    }
+    snapshotFiles.set(filePath, parse(body, filePath));
+  }
+
+  return { data: snapshotFiles.get(filePath), provenance };
+}
+
+/**
+ * Load a report from a local snapshot directory
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} url - Original EMA report URL
+ * @returns {{json: *, provenance: Object}} Parsed report and snapshot provenance
+ */
+function loadSnapshotReport(snapshotDir, url) {
+  const { filePath, provenance } = findSnapshotFile(snapshotDir, url);
+  if (!snapshotFiles.has(filePath)) {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`EMA snapshot file not found: ${filePath}`);
+      }
+      throw new Error(`EMA snapshot file is not valid JSON: ${filePath} (${error.message})`);
+    }
+    snapshotFiles.set(filePath, json);
+  }
+
+  return { json: snapshotFiles.get(filePath), provenance };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  getSnapshotDir,
+  getSnapshotRoot,
+  listSnapshots,
+  resolveSnapshotDir,
+  getReportFileName,
+  readSnapshotManifest,
+  hasSnapshotFile,
+  loadSnapshotExport,
+  loadSnapshotReport
+};
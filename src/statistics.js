@@ -0,0 +1,300 @@
+const {
+  loadEmaDataset,
+  getRecordDate,
+  validateDateRangeParams,
+  validateQueryParam,
+  filterByDateRange,
+  filterByQuery,
+  getDatasetConfig,
+  DATASET_NAMES
+} = require('./ema-api.js');
+const { parameterError } = require('./errors.js');
+
+// List method whose query field shorthands apply to each dataset
+const DATASET_METHODS = {
+  medicines: 'search_medicines',
+  orphan_designations: 'get_orphan_designations',
+  shortages: 'get_supply_shortages',
+  referrals: 'get_referrals',
+  post_authorisation: 'get_post_auth_procedures',
+  dhpcs: 'get_dhpcs',
+  psusas: 'get_psusas',
+  pips: 'get_pips',
+  epar_documents: 'search_epar_documents',
+  all_documents: 'search_all_documents',
+  non_epar_documents: 'search_non_epar_documents',
+  herbal_medicines: 'get_herbal_medicines',
+  article58_medicines: 'get_article58_medicines'
+};
+
+// group_by keys that group by the record date instead of a field
+const DATE_INTERVALS = ['year', 'month'];
+
+const MAX_GROUP_BY = 5;
+const DEFAULT_TOP = 25;
+
+/**
+ * Normalise group_by to an array of field names
+ * @param {string|string[]} [groupBy] - Field name or names
+ * @returns {string[]} Field names
+ */
+function toGroupList(groupBy) {
+  if (groupBy === undefined) return [];
+  return Array.isArray(groupBy) ? groupBy : [groupBy];
+}
+
+/**
+ * Period of an ISO date for an interval
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} interval - year or month
+ * @returns {string} YYYY or YYYY-MM
+ */
+function periodOf(isoDate, interval) {
+  return interval === 'year' ? isoDate.slice(0, 4) : isoDate.slice(0, 7);
+}
+
+/**
+ * Every period from the first to the last, so gaps show up as zero counts
+ * @param {string} first - First period (YYYY or YYYY-MM)
+ * @param {string} last - Last period
+ * @param {string} interval - year or month
+ * @returns {string[]} Periods in order
+ */
+function periodRange(first, last, interval) {
+  const periods = [];
+  let year = Number(first.slice(0, 4));
+  let month = interval === 'month' ? Number(first.slice(5, 7)) : 1;
+
+  for (;;) {
+    const period = interval === 'year' ? String(year) : `${year}-${String(month).padStart(2, '0')}`;
+    periods.push(period);
+    if (period >= last) return periods;
+    if (interval === 'year' || month === 12) {
+      year++;
+      month = 1;
+    } else {
+      month++;
+    }
+  }
+}
+
+/**
+ * Count records per period
+ * @param {Array<string|null>} periods - Period of each record (null when undated)
+ * @param {string[]} [range] - Periods to report (default: first to last period in the data)
+ * @param {string} interval - year or month
+ * @returns {{points: Array<{period: string, count: number}>, undated: number}} Time series
+ */
+function countPeriods(periods, range, interval) {
+  const counts = new Map();
+  let undated = 0;
+  for (const period of periods) {
+    if (period === null) {
+      undated++;
+    } else {
+      counts.set(period, (counts.get(period) || 0) + 1);
+    }
+  }
+
+  const sorted = [...counts.keys()].sort();
+  const allPeriods = range || (sorted.length > 0 ? periodRange(sorted[0], sorted[sorted.length - 1], interval) : []);
+  return { points: allPeriods.map(period => ({ period, count: counts.get(period) || 0 })), undated };
+}
+
+/**
+ * Values of a field used as group keys. Multi-valued fields ("a; b") give one value
+ * per part when splitValues is set; a record counts once per distinct value.
+ * @param {*} value - Field value
+ * @param {boolean} splitValues - Split on semicolons and line breaks
+ * @returns {string[]} Trimmed values (empty when missing)
+ */
+function groupValues(value, splitValues) {
+  if (value === undefined || value === null) return [];
+  const text = String(value);
+  const parts = splitValues ? text.split(/[;\r\n]+/) : [text];
+  return [...new Set(parts.map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+}
+
+/**
+ * Count records per value of a field. Values differing only in case are counted together
+ * under their most frequent spelling (the first one seen on ties).
+ * @param {Array<Object>} records - Records
+ * @param {string} field - Field name
+ * @param {Object} options - {top, splitValues, interval, periods: period of each record, range: periods to report}
+ * @returns {Object} Facet: {field, distinct_count, missing_count, other_count, buckets}
+ */
+function countField(records, field, options) {
+  const groups = new Map();
+  let missing = 0;
+
+  records.forEach((record, i) => {
+    const values = groupValues(record[field], options.splitValues);
+    if (values.length === 0) {
+      missing++;
+      return;
+    }
+    for (const value of values) {
+      const key = value.toLowerCase();
+      let group = groups.get(key);
+      if (!group) {
+        group = { count: 0, spellings: new Map(), records: [] };
+        groups.set(key, group);
+      }
+      group.count++;
+      group.spellings.set(value, (group.spellings.get(value) || 0) + 1);
+      group.records.push(i);
+    }
+  });
+
+  const buckets = [...groups.values()]
+    .map(group => ({
+      value: [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+      count: group.count,
+      records: group.records
+    }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'en', { sensitivity: 'base', numeric: true }));
+
+  const shown = buckets.slice(0, options.top);
+  return {
+    field,
+    distinct_count: buckets.length,
+    missing_count: missing,
+    other_count: buckets.slice(options.top).reduce((sum, bucket) => sum + bucket.count, 0),
+    buckets: shown.map(bucket => ({
+      value: bucket.value,
+      count: bucket.count,
+      ...(options.interval
+        ? { series: countPeriods(bucket.records.map(i => options.periods[i]), options.range, options.interval).points }
+        : {})
+    }))
+  };
+}
+
+/**
+ * Count records per year or month of their date
+ * @param {Array<string|null>} dates - ISO date of each record (null when undated)
+ * @param {string} interval - year or month
+ * @returns {Object} Facet: {field, distinct_count, missing_count, other_count, buckets}
+ */
+function countDates(dates, interval) {
+  const { points, undated } = countPeriods(dates.map(date => (date ? periodOf(date, interval) : null)), null, interval);
+  return {
+    field: interval,
+    distinct_count: points.filter(point => point.count > 0).length,
+    missing_count: undated,
+    other_count: 0,
+    buckets: points.map(point => ({ value: point.period, count: point.count }))
+  };
+}
+
+/**
+ * Aggregate a dataset: record counts per field value (facets) and per year or month.
+ * Records are filtered with the same query and date range parameters as the list methods
+ * before counting, so no records have to be paged through to count them.
+ * @param {Object} params - Parameters
+ * @param {string} params.dataset - Dataset name (see DATASET_NAMES)
+ * @param {string|string[]} [params.group_by] - Fields to count values of; "year" or "month" group by the record date
+ * @param {string} [params.interval] - year or month: add a time series (overall and per facet value)
+ * @param {number} [params.top] - Values listed per facet (default: 25); the rest are summed in other_count
+ * @param {boolean} [params.split_values] - Count each part of multi-valued fields ("a; b") separately
+ * @param {string} [params.query] - Boolean query expression (see filterByQuery)
+ * @returns {Promise<Object>} Facets, optional time series and the number of records counted
+ */
+async function getDatasetStatistics(params = {}) {
+  // Validate input parameters
+  if (!params.dataset || !DATASET_NAMES.includes(params.dataset)) {
+    throw parameterError(`dataset must be one of: ${DATASET_NAMES.join(', ')}`);
+  }
+
+  const groupBy = toGroupList(params.group_by);
+  if (groupBy.some(field => typeof field !== 'string' || field.trim().length === 0)) {
+    throw parameterError('group_by must be a field name or an array of field names');
+  }
+
+  if (groupBy.length > MAX_GROUP_BY) {
+    throw parameterError(`group_by accepts at most ${MAX_GROUP_BY} fields`);
+  }
+
+  if (new Set(groupBy).size !== groupBy.length) {
+    throw parameterError('group_by must not repeat a field');
+  }
+
+  if (params.interval !== undefined && !DATE_INTERVALS.includes(params.interval)) {
+    throw parameterError(`interval must be one of: ${DATE_INTERVALS.join(', ')}`);
+  }
+
+  if (groupBy.length === 0 && !params.interval) {
+    throw parameterError('group_by or interval is required');
+  }
+
+  if (params.top !== undefined && (!Number.isInteger(params.top) || params.top < 1 || params.top > 1000)) {
+    throw parameterError('top must be an integer between 1 and 1000');
+  }
+
+  if (params.split_values !== undefined && typeof params.split_values !== 'boolean') {
+    throw parameterError('split_values must be a boolean (true or false)');
+  }
+
+  validateDateRangeParams(params);
+  validateQueryParam(params);
+
+  const { data, provenance } = await loadEmaDataset(params.dataset);
+  const datasetDateFields = getDatasetConfig(params.dataset).dateFields;
+  const dateFields = params.date_field ? [params.date_field] : datasetDateFields;
+
+  let records = filterByQuery(data, params, DATASET_METHODS[params.dataset], datasetDateFields);
+  records = filterByDateRange(records, params, datasetDateFields);
+
+  const knownFields = new Set();
+  for (const record of records) {
+    for (const field of Object.keys(record)) knownFields.add(field);
+  }
+  const unknown = groupBy.find(field => !DATE_INTERVALS.includes(field) && !knownFields.has(field));
+  if (unknown && records.length > 0) {
+    throw parameterError(`group_by field "${unknown}" does not occur in the ${params.dataset} dataset. ` +
+      `Use year, month or one of: ${[...knownFields].sort().join(', ')}`);
+  }
+
+  const dates = records.map(record => getRecordDate(record, dateFields));
+
+  let timeSeries = null;
+  let periods = null;
+  let range = null;
+  if (params.interval) {
+    periods = dates.map(date => (date ? periodOf(date, params.interval) : null));
+    const overall = countPeriods(periods, null, params.interval);
+    range = overall.points.map(point => point.period);
+    timeSeries = {
+      interval: params.interval,
+      date_fields: dateFields,
+      points: overall.points,
+      undated_count: overall.undated
+    };
+  }
+
+  const options = { top: params.top || DEFAULT_TOP, splitValues: params.split_values === true, interval: params.interval, periods, range };
+  const facets = groupBy.map(field =>
+    (DATE_INTERVALS.includes(field) ? countDates(dates, field) : countField(records, field, options))
+  );
+
+  return {
+    dataset: params.dataset,
+    total_count: records.length,
+    dataset_count: data.length,
+    filters: {
+      query: params.query || null,
+      date_from: params.date_from || null,
+      date_to: params.date_to || null,
+      date_fields: dateFields
+    },
+    facets,
+    ...(timeSeries ? { time_series: timeSeries } : {}),
+    source: 'EMA Dataset Statistics',
+    ...provenance
+  };
+}
+
+module.exports = {
+  getDatasetStatistics,
+  DATE_INTERVALS
+};
@@ -0,0 +1,276 @@
+// Hydrate words never change which substance a name refers to
+const HYDRATE_WORDS = new Set([
+  'anhydrous', 'dihydrate', 'hemihydrate', 'monohydrate', 'sesquihydrate', 'trihydrate'
+]);
+
+// Counter-ions: dropped beside an active moiety ("atorvastatin calcium", "metformin hydrochloride"), but
+// a name made only of counter-ions ("zinc acetate", "calcium carbonate") is itself the substance
+const COUNTER_IONS = new Set([
+  // Cations and basic counter-ions
+  'arginine', 'calcium', 'dipotassium', 'disodium', 'hydrogen', 'lysine', 'magnesium', 'meglumine',
+  'potassium', 'sodium', 'trometamol', 'zinc',
+  // Anions
+  'acetate', 'besilate', 'besylate', 'bicarbonate', 'bitartrate', 'bromide', 'carbonate', 'chloride',
+  'citrate', 'dihydrochloride', 'dimesylate', 'edisilate', 'fluoride', 'fumarate', 'gluconate',
+  'hemifumarate', 'hemisulfate', 'hyclate', 'hydrobromide', 'hydrochloride', 'hydroxide', 'iodide',
+  'lactate', 'maleate', 'malate', 'mesilate', 'mesylate', 'nitrate', 'oxalate', 'oxide', 'pamoate',
+  'peroxide', 'phosphate', 'succinate', 'sulfate', 'sulphate', 'tartrate', 'tosilate', 'tosylate'
+]);
+
+// Vaccines, allergen extracts and cell therapies list antigens, species or cell markers inside one
+// substance name ("Measles, mumps, rubella and varicella vaccine (live)"), so they are never split
+const SINGLE_SUBSTANCE_WORDS = /\b(?:vaccines?|allergens?|cells?)\b/i;
+
+// Component separators: "," ";" and "and"; "+" except after a digit ("CD3+ cells"); "/" when spaced, next to
+// a bracketed group or between whole words ("insulin aspart/insulin degludec", not "A/California/7/2009")
+const COMPONENT_SEPARATOR = /\s*(?:[,;]|\band\b|(?<![0-9])\+|\s\/|\/\s|(?<=^|[a-z]{3})\/(?=[a-z]{3}|$))\s*/i;
+
+// Non-INN names (USAN, BAN, common usage) mapped to the INN used in EMA reports
+const NAME_SYNONYMS = {
+  'acetaminophen': 'paracetamol',
+  'albuterol': 'salbutamol',
+  'cyclosporine': 'ciclosporin',
+  'cyclosporin': 'ciclosporin',
+  'epinephrine': 'adrenaline',
+  'norepinephrine': 'noradrenaline',
+  'frusemide': 'furosemide',
+  'glyburide': 'glibenclamide',
+  'lignocaine': 'lidocaine',
+  'meperidine': 'pethidine',
+  'rifampin': 'rifampicin',
+  'isoproterenol': 'isoprenaline'
+};
+
+/**
+ * Lowercase a name, strip accents and punctuation, and collapse whitespace
+ * @param {*} value - Raw name
+ * @returns {string} Normalised name ('' for empty values)
+ */
+function normaliseName(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a substance field into its components ("insulin aspart / insulin degludec"). Separators inside
+ * parentheses or brackets ("pertussis (acellular, component)") do not split.
+ * @param {*} value - Raw substance field
+ * @returns {string[]} Component names (not normalised)
+ */
+function splitSubstanceComponents(value) {
+  if (value === undefined || value === null) return [];
+  const text = String(value).trim();
+
+  // Cut the name into top-level text and bracketed groups, so only top-level text is split
+  const pieces = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if ('([{'.includes(text[i])) {
+      if (depth === 0) {
+        pieces.push({ text: text.slice(start, i), nested: false });
+        start = i;
+      }
+      depth++;
+    } else if (')]}'.includes(text[i]) && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        pieces.push({ text: text.slice(start, i + 1), nested: true });
+        start = i + 1;
+      }
+    }
+  }
+  pieces.push({ text: text.slice(start), nested: depth > 0 });
+
+  const topLevel = pieces.filter(piece => !piece.nested).map(piece => piece.text).join(' ');
+  if (SINGLE_SUBSTANCE_WORDS.test(topLevel)) {
+    return text ? [text] : [];
+  }
+
+  const components = [''];
+  for (const piece of pieces) {
+    if (piece.nested) {
+      components[components.length - 1] += piece.text;
+      continue;
+    }
+    const [first, ...rest] = piece.text.split(COMPONENT_SEPARATOR);
+    components[components.length - 1] += first;
+    components.push(...rest);
+  }
+
+  return components.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Canonical identifier for a single substance: normalised, hydrate words and counter-ions beside
+ * the active moiety removed, synonyms mapped to the INN ("Metformin Hydrochloride" -> "metformin")
+ * @param {string} name - Single substance name
+ * @returns {string} Canonical substance ID ('' if the name is empty)
+ */
+function canonicalSubstanceId(name) {
+  const normalised = normaliseName(name);
+  const allWords = normalised.split(' ').filter(Boolean);
+  const withoutHydrates = allWords.filter(word => !HYDRATE_WORDS.has(word));
+  const words = withoutHydrates.length > 0 ? withoutHydrates : allWords;
+
+  // Without an active moiety left, the counter-ions are the substance: "zinc acetate" is not "acetate"
+  const moiety = words.filter(word => !COUNTER_IONS.has(word));
+  const base = (moiety.length > 0 ? moiety : words).join(' ');
+  return NAME_SYNONYMS[base] || base;
+}
+
+/**
+ * Check whether `haystack` contains `needle` as a run of whole words
+ * @param {string} haystack - Normalised text
+ * @param {string} needle - Normalised text
+ * @returns {boolean} True on a whole-word match
+ */
+function containsWords(haystack, needle) {
+  return needle.length > 0 && ` ${haystack} `.includes(` ${needle} `);
+}
+
+/**
+ * Build a substance and product index from medicines report records
+ * @param {Array} medicines - Records from the EMA medicines report
+ * @returns {Object} Index with substances (ID -> aliases, products) and products (trade name -> substance IDs)
+ */
+function buildSubstanceIndex(medicines) {
+  const substances = new Map();
+  const products = new Map();
+
+  const register = (id, alias, product) => {
+    if (!id) return;
+    if (!substances.has(id)) {
+      substances.set(id, { id, aliases: new Set(), products: new Map() });
+    }
+    const entry = substances.get(id);
+    entry.aliases.add(alias);
+    const productKey = product.ema_product_number || product.name_of_medicine;
+    if (productKey) {
+      entry.products.set(productKey, {
+        ema_product_number: product.ema_product_number || null,
+        name_of_medicine: product.name_of_medicine || null
+      });
+    }
+  };
+
+  for (const medicine of medicines) {
+    const componentIds = new Set();
+
+    for (const field of ['active_substance', 'international_non_proprietary_name_common_name']) {
+      for (const component of splitSubstanceComponents(medicine[field])) {
+        const id = canonicalSubstanceId(component);
+        register(id, component.trim(), medicine);
+        if (id) componentIds.add(id);
+      }
+    }
+
+    const tradeName = normaliseName(medicine.name_of_medicine);
+    if (tradeName && componentIds.size > 0) {
+      const existing = products.get(tradeName) || new Set();
+      componentIds.forEach(id => existing.add(id));
+      products.set(tradeName, existing);
+    }
+  }
+
+  return { substances, products };
+}
+
+/**
+ * Resolve a substance query (INN, salt form, synonym, combination or trade name)
+ * to canonical substance IDs
+ * @param {string} query - Substance or trade name as typed by the caller
+ * @param {Object|null} index - Index from buildSubstanceIndex (null resolves by rules only)
+ * @returns {Object} {query, ids, normalised, via} where via is 'substance', 'trade_name' or 'text'
+ */
+function resolveSubstance(query, index) {
+  const normalised = normaliseName(query);
+  const componentIds = splitSubstanceComponents(query).map(canonicalSubstanceId).filter(Boolean);
+
+  if (index) {
+    if (componentIds.length > 0 && componentIds.every(id => index.substances.has(id))) {
+      return { query, ids: componentIds, normalised, via: 'substance' };
+    }
+
+    // A trade name resolves to the substances of that product ("Ozempic" -> semaglutide)
+    const productIds = index.products.get(normalised);
+    if (productIds) {
+      return { query, ids: [...productIds], normalised, via: 'trade_name' };
+    }
+  }
+
+  return { query, ids: componentIds, normalised, via: 'text' };
+}
+
+/**
+ * Check whether a record's substance field refers to a resolved substance.
+ * Matches when any component of the field has one of the resolved canonical IDs,
+ * or contains the query as whole words (so "insulin" still matches every insulin).
+ * @param {*} value - Substance field from a record
+ * @param {Object} resolved - Result of resolveSubstance
+ * @returns {boolean} True if the field refers to the substance
+ */
+function matchesSubstance(value, resolved) {
+  if (!value) return false;
+
+  const components = splitSubstanceComponents(value);
+  if (components.some(component => resolved.ids.includes(canonicalSubstanceId(component)))) {
+    return true;
+  }
+
+  const queryId = resolved.ids.length === 1 ? resolved.ids[0] : null;
+  return components.some(component => {
+    const normalisedComponent = normaliseName(component);
+    return containsWords(normalisedComponent, resolved.normalised) ||
+      (queryId !== null && containsWords(canonicalSubstanceId(component), queryId));
+  });
+}
+
+/**
+ * Check whether a record's product name field matches a trade name query.
+ * Case, accents and punctuation are ignored; partial names still match ("Ozemp").
+ * @param {*} value - Product name field from a record
+ * @param {string} query - Trade name as typed by the caller
+ * @returns {boolean} True if the field contains the name
+ */
+function matchesProductName(value, query) {
+  const normalisedQuery = normaliseName(query);
+  return normalisedQuery.length > 0 && normaliseName(value).includes(normalisedQuery);
+}
+
+/**
+ * Describe a resolved substance for API responses
+ * @param {Object} resolved - Result of resolveSubstance
+ * @param {Object|null} index - Substance index
+ * @returns {Object} Canonical IDs with their known aliases and products
+ */
+function describeResolution(resolved, index) {
+  return {
+    query: resolved.query,
+    resolved_via: resolved.via,
+    substances: resolved.ids.map(id => {
+      const entry = index && index.substances.get(id);
+      return {
+        id,
+        aliases: entry ? [...entry.aliases].sort() : [],
+        products: entry ? [...entry.products.values()] : []
+      };
+    })
+  };
+}
+
+module.exports = {
+  normaliseName,
+  splitSubstanceComponents,
+  canonicalSubstanceId,
+  buildSubstanceIndex,
+  resolveSubstance,
+  matchesSubstance,
+  matchesProductName,
+  describeResolution
+};
@@ -0,0 +1,257 @@
+// Compact text summaries returned next to structured tool output
+
+// Records listed in a summary; the full page is in structuredContent
+const SUMMARY_RECORDS = 10;
+
+// Fields that name a record and date it in summaries, per list method
+const LIST_LABELS = {
+  search_medicines: [['name_of_medicine'], 'marketing_authorisation_date'],
+  get_orphan_designations: [['active_substance', 'eu_designation_number'], 'date_of_designation_or_refusal'],
+  get_supply_shortages: [['medicine_affected', 'international_non_proprietary_name_inn_or_common_name'], 'start_of_shortage_date'],
+  get_referrals: [['international_non_proprietary_name_inn_common_name', 'procedure_number'], 'procedure_start_date'],
+  get_post_auth_procedures: [['medicine_name', 'procedure_number'], 'decision_date'],
+  get_dhpcs: [['name_of_medicine', 'active_substances'], 'dissemination_date'],
+  get_psusas: [['active_substance', 'procedure_number'], 'decision_date'],
+  get_pips: [['active_substance', 'pip_number'], 'decision_date'],
+  get_herbal_medicines: [['herbal_substance', 'botanical_name'], 'first_published_date'],
+  get_article58_medicines: [['medicine_name', 'active_substance'], 'opinion_date'],
+  search_epar_documents: [['title', 'document_title', 'medicine_name'], 'first_published_date'],
+  search_all_documents: [['title', 'document_title'], 'first_published_date'],
+  search_non_epar_documents: [['title', 'document_title'], 'first_published_date'],
+  search_documents_fulltext: [['title', 'document_title', 'medicine_name'], 'first_published_date']
+};
+
+/**
+ * Summarise one page of a list method
+ * @param {string} method - Method name (key of LIST_LABELS)
+ * @param {Object} page - Paginated result
+ * @returns {string} Summary text
+ */
+function summarisePage(method, page) {
+  const [labelFields, dateField] = LIST_LABELS[method];
+  const start = page.offset || 0;
+  const lines = [
+    page.returned_count > 0
+      ? `${page.source}: records ${start + 1}-${start + page.returned_count} of ${page.total_count}.`
+      : `${page.source}: no matching records (total ${page.total_count}).`
+  ];
+
+  page.results.slice(0, SUMMARY_RECORDS).forEach((record, i) => {
+    const label = labelFields.map(field => record[field]).find(Boolean) || '(unnamed)';
+    lines.push(`${start + i + 1}. ${label}${record[dateField] ? ` (${record[dateField]})` : ''}`);
+  });
+
+  if (page.results.length > SUMMARY_RECORDS) {
+    lines.push(`... ${page.results.length - SUMMARY_RECORDS} more in this page.`);
+  }
+  if (page.has_more) {
+    lines.push('More results: pass next_cursor as cursor.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarise a get_medicine_by_name result
+ * @param {Object} result - Lookup result
+ * @returns {string} Summary text
+ */
+function summariseLookup(result) {
+  if (!result.found) {
+    return result.message;
+  }
+
+  const { medicine, match } = result;
+  const lines = [
+    `${medicine.name_of_medicine} (${[medicine.ema_product_number, medicine.active_substance, medicine.medicine_status].filter(Boolean).join(', ')}): ` +
+    `${match.match_type} match on ${match.matched_field}, score ${match.score}.`
+  ];
+  if (result.ambiguous) {
+    lines.push(`Ambiguous. Other candidates: ${result.candidates.slice(1).map(c => `${c.name_of_medicine} (${c.score})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarise a get_changes result
+ * @param {Object} result - Change feed
+ * @returns {string} Summary text
+ */
+function summariseChanges(result) {
+  const { summary } = result;
+  return `${result.dataset} (${result.from.snapshot || 'current'} -> ${result.to.snapshot || 'current'}, key ${result.key_field}): ` +
+    `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged.`;
+}
+
+/**
+ * Summarise a get_statistics result
+ * @param {Object} result - Statistics
+ * @returns {string} Summary text
+ */
+function summariseStatistics(result) {
+  const lines = [`${result.dataset}: ${result.total_count} of ${result.dataset_count} records counted.`];
+  for (const facet of result.facets) {
+    const buckets = facet.buckets.slice(0, SUMMARY_RECORDS).map(bucket => `${bucket.value} ${bucket.count}`).join(', ');
+    const more = facet.buckets.length > SUMMARY_RECORDS ? `, ... ${facet.buckets.length - SUMMARY_RECORDS} more` : '';
+    lines.push(`By ${facet.field}: ${buckets || 'no values'}${more}${facet.missing_count ? ` (${facet.missing_count} without a value)` : ''}.`);
+  }
+  if (result.time_series) {
+    const points = result.time_series.points;
+    lines.push(`Per ${result.time_series.interval}: ${points.length > 0 ? `${points[0].period} to ${points[points.length - 1].period}, ` +
+      `peak ${points.reduce((peak, point) => (point.count > peak.count ? point : peak)).period}` : 'no dated records'}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarise a dossier or timeline request whose name matched several medicines
+ * @param {Object} result - Result with message and candidates
+ * @returns {string} Summary text
+ */
+function summariseAmbiguousName(result) {
+  return `${result.message}\nCandidates: ${result.candidates.map(c => `${c.name_of_medicine} (${c.ema_product_number}, score ${c.score})`).join(', ')}`;
+}
+
+/**
+ * Summarise a get_medicine_dossier result
+ * @param {Object} result - Dossier
+ * @returns {string} Summary text
+ */
+function summariseDossier(result) {
+  if (result.ambiguous) {
+    return summariseAmbiguousName(result);
+  }
+  if (result.message) {
+    return result.message;
+  }
+
+  const lines = [
+    `Dossier for ${result.matched_on.trade_names.join(', ') || '(no medicines)'} (substances: ${result.matched_on.substances.join(', ')}).`,
+    Object.entries(result.sections).map(([section, content]) => `${section}: ${content.total_count}`).join(', ')
+  ];
+  if (result.errors) {
+    lines.push(`Unavailable sections: ${Object.keys(result.errors).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarise a get_medicine_timeline result
+ * @param {Object} result - Timeline
+ * @returns {string} Summary text
+ */
+function summariseTimeline(result) {
+  if (result.ambiguous) {
+    return summariseAmbiguousName(result);
+  }
+  if (!result.found) {
+    return result.message;
+  }
+
+  const lines = [`${result.medicine.name_of_medicine} (${[result.medicine.ema_product_number, result.medicine.active_substance].filter(Boolean).join(', ')}): ${result.total_count} events.`];
+  result.events.slice(0, SUMMARY_RECORDS).forEach(event => {
+    lines.push(`${event.date || 'undated'} ${event.title}${event.reference ? ` (${event.reference})` : ''}`);
+  });
+  if (result.events.length > SUMMARY_RECORDS) {
+    lines.push(`... ${result.events.length - SUMMARY_RECORDS} more events.`);
+  }
+  if (result.errors) {
+    lines.push(`Unavailable sources: ${Object.keys(result.errors).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarise a resolve_substance result
+ * @param {Object} result - Substance resolution
+ * @returns {string} Summary text
+ */
+function summariseResolution(result) {
+  const substances = result.substances
+    .map(s => `${s.id} (${s.products.length} products)`)
+    .join(', ');
+  return `"${result.query}" resolved via ${result.resolved_via}: ${substances || 'no substances'}.`;
+}
+
+// List method whose record labels apply to each watched dataset
+const WATCHLIST_METHODS = {
+  shortages: 'get_supply_shortages',
+  dhpcs: 'get_dhpcs',
+  referrals: 'get_referrals',
+  psusas: 'get_psusas',
+  post_authorisation: 'get_post_auth_procedures'
+};
+
+/**
+ * Summarise a save_watchlist result
+ * @param {Object} result - Stored watchlist
+ * @returns {string} Summary text
+ */
+function summariseWatchlist(result) {
+  return `Watchlist ${result.watchlist} ${result.created ? 'created' : 'updated'}: ${result.item_count} items ` +
+    `(${result.added.length} added, ${result.removed.length} removed).`;
+}
+
+/**
+ * Summarise a check_watchlist result
+ * @param {Object} result - Watchlist check
+ * @returns {string} Summary text
+ */
+function summariseWatchlistCheck(result) {
+  const { summary } = result;
+  const lines = [
+    `Watchlist ${result.watchlist}, ${summary.items} items, since ${result.previous_check || 'first check'}: ` +
+    `${summary.new} new, ${summary.changed} changed, ${summary.removed} removed.` +
+    (summary.baseline_items > 0 ? ` First check of ${summary.baseline_items} of the items: baseline recorded.` : '') +
+    (result.dry_run ? ' Dry run: this check was not recorded.' : '')
+  ];
+
+  const shown = result.alerts.slice(0, SUMMARY_RECORDS);
+  shown.forEach(alert => {
+    const [labelFields] = LIST_LABELS[WATCHLIST_METHODS[alert.dataset]];
+    const label = labelFields.map(field => alert.record[field]).find(Boolean) || alert.key;
+    const changed = alert.changes ? `: ${Object.keys(alert.changes).join(', ')}` : '';
+    lines.push(`[${alert.change}] ${alert.item_value} / ${alert.dataset}: ${label}${alert.date ? ` (${alert.date})` : ''}${changed}`);
+  });
+  if (result.total_count > shown.length) {
+    lines.push(`... ${result.total_count - shown.length} more alerts.`);
+  }
+
+  const failed = result.items.filter(item => item.errors);
+  if (failed.length > 0) {
+    lines.push(`Unavailable sources for: ${failed.map(item => `${item.value} (${Object.keys(item.errors).join(', ')})`).join('; ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the compact text summary for a method's result
+ * @param {string} method - Method name
+ * @param {Object} result - Method result
+ * @returns {string} Summary text
+ */
+function summariseResult(method, result) {
+  switch (method) {
+    case 'get_medicine_by_name':
+      return summariseLookup(result);
+    case 'get_changes':
+      return summariseChanges(result);
+    case 'get_statistics':
+      return summariseStatistics(result);
+    case 'get_medicine_dossier':
+      return summariseDossier(result);
+    case 'get_medicine_timeline':
+      return summariseTimeline(result);
+    case 'resolve_substance':
+      return summariseResolution(result);
+    case 'save_watchlist':
+      return summariseWatchlist(result);
+    case 'check_watchlist':
+      return summariseWatchlistCheck(result);
+    default:
+      return summarisePage(method, result);
+  }
+}
+
+module.exports = {
+  summariseResult
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { downloadEmaReport, getDatasetConfig, DATASET_NAMES } = require('./ema-api.js');
+const { MANIFEST_FILE, getSnapshotRoot } = require('./snapshot.js');
+
+/**
+ * Parse `sync` subcommand arguments
+ * --dir <path>   Snapshot root directory (default: EMA_SNAPSHOT_ROOT or ./ema-snapshots)
+ * --name <name>  Snapshot directory name (default: today's date, YYYY-MM-DD)
+ * @param {string[]} args - Arguments following `sync`
+ * @returns {{root: string, name: string}} Sync options
+ */
+function parseSyncArgs(args) {
+  const options = {
+    root: getSnapshotRoot(),
+    name: new Date().toISOString().slice(0, 10)
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dir' || arg === '--name') {
+      const value = args[i + 1];
+      if (!value || value.startsWith('--')) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[arg === '--dir' ? 'root' : 'name'] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown sync option: ${arg}`);
+    }
+  }
+
+  if (options.name.includes('/') || options.name.includes('\\') || options.name.startsWith('.')) {
+    throw new Error(`Invalid snapshot name: ${options.name}`);
+  }
+
+  return options;
+}
+
+/**
+ * Download every EMA report, including the spreadsheet exports, into a new snapshot directory with a checksum manifest.
+ * Files are written to a temporary directory that is renamed into place once all
+ * downloads have been attempted, so a snapshot directory is never half-written.
+ * @param {Object} options - {root, name} from parseSyncArgs
+ * @returns {Promise<Object>} Manifest of the written snapshot
+ */
+async function syncSnapshot(options) {
+  const snapshotDir = path.resolve(options.root, options.name);
+  if (fs.existsSync(snapshotDir)) {
+    throw new Error(`Snapshot directory already exists: ${snapshotDir} (choose another --name)`);
+  }
+
+  fs.mkdirSync(path.dirname(snapshotDir), { recursive: true });
+  const tmpDir = fs.mkdtempSync(`${snapshotDir}.partial-`);
+
+  const manifest = {
+    snapshot: options.name,
+    created_at: new Date().toISOString(),
+    generator: 'ema-mcp-server sync',
+    complete: true,
+    files: {},
+    failed: {}
+  };
+
+  try {
+    // Sequential on purpose: the reports are large and EMA rate-limits aggressive clients
+    for (const datasetName of DATASET_NAMES) {
+      const dataset = getDatasetConfig(datasetName);
+      try {
+        const { url, body, recordCount } = await downloadEmaReport(datasetName);
+        fs.writeFileSync(path.join(tmpDir, dataset.endpoint), body);
+
+        manifest.files[dataset.endpoint] = {
+          dataset: datasetName,
+          source_url: url,
+          downloaded_at: new Date().toISOString(),
+          sha256: crypto.createHash('sha256').update(body).digest('hex'),
+          bytes: Buffer.byteLength(body),
+          record_count: recordCount
+        };
+        console.error(`  ${datasetName}: ${recordCount} records`);
+      } catch (error) {
+        manifest.complete = false;
+        manifest.failed[dataset.endpoint] = { dataset: datasetName, error: error.message };
+        console.error(`  ${datasetName}: FAILED (${error.message})`);
+      }
+    }
+
+    fs.writeFileSync(path.join(tmpDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmpDir, snapshotDir);
+  } catch (error) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return { directory: snapshotDir, ...manifest };
+}
+
+/**
+ * Entry point for `ema-mcp-server sync`
+ * @param {string[]} args - Arguments following `sync`
+ * @returns {Promise<number>} Process exit code (1 if any dataset failed)
+ */
+async function runSync(args) {
+  const options = parseSyncArgs(args);
+  console.error(`Syncing EMA reports into ${path.resolve(options.root, options.name)}`);
+
+  const result = await syncSnapshot(options);
+  const failedCount = Object.keys(result.failed).length;
+
+  console.error(`Snapshot ${result.snapshot} written to ${result.directory}` +
+    (failedCount ? ` (${failedCount} dataset(s) failed)` : ''));
+  return failedCount ? 1 : 0;
+}
+
+module.exports = {
+  runSync,
+  syncSnapshot
+};
@@ -0,0 +1,367 @@
+const zlib = require('zlib');
+
+// Rows scanned for the header line; EMA Excel exports start with a title block
+const HEADER_SEARCH_ROWS = 30;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the XML entities used in Office Open XML text
+ * @param {string} text - XML text content
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Read the entries of a ZIP archive (stored or deflated, no ZIP64)
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Map<string, Buffer>} Entry name -> uncompressed bytes
+ */
+function readZipEntries(buffer) {
+  // End of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('not a valid ZIP archive (end of central directory not found)');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Convert a cell reference column ("A", "AB") to a zero-based index
+ * @param {string} ref - Cell reference (e.g., "C12")
+ * @returns {number} Column index
+ */
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)[0];
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Concatenate the <t> runs of a shared or inline string
+ * @param {string} xml - <si> or <is> content
+ * @returns {string} Text
+ */
+function stringItemText(xml) {
+  // Phonetic runs (<rPh>) repeat the text as a reading aid
+  const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  let text = '';
+  for (const match of withoutPhonetic.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) {
+    text += match[1];
+  }
+  return decodeXml(text);
+}
+
+/**
+ * Find the part name of a workbook's first visible worksheet. The sheet order is the
+ * order of <sheet> elements in xl/workbook.xml; each points through its relationship
+ * ID at a part whose file name need not match its position (sheet3.xml can come first).
+ * Without a workbook part, falls back to the lowest numbered worksheet.
+ * @param {Map<string, Buffer>} entries - ZIP entries
+ * @returns {string|undefined} Entry name (e.g., 'xl/worksheets/sheet1.xml')
+ */
+function findFirstSheet(entries) {
+  const workbook = entries.get('xl/workbook.xml');
+  const rels = entries.get('xl/_rels/workbook.xml.rels');
+
+  if (workbook && rels) {
+    const targets = new Map();
+    for (const match of rels.toString('utf8').matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+      const id = /\bId="([^"]*)"/.exec(match[1]);
+      const target = /\bTarget="([^"]*)"/.exec(match[1]);
+      if (id && target) targets.set(id[1], decodeXml(target[1]));
+    }
+
+    for (const match of workbook.toString('utf8').matchAll(/<(?:\w+:)?sheet\b([^>]*?)\/?>/g)) {
+      if (/\bstate="(hidden|veryHidden)"/.test(match[1])) continue;
+      const id = /\b\w+:id="([^"]*)"/.exec(match[1]);
+      const target = id && targets.get(id[1]);
+      if (!target) continue;
+
+      // Targets are relative to xl/, or absolute within the package
+      const name = target.startsWith('/') ? target.slice(1) : `xl/${target}`.replace(/[^/]+\/\.\.\//g, '');
+      if (entries.has(name)) return name;
+    }
+  }
+
+  return [...entries.keys()]
+    .map(name => ({ name, number: (/^xl\/worksheets\/sheet(\d+)\.xml$/.exec(name) || [])[1] }))
+    .filter(sheet => sheet.number !== undefined)
+    .sort((a, b) => Number(a.number) - Number(b.number))
+    .map(sheet => sheet.name)[0];
+}
+
+/**
+ * Read the first visible worksheet of an Excel (.xlsx) workbook as rows of cell values.
+ * Numbers stay numbers (dates are Excel serial numbers); everything else is text.
+ * @param {Buffer} buffer - Workbook bytes
+ * @returns {Array<Array>} Rows
+ */
+function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+
+  const sheetName = findFirstSheet(entries);
+  if (!sheetName) {
+    throw new Error('workbook has no worksheet');
+  }
+
+  // Indexes must line up with <v> references, so empty items (<si/>) count too
+  const sharedStrings = [];
+  if (entries.has('xl/sharedStrings.xml')) {
+    for (const match of entries.get('xl/sharedStrings.xml').toString('utf8').matchAll(/<si(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/si>)/g)) {
+      sharedStrings.push(stringItemText(match[1] || ''));
+    }
+  }
+
+  const rows = [];
+  const sheet = entries.get(sheetName).toString('utf8');
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cell of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cell[1];
+      const content = cell[2] || '';
+      const ref = /\br="([A-Z]+\d+)"/.exec(attributes);
+      const type = (/\bt="(\w+)"/.exec(attributes) || [])[1];
+      const valueMatch = /<v>([\s\S]*?)<\/v>/.exec(content);
+      const raw = valueMatch ? decodeXml(valueMatch[1]) : null;
+
+      let value;
+      if (type === 's') {
+        value = raw === null ? null : sharedStrings[Number(raw)];
+      } else if (type === 'inlineStr') {
+        value = stringItemText(content);
+      } else if (type === 'str' || type === 'e') {
+        value = raw;
+      } else if (type === 'b') {
+        value = raw === null ? null : raw === '1';
+      } else {
+        value = raw === null || raw === '' ? null : Number(raw);
+      }
+
+      row[ref ? columnIndex(ref[1]) : row.length] = value;
+    }
+    rows.push(Array.from(row, value => (value === undefined ? null : value)));
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, comma or semicolon delimited)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsvRows(text) {
+  const body = text.replace(/^\uFEFF/, '');
+  const firstLine = body.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quoted) {
+      if (char === '"' && body[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && body[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read a downloaded report as rows. Detects Excel (.xlsx), JSON and CSV from the content.
+ * JSON reports ([...] or {data: [...]}) are returned as a header row followed by value rows.
+ * @param {Buffer} buffer - Report bytes
+ * @returns {Array<Array>} Rows
+ */
+function readReportRows(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return readXlsxRows(buffer);
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const trimmed = text.trimStart();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`invalid JSON (${error.message})`);
+    }
+    const records = Array.isArray(json) ? json : json && Array.isArray(json.data) ? json.data : null;
+    if (!records) {
+      throw new Error('JSON report is neither an array nor {data: [...]}');
+    }
+    const header = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+    return [header, ...records.map(record => header.map(key => record[key]))];
+  }
+
+  if (/^<(!doctype|html)\b/i.test(trimmed)) {
+    throw new Error('received an HTML page instead of a data export');
+  }
+
+  return parseCsvRows(text);
+}
+
+/**
+ * Normalise a column header to a snake_case field name
+ * @param {*} header - Header cell
+ * @returns {string} Field name
+ */
+function normaliseHeader(header) {
+  return String(header === null || header === undefined ? '' : header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Convert an Excel serial date (1900 date system) to ISO
+ * @param {number} serial - Days since 1899-12-30
+ * @returns {string} ISO date
+ */
+function excelSerialToIso(serial) {
+  return new Date(Date.UTC(1899, 11, 30) + Math.round(serial) * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Turn report rows into records with this server's field names.
+ * The header row is the first row (within HEADER_SEARCH_ROWS) that contains every required field;
+ * columns are renamed through `columns` (field -> accepted header names), other columns keep
+ * their normalised header. Values of *_date fields that are Excel serial numbers become ISO dates.
+ * @param {Array<Array>} rows - Report rows
+ * @param {Object} columns - Field name -> array of accepted headers (normalised)
+ * @param {string[][]} requiredFields - Groups of fields; each group needs at least one column
+ * @returns {Array<Object>} Records
+ */
+function rowsToRecords(rows, columns, requiredFields) {
+  const headerAliases = new Map();
+  for (const [field, aliases] of Object.entries(columns)) {
+    for (const alias of [field, ...aliases]) {
+      if (!headerAliases.has(alias)) headerAliases.set(alias, field);
+    }
+  }
+
+  const fieldsOf = row => row.map(cell => {
+    const header = normaliseHeader(cell);
+    return headerAliases.get(header) || header;
+  });
+
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => {
+    const fields = fieldsOf(row);
+    return requiredFields.every(group => group.some(field => fields.includes(field)));
+  });
+  if (headerIndex === -1) {
+    const firstRow = rows.find(row => row.some(cell => cell !== null && cell !== '')) || [];
+    throw new Error(`no header row with the expected columns (${requiredFields.map(group => group.join(' or ')).join('; ')})` +
+      (firstRow.length ? `; first row: ${firstRow.filter(cell => cell !== null && cell !== '').slice(0, 8).join(', ')}` : '; the file is empty'));
+  }
+
+  const fields = fieldsOf(rows[headerIndex]);
+  const records = [];
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    if (!row.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== '')) continue;
+
+    const record = {};
+    fields.forEach((field, i) => {
+      if (!field || record[field] !== undefined) return;
+      let value = row[i] === undefined ? null : row[i];
+      if (typeof value === 'number' && field.endsWith('_date')) {
+        value = excelSerialToIso(value);
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+      } else if (typeof value === 'string') {
+        value = value.trim() || null;
+      }
+      record[field] = value;
+    });
+    records.push(record);
+  }
+
+  return records;
+}
+
+module.exports = {
+  readReportRows,
+  rowsToRecords,
+  normaliseHeader
+};
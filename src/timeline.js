@@ -0,0 +1,299 @@
+const { parseEmaDate, validateDateRangeParams } = require('./ema-api.js');
+const { getMedicineDossier } = require('./dossier.js');
+const { parameterError } = require('./errors.js');
+
+const EVENT_TYPES = [
+  'orphan_designation',
+  'pip_decision',
+  'start_of_evaluation',
+  'chmp_opinion',
+  'marketing_authorisation',
+  'conversion_to_standard',
+  'post_authorisation_procedure',
+  'dhpc',
+  'psusa',
+  'referral',
+  'suspension',
+  'refusal',
+  'withdrawal'
+];
+
+// Milestones read from the medicine record itself: date field -> event type and title
+const MEDICINE_MILESTONES = [
+  ['start_of_rolling_review_date', 'start_of_evaluation', 'Start of rolling review'],
+  ['start_of_evaluation_date', 'start_of_evaluation', 'Start of evaluation'],
+  ['opinion_adopted_date', 'chmp_opinion', 'CHMP opinion adopted'],
+  ['marketing_authorisation_date', 'marketing_authorisation', 'Marketing authorisation'],
+  ['withdrawal_of_application_date', 'withdrawal', 'Marketing authorisation application withdrawn'],
+  ['refusal_of_marketing_authorisation_date', 'refusal', 'Marketing authorisation refused'],
+  ['suspension_of_marketing_authorisation_date', 'suspension', 'Marketing authorisation suspended'],
+  ['withdrawal_expiry_revocation_lapse_of_marketing_authorisation_date', 'withdrawal', 'Marketing authorisation withdrawn, expired, revoked or lapsed']
+];
+
+// Procedure type segment of a post-authorisation procedure number (EMEA/H/C/005102/II/0042)
+const PROCEDURE_TYPES = {
+  II: 'Type II variation',
+  IB: 'Type IB variation',
+  IA: 'Type IA variation',
+  IAIN: 'Type IA variation',
+  WS: 'Worksharing variation',
+  R: 'Renewal',
+  X: 'Line extension',
+  T: 'Transfer of marketing authorisation',
+  N: 'Article 61(3) notification',
+  S: 'Annual reassessment',
+  P46: 'Article 46 paediatric study'
+};
+
+// Post-authorisation procedures that turn a conditional marketing authorisation into a standard one
+const CONVERSION_PATTERN = /conditional\b.{0,60}\b(to|into)\s+(a\s+)?(standard|full)\b|switch\w*\s+from\s+(a\s+)?conditional|conversion\b.{0,30}\bconditional/i;
+
+/**
+ * Link to the EMA page of a record: the preferred URL field, else any *_url field
+ * @param {Object} record - Dataset record
+ * @param {string} [preferred] - Preferred URL field
+ * @returns {string|null} URL
+ */
+function recordUrl(record, preferred) {
+  if (preferred && record[preferred]) return record[preferred];
+  const field = Object.keys(record).find(key => key.endsWith('_url') && record[key]);
+  return field ? record[field] : null;
+}
+
+/**
+ * First parseable date of a record
+ * @param {Object} record - Dataset record
+ * @param {string[]} fields - Date fields, most relevant first
+ * @returns {{date: string|null, date_field: string|null}} ISO date and the field it came from
+ */
+function eventDate(record, fields) {
+  for (const field of fields) {
+    const isoDate = parseEmaDate(record[field]);
+    if (isoDate) return { date: isoDate, date_field: field };
+  }
+  return { date: null, date_field: null };
+}
+
+/**
+ * Join the non-empty parts of an event title
+ * @param {Array<*>} parts - Title parts
+ * @param {string} separator - Separator
+ * @returns {string} Title
+ */
+function joinParts(parts, separator = ', ') {
+  return parts.filter(part => part !== undefined && part !== null && String(part).trim() !== '').join(separator);
+}
+
+/**
+ * Describe a post-authorisation procedure by the type in its procedure number
+ * @param {string} [procedureNumber] - Procedure number
+ * @returns {string} Title
+ */
+function procedureTitle(procedureNumber) {
+  const segment = String(procedureNumber || '').split('/').map(part => part.trim().toUpperCase()).find(part => PROCEDURE_TYPES[part]);
+  return segment ? PROCEDURE_TYPES[segment] : 'Post-authorisation procedure';
+}
+
+/**
+ * Whether a post-authorisation procedure converts a conditional authorisation to a standard one
+ * @param {Object} record - Post-authorisation procedure
+ * @returns {boolean} True if any text field describes the conversion
+ */
+function isConversion(record) {
+  return Object.values(record).some(value => typeof value === 'string' && CONVERSION_PATTERN.test(value));
+}
+
+/**
+ * Build timeline events from a dossier section
+ * @param {Object} section - Dossier section ({results})
+ * @param {Object} spec - {dataset, matched_on, dateFields, url, event: record -> {type, title, reference}}
+ * @returns {Array<Object>} Events
+ */
+function sectionEvents(section, spec) {
+  if (!section) return [];
+  return section.results.map(record => {
+    const { type, title, reference } = spec.event(record);
+    return {
+      ...eventDate(record, spec.dateFields),
+      type,
+      title,
+      reference: reference || null,
+      dataset: spec.dataset,
+      matched_on: spec.matched_on,
+      url: recordUrl(record, spec.url)
+    };
+  });
+}
+
+/**
+ * Reconstruct the regulatory history of one medicine as a chronological list of events:
+ * orphan designations, PIP decisions, evaluation and authorisation milestones, conversion from
+ * conditional to standard authorisation, post-authorisation procedures, DHPCs, PSUSAs, referrals,
+ * and suspension, refusal or withdrawal. Events come from the same joins as get_medicine_dossier;
+ * substance-level datasets (orphan designations, PIPs, PSUSAs, referrals) match on the active
+ * substance, so their events may also concern other products with the same substance.
+ * @param {Object} params - Parameters
+ * @param {string} [params.name] - Medicine trade name
+ * @param {string} [params.ema_product_number] - EMA product number (used instead of name)
+ * @param {string[]} [params.event_types] - Only return these event types (see EVENT_TYPES)
+ * @param {string} [params.date_from] - Only events on or after this ISO date (YYYY-MM-DD, YYYY-MM or YYYY)
+ * @param {string} [params.date_to] - Only events on or before this ISO date
+ * @returns {Promise<Object>} Medicine, events in date order (undated events last) and section errors,
+ * or the candidates when the name is ambiguous
+ */
+async function getMedicineTimeline(params = {}) {
+  // Validate input parameters
+  if (!params.name && !params.ema_product_number) {
+    throw parameterError('name or ema_product_number parameter is required for get_medicine_timeline');
+  }
+
+  for (const key of ['name', 'ema_product_number']) {
+    if (params[key] !== undefined && (typeof params[key] !== 'string' || params[key].trim().length === 0)) {
+      throw parameterError(`${key} must be a non-empty string`);
+    }
+  }
+
+  if (params.event_types !== undefined &&
+      (!Array.isArray(params.event_types) || params.event_types.some(type => !EVENT_TYPES.includes(type)))) {
+    throw parameterError(`event_types must be an array of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  validateDateRangeParams(params);
+
+  const dossier = await getMedicineDossier({ name: params.name, ema_product_number: params.ema_product_number, limit: 10000 });
+  if (!dossier.found) {
+    return {
+      found: false,
+      message: dossier.message,
+      ...(dossier.ambiguous ? { ambiguous: true, candidates: dossier.candidates } : {}),
+      total_count: 0,
+      events: [],
+      source: 'EMA Medicine Timeline',
+      snapshot: dossier.snapshot,
+      last_updated: dossier.last_updated
+    };
+  }
+
+  const medicine = dossier.medicines[0];
+  const { sections } = dossier;
+
+  const events = [];
+
+  for (const [field, type, title] of MEDICINE_MILESTONES) {
+    const date = parseEmaDate(medicine[field]);
+    if (!date) continue;
+    events.push({
+      date,
+      date_field: field,
+      type,
+      title: type === 'marketing_authorisation' && medicine.conditional_approval === 'Yes'
+        ? 'Conditional marketing authorisation'
+        : title,
+      reference: medicine.ema_product_number || null,
+      dataset: 'medicines',
+      matched_on: 'product',
+      url: recordUrl(medicine, 'medicine_url')
+    });
+  }
+
+  events.push(
+    ...sectionEvents(sections.orphan_designations, {
+      dataset: 'orphan_designations',
+      matched_on: 'substance',
+      dateFields: ['date_of_designation_or_refusal'],
+      url: 'orphan_designation_url',
+      event: d => ({
+        type: 'orphan_designation',
+        title: joinParts([joinParts(['Orphan designation', d.status], ' '), d.intended_use], ': '),
+        reference: d.eu_designation_number
+      })
+    }),
+    ...sectionEvents(sections.pips, {
+      dataset: 'pips',
+      matched_on: 'substance',
+      dateFields: ['decision_date'],
+      url: 'pip_url',
+      event: p => ({
+        type: 'pip_decision',
+        title: joinParts([joinParts(['PIP decision', p.decision_type], ': '), p.therapeutic_area]),
+        reference: p.decision_number || p.pip_number
+      })
+    }),
+    ...sectionEvents(sections.post_authorisation_procedures, {
+      dataset: 'post_authorisation',
+      matched_on: 'product',
+      dateFields: ['decision_date', 'opinion_date', 'first_published_date'],
+      url: null,
+      event: p => (isConversion(p)
+        ? { type: 'conversion_to_standard', title: 'Conditional marketing authorisation converted to standard', reference: p.procedure_number }
+        : { type: 'post_authorisation_procedure', title: procedureTitle(p.procedure_number), reference: p.procedure_number })
+    }),
+    ...sectionEvents(sections.dhpcs, {
+      dataset: 'dhpcs',
+      matched_on: 'product',
+      dateFields: ['dissemination_date'],
+      url: 'dhpc_url',
+      event: d => ({ type: 'dhpc', title: joinParts(['DHPC', d.dhpc_type], ': '), reference: null })
+    }),
+    ...sectionEvents(sections.psusas, {
+      dataset: 'psusas',
+      matched_on: 'substance',
+      dateFields: ['decision_date', 'opinion_date', 'first_published_date'],
+      url: 'psusa_url',
+      event: p => ({ type: 'psusa', title: joinParts(['PSUSA outcome', p.regulatory_outcome], ': '), reference: p.procedure_number })
+    }),
+    ...sectionEvents(sections.referrals, {
+      dataset: 'referrals',
+      matched_on: 'substance',
+      dateFields: ['procedure_start_date'],
+      url: 'referral_url',
+      event: r => ({
+        type: 'referral',
+        title: joinParts([joinParts(['Referral started', r.international_non_proprietary_name_inn_common_name], ': '), r.current_status]),
+        reference: r.procedure_number || r.reference_number
+      })
+    })
+  );
+
+  const selected = events.filter(event =>
+    (!params.event_types || params.event_types.includes(event.type)) &&
+    (!params.date_from || (event.date && event.date.slice(0, params.date_from.length) >= params.date_from)) &&
+    (!params.date_to || (event.date && event.date.slice(0, params.date_to.length) <= params.date_to))
+  );
+
+  // Oldest first; undated events last, in the order above
+  const ordered = selected
+    .map((event, i) => ({ event, i }))
+    .sort((a, b) => {
+      if (!a.event.date || !b.event.date) return (!a.event.date) - (!b.event.date) || a.i - b.i;
+      return a.event.date < b.event.date ? -1 : a.event.date > b.event.date ? 1 : a.i - b.i;
+    })
+    .map(entry => entry.event);
+
+  return {
+    found: true,
+    medicine: {
+      name_of_medicine: medicine.name_of_medicine || null,
+      ema_product_number: medicine.ema_product_number || null,
+      active_substance: medicine.active_substance || null,
+      medicine_status: medicine.medicine_status || null,
+      conditional_approval: medicine.conditional_approval || null,
+      orphan_medicine: medicine.orphan_medicine || null,
+      medicine_url: medicine.medicine_url || null
+    },
+    matched_on: dossier.matched_on,
+    ...(dossier.name_resolution ? { name_resolution: dossier.name_resolution } : {}),
+    total_count: ordered.length,
+    undated_count: ordered.filter(event => !event.date).length,
+    events: ordered,
+    ...(dossier.errors ? { errors: dossier.errors } : {}),
+    source: 'EMA Medicine Timeline',
+    snapshot: dossier.snapshot,
+    last_updated: dossier.last_updated
+  };
+}
+
+module.exports = {
+  getMedicineTimeline,
+  EVENT_TYPES
+};
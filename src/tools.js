@@ -0,0 +1,559 @@
+const {
+  searchMedicines,
+  getMedicineByName,
+  resolveActiveSubstance,
+  getOrphanDesignations,
+  getSupplyShortages,
+  getReferrals,
+  getPostAuthProcedures,
+  getDhpcs,
+  getPsusas,
+  getPips,
+  getHerbalMedicines,
+  getArticle58Medicines,
+  searchEparDocuments,
+  searchAllDocuments,
+  searchNonEparDocuments,
+  searchDocumentsFullText,
+  DATASET_NAMES,
+  HERBAL_USE_CATEGORIES,
+  DOCUMENT_SEARCH_DATASETS,
+  SORT_FIELDS,
+  RECORD_FORMATS
+} = require('./ema-api.js');
+const { getDatasetChanges } = require('./dataset-diff.js');
+const { getDatasetStatistics, DATE_INTERVALS } = require('./statistics.js');
+const { getMedicineDossier } = require('./dossier.js');
+const { getMedicineTimeline, EVENT_TYPES } = require('./timeline.js');
+const { saveWatchlist, checkWatchlist, SAVE_MODES } = require('./watchlist.js');
+const { OUTPUT_SCHEMAS } = require('./output-schemas.js');
+const { parameterError } = require('./errors.js');
+
+// Response shaping properties shared by every method that returns records
+const PROJECTION_PROPERTIES = {
+  fields: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only return these record fields (e.g., ["name_of_medicine", "medicine_status"])'
+  },
+  format: {
+    type: 'string',
+    enum: RECORD_FORMATS,
+    description: 'full (default), summary (main fields, long text truncated) or ids_only'
+  },
+  max_text_length: {
+    type: 'integer',
+    minimum: 20,
+    description: 'Truncate free-text values longer than this (default: 300 in summary format, no limit otherwise)'
+  }
+};
+
+// Date range filter properties shared by list methods and get_statistics
+const DATE_RANGE_PROPERTIES = {
+  date_from: {
+    type: 'string',
+    pattern: '^\\d{4}(-\\d{2}(-\\d{2})?)?$',
+    description: 'Only include records dated on or after this ISO date (YYYY-MM-DD, YYYY-MM or YYYY)'
+  },
+  date_to: {
+    type: 'string',
+    pattern: '^\\d{4}(-\\d{2}(-\\d{2})?)?$',
+    description: 'Only include records dated on or before this ISO date (YYYY-MM-DD, YYYY-MM or YYYY)'
+  },
+  date_field: {
+    type: 'string',
+    description: 'Date field to apply date_from/date_to to instead of the dataset default'
+  }
+};
+
+// Boolean filter expression (see query-language.js)
+const QUERY_PROPERTY = {
+  type: 'string',
+  minLength: 1,
+  description: 'Boolean filter over record fields, combined with the other filters, e.g., ' +
+    'therapeutic_area:"breast cancer" AND (orphan:yes OR prime:yes) AND NOT status:Withdrawn. ' +
+    'field:value matches part of the value, field:=value the whole value, field:>=2020 compares dates or numbers, field:* means present'
+};
+
+/**
+ * Page size, pagination and date range properties
+ * @param {number} defaultLimit - Page size when no limit is given
+ * @returns {Object} JSON Schema properties
+ */
+function pageProperties(defaultLimit) {
+  return {
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 10000,
+      description: `Maximum number of results per page (default: ${defaultLimit})`
+    },
+    offset: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Number of matching results to skip (default: 0). Cannot be combined with cursor.'
+    },
+    cursor: {
+      type: 'string',
+      description: 'next_cursor value from a previous response; returns the following page of the same query'
+    },
+    ...DATE_RANGE_PROPERTIES
+  };
+}
+
+/**
+ * Query, page size, pagination, date range, sort and response shaping properties shared by every list method
+ * @param {string} method - Method name (key of SORT_FIELDS)
+ * @param {number} defaultLimit - Page size when no limit is given
+ * @returns {Object} JSON Schema properties
+ */
+function listProperties(method, defaultLimit) {
+  return {
+    query: QUERY_PROPERTY,
+    ...pageProperties(defaultLimit),
+    sort_by: {
+      type: 'string',
+      enum: Object.keys(SORT_FIELDS[method]),
+      description: '"date" sorts by the dataset\'s default date'
+    },
+    sort_order: {
+      type: 'string',
+      enum: ['asc', 'desc'],
+      description: 'Sort direction (default: desc for dates, asc for text)'
+    },
+    ...PROJECTION_PROPERTIES
+  };
+}
+
+const YEAR_PROPERTY = {
+  type: 'integer',
+  minimum: 1995,
+  description: 'Filter by year'
+};
+
+const ACTIVE_SUBSTANCE_PROPERTY = {
+  type: 'string',
+  description: 'Active substance (e.g., "semaglutide"). Salt forms, INN synonyms and trade names resolve to the same substance'
+};
+
+const MEDICINE_NAME_PROPERTY = {
+  type: 'string',
+  description: 'Medicine trade name (case-insensitive, partial names match)'
+};
+
+const PRODUCT_NUMBER_PROPERTY = {
+  type: 'string',
+  minLength: 1,
+  description: 'EMA product number ("EMEA/H/C/004174" or "004174"), used instead of name, e.g. to pick a candidate of an ambiguous name'
+};
+
+// One tool per method. `method` keeps the ema_info method name, which the typed tool
+// name is derived from; `run` receives the validated arguments.
+const TOOLS = [
+  {
+    method: 'search_medicines',
+    description: 'Search EU centrally authorised medicines by substance, therapeutic area, status and designation flags.',
+    properties: {
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      therapeutic_area: { type: 'string', description: 'Therapeutic area or disease (e.g., "diabetes")' },
+      status: { type: 'string', enum: ['Authorised', 'Withdrawn', 'Refused', 'Suspended'], description: 'Medicine status' },
+      orphan: { type: 'boolean', description: 'Only orphan medicines' },
+      prime: { type: 'boolean', description: 'Only PRIME (priority) medicines' },
+      biosimilar: { type: 'boolean', description: 'Only biosimilar medicines' },
+      conditional_approval: { type: 'boolean', description: 'Only conditionally approved medicines' },
+      ...listProperties('search_medicines', 100)
+    },
+    run: searchMedicines
+  },
+  {
+    method: 'get_medicine_by_name',
+    description: 'Look up one medicine by trade name. Partial names and typos are ranked; an ambiguous flag and candidates are returned.',
+    properties: {
+      name: { type: 'string', minLength: 1, description: 'Medicine trade name or active substance (e.g., "Ozempic")' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Maximum ranked candidates to return (default: 10)' },
+      ...PROJECTION_PROPERTIES
+    },
+    required: ['name'],
+    run: ({ name, ...options }) => getMedicineByName(name, options)
+  },
+  {
+    method: 'get_orphan_designations',
+    description: 'Get EU orphan designations for rare diseases.',
+    properties: {
+      therapeutic_area: { type: 'string', description: 'Disease or condition (searches the intended use)' },
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      year: { ...YEAR_PROPERTY, description: 'Filter by designation year' },
+      status: { type: 'string', enum: ['Positive', 'Negative', 'Withdrawn'], description: 'Designation status' },
+      ...listProperties('get_orphan_designations', 100)
+    },
+    run: getOrphanDesignations
+  },
+  {
+    method: 'get_supply_shortages',
+    description: 'Get medicine supply shortages reported to EMA.',
+    properties: {
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      medicine_name: MEDICINE_NAME_PROPERTY,
+      therapeutic_area: { type: 'string', description: 'Therapeutic area' },
+      status: { type: 'string', enum: ['Ongoing', 'Resolved', 'ongoing', 'resolved'], description: 'Shortage status' },
+      ...listProperties('get_supply_shortages', 50)
+    },
+    run: getSupplyShortages
+  },
+  {
+    method: 'get_referrals',
+    description: 'Get EU referral procedures (safety and other EU-wide reviews).',
+    properties: {
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      safety: { type: 'boolean', description: 'Only safety-related referrals (true) or only other referrals (false)' },
+      status: { type: 'string', description: 'Procedure status (partial match, e.g., "ongoing")' },
+      year: { ...YEAR_PROPERTY, description: 'Filter by procedure start year' },
+      ...listProperties('get_referrals', 50)
+    },
+    run: getReferrals
+  },
+  {
+    method: 'get_post_auth_procedures',
+    description: 'Get post-authorisation procedures (label updates, variations).',
+    properties: {
+      medicine_name: MEDICINE_NAME_PROPERTY,
+      ...listProperties('get_post_auth_procedures', 50)
+    },
+    run: getPostAuthProcedures
+  },
+  {
+    method: 'get_dhpcs',
+    description: 'Get Direct Healthcare Professional Communications (safety communications).',
+    properties: {
+      medicine_name: MEDICINE_NAME_PROPERTY,
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      dhpc_type: { type: 'string', description: 'DHPC type (case-insensitive exact match)' },
+      year: { ...YEAR_PROPERTY, description: 'Filter by dissemination year' },
+      ...listProperties('get_dhpcs', 50)
+    },
+    run: getDhpcs
+  },
+  {
+    method: 'get_psusas',
+    description: 'Get Periodic Safety Update Report Single Assessments (PSUSAs).',
+    properties: {
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      regulatory_outcome: { type: 'string', description: 'Regulatory outcome (case-insensitive exact match, e.g., "Variation")' },
+      ...listProperties('get_psusas', 100)
+    },
+    run: getPsusas
+  },
+  {
+    method: 'get_pips',
+    description: 'Get Paediatric Investigation Plans (PIPs).',
+    properties: {
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      therapeutic_area: { type: 'string', description: 'Therapeutic area' },
+      decision_type: { type: 'string', description: 'Decision type (partial match, e.g., "waiver")' },
+      year: { ...YEAR_PROPERTY, description: 'Filter by decision year' },
+      ...listProperties('get_pips', 100)
+    },
+    run: getPips
+  },
+  {
+    method: 'get_herbal_medicines',
+    description: 'Get herbal medicine assessments by the HMPC: monographs and list entries per herbal substance, with use category (well-established or traditional), status and outcome.',
+    properties: {
+      substance: { type: 'string', description: 'Herbal substance (Latin name), botanical name or English common name (partial match, e.g., "valerian")' },
+      therapeutic_area: { type: 'string', description: 'Therapeutic area' },
+      use_category: { type: 'string', enum: HERBAL_USE_CATEGORIES, description: 'Well-established use or traditional use' },
+      monograph_status: { type: 'string', description: 'Monograph/assessment status (partial match)' },
+      hmpc_outcome: { type: 'string', description: 'HMPC outcome (partial match, e.g., "monograph")' },
+      ...listProperties('get_herbal_medicines', 50)
+    },
+    run: getHerbalMedicines
+  },
+  {
+    method: 'get_article58_medicines',
+    description: 'Get medicines assessed for use outside the EU (Article 58 / EU-M4all): CHMP opinions with target use and WHO prequalification link.',
+    properties: {
+      active_substance: ACTIVE_SUBSTANCE_PROPERTY,
+      medicine_name: MEDICINE_NAME_PROPERTY,
+      target_use: { type: 'string', description: 'Intended use or therapeutic area (partial match, e.g., "malaria")' },
+      year: YEAR_PROPERTY,
+      ...listProperties('get_article58_medicines', 50)
+    },
+    run: getArticle58Medicines
+  },
+  {
+    method: 'search_epar_documents',
+    description: 'Search European Public Assessment Report (EPAR) documents.',
+    properties: {
+      medicine_name: MEDICINE_NAME_PROPERTY,
+      document_type: { type: 'string', description: 'Document type (partial match)' },
+      language: { type: 'string', description: 'Document language code (e.g., "en")' },
+      ...listProperties('search_epar_documents', 100)
+    },
+    run: searchEparDocuments
+  },
+  {
+    method: 'search_all_documents',
+    description: 'Search all EMA documents.',
+    properties: {
+      search_term: { type: 'string', description: 'Text to find in the document title' },
+      document_type: { type: 'string', description: 'Document type (partial match)' },
+      category: { type: 'string', description: 'Document category (partial match)' },
+      ...listProperties('search_all_documents', 100)
+    },
+    run: searchAllDocuments
+  },
+  {
+    method: 'search_non_epar_documents',
+    description: 'Search EMA documents that are not part of an EPAR.',
+    properties: {
+      search_term: { type: 'string', description: 'Text to find in the document title' },
+      document_type: { type: 'string', description: 'Document type (partial match)' },
+      ...listProperties('search_non_epar_documents', 100)
+    },
+    run: searchNonEparDocuments
+  },
+  {
+    method: 'search_documents_fulltext',
+    description: 'Ranked full-text search (BM25, stemmed) over EMA document titles, medicine names and types, and extracted document text where available. Returns scores and highlighted snippets.',
+    properties: {
+      query: { type: 'string', minLength: 1, description: 'Words (any may match, more matches rank higher), "quoted phrases" (must match) and -excluded words, e.g., hepatotoxicity "liver function" -veterinary. Free text only: field:value filters are rejected' },
+      dataset: { type: 'string', enum: DOCUMENT_SEARCH_DATASETS, description: 'Document dataset to search (default: all_documents)' },
+      medicine_name: MEDICINE_NAME_PROPERTY,
+      document_type: { type: 'string', description: 'Document type (partial match)' },
+      ...pageProperties(20),
+      ...PROJECTION_PROPERTIES
+    },
+    required: ['query'],
+    run: searchDocumentsFullText
+  },
+  {
+    method: 'get_changes',
+    description: 'Report records added, removed or modified in a dataset between two snapshots.',
+    properties: {
+      dataset: { type: 'string', enum: DATASET_NAMES, description: 'Dataset to compare' },
+      from_snapshot: { type: 'string', minLength: 1, description: 'Older snapshot name (written by `ema-mcp-server sync`) or directory' },
+      to_snapshot: { type: 'string', description: 'Newer snapshot name or directory (default: current data)' },
+      key_field: { type: 'string', description: 'Record field used to match records between snapshots' },
+      compare_fields: { type: 'array', items: { type: 'string' }, description: 'Only report modifications to these fields' },
+      limit: { type: 'integer', minimum: 1, maximum: 10000, description: 'Maximum records per change list (default: 100)' }
+    },
+    required: ['dataset', 'from_snapshot'],
+    run: getDatasetChanges
+  },
+  {
+    method: 'get_statistics',
+    description: 'Count records of a dataset per field value (e.g., medicine_status, dhpc_type) and per year or month, after query and date filters. Use this instead of paging through records to count them.',
+    properties: {
+      dataset: { type: 'string', enum: DATASET_NAMES, description: 'Dataset to aggregate' },
+      group_by: {
+        type: 'array',
+        items: { type: 'string' },
+        maxItems: 5,
+        description: 'Record fields to count values of (e.g., ["supply_shortage_status"]); "year" or "month" count per period of the record date'
+      },
+      interval: { type: 'string', enum: DATE_INTERVALS, description: 'Add a time series per year or month, overall and for each listed value' },
+      top: { type: 'integer', minimum: 1, maximum: 1000, description: 'Values listed per field (default: 25); the rest are summed in other_count' },
+      split_values: { type: 'boolean', description: 'Count each part of multi-valued fields ("a; b") separately' },
+      query: QUERY_PROPERTY,
+      ...DATE_RANGE_PROPERTIES
+    },
+    required: ['dataset'],
+    run: getDatasetStatistics
+  },
+  {
+    method: 'get_medicine_dossier',
+    description: 'One regulatory profile for a medicine or active substance, joining every EMA dataset. Give name, ema_product_number or active_substance. An ambiguous name returns candidates instead of a dossier.',
+    properties: {
+      name: { type: 'string', minLength: 1, description: 'Medicine trade name' },
+      ema_product_number: PRODUCT_NUMBER_PROPERTY,
+      active_substance: { ...ACTIVE_SUBSTANCE_PROPERTY, description: 'Active substance, used when name is not given' },
+      limit: { type: 'integer', minimum: 1, maximum: 10000, description: 'Maximum records per section (default: 50)' },
+      ...PROJECTION_PROPERTIES
+    },
+    run: getMedicineDossier
+  },
+  {
+    method: 'get_medicine_timeline',
+    description: 'Chronological regulatory history of one medicine: orphan designation, PIP decisions, evaluation and authorisation, conversion to standard authorisation, post-authorisation procedures, DHPCs, PSUSAs, referrals and withdrawal, with dates and EMA links. Give name or ema_product_number.',
+    properties: {
+      name: { type: 'string', minLength: 1, description: 'Medicine trade name (e.g., "Ozempic")' },
+      ema_product_number: PRODUCT_NUMBER_PROPERTY,
+      event_types: { type: 'array', items: { type: 'string', enum: EVENT_TYPES }, description: 'Only return these event types' },
+      date_from: DATE_RANGE_PROPERTIES.date_from,
+      date_to: DATE_RANGE_PROPERTIES.date_to
+    },
+    run: getMedicineTimeline
+  },
+  {
+    method: 'resolve_substance',
+    description: 'Resolve a substance or trade name to canonical substance IDs with name variants and products.',
+    properties: {
+      active_substance: { type: 'string', minLength: 1, description: 'Substance, salt form, synonym, combination or trade name' }
+    },
+    required: ['active_substance'],
+    run: resolveActiveSubstance
+  },
+  {
+    method: 'save_watchlist',
+    description: 'Store a named watchlist of products, active substances and therapeutic areas for check_watchlist.',
+    properties: {
+      watchlist: { type: 'string', minLength: 1, description: 'Watchlist name (letters, digits, ".", "_" and "-")' },
+      products: { type: 'array', items: { type: 'string' }, description: 'Medicine trade names or EMA product numbers (e.g., ["Ozempic", "EMEA/H/C/003820"])' },
+      substances: { type: 'array', items: { type: 'string' }, description: 'Active substances (e.g., ["semaglutide"])' },
+      therapeutic_areas: { type: 'array', items: { type: 'string' }, description: 'Therapeutic areas (MeSH, partial match)' },
+      mode: { type: 'string', enum: SAVE_MODES, description: 'replace the items (default), add them or remove them' }
+    },
+    required: ['watchlist'],
+    run: saveWatchlist
+  },
+  {
+    method: 'check_watchlist',
+    description: 'Report shortages, DHPCs, referrals, PSUSAs and post-authorisation procedures that are new, changed or no longer listed for the items of a watchlist since its last check.',
+    properties: {
+      watchlist: { type: 'string', minLength: 1, description: 'Watchlist name' },
+      dry_run: { type: 'boolean', description: 'Report changes without recording this check' },
+      limit: { type: 'integer', minimum: 1, maximum: 10000, description: 'Maximum alerts to return (default: 100)' }
+    },
+    required: ['watchlist'],
+    run: checkWatchlist
+  }
+].map(tool => ({ ...tool, name: `ema_${tool.method}`, required: tool.required || [] }));
+
+/**
+ * MCP tool listing for a typed tool
+ * @param {Object} tool - Entry of TOOLS
+ * @returns {Object} {name, description, inputSchema, outputSchema}
+ */
+function describeTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: {
+      type: 'object',
+      properties: tool.properties,
+      required: tool.required,
+      additionalProperties: false
+    },
+    outputSchema: OUTPUT_SCHEMAS[tool.method]
+  };
+}
+
+/**
+ * Check a value against a (flat) property schema
+ * @param {*} value - Argument value
+ * @param {Object} schema - Property schema
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+function checkProperty(value, schema) {
+  if (schema.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+  if (schema.type === 'boolean' && typeof value !== 'boolean') return 'must be a boolean';
+  if (schema.type === 'string' && typeof value !== 'string') return 'must be a string';
+  if (schema.type === 'array' && (!Array.isArray(value) || value.some(item => typeof item !== schema.items.type))) {
+    return `must be an array of ${schema.items.type}s`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) return `must be one of: ${schema.enum.join(', ')}`;
+  if (schema.minimum !== undefined && value < schema.minimum) return `must be at least ${schema.minimum}`;
+  if (schema.maximum !== undefined && value > schema.maximum) return `must be at most ${schema.maximum}`;
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) return 'must not be empty';
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) return 'has an invalid format';
+  return null;
+}
+
+/**
+ * Validate tool arguments against the tool's input schema
+ * @param {Object} tool - Entry of TOOLS
+ * @param {Object} args - Call arguments
+ */
+function validateToolArguments(tool, args) {
+  for (const key of tool.required) {
+    if (args[key] === undefined) {
+      throw parameterError(`${key} parameter is required for ${tool.name}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const schema = tool.properties[key];
+    if (!schema) {
+      throw parameterError(`Unknown parameter for ${tool.name}: ${key}. Allowed: ${Object.keys(tool.properties).join(', ')}`);
+    }
+    const problem = checkProperty(value, schema);
+    if (problem) {
+      throw parameterError(`${key} ${problem}`);
+    }
+  }
+}
+
+// Parameters the original ema_info schema shared between all methods. Callers written against it
+// send them to methods that never used them, and those methods ignored them.
+const SHARED_INFO_PARAMS = [
+  'active_substance', 'therapeutic_area', 'status', 'orphan', 'prime', 'biosimilar',
+  'conditional_approval', 'limit', 'name', 'year', 'safety', 'medicine_name'
+];
+
+/**
+ * Drop the shared ema_info parameters a method does not declare, so ema_info keeps ignoring them.
+ * Any other unknown parameter is left for validateToolArguments to reject.
+ * @param {Object} tool - Entry of TOOLS
+ * @param {Object} args - ema_info arguments (without method and export parameters)
+ * @returns {Object} Arguments to validate and pass to the method
+ */
+function dropSharedInfoParams(tool, args) {
+  return Object.fromEntries(Object.entries(args).filter(([key]) => tool.properties[key] || !SHARED_INFO_PARAMS.includes(key)));
+}
+
+/**
+ * Schema of a parameter as accepted by ema_info: the constraints of the typed tools that take it,
+ * widened where methods differ (e.g., limit is at most 100 for get_medicine_by_name and 10000 elsewhere).
+ * The method's own schema is checked with validateToolArguments when the call is dispatched.
+ * @param {string} key - Parameter name
+ * @returns {Object} Schema without description ({} if no typed tool takes the parameter)
+ */
+function combinedPropertySchema(key) {
+  const schemas = TOOLS.filter(tool => tool.properties[key]).map(tool => tool.properties[key]);
+  if (schemas.length === 0) return {};
+
+  const all = keyword => schemas.every(schema => schema[keyword] !== undefined);
+  const values = keyword => schemas.map(schema => schema[keyword]);
+  const combined = { type: schemas[0].type };
+
+  if (all('enum')) combined.enum = [...new Set(values('enum').flat())];
+  if (all('items')) {
+    const items = values('items');
+    combined.items = { type: items[0].type };
+    if (items.every(item => item.enum)) combined.items.enum = [...new Set(items.flatMap(item => item.enum))];
+  }
+  if (all('minimum')) combined.minimum = Math.min(...values('minimum'));
+  if (all('maximum')) combined.maximum = Math.max(...values('maximum'));
+  if (all('minLength')) combined.minLength = Math.min(...values('minLength'));
+  if (all('maxItems')) combined.maxItems = Math.max(...values('maxItems'));
+  if (all('pattern') && new Set(values('pattern')).size === 1) combined.pattern = schemas[0].pattern;
+  return combined;
+}
+
+/**
+ * Find a typed tool by its tool name (e.g., 'ema_get_dhpcs')
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} Entry of TOOLS
+ */
+function findToolByName(name) {
+  return TOOLS.find(tool => tool.name === name);
+}
+
+/**
+ * Find a typed tool by its ema_info method name (e.g., 'get_dhpcs')
+ * @param {string} method - Method name
+ * @returns {Object|undefined} Entry of TOOLS
+ */
+function findToolByMethod(method) {
+  return TOOLS.find(tool => tool.method === method);
+}
+
+module.exports = {
+  TOOLS,
+  describeTool,
+  validateToolArguments,
+  dropSharedInfoParams,
+  combinedPropertySchema,
+  findToolByName,
+  findToolByMethod
+};
@@ -0,0 +1,650 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  searchMedicines,
+  getMedicineByName,
+  findMedicineByProductNumber,
+  loadEmaDataset,
+  getSupplyShortages,
+  getReferrals,
+  getPostAuthProcedures,
+  getDhpcs,
+  getPsusas,
+  getRecordDate,
+  normaliseRecordDates,
+  resolveSubstanceQuery,
+  EMA_DATASETS
+} = require('./ema-api.js');
+const { collectSection, containsTradeName } = require('./dossier.js');
+const { diffRecord } = require('./dataset-diff.js');
+const { splitSubstanceComponents, normaliseName, matchesSubstance } = require('./substance-index.js');
+const { parameterError } = require('./errors.js');
+
+// Watchlist parameter -> item type
+const ITEM_TYPES = {
+  products: 'product',
+  substances: 'substance',
+  therapeutic_areas: 'therapeutic_area'
+};
+
+const SAVE_MODES = ['replace', 'add', 'remove'];
+
+const MAX_WATCHLIST_ITEMS = 500;
+
+// Records tracked per item and dataset; removals are not reported for sections cut off at this size
+const MAX_TRACKED_RECORDS = 10000;
+
+const WATCHLIST_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+// Product names must match a trade name at least this well (exact or prefix) to be watched as
+// that medicine; weaker matches are typos or substance names and are returned as candidates
+const MIN_PRODUCT_SCORE = 0.85;
+
+// Candidates returned for a product name that does not identify one medicine
+const MAX_PRODUCT_CANDIDATES = 5;
+
+const CHANGE_ORDER = ['new', 'changed', 'removed'];
+
+// Fields a therapeutic area's trade names and substances are matched on, as the list methods do.
+// An area can cover hundreds of medicines, so these datasets are scanned once instead of once per term.
+const AREA_MATCH_FIELDS = {
+  dhpcs: { tradeNames: ['name_of_medicine'], substances: [] },
+  referrals: { tradeNames: [], substances: ['international_non_proprietary_name_inn_common_name'] },
+  psusas: { tradeNames: [], substances: ['active_substance', 'active_substances_in_scope_of_procedure'] },
+  post_authorisation: { tradeNames: ['medicine_name'], substances: [] }
+};
+
+// Fields compared between checks and kept in the check state, besides the dataset's key and date
+// fields: the status and page URL, plus the names that describe a record once it is no longer listed.
+// The set is fixed, so edits to other fields or new report columns do not raise alerts.
+const STATE_FIELDS = {
+  shortages: ['medicine_affected', 'supply_shortage_status'],
+  dhpcs: ['name_of_medicine', 'dhpc_type'],
+  referrals: ['international_non_proprietary_name_inn_common_name', 'current_status', 'referral_url'],
+  psusas: ['active_substance', 'regulatory_outcome', 'psusa_url'],
+  post_authorisation: ['medicine_name']
+};
+
+/**
+ * Get the directory watchlists are stored in
+ * EMA_WATCHLIST_DIR - directory of watchlist files (default: ./ema-watchlists)
+ * @returns {string} Absolute watchlist directory
+ */
+function getWatchlistDir() {
+  return path.resolve(process.env.EMA_WATCHLIST_DIR || 'ema-watchlists');
+}
+
+/**
+ * Build the file path of a watchlist
+ * @param {string} name - Watchlist name
+ * @returns {string} File path
+ */
+function getWatchlistPath(name) {
+  return path.join(getWatchlistDir(), `${name}.json`);
+}
+
+/**
+ * List the names of stored watchlists
+ * @returns {string[]} Watchlist names
+ */
+function listWatchlists() {
+  try {
+    return fs.readdirSync(getWatchlistDir())
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read a stored watchlist
+ * @param {string} name - Watchlist name
+ * @returns {Object|null} Watchlist, or null when none is stored under the name
+ */
+function readWatchlist(name) {
+  let text;
+  try {
+    text = fs.readFileSync(getWatchlistPath(name), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const watchlist = JSON.parse(text);
+  if (!watchlist || !Array.isArray(watchlist.items) || typeof watchlist.state !== 'object') {
+    throw new Error(`Watchlist file ${getWatchlistPath(name)} is not a valid watchlist`);
+  }
+  return watchlist;
+}
+
+/**
+ * Write a watchlist atomically (temporary file, then rename)
+ * @param {Object} watchlist - Watchlist
+ */
+function writeWatchlist(watchlist) {
+  const filePath = getWatchlistPath(watchlist.name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(watchlist, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Identify an item independently of the case of its value
+ * @param {Object} item - {type, value}
+ * @returns {string} Item ID (e.g., "product:ozempic")
+ */
+function itemId(item) {
+  return `${item.type}:${item.value.trim().toLowerCase()}`;
+}
+
+/**
+ * Describe an item for results, without its stored check state
+ * @param {Object} item - Stored item
+ * @param {Object} watchlist - Watchlist holding the item state
+ * @returns {Object} {type, value, ema_product_number and name_of_medicine (products), added, last_checked}
+ */
+function describeItem(item, watchlist) {
+  const state = watchlist.state[itemId(item)];
+  return {
+    type: item.type,
+    value: item.value,
+    ...(item.type === 'product'
+      ? { ema_product_number: item.ema_product_number || null, name_of_medicine: item.name_of_medicine || null }
+      : {}),
+    added: item.added,
+    last_checked: state ? state.checked_at : null
+  };
+}
+
+/**
+ * Identify the medicine a product item stands for: by EMA product number (in full or its last
+ * segment), else by a clear trade name match. Ambiguous and weak name matches are not guessed.
+ * @param {string} value - Product name or EMA product number
+ * @returns {Promise<Object>} {medicine} when identified; otherwise {medicine: null, reason, candidates},
+ * where reason is null for names not in the medicines report
+ */
+async function resolveProduct(value) {
+  const { data } = await loadEmaDataset('medicines');
+  const byNumber = findMedicineByProductNumber(data, value);
+  if (byNumber) {
+    return { medicine: byNumber };
+  }
+
+  const lookup = await getMedicineByName(value);
+  if (!lookup.found) {
+    return { medicine: null, reason: null, candidates: [] };
+  }
+  if (lookup.ambiguous || lookup.match.score < MIN_PRODUCT_SCORE) {
+    return {
+      medicine: null,
+      reason: lookup.ambiguous ? 'ambiguous' : 'weak_match',
+      candidates: lookup.candidates.slice(0, MAX_PRODUCT_CANDIDATES)
+    };
+  }
+  return { medicine: lookup.medicine };
+}
+
+/**
+ * Validate the watchlist name parameter
+ * @param {*} name - Watchlist name
+ */
+function validateWatchlistName(name) {
+  if (typeof name !== 'string' || !WATCHLIST_NAME.test(name)) {
+    throw parameterError('watchlist must be a name of 1-64 letters, digits, ".", "_" or "-", starting with a letter or digit');
+  }
+}
+
+/**
+ * Store a watchlist of products, active substances and therapeutic areas. Items that stay on the
+ * list keep their check state, so changing the list does not reset what has already been reported.
+ * New products are resolved to their EMA product number when saved; if a name is ambiguous or only
+ * loosely matches a trade name, nothing is saved and the candidates are returned instead.
+ * @param {Object} params - Parameters
+ * @param {string} params.watchlist - Watchlist name
+ * @param {string[]} [params.products] - Medicine trade names or EMA product numbers
+ * @param {string[]} [params.substances] - Active substances
+ * @param {string[]} [params.therapeutic_areas] - Therapeutic areas (MeSH terms, partial match)
+ * @param {string} [params.mode] - replace (default), add or remove items
+ * @returns {Promise<Object>} Stored watchlist and the items added or removed, or the unresolved products
+ */
+async function saveWatchlist(params = {}) {
+  // Validate input parameters
+  validateWatchlistName(params.watchlist);
+
+  for (const key of Object.keys(ITEM_TYPES)) {
+    if (params[key] !== undefined &&
+        (!Array.isArray(params[key]) || params[key].some(value => typeof value !== 'string' || value.trim().length === 0))) {
+      throw parameterError(`${key} must be an array of non-empty strings`);
+    }
+  }
+
+  if (params.mode !== undefined && !SAVE_MODES.includes(params.mode)) {
+    throw parameterError(`mode must be one of: ${SAVE_MODES.join(', ')}`);
+  }
+
+  const requested = Object.entries(ITEM_TYPES).flatMap(([key, type]) =>
+    (params[key] || []).map(value => ({ type, value: value.trim() }))
+  );
+  if (requested.length === 0) {
+    throw parameterError('At least one of products, substances or therapeutic_areas is required');
+  }
+
+  const mode = params.mode || 'replace';
+  const now = new Date().toISOString();
+  const existing = readWatchlist(params.watchlist);
+  const watchlist = existing || { name: params.watchlist, created: now, updated: now, last_checked: null, items: [], state: {} };
+
+  const currentIds = new Set(watchlist.items.map(itemId));
+  const requestedIds = new Set(requested.map(itemId));
+
+  let items;
+  if (mode === 'remove') {
+    items = watchlist.items.filter(item => !requestedIds.has(itemId(item)));
+  } else {
+    const kept = mode === 'add' ? watchlist.items : watchlist.items.filter(item => requestedIds.has(itemId(item)));
+    const keptIds = new Set(kept.map(itemId));
+    const additions = [];
+    const unresolved = [];
+    for (const item of requested) {
+      const id = itemId(item);
+      if (keptIds.has(id)) continue;
+      keptIds.add(id);
+
+      if (item.type !== 'product') {
+        additions.push({ ...item, added: now });
+        continue;
+      }
+
+      // Products are pinned to their EMA product number, so a later check cannot drift to another medicine
+      const resolution = await resolveProduct(item.value);
+      if (resolution.reason) {
+        unresolved.push({ value: item.value, reason: resolution.reason, candidates: resolution.candidates });
+        continue;
+      }
+      additions.push({
+        ...item,
+        ...(resolution.medicine
+          ? { ema_product_number: resolution.medicine.ema_product_number, name_of_medicine: resolution.medicine.name_of_medicine }
+          : {}),
+        added: now
+      });
+    }
+
+    if (unresolved.length > 0) {
+      return {
+        watchlist: params.watchlist,
+        saved: false,
+        message: 'Some products do not identify one medicine. Repeat the request with the name or ema_product_number ' +
+          'of one of the candidates; nothing was saved',
+        unresolved,
+        source: 'EMA Watchlist'
+      };
+    }
+    items = [...kept, ...additions];
+  }
+
+  if (items.length > MAX_WATCHLIST_ITEMS) {
+    throw parameterError(`A watchlist holds at most ${MAX_WATCHLIST_ITEMS} items (this change would leave ${items.length})`);
+  }
+
+  const itemIds = new Set(items.map(itemId));
+  const added = items.filter(item => !currentIds.has(itemId(item)));
+  const removed = watchlist.items.filter(item => !itemIds.has(itemId(item)));
+
+  watchlist.items = items;
+  watchlist.state = Object.fromEntries(Object.entries(watchlist.state).filter(([id]) => itemIds.has(id)));
+  watchlist.updated = now;
+  writeWatchlist(watchlist);
+
+  return {
+    watchlist: watchlist.name,
+    saved: true,
+    created: !existing,
+    item_count: items.length,
+    items: items.map(item => describeItem(item, watchlist)),
+    added: added.map(item => ({ type: item.type, value: item.value })),
+    removed: removed.map(item => ({ type: item.type, value: item.value })),
+    last_checked: watchlist.last_checked,
+    file: getWatchlistPath(watchlist.name),
+    source: 'EMA Watchlist'
+  };
+}
+
+/**
+ * Work out which trade names and substances an item stands for. Products resolve through the
+ * EMA product number stored when they were saved (a name that was not in the medicines report is
+ * still watched as written, e.g. for nationally authorised products in the shortages report);
+ * substances and therapeutic areas expand to the centrally authorised medicines they cover.
+ * @param {Object} item - {type, value, ema_product_number, name_of_medicine}
+ * @returns {Promise<Object>} {trade_names, substances, resolved_name}
+ */
+async function resolveItem(item) {
+  if (item.type === 'product') {
+    let medicine;
+    if (item.ema_product_number) {
+      const { data } = await loadEmaDataset('medicines');
+      medicine = findMedicineByProductNumber(data, item.ema_product_number);
+    } else {
+      medicine = (await resolveProduct(item.value)).medicine;
+    }
+
+    if (!medicine) {
+      return { trade_names: [item.name_of_medicine || item.value], substances: [], resolved_name: null };
+    }
+    return {
+      trade_names: [medicine.name_of_medicine],
+      substances: [...new Set(splitSubstanceComponents(medicine.active_substance))],
+      resolved_name: medicine.name_of_medicine
+    };
+  }
+
+  const search = await searchMedicines({ [item.type === 'substance' ? 'active_substance' : 'therapeutic_area']: item.value, limit: 10000 });
+  return {
+    trade_names: [...new Set(search.results.map(m => m.name_of_medicine).filter(Boolean))],
+    substances: item.type === 'substance'
+      ? [item.value]
+      : [...new Set(search.results.flatMap(m => splitSubstanceComponents(m.active_substance)))],
+    resolved_name: null
+  };
+}
+
+/**
+ * Collect the records of a dataset that match any of a therapeutic area's trade names (whole
+ * words) or substances, in one pass over the dataset
+ * @param {string} dataset - Key of AREA_MATCH_FIELDS
+ * @param {Object} resolved - Result of resolveItem
+ * @param {number} limit - Maximum records to return
+ * @returns {Promise<Object>} Section like collectSection's: {total_count, truncated, results, last_updated}
+ */
+async function collectAreaSection(dataset, resolved, limit) {
+  const fields = AREA_MATCH_FIELDS[dataset];
+  const tradeNames = resolved.trade_names.map(normaliseName).filter(Boolean);
+  const substances = fields.substances.length > 0 ? await Promise.all(resolved.substances.map(resolveSubstanceQuery)) : [];
+  const { data, provenance } = await loadEmaDataset(dataset);
+
+  const matches = data.filter(record =>
+    fields.tradeNames.some(field => {
+      const value = ` ${normaliseName(record[field])} `;
+      return tradeNames.some(name => value.includes(` ${name} `));
+    }) ||
+    fields.substances.some(field => substances.some(substance => matchesSubstance(record[field], substance)))
+  );
+
+  return {
+    total_count: matches.length,
+    truncated: matches.length > limit,
+    results: matches.slice(0, limit).map(normaliseRecordDates),
+    last_updated: provenance.last_updated || null
+  };
+}
+
+/**
+ * Dataset queries for an item, as functions returning a section. Product-level datasets match on
+ * trade names (whole words, as in get_medicine_dossier); referrals and PSUSAs cover substances.
+ * @param {Object} item - {type, value}
+ * @param {Object} resolved - Result of resolveItem
+ * @returns {Object} Dataset key -> () => Promise<section>
+ */
+function datasetQueries(item, resolved) {
+  const query = (...args) => () => collectSection(...args, MAX_TRACKED_RECORDS);
+  const byProduct = (fetcher, field) => query(fetcher, 'medicine_name', resolved.trade_names, [field], containsTradeName);
+  const bySubstance = fetcher => query(fetcher, 'active_substance', resolved.substances, [], null);
+
+  if (item.type === 'therapeutic_area') {
+    return {
+      shortages: query(getSupplyShortages, 'therapeutic_area', [item.value], [], null),
+      ...Object.fromEntries(Object.keys(AREA_MATCH_FIELDS).map(dataset =>
+        [dataset, () => collectAreaSection(dataset, resolved, MAX_TRACKED_RECORDS)]
+      ))
+    };
+  }
+
+  return {
+    shortages: item.type === 'product' ? byProduct(getSupplyShortages, 'medicine_affected') : bySubstance(getSupplyShortages),
+    dhpcs: item.type === 'substance' ? bySubstance(getDhpcs) : byProduct(getDhpcs, 'name_of_medicine'),
+    referrals: bySubstance(getReferrals),
+    psusas: bySubstance(getPsusas),
+    post_authorisation: byProduct(getPostAuthProcedures, 'medicine_name')
+  };
+}
+
+/**
+ * Index records by their dataset key field, falling back to a content hash for records
+ * without one. Repeated keys are numbered by occurrence ("KEY#2").
+ * @param {string} dataset - Key of EMA_DATASETS
+ * @param {Array<Object>} records - Records
+ * @returns {Object} Key -> record
+ */
+function keyRecords(dataset, records) {
+  const keyed = {};
+  for (const record of records) {
+    const keyField = EMA_DATASETS[dataset].keyFields.find(field => record[field] !== undefined && record[field] !== null && record[field] !== '');
+    const baseKey = keyField
+      ? String(record[keyField]).trim()
+      : `sha1:${crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex')}`;
+
+    let key = baseKey;
+    for (let occurrence = 2; keyed[key]; occurrence++) {
+      key = `${baseKey}#${occurrence}`;
+    }
+    keyed[key] = record;
+  }
+  return keyed;
+}
+
+/**
+ * Reduce a record to what the check state keeps of it: its key, date, status and URL fields
+ * (see STATE_FIELDS). Older watchlist files hold whole records, or {hash, fields}; those reduce
+ * to the same fields.
+ * @param {string} dataset - Key of EMA_DATASETS
+ * @param {Object} record - Record or stored state
+ * @returns {Object} Kept fields
+ */
+function stateFields(dataset, record) {
+  const source = typeof record.hash === 'string' && record.fields && typeof record.fields === 'object' ? record.fields : record;
+  const { keyFields, dateFields } = EMA_DATASETS[dataset];
+  const fields = {};
+  for (const field of Object.keys(source)) {
+    const kept = keyFields.includes(field) || dateFields.includes(field) || STATE_FIELDS[dataset].includes(field);
+    if (kept && source[field] !== undefined && source[field] !== null && source[field] !== '') {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build an alert for a new, changed or removed record
+ * @param {Object} item - Watched item
+ * @param {string} dataset - Key of EMA_DATASETS
+ * @param {string} change - new, changed or removed
+ * @param {string} key - Record key
+ * @param {Object} record - Current record (the stored fields when removed)
+ * @param {Object} [changes] - Changed fields ({field: {from, to}})
+ * @returns {Object} Alert
+ */
+function buildAlert(item, dataset, change, key, record, changes) {
+  const urlField = Object.keys(record).find(field => field.endsWith('_url') && record[field]);
+  return {
+    item_type: item.type,
+    item_value: item.value,
+    dataset,
+    change,
+    key,
+    date: getRecordDate(record, EMA_DATASETS[dataset].dateFields),
+    url: urlField ? record[urlField] : null,
+    ...(changes ? { changes } : {}),
+    record
+  };
+}
+
+/**
+ * Compare the records now matching an item with those seen at the last check. A record is
+ * reported as changed when one of its kept fields changed, with the old and new values.
+ * @param {Object} item - Watched item
+ * @param {string} dataset - Key of EMA_DATASETS
+ * @param {Object|undefined} previous - Kept fields from the last check (undefined on the first check)
+ * @param {Object} current - Kept fields of the records matching now
+ * @param {Object} records - Records matching now, by key
+ * @param {boolean} truncated - Whether the current records were cut off at MAX_TRACKED_RECORDS
+ * @returns {Array<Object>} Alerts
+ */
+function compareRecords(item, dataset, previous, current, records, truncated) {
+  if (!previous) return [];
+
+  const alerts = [];
+  for (const [key, fields] of Object.entries(current)) {
+    if (!previous[key]) {
+      alerts.push(buildAlert(item, dataset, 'new', key, records[key]));
+      continue;
+    }
+    const changes = diffRecord(stateFields(dataset, previous[key]), fields, null);
+    if (Object.keys(changes).length > 0) {
+      alerts.push(buildAlert(item, dataset, 'changed', key, records[key], changes));
+    }
+  }
+
+  if (!truncated) {
+    for (const [key, entry] of Object.entries(previous)) {
+      if (!current[key]) {
+        alerts.push(buildAlert(item, dataset, 'removed', key, stateFields(dataset, entry)));
+      }
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Re-evaluate every item of a watchlist against the current shortages, DHPCs, referrals, PSUSAs and
+ * post-authorisation procedures, and report only what is new, changed or no longer listed since
+ * the previous check. The first check of an item records a baseline and reports nothing.
+ * Datasets that cannot be loaded keep their previous state and are reported under errors.
+ * @param {Object} params - Parameters
+ * @param {string} params.watchlist - Watchlist name
+ * @param {boolean} [params.dry_run] - Report changes without recording this check
+ * @param {number} [params.limit] - Maximum alerts to return (default: 100)
+ * @returns {Promise<Object>} Alerts and per-item counts
+ */
+async function checkWatchlist(params = {}) {
+  // Validate input parameters
+  validateWatchlistName(params.watchlist);
+
+  if (params.dry_run !== undefined && typeof params.dry_run !== 'boolean') {
+    throw parameterError('dry_run must be a boolean (true or false)');
+  }
+
+  if (params.limit && (typeof params.limit !== 'number' || params.limit < 1 || params.limit > 10000)) {
+    throw parameterError('limit must be a number between 1 and 10000');
+  }
+
+  const watchlist = readWatchlist(params.watchlist);
+  if (!watchlist) {
+    const available = listWatchlists();
+    throw parameterError(`Watchlist "${params.watchlist}" not found. Create it with save_watchlist` +
+      (available.length ? ` (available: ${available.join(', ')})` : ''));
+  }
+
+  const checkedAt = new Date().toISOString();
+  const alerts = [];
+  const items = [];
+  const newState = {};
+
+  // Items run one after another: each one already queries five datasets in parallel
+  for (const item of watchlist.items) {
+    const id = itemId(item);
+    const previous = watchlist.state[id] || { checked_at: null, datasets: {} };
+    const summary = { type: item.type, value: item.value, baseline: false, tracked: {}, new_count: 0, changed_count: 0, removed_count: 0 };
+    const datasets = { ...previous.datasets };
+    const errors = {};
+
+    let resolved;
+    try {
+      resolved = await resolveItem(item);
+    } catch (error) {
+      items.push({ ...summary, errors: { medicines: error.message } });
+      continue;
+    }
+    if (item.type === 'product') {
+      summary.resolved_name = resolved.resolved_name;
+    }
+
+    const queries = datasetQueries(item, resolved);
+    const names = Object.keys(queries);
+    const settled = await Promise.allSettled(names.map(dataset => queries[dataset]()));
+
+    settled.forEach((outcome, i) => {
+      const dataset = names[i];
+      if (outcome.status === 'rejected') {
+        errors[dataset] = outcome.reason.message;
+        return;
+      }
+
+      const records = keyRecords(dataset, outcome.value.results);
+      const current = Object.fromEntries(Object.entries(records).map(([key, record]) => [key, stateFields(dataset, record)]));
+      if (!previous.datasets[dataset]) {
+        summary.baseline = true;
+      }
+      for (const alert of compareRecords(item, dataset, previous.datasets[dataset], current, records, outcome.value.truncated)) {
+        summary[`${alert.change}_count`]++;
+        alerts.push(alert);
+      }
+      summary.tracked[dataset] = Object.keys(current).length;
+      datasets[dataset] = current;
+    });
+
+    newState[id] = { checked_at: checkedAt, datasets };
+    items.push({ ...summary, ...(Object.keys(errors).length > 0 ? { errors } : {}) });
+  }
+
+  if (!params.dry_run) {
+    // Merge into the file as it is now, so items saved while this check ran are kept
+    const latest = readWatchlist(params.watchlist) || watchlist;
+    const latestIds = new Set(latest.items.map(itemId));
+    for (const [id, state] of Object.entries(newState)) {
+      if (latestIds.has(id)) latest.state[id] = state;
+    }
+    latest.last_checked = checkedAt;
+    writeWatchlist(latest);
+  }
+
+  // Per item and dataset: new, changed, removed; most recent first
+  const itemOrder = new Map(watchlist.items.map((item, i) => [itemId(item), i]));
+  const datasetOrder = ['shortages', 'dhpcs', 'referrals', 'psusas', 'post_authorisation'];
+  alerts.sort((a, b) =>
+    itemOrder.get(itemId({ type: a.item_type, value: a.item_value })) - itemOrder.get(itemId({ type: b.item_type, value: b.item_value })) ||
+    datasetOrder.indexOf(a.dataset) - datasetOrder.indexOf(b.dataset) ||
+    CHANGE_ORDER.indexOf(a.change) - CHANGE_ORDER.indexOf(b.change) ||
+    (b.date || '').localeCompare(a.date || '')
+  );
+
+  const limit = params.limit || 100;
+
+  return {
+    watchlist: watchlist.name,
+    checked_at: checkedAt,
+    previous_check: watchlist.last_checked,
+    dry_run: params.dry_run === true,
+    summary: {
+      items: items.length,
+      baseline_items: items.filter(item => item.baseline).length,
+      new: alerts.filter(alert => alert.change === 'new').length,
+      changed: alerts.filter(alert => alert.change === 'changed').length,
+      removed: alerts.filter(alert => alert.change === 'removed').length
+    },
+    total_count: alerts.length,
+    alerts: alerts.slice(0, limit),
+    items,
+    source: 'EMA Watchlist',
+    last_updated: checkedAt
+  };
+}
+
+module.exports = {
+  saveWatchlist,
+  checkWatchlist,
+  SAVE_MODES
+};
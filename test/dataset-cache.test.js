@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stubEmaReports } = require('./helpers.js');
+const { searchMedicines } = require('../src/ema-api.js');
+
+const CACHE_MODULE = require.resolve('../src/dataset-cache.js');
+
+/**
+ * Load a fresh copy of the cache module, so every test starts with an empty memory cache
+ * @returns {Object} dataset-cache.js exports
+ */
+function freshCache() {
+  delete require.cache[CACHE_MODULE];
+  return require(CACHE_MODULE);
+}
+
+/**
+ * Fetcher stub that records calls and answers from a queue
+ * @param {Array<Object>} responses - Responses, in call order
+ * @returns {Function} Fetcher with a `calls` array
+ */
+function queuedFetcher(responses) {
+  const fetcher = async (url, headers) => {
+    fetcher.calls.push({ url, headers });
+    return responses.shift();
+  };
+  fetcher.calls = [];
+  return fetcher;
+}
+
+test.beforeEach(() => {
+  delete process.env.EMA_CACHE_DIR;
+  delete process.env.EMA_CACHE_TTL_SECONDS;
+});
+
+test('serves a fresh entry from memory without contacting EMA', async () => {
+  const { getCachedDataset } = freshCache();
+  const fetcher = queuedFetcher([{ data: [{ id: 1 }], etag: '"v1"' }]);
+
+  const first = await getCachedDataset('https://example.test/a.json', fetcher);
+  const second = await getCachedDataset('https://example.test/a.json', fetcher);
+
+  assert.equal(fetcher.calls.length, 1);
+  assert.deepEqual(second.data, [{ id: 1 }]);
+  assert.equal(first.cache.hit, false);
+  assert.equal(second.cache.hit, true);
+  assert.equal(second.cache.revalidated, false);
+});
+
+test('revalidates a stale entry with its validators and reuses it on 304', async () => {
+  process.env.EMA_CACHE_TTL_SECONDS = '0';
+  const { getCachedDataset } = freshCache();
+  const fetcher = queuedFetcher([
+    { data: [{ id: 1 }], etag: '"v1"', lastModified: 'Mon, 01 Sep 2025 00:00:00 GMT' },
+    { notModified: true }
+  ]);
+
+  await getCachedDataset('https://example.test/b.json', fetcher);
+  const revalidated = await getCachedDataset('https://example.test/b.json', fetcher);
+
+  assert.deepEqual(fetcher.calls[0].headers, {});
+  assert.deepEqual(fetcher.calls[1].headers, {
+    'If-None-Match': '"v1"',
+    'If-Modified-Since': 'Mon, 01 Sep 2025 00:00:00 GMT'
+  });
+  assert.deepEqual(revalidated.data, [{ id: 1 }]);
+  assert.equal(revalidated.cache.hit, true);
+  assert.equal(revalidated.cache.revalidated, true);
+});
+
+test('replaces a stale entry when EMA returns new data', async () => {
+  process.env.EMA_CACHE_TTL_SECONDS = '0';
+  const { getCachedDataset } = freshCache();
+  const fetcher = queuedFetcher([{ data: [{ id: 1 }], etag: '"v1"' }, { data: [{ id: 2 }], etag: '"v2"' }]);
+
+  await getCachedDataset('https://example.test/c.json', fetcher);
+  const updated = await getCachedDataset('https://example.test/c.json', fetcher);
+
+  assert.deepEqual(updated.data, [{ id: 2 }]);
+  assert.equal(updated.cache.hit, false);
+});
+
+test('shares one download between parallel callers', async () => {
+  const { getCachedDataset } = freshCache();
+  const fetcher = queuedFetcher([{ data: [{ id: 1 }] }]);
+
+  const results = await Promise.all([
+    getCachedDataset('https://example.test/d.json', fetcher),
+    getCachedDataset('https://example.test/d.json', fetcher)
+  ]);
+
+  assert.equal(fetcher.calls.length, 1);
+  assert.deepEqual(results[0].data, results[1].data);
+});
+
+test('rejects a 304 answer for a report that is not cached', async () => {
+  const { getCachedDataset } = freshCache();
+  const fetcher = queuedFetcher([{ notModified: true }]);
+
+  await assert.rejects(getCachedDataset('https://example.test/e.json', fetcher), /304 Not Modified/);
+});
+
+test('persists entries to EMA_CACHE_DIR and reads them back after a restart', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ema-cache-'));
+  try {
+    process.env.EMA_CACHE_DIR = cacheDir;
+    await freshCache().getCachedDataset('https://example.test/f.json', queuedFetcher([{ data: [{ id: 1 }], etag: '"v1"' }]));
+    assert.equal(fs.readdirSync(cacheDir).filter(file => file.endsWith('.json')).length, 1);
+
+    // A new module instance has an empty memory cache, like a restarted server
+    const fetcher = queuedFetcher([]);
+    const restored = await freshCache().getCachedDataset('https://example.test/f.json', fetcher);
+    assert.equal(fetcher.calls.length, 0);
+    assert.deepEqual(restored.data, [{ id: 1 }]);
+    assert.equal(restored.cache.hit, true);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('a 304 records the revalidation next to the persisted data without rewriting it', async () => {
+  process.env.EMA_CACHE_TTL_SECONDS = '0';
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ema-cache-'));
+  try {
+    process.env.EMA_CACHE_DIR = cacheDir;
+    const { getCachedDataset } = freshCache();
+    const fetcher = queuedFetcher([{ data: [{ id: 1 }], etag: '"v1"' }, { notModified: true }]);
+    const first = await getCachedDataset('https://example.test/h.json', fetcher);
+    const [dataFile] = fs.readdirSync(cacheDir);
+    const written = fs.statSync(path.join(cacheDir, dataFile)).mtimeMs;
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const revalidated = await getCachedDataset('https://example.test/h.json', fetcher);
+    assert.equal(revalidated.cache.revalidated, true);
+    assert.equal(fs.statSync(path.join(cacheDir, dataFile)).mtimeMs, written);
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), [dataFile, dataFile.replace(/\.json$/, '.meta.json')]);
+
+    // After a restart the entry carries the later validation time and its first fetch time
+    process.env.EMA_CACHE_TTL_SECONDS = '3600';
+    const restored = await freshCache().getCachedDataset('https://example.test/h.json', queuedFetcher([]));
+    assert.equal(restored.cache.validated_at, revalidated.cache.validated_at);
+    assert.equal(restored.cache.fetched_at, first.cache.fetched_at);
+    assert.notEqual(restored.cache.validated_at, restored.cache.fetched_at);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('last_updated reports when the cached data was downloaded, not when it was served', async () => {
+  const stub = stubEmaReports();
+  try {
+    const first = await searchMedicines({ name: 'Ozempic' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const second = await searchMedicines({ name: 'Ozempic' });
+
+    assert.equal(second.cache.hit, true);
+    assert.equal(first.last_updated, first.cache.fetched_at);
+    assert.equal(second.last_updated, first.cache.fetched_at);
+  } finally {
+    stub.restore();
+  }
+});
+
+test('falls back to the default TTL for an invalid EMA_CACHE_TTL_SECONDS', async () => {
+  process.env.EMA_CACHE_TTL_SECONDS = 'soon';
+  const { getCachedDataset } = freshCache();
+  const fetcher = queuedFetcher([{ data: [] }]);
+
+  await getCachedDataset('https://example.test/g.json', fetcher);
+  await getCachedDataset('https://example.test/g.json', fetcher);
+
+  assert.equal(fetcher.calls.length, 1);
+});
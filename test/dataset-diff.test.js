@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir, writeSnapshot } = require('./helpers.js');
+const { buildXlsx } = require('./fixtures/xlsx.js');
+const { getDatasetChanges, diffRecord } = require('../src/dataset-diff.js');
+
+const SHORTAGES = 'shortages-output-json-report_en.json';
+const POST_AUTH = 'medicines-output-post_authorisation_json-report_en.json';
+
+/**
+ * Write two snapshots of the same reports under one root
+ * @param {Object} before - Older reports
+ * @param {Object} after - Newer reports
+ * @returns {{from: string, to: string}} Snapshot directories
+ */
+function snapshotPair(before, after) {
+  const root = tempDir('diff');
+  return {
+    from: writeSnapshot(path.join(root, 'from'), before, '2026-09-01T06:00:00.000Z'),
+    to: writeSnapshot(path.join(root, 'to'), after, '2026-09-08T06:00:00.000Z')
+  };
+}
+
+test('reports added, removed and modified records keyed by the dataset key field', async () => {
+  const { from, to } = snapshotPair(
+    {
+      [SHORTAGES]: [
+        { medicine_affected: 'Ozempic', supply_shortage_status: 'Ongoing', shortage_url: 'https://x/ozempic' },
+        { medicine_affected: 'Humalog', supply_shortage_status: 'Ongoing', shortage_url: 'https://x/humalog' }
+      ]
+    },
+    {
+      [SHORTAGES]: [
+        { medicine_affected: 'Ozempic', supply_shortage_status: 'Resolved', shortage_url: 'https://x/ozempic' },
+        { medicine_affected: 'Wegovy', supply_shortage_status: 'Ongoing', shortage_url: 'https://x/wegovy' }
+      ]
+    }
+  );
+
+  const result = await getDatasetChanges({ dataset: 'shortages', from_snapshot: from, to_snapshot: to });
+
+  assert.equal(result.key_field, 'shortage_url');
+  assert.deepEqual(result.added.map(entry => entry.key), ['https://x/wegovy']);
+  assert.deepEqual(result.removed.map(entry => entry.key), ['https://x/humalog']);
+  assert.deepEqual(result.modified[0].changes, { supply_shortage_status: { from: 'Ongoing', to: 'Resolved' } });
+  assert.deepEqual(result.summary, {
+    added: 1,
+    removed: 1,
+    modified: 1,
+    unchanged: 0,
+    records_without_key: { from: 0, to: 0 },
+    duplicate_keys: { from: 0, to: 0 }
+  });
+  assert.equal(result.from.snapshot, 'from');
+  assert.equal(result.to.last_updated, '2026-09-08T06:00:00.000Z');
+});
+
+test('numbers repeated keys by occurrence and counts records without a key', async () => {
+  const rows = [
+    { medicine_name: 'A', procedure_number: 'EMEA/H/C/WS/0001', decision_date: '01/01/2024' },
+    { medicine_name: 'B', procedure_number: 'EMEA/H/C/WS/0001', decision_date: '01/01/2024' },
+    { medicine_name: 'C', decision_date: '01/01/2024' }
+  ];
+  const { from, to } = snapshotPair({ [POST_AUTH]: rows }, {
+    [POST_AUTH]: [...rows.slice(0, 2), { medicine_name: 'B', procedure_number: 'EMEA/H/C/WS/0001', decision_date: '01/01/2024' }]
+  });
+
+  const result = await getDatasetChanges({ dataset: 'post_authorisation', from_snapshot: from, to_snapshot: to });
+
+  assert.equal(result.key_field, 'procedure_number');
+  assert.deepEqual(result.added.map(entry => entry.key), ['EMEA/H/C/WS/0001#3']);
+  assert.deepEqual(result.summary.duplicate_keys, { from: 1, to: 2 });
+  assert.deepEqual(result.summary.records_without_key, { from: 1, to: 0 });
+});
+
+test('only compares compare_fields and honours a key_field override', async () => {
+  const { from, to } = snapshotPair(
+    { [SHORTAGES]: [{ medicine_affected: 'Ozempic', supply_shortage_status: 'Ongoing', expected_resolution_date: 'Q1', shortage_url: 'https://x/1' }] },
+    { [SHORTAGES]: [{ medicine_affected: 'Ozempic', supply_shortage_status: 'Ongoing', expected_resolution_date: 'Q2', shortage_url: 'https://x/2' }] }
+  );
+
+  const byStatus = await getDatasetChanges({
+    dataset: 'shortages', from_snapshot: from, to_snapshot: to, key_field: 'medicine_affected', compare_fields: ['supply_shortage_status']
+  });
+  assert.equal(byStatus.key_field, 'medicine_affected');
+  assert.equal(byStatus.summary.modified, 0);
+  assert.equal(byStatus.summary.unchanged, 1);
+
+  await assert.rejects(
+    getDatasetChanges({ dataset: 'shortages', from_snapshot: from, to_snapshot: to, key_field: 'nope' }),
+    /key_field "nope" does not occur in the shortages dataset/
+  );
+});
+
+test('compares spreadsheet exports between snapshots', async () => {
+  const HERBAL = 'medicines-output-herbal_medicines-report_en.xlsx';
+  const header = ['Latin name of herbal substance', 'Status', 'URL'];
+  const { from, to } = snapshotPair(
+    { [HERBAL]: buildXlsx([{ rows: [header, ['Valerianae radix', 'Draft', 'https://x/valerian'], ['Thymi herba', 'Final', 'https://x/thyme']] }]) },
+    { [HERBAL]: buildXlsx([{ rows: [header, ['Valerianae radix', 'Final', 'https://x/valerian'], ['Salviae folium', 'Draft', 'https://x/sage']] }]) }
+  );
+
+  const result = await getDatasetChanges({ dataset: 'herbal_medicines', from_snapshot: from, to_snapshot: to });
+  assert.equal(result.key_field, 'herbal_url');
+  assert.deepEqual(result.added.map(entry => entry.key), ['https://x/sage']);
+  assert.deepEqual(result.removed.map(entry => entry.key), ['https://x/thyme']);
+  assert.deepEqual(result.modified.map(entry => entry.changes), [{ monograph_status: { from: 'Draft', to: 'Final' } }]);
+});
+
+test('validates parameters', async () => {
+  await assert.rejects(getDatasetChanges({ dataset: 'nope', from_snapshot: 'x' }), /dataset must be one of/);
+  await assert.rejects(getDatasetChanges({ dataset: 'shortages' }), /from_snapshot parameter is required/);
+  await assert.rejects(getDatasetChanges({ dataset: 'shortages', from_snapshot: 'x', limit: 0.5 }), /limit must be a number/);
+});
+
+test('diffRecord treats missing and null values alike', () => {
+  assert.deepEqual(diffRecord({ a: 1, b: null }, { a: 1 }, null), {});
+  assert.deepEqual(diffRecord({ a: 1 }, { a: 2, c: 'x' }, null), { a: { from: 1, to: 2 }, c: { from: null, to: 'x' } });
+  assert.deepEqual(diffRecord({ a: 1, c: 1 }, { a: 2, c: 2 }, ['c']), { c: { from: 1, to: 2 } });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const {
+  parseEmaDate,
+  getRecordDate,
+  validateDateRangeParams,
+  filterByDateRange,
+  normaliseRecordDates,
+  getSupplyShortages
+} = require('../src/ema-api.js');
+
+test('parses every EMA date format to ISO', () => {
+  assert.equal(parseEmaDate('08/02/2018'), '2018-02-08');
+  assert.equal(parseEmaDate('8/2/2018'), '2018-02-08');
+  assert.equal(parseEmaDate('12 March 2019'), '2019-03-12');
+  assert.equal(parseEmaDate('2 March 2019'), '2019-03-02');
+  assert.equal(parseEmaDate('2024-01-10'), '2024-01-10');
+  assert.equal(parseEmaDate('2024-01-10T09:30:00Z'), '2024-01-10');
+  assert.equal(parseEmaDate(' 2024-01-10 '), '2024-01-10');
+});
+
+test('rejects impossible and unrecognised dates', () => {
+  for (const value of ['31/02/2024', '31/13/2024', '2024-13-01', '2023-02-29', '32 March 2019', '12 Mar 2019', 'March 2019', 'soon', '', null, 20240110]) {
+    assert.equal(parseEmaDate(value), null, String(value));
+  }
+  assert.equal(parseEmaDate('29/02/2024'), '2024-02-29');
+});
+
+test('reads the first parseable date field of a record', () => {
+  const record = { decision_date: '', opinion_date: 'pending', first_published_date: '05/05/2021' };
+  assert.equal(getRecordDate(record, ['decision_date', 'opinion_date', 'first_published_date']), '2021-05-05');
+  assert.equal(getRecordDate(record, ['decision_date']), null);
+});
+
+test('normalises *_date fields and leaves other values unchanged', () => {
+  assert.deepEqual(
+    normaliseRecordDates({ decision_date: '01/02/2024', expected_resolution_date: 'Q3 2024', title: '01/02/2024' }),
+    { decision_date: '2024-02-01', expected_resolution_date: 'Q3 2024', title: '01/02/2024' }
+  );
+});
+
+test('validates date range parameters', () => {
+  assert.throws(() => validateDateRangeParams({ date_from: '2024/01/01' }), /date_from must be an ISO date/);
+  assert.throws(() => validateDateRangeParams({ date_to: '24' }), /date_to must be an ISO date/);
+  assert.throws(() => validateDateRangeParams({ date_from: '2024-07', date_to: '2024-06' }), /date_from must not be after date_to/);
+  assert.throws(() => validateDateRangeParams({ date_from: '2025', date_to: '2024-12-31' }), /date_from must not be after date_to/);
+  assert.throws(() => validateDateRangeParams({ date_field: 'status' }), /date_field must be the name of a date field/);
+
+  validateDateRangeParams({ date_from: '2024-06', date_to: '2024' });
+  validateDateRangeParams({ date_from: '2024', date_to: '2024-01-01' });
+});
+
+test('partial bounds cover whole periods and undated records are dropped', () => {
+  const records = [
+    { id: 1, decision_date: '31/12/2023' },
+    { id: 2, decision_date: '01/01/2024' },
+    { id: 3, decision_date: '31/12/2024' },
+    { id: 4, decision_date: '01/01/2025' },
+    { id: 5 }
+  ];
+  const ids = params => filterByDateRange(records, params, ['decision_date']).map(record => record.id);
+
+  assert.deepEqual(ids({ date_from: '2024', date_to: '2024' }), [2, 3]);
+  assert.deepEqual(ids({ date_from: '2024-12' }), [3, 4]);
+  assert.deepEqual(ids({ date_to: '2023' }), [1]);
+  assert.deepEqual(ids({}), [1, 2, 3, 4, 5]);
+});
+
+test('list methods filter on the default or the requested date field and return ISO dates', async () => {
+  const stub = stubEmaReports();
+  try {
+    const byStart = await getSupplyShortages({ date_from: '2022' });
+    assert.deepEqual(byStart.results.map(s => s.medicine_affected), ['Ozempic']);
+    assert.equal(byStart.results[0].start_of_shortage_date, '2022-08-01');
+
+    const byPublished = await getSupplyShortages({ date_field: 'first_published_date', date_to: '2021-03' });
+    assert.deepEqual(byPublished.results.map(s => s.medicine_affected), ['Humalog']);
+  } finally {
+    stub.restore();
+  }
+});
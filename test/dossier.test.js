@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stubEmaReports, tempDir, writeSnapshot } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const { getMedicineDossier } = require('../src/dossier.js');
+const { getMedicineTimeline } = require('../src/timeline.js');
+
+// Revalidate on every call, so fixture edits are picked up
+process.env.EMA_CACHE_TTL_SECONDS = '0';
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const MEDICINES = 'medicines-output-medicines_json-report_en.json';
+const HUMALOG_MIX = {
+  name_of_medicine: 'Humalog Mix25', active_substance: 'insulin lispro', ema_product_number: 'EMEA/H/C/000393',
+  medicine_status: 'Authorised', marketing_authorisation_date: '01/02/1999'
+};
+
+/**
+ * Run a test with a second Humalog product in the medicines report, so "Humalg" is ambiguous
+ * @param {Function} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withHumalogMix(fn) {
+  stub.reports[MEDICINES].push(HUMALOG_MIX);
+  try {
+    await fn();
+  } finally {
+    stub.reports[MEDICINES].pop();
+  }
+}
+
+test('joins product-level sections on whole trade names and substance-level sections on the substance', async () => {
+  const dossier = await getMedicineDossier({ name: 'Ozempic' });
+
+  assert.equal(dossier.found, true);
+  assert.deepEqual(dossier.matched_on, { trade_names: ['Ozempic'], substances: ['semaglutide'] });
+  assert.deepEqual(dossier.sections.supply_shortages.results.map(s => s.medicine_affected), ['Ozempic']);
+  assert.deepEqual(dossier.sections.dhpcs.results.map(d => d.name_of_medicine), ['Ozempic, Wegovy']);
+  assert.deepEqual(dossier.sections.post_authorisation_procedures.results.map(p => p.procedure_number), ['EMEA/H/C/004174/II/0001']);
+  assert.equal(dossier.sections.psusas.total_count, 1);
+  assert.equal(dossier.sections.pips.total_count, 1);
+  assert.equal(dossier.snapshot, null);
+});
+
+test('an ambiguous name returns candidates and no sections, and only the medicines report is loaded', async () => {
+  await withHumalogMix(async () => {
+    const before = stub.requests.length;
+    const dossier = await getMedicineDossier({ name: 'Humalg' });
+
+    assert.equal(dossier.found, false);
+    assert.equal(dossier.ambiguous, true);
+    assert.equal(dossier.sections, undefined);
+    assert.deepEqual(dossier.candidates.map(c => c.ema_product_number).sort(), ['EMEA/H/C/000088', 'EMEA/H/C/000393']);
+    assert.ok(stub.requests.slice(before).every(request => request.url.endsWith(MEDICINES)));
+  });
+});
+
+test('ema_product_number picks one candidate, in full or as its last segment', async () => {
+  await withHumalogMix(async () => {
+    const full = await getMedicineDossier({ ema_product_number: 'EMEA/H/C/000393' });
+    const short = await getMedicineDossier({ name: 'Humalg', ema_product_number: '000088' });
+
+    assert.equal(full.medicines[0].name_of_medicine, 'Humalog Mix25');
+    assert.equal(short.found, true);
+    assert.equal(short.medicines[0].name_of_medicine, 'Humalog');
+    assert.deepEqual(short.sections.supply_shortages.results.map(s => s.medicine_affected), ['Humalog']);
+
+    const missing = await getMedicineDossier({ ema_product_number: '999999' });
+    assert.equal(missing.found, false);
+    assert.match(missing.message, /No medicine with EMA product number "999999"/);
+  });
+});
+
+test('the timeline passes an ambiguous name\'s candidates through instead of picking one', async () => {
+  await withHumalogMix(async () => {
+    const timeline = await getMedicineTimeline({ name: 'Humalg' });
+    assert.equal(timeline.found, false);
+    assert.equal(timeline.ambiguous, true);
+    assert.equal(timeline.candidates.length, 2);
+    assert.deepEqual(timeline.events, []);
+  });
+});
+
+test('in snapshot mode last_updated is the newest dataset download and the snapshot is named', async (t) => {
+  const dir = writeSnapshot(path.join(tempDir('dossier'), '2026-09-01'), fixtureReports(), '2026-09-01T06:00:00.000Z');
+  const manifestPath = path.join(dir, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  manifest.files['shortages-output-json-report_en.json'].downloaded_at = '2026-09-01T07:30:00.000Z';
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+  process.env.EMA_SNAPSHOT_DIR = dir;
+  t.after(() => delete process.env.EMA_SNAPSHOT_DIR);
+
+  const dossier = await getMedicineDossier({ name: 'Ozempic' });
+  assert.equal(dossier.snapshot, '2026-09-01');
+  assert.equal(dossier.last_updated, '2026-09-01T07:30:00.000Z');
+  assert.equal(dossier.sections.supply_shortages.last_updated, '2026-09-01T07:30:00.000Z');
+  assert.equal(dossier.sections.dhpcs.last_updated, '2026-09-01T06:00:00.000Z');
+});
+
+test('rejects a request without name, ema_product_number or active_substance', async () => {
+  await assert.rejects(getMedicineDossier({}), /name, ema_product_number or active_substance parameter is required/);
+  await assert.rejects(getMedicineDossier({ ema_product_number: ' ' }), /ema_product_number must be a non-empty string/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers.js');
+const { exportResult, validateExportParams } = require('../src/export.js');
+
+const shortages = records => ({ results: records, total_count: records.length, source: 'EMA' });
+const SHORTAGE_HEADER = 'medicine_affected,international_non_proprietary_name_inn_or_common_name,supply_shortage_status,' +
+  'start_of_shortage_date,expected_resolution_date,shortage_url';
+
+test('CSV cells that a spreadsheet would run as formulas are prefixed with an apostrophe', () => {
+  const { text } = exportResult('get_supply_shortages', shortages([
+    { medicine_affected: '=HYPERLINK("http://x","y")', supply_shortage_status: '+1', shortage_url: '@SUM(A1)' },
+    { medicine_affected: '-2+3', supply_shortage_status: '\tOngoing', shortage_url: '\rResolved' },
+    { medicine_affected: 'Ozempic', supply_shortage_status: 'Ongoing', shortage_url: 'a=b', count: -4 }
+  ]), { output_format: 'csv', fields: ['medicine_affected', 'supply_shortage_status', 'shortage_url', 'count'] });
+
+  const lines = text.split('\r\n');
+  assert.equal(lines[0], 'medicine_affected,supply_shortage_status,shortage_url,count');
+  assert.equal(lines[1], `"'=HYPERLINK(""http://x"",""y"")",'+1,'@SUM(A1),`);
+  assert.equal(lines[2], `'-2+3,'\tOngoing,"'\rResolved",`);
+  assert.equal(lines[3], 'Ozempic,Ongoing,a=b,-4');
+});
+
+test('Markdown output escapes pipes and line breaks', () => {
+  const { text } = exportResult('get_supply_shortages', shortages([{ medicine_affected: 'A | B\nC' }]), { output_format: 'markdown', fields: ['medicine_affected'] });
+  assert.equal(text.split('\n')[2], '| A \\| B C |');
+});
+
+test('CSV headers start with the summary or row columns of the method, even without rows', () => {
+  assert.equal(exportResult('get_supply_shortages', shortages([]), { output_format: 'csv' }).text, `${SHORTAGE_HEADER}\r\n`);
+  assert.equal(exportResult('get_supply_shortages', shortages([]), { output_format: 'markdown' }).text, '_No records._\n');
+
+  // Pages with different fields share the leading columns; extra fields follow alphabetically
+  const page = exportResult('get_supply_shortages', shortages([{ shortage_url: 'u', medicine_affected: 'Ozempic', notes: 'n' }]), { output_format: 'csv' });
+  assert.deepEqual(page.text.split('\r\n').slice(0, 2), [`${SHORTAGE_HEADER},notes`, 'Ozempic,,,,,u,n']);
+
+  assert.equal(exportResult('check_watchlist', { alerts: [] }, { output_format: 'csv' }).text,
+    'change,key,changed_fields,item_type,item_value,dataset,date,url\r\n');
+  assert.equal(exportResult('get_statistics', { facets: [] }, { output_format: 'csv' }).text, 'facet,value,count\r\n');
+});
+
+test('output_file is written inside EMA_EXPORT_DIR, including names that start with two dots', (t) => {
+  const dir = tempDir('export');
+  process.env.EMA_EXPORT_DIR = dir;
+  t.after(() => delete process.env.EMA_EXPORT_DIR);
+
+  const { metadata } = exportResult('get_supply_shortages', shortages([{ medicine_affected: 'Ozempic' }]), { output_format: 'csv', output_file: '..shortages.csv' });
+  assert.equal(metadata.path, path.join(dir, '..shortages.csv'));
+  assert.equal(metadata.rows, 1);
+  assert.equal(fs.readFileSync(metadata.path, 'utf8'), `\uFEFF${SHORTAGE_HEADER}\r\nOzempic,,,,,\r\n`);
+
+  const nested = exportResult('get_supply_shortages', shortages([]), { output_format: 'ndjson', output_file: 'weekly/empty' });
+  assert.equal(nested.metadata.path, path.join(dir, 'weekly', 'empty.ndjson'));
+});
+
+test('output_file paths that leave EMA_EXPORT_DIR are rejected', (t) => {
+  const dir = tempDir('export');
+  process.env.EMA_EXPORT_DIR = dir;
+  t.after(() => delete process.env.EMA_EXPORT_DIR);
+
+  for (const outputFile of ['../escape', 'weekly/../../escape', path.join(path.dirname(dir), 'escape.json')]) {
+    assert.throws(() => exportResult('get_supply_shortages', shortages([]), { output_format: 'json', output_file: outputFile }),
+      /output_file must stay inside the export directory/, outputFile);
+  }
+});
+
+test('file export is disabled without EMA_EXPORT_DIR, and formats are validated', () => {
+  assert.throws(() => exportResult('get_supply_shortages', shortages([]), { output_file: 'x' }), /File export is disabled/);
+  assert.throws(() => validateExportParams({ output_format: 'xlsx' }), /output_format must be one of: json, csv, ndjson, markdown/);
+  assert.throws(() => validateExportParams({ output_file: ' ' }), /output_file must be a non-empty file name/);
+});
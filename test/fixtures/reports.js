@@ -0,0 +1,128 @@
+// Small EMA reports keyed by report file name. Field names follow the EMA JSON exports;
+// the herbal and Article 58 reports are Excel workbooks with a title block above the header.
+
+const { buildXlsx } = require('./xlsx.js');
+
+/**
+ * Build the fixture reports. Every call returns fresh objects, so tests can modify them.
+ * @returns {Object} Report file name -> parsed report
+ */
+function fixtureReports() {
+  return {
+    'medicines-output-medicines_json-report_en.json': [
+      {
+        name_of_medicine: 'Ozempic', active_substance: 'semaglutide', international_non_proprietary_name_common_name: 'semaglutide',
+        ema_product_number: 'EMEA/H/C/004174', medicine_status: 'Authorised', therapeutic_area_mesh: 'Diabetes Mellitus, Type 2',
+        orphan_medicine: 'No', conditional_approval: 'No', marketing_authorisation_date: '08/02/2018',
+        medicine_url: 'https://www.ema.europa.eu/en/medicines/human/EPAR/ozempic'
+      },
+      {
+        name_of_medicine: 'Wegovy', active_substance: 'semaglutide', international_non_proprietary_name_common_name: 'semaglutide',
+        ema_product_number: 'EMEA/H/C/005422', medicine_status: 'Authorised', therapeutic_area_mesh: 'Obesity',
+        orphan_medicine: 'No', conditional_approval: 'No', marketing_authorisation_date: '06/01/2022',
+        medicine_url: 'https://www.ema.europa.eu/en/medicines/human/EPAR/wegovy'
+      },
+      {
+        name_of_medicine: 'Tecartus', active_substance: 'autologous anti-CD19-transduced CD3+ cells', international_non_proprietary_name_common_name: 'brexucabtagene autoleucel',
+        ema_product_number: 'EMEA/H/C/005102', medicine_status: 'Authorised', therapeutic_area_mesh: 'Lymphoma, Mantle-Cell',
+        orphan_medicine: 'Yes', conditional_approval: 'Yes', start_of_evaluation_date: '30/01/2020', opinion_adopted_date: '22/10/2020',
+        marketing_authorisation_date: '14/12/2020', medicine_url: 'https://www.ema.europa.eu/en/medicines/human/EPAR/tecartus'
+      },
+      {
+        name_of_medicine: 'Humalog', active_substance: 'insulin lispro', international_non_proprietary_name_common_name: 'insulin lispro',
+        ema_product_number: 'EMEA/H/C/000088', medicine_status: 'Authorised', therapeutic_area_mesh: 'Diabetes Mellitus',
+        orphan_medicine: 'No', conditional_approval: 'No', marketing_authorisation_date: '30/04/1996',
+        medicine_url: 'https://www.ema.europa.eu/en/medicines/human/EPAR/humalog'
+      },
+      {
+        name_of_medicine: 'Zyprexa', active_substance: 'olanzapine', international_non_proprietary_name_common_name: 'olanzapine',
+        ema_product_number: 'EMEA/H/C/000115', medicine_status: 'Withdrawn', therapeutic_area_mesh: 'Schizophrenia',
+        orphan_medicine: 'No', conditional_approval: 'No', marketing_authorisation_date: '27/09/1996',
+        medicine_url: 'https://www.ema.europa.eu/en/medicines/human/EPAR/zyprexa'
+      }
+    ],
+    'medicines-output-orphan_designations-json-report_en.json': [
+      {
+        active_substance: 'Autologous anti-CD19-transduced CD3+ cells', eu_designation_number: 'EU/3/19/2153',
+        intended_use: 'Treatment of mantle cell lymphoma', status: 'Positive', date_of_designation_or_refusal: '12/03/2019',
+        orphan_designation_url: 'https://www.ema.europa.eu/en/medicines/human/orphan-designations/eu-3-19-2153'
+      },
+      {
+        active_substance: 'Tofersen', eu_designation_number: 'EU/3/21/2400',
+        intended_use: 'Treatment of amyotrophic lateral sclerosis', status: 'Positive', date_of_designation_or_refusal: '17/02/2021',
+        orphan_designation_url: 'https://www.ema.europa.eu/en/medicines/human/orphan-designations/eu-3-21-2400'
+      }
+    ],
+    'shortages-output-json-report_en.json': [
+      {
+        medicine_affected: 'Ozempic', international_non_proprietary_name_inn_or_common_name: 'semaglutide',
+        therapeutic_area_mesh: 'Diabetes Mellitus, Type 2', supply_shortage_status: 'Ongoing', start_of_shortage_date: '01/08/2022',
+        first_published_date: '05/08/2022', shortage_url: 'https://www.ema.europa.eu/en/medicines/human/shortages/ozempic'
+      },
+      {
+        medicine_affected: 'Humalog', international_non_proprietary_name_inn_or_common_name: 'insulin lispro',
+        therapeutic_area_mesh: 'Diabetes Mellitus', supply_shortage_status: 'Resolved', start_of_shortage_date: '15/03/2021',
+        first_published_date: '20/03/2021', shortage_url: 'https://www.ema.europa.eu/en/medicines/human/shortages/humalog'
+      }
+    ],
+    'referrals-output-json-report_en.json': [
+      {
+        international_non_proprietary_name_inn_common_name: 'semaglutide, liraglutide', procedure_number: 'EMEA/H/A-20/1520',
+        current_status: 'Completed', safety_referral: 'Sì', procedure_start_date: '10/07/2023',
+        referral_url: 'https://www.ema.europa.eu/en/medicines/human/referrals/glp-1'
+      }
+    ],
+    'medicines-output-post_authorisation_json-report_en.json': [
+      { medicine_name: 'Ozempic', procedure_number: 'EMEA/H/C/004174/II/0001', decision_date: '01/01/2020' },
+      { medicine_name: 'Tecartus', procedure_number: 'EMEA/H/C/005102/II/0042', decision_date: '15/03/2024', scope: 'Switch from a conditional marketing authorisation to a standard marketing authorisation' },
+      { medicine_name: 'Tecartus', procedure_number: 'EMEA/H/C/005102/R/0010', opinion_date: '01/10/2021' }
+    ],
+    'dhpc-output-json-report_en.json': [
+      { name_of_medicine: 'Ozempic, Wegovy', active_substances: 'semaglutide', dhpc_type: 'Safety', dissemination_date: '10/01/2024', dhpc_url: 'https://www.ema.europa.eu/en/medicines/dhpc/semaglutide' },
+      { name_of_medicine: 'Tecartus', active_substances: 'brexucabtagene autoleucel', dhpc_type: 'Safety', dissemination_date: '02/05/2023', dhpc_url: 'https://www.ema.europa.eu/en/medicines/dhpc/tecartus' }
+    ],
+    'medicines-output-periodic_safety_update_report_single_assessments-output-json-report_en.json': [
+      { active_substance: 'semaglutide', procedure_number: 'PSUSA/00010671/202012', regulatory_outcome: 'Variation', decision_date: '05/05/2021', psusa_url: 'https://www.ema.europa.eu/en/medicines/psusa/semaglutide' }
+    ],
+    'medicines-output-paediatric_investigation_plans-output-json-report_en.json': [
+      { active_substance: 'Semaglutide', therapeutic_area: 'Endocrinology', decision_type: 'PIP', decision_number: 'P/0100/2019', decision_date: '03/03/2019', pip_url: 'https://www.ema.europa.eu/en/medicines/pip/semaglutide' }
+    ],
+    'documents-output-epar_documents_json-report_en.json': {
+      data: [
+        { medicine_name: 'Ozempic', title: 'Ozempic : EPAR - Product information', document_type: 'Product information', first_published_date: '15/02/2018', document_url: 'https://www.ema.europa.eu/en/documents/ozempic-pi.pdf' },
+        { medicine_name: 'Tecartus', title: 'Tecartus : EPAR - Public assessment report', document_type: 'Assessment report', first_published_date: '12/01/2021', document_url: 'https://www.ema.europa.eu/en/documents/tecartus-epar.pdf' }
+      ]
+    },
+    'documents-output-json-report_en.json': {
+      data: [
+        { title: 'Guideline on clinical investigation of medicinal products in the treatment of diabetes mellitus', category: 'Scientific guideline', first_published_date: '29/01/2024', document_url: 'https://www.ema.europa.eu/en/documents/diabetes-guideline.pdf' },
+        { title: 'Semaglutide PRAC assessment of suicidal thoughts', category: 'Pharmacovigilance', first_published_date: '12/04/2024', document_url: 'https://www.ema.europa.eu/en/documents/semaglutide-prac.pdf' },
+        { title: 'Annual report 2023', category: 'Corporate', first_published_date: '01/06/2024', document_url: 'https://www.ema.europa.eu/en/documents/annual-report-2023.pdf' }
+      ]
+    },
+    'documents-output-non_epar_documents_json-report_en.json': { data: [] },
+    'medicines-output-herbal_medicines-report_en.xlsx': buildXlsx([{
+      name: 'Herbal medicines',
+      rows: [
+        ['Herbal medicines for human use'],
+        [],
+        ['Latin name of herbal substance', 'Botanical name of plant', 'English common name of herbal substance', 'Use', 'Status', 'Therapeutic area', 'First published', 'URL'],
+        ['Valerianae radix', 'Valeriana officinalis L.', 'Valerian root', 'Well-established use; Traditional use', 'Final opinion adopted', 'Sleep disorders and temporary insomnia', 43655, 'https://www.ema.europa.eu/en/medicines/herbal/valerianae-radix'],
+        ['Menthae piperitae folium', 'Mentha x piperita L.', 'Peppermint leaf', 'Traditional use', 'Assessment close to finalisation', 'Gastrointestinal disorders', 45245, 'https://www.ema.europa.eu/en/medicines/herbal/menthae-piperitae-folium']
+      ]
+    }]),
+    'medicines-output-eu_m4all-report_en.xlsx': buildXlsx([{
+      name: 'EU-M4all',
+      rows: [
+        ['Medicines for use outside the EU (EU-M4all)'],
+        ['Name of medicine', 'Active substance', 'Date of opinion', 'Intended use', 'Status', 'URL'],
+        ['Pyramax', 'pyronaridine tetraphosphate / artesunate', 40353, 'Treatment of acute uncomplicated malaria', 'Positive', 'https://www.ema.europa.eu/en/pyramax-h-w-2319'],
+        ['Arpraziquantel', 'arpraziquantel', 44256, 'Treatment of schistosomiasis in children', 'Positive', 'https://www.ema.europa.eu/en/arpraziquantel-h-w-5660']
+      ]
+    }])
+  };
+}
+
+module.exports = {
+  fixtureReports
+};
@@ -0,0 +1,160 @@
+// Minimal ZIP archives and Excel (.xlsx) workbooks built in memory, in the layout
+// Excel writes: a workbook part listing the sheets, relationships pointing at the
+// worksheet parts, and one shared string table.
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer (as stored in ZIP headers)
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Object} files - Entry name -> content (string or Buffer)
+ * @param {Object} [options] - {deflate: false} stores entries uncompressed
+ * @returns {Buffer} Archive bytes
+ */
+function buildZip(files, { deflate = true } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const stored = deflate ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters of a zero-based column index
+ * @param {number} index - Column index
+ * @returns {string} Letters (A, B, ..., AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Build an .xlsx workbook. Strings go to the shared string table (the empty string as <si/>),
+ * numbers are stored as values and null leaves the cell out.
+ * @param {Array<Object>} sheets - {name, rows, part (default sheetN.xml), hidden} in workbook order
+ * @param {Object} [options] - {deflate} (see buildZip)
+ * @returns {Buffer} Workbook bytes
+ */
+function buildXlsx(sheets, options = {}) {
+  const strings = [];
+  const stringIndex = value => {
+    if (!strings.includes(value)) strings.push(value);
+    return strings.indexOf(value);
+  };
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>'
+  };
+  const sheetElements = [];
+  const relationships = [];
+
+  sheets.forEach((sheet, i) => {
+    const part = sheet.part || `sheet${i + 1}.xml`;
+    const rows = sheet.rows.map((row, r) => {
+      const cells = row.map((value, c) => {
+        const ref = `${columnName(c)}${r + 1}`;
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+        return `<c r="${ref}" t="s"><v>${stringIndex(String(value))}</v></c>`;
+      });
+      return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+    files[`xl/worksheets/${part}`] = '<?xml version="1.0" encoding="UTF-8"?>' +
+      `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join('')}</sheetData></worksheet>`;
+
+    sheetElements.push(`<sheet name="${escapeXml(sheet.name || `Sheet${i + 1}`)}" sheetId="${i + 1}"` +
+      `${sheet.hidden ? ' state="hidden"' : ''} r:id="rId${i + 1}"/>`);
+    relationships.push(`<Relationship Id="rId${i + 1}" ` +
+      'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+      `Target="worksheets/${part}"/>`);
+  });
+
+  files['xl/workbook.xml'] = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets>${sheetElements.join('')}</sheets></workbook>`;
+  files['xl/_rels/workbook.xml.rels'] = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join('')}</Relationships>`;
+  files['xl/sharedStrings.xml'] = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="${strings.length}" uniqueCount="${strings.length}">` +
+    strings.map(text => (text === '' ? '<si/>' : `<si><t xml:space="preserve">${escapeXml(text)}</t></si>`)).join('') +
+    '</sst>';
+
+  return buildZip(files, options);
+}
+
+module.exports = {
+  buildZip,
+  buildXlsx
+};
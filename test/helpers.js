@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+
+/**
+ * Answer EMA report requests from fixtures instead of the network. Reports are looked up
+ * by the last path segment of the URL; any other request fails.
+ * @param {Object} [reports] - Report file name -> parsed report (default: fixtureReports())
+ * @returns {Object} {reports, requests, restore}: modify reports to change later answers
+ */
+function stubEmaReports(reports = fixtureReports()) {
+  const original = axios.get;
+  const requests = [];
+
+  axios.get = async (url, config = {}) => {
+    requests.push({ url, headers: config.headers || {} });
+    const fileName = url.split('/').pop();
+    if (!Object.prototype.hasOwnProperty.call(reports, fileName)) {
+      throw new Error(`Unexpected request in tests: ${url}`);
+    }
+
+    const report = reports[fileName];
+    let data;
+    if (Buffer.isBuffer(report)) {
+      data = config.responseType === 'arraybuffer' ? report : report.toString('utf8');
+    } else {
+      data = config.responseType === 'text' ? JSON.stringify(report) : JSON.parse(JSON.stringify(report));
+    }
+    return { status: 200, data, headers: {} };
+  };
+
+  return {
+    reports,
+    requests,
+    restore: () => {
+      axios.get = original;
+    }
+  };
+}
+
+/**
+ * Create a temporary directory that is removed when the process exits
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+function tempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `ema-${prefix}-`));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write a snapshot directory (manifest plus report files) as `sync` would
+ * @param {string} dir - Snapshot directory
+ * @param {Object} reports - Report file name -> parsed report (Buffers are written as-is)
+ * @param {string} downloadedAt - ISO timestamp recorded for every file
+ * @returns {string} Snapshot directory
+ */
+function writeSnapshot(dir, reports, downloadedAt) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {};
+  for (const [fileName, report] of Object.entries(reports)) {
+    fs.writeFileSync(path.join(dir, fileName), Buffer.isBuffer(report) ? report : JSON.stringify(report));
+    files[fileName] = { downloaded_at: downloadedAt, source_url: `https://www.ema.europa.eu/en/documents/report/${fileName}` };
+  }
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ snapshot: path.basename(dir), created_at: downloadedAt, files }));
+  return dir;
+}
+
+/**
+ * Connect an MCP client to a fresh server over an in-memory transport
+ * @returns {Promise<Client>} Connected client (close it when done)
+ */
+async function connectClient() {
+  // Loaded on demand: the server pulls in every module, which tests may want to load after setting env vars
+  const { createServer } = require('../src/index.js');
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  const client = new Client({ name: 'ema-mcp-server-tests', version: '0.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+module.exports = {
+  stubEmaReports,
+  connectClient,
+  tempDir,
+  writeSnapshot
+};
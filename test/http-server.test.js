@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startHttpServer, parseHttpArgs, isAuthorized } = require('../src/http-server.js');
+const { createServer } = require('../src/index.js');
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'ema-mcp-server-tests', version: '0.0.0' } }
+};
+const STREAM_HEADERS = { accept: 'application/json, text/event-stream', 'content-type': 'application/json' };
+
+/**
+ * Start an HTTP server on a free loopback port, recording every MCP server it creates
+ * @param {Object} t - Test context (the server is closed after the test)
+ * @param {Object} [options] - Extra startHttpServer options
+ * @returns {Promise<Object>} {port, servers}; servers have a `closed` flag
+ */
+async function start(t, options = {}) {
+  const servers = [];
+  const factory = () => {
+    const server = createServer();
+    server.closed = false;
+    server.onclose = () => { server.closed = true; };
+    servers.push(server);
+    return server;
+  };
+  const running = await startHttpServer(factory, { host: '127.0.0.1', port: 0, token: null, ...options });
+  t.after(() => running.close());
+  return { port: running.httpServer.address().port, servers };
+}
+
+/**
+ * Send a request and read the whole response
+ * @param {number} port - Server port
+ * @param {Object} request - {method, path, headers, body}
+ * @returns {Promise<Object>} {status, headers, text}
+ */
+function send(port, { method = 'GET', path = '/health', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+const sessionCount = async port => JSON.parse((await send(port)).text).sessions;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start a Streamable HTTP session
+ * @param {number} port - Server port
+ * @returns {Promise<string>} Session ID
+ */
+async function initialize(port) {
+  const response = await send(port, { method: 'POST', path: '/mcp', headers: STREAM_HEADERS, body: INITIALIZE });
+  assert.equal(response.status, 200);
+  return response.headers['mcp-session-id'];
+}
+
+test('loopback servers only answer to loopback Host and Origin names', async (t) => {
+  const { port } = await start(t, { allowedHosts: parseHttpArgs([]).allowedHosts });
+
+  assert.equal((await send(port, { headers: { host: `localhost:${port}` } })).status, 200);
+  assert.equal((await send(port, { headers: { host: `127.0.0.1:${port}`, origin: `http://localhost:${port}` } })).status, 200);
+
+  const rebound = await send(port, { headers: { host: `attacker.example:${port}` } });
+  assert.equal(rebound.status, 403);
+  assert.equal((await send(port, { headers: { host: `localhost:${port}`, origin: 'https://attacker.example' } })).status, 403);
+  assert.equal((await send(port, { method: 'POST', path: '/mcp', headers: { ...STREAM_HEADERS, host: 'attacker.example' }, body: INITIALIZE })).status, 403);
+});
+
+test('allowed hosts default to loopback names on loopback interfaces and come from EMA_HTTP_ALLOWED_HOSTS otherwise', (t) => {
+  t.after(() => delete process.env.EMA_HTTP_ALLOWED_HOSTS);
+
+  assert.deepEqual(parseHttpArgs(['--host', '127.0.0.1']).allowedHosts, ['localhost', '127.0.0.1', '[::1]']);
+  assert.equal(parseHttpArgs(['--host', '0.0.0.0']).allowedHosts, null);
+
+  process.env.EMA_HTTP_ALLOWED_HOSTS = 'ema.example.org, Gateway.internal';
+  assert.deepEqual(parseHttpArgs(['--host', '0.0.0.0']).allowedHosts, ['ema.example.org', 'gateway.internal']);
+});
+
+test('ending a session with DELETE closes its MCP server', async (t) => {
+  const { port, servers } = await start(t);
+  const sessionId = await initialize(port);
+  assert.equal(await sessionCount(port), 1);
+
+  const response = await send(port, { method: 'DELETE', path: '/mcp', headers: { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' } });
+  assert.equal(response.status, 200);
+  assert.equal(await sessionCount(port), 0);
+  assert.equal(servers[0].closed, true);
+});
+
+test('a failed initialize closes the server it created and registers no session', async (t) => {
+  const { port, servers } = await start(t);
+
+  // Without text/event-stream in Accept the transport rejects the request before assigning a session ID
+  const response = await send(port, { method: 'POST', path: '/mcp', headers: { accept: 'application/json', 'content-type': 'application/json' }, body: INITIALIZE });
+  assert.equal(response.status, 406);
+  assert.equal(servers.length, 1);
+  assert.equal(servers[0].closed, true);
+  assert.equal(await sessionCount(port), 0);
+});
+
+test('the idle sweeper closes idle sessions but not sessions with an open stream', async (t) => {
+  const { port } = await start(t, { sessionIdleMs: 100 });
+  const streaming = await initialize(port);
+  await initialize(port);
+
+  // Keep a GET notification stream open on the first session
+  const stream = http.request({
+    host: '127.0.0.1',
+    port,
+    method: 'GET',
+    path: '/mcp',
+    headers: { accept: 'text/event-stream', 'mcp-session-id': streaming, 'mcp-protocol-version': '2025-03-26' }
+  });
+  const opened = new Promise(resolve => stream.on('response', resolve));
+  stream.on('error', () => {});
+  stream.end();
+  assert.equal((await opened).statusCode, 200);
+
+  await sleep(350);
+  assert.equal(await sessionCount(port), 1);
+
+  stream.destroy();
+  await sleep(350);
+  assert.equal(await sessionCount(port), 0);
+});
+
+test('bearer tokens are compared exactly', () => {
+  const request = authorization => ({ headers: authorization ? { authorization } : {} });
+  assert.equal(isAuthorized(request(), null), true);
+  assert.equal(isAuthorized(request('Bearer secret'), 'secret'), true);
+  assert.equal(isAuthorized(request('bearer  secret '), 'secret'), true);
+  assert.equal(isAuthorized(request('Bearer secret2'), 'secret'), false);
+  assert.equal(isAuthorized(request(), 'secret'), false);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const { rankMedicines, isAmbiguous } = require('../src/name-ranking.js');
+const { getMedicineByName } = require('../src/ema-api.js');
+
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const medicines = () => fixtureReports()['medicines-output-medicines_json-report_en.json'];
+const ranked = (query, records = medicines()) =>
+  rankMedicines(query, records).map(c => [c.medicine.name_of_medicine, c.match_type, c.matched_field]);
+
+test('exact, prefix, token, substring and fuzzy matches rank in that order', () => {
+  const records = [
+    { name_of_medicine: 'Ozempic', medicine_status: 'Authorised' },
+    { name_of_medicine: 'Ozempic FlexTouch', medicine_status: 'Authorised' },
+    { name_of_medicine: 'Pen Ozempic', medicine_status: 'Authorised' },
+    { name_of_medicine: 'Superozempicum', medicine_status: 'Authorised' }
+  ];
+
+  assert.deepEqual(ranked('ozempic', records).map(([name, type]) => [name, type]), [
+    ['Ozempic', 'exact'],
+    ['Ozempic FlexTouch', 'prefix'],
+    ['Pen Ozempic', 'token'],
+    ['Superozempicum', 'substring']
+  ]);
+  assert.deepEqual(ranked('Ozempik', records)[0], ['Ozempic', 'fuzzy', 'name_of_medicine']);
+});
+
+test('substance matches rank below trade name matches and unrelated names are dropped', () => {
+  assert.deepEqual(ranked('semaglutide'), [
+    ['Ozempic', 'exact', 'active_substance'],
+    ['Wegovy', 'exact', 'active_substance']
+  ]);
+  assert.deepEqual(ranked('Paracetamol'), []);
+});
+
+test('ties go to authorised products, then alphabetical order', () => {
+  const records = [
+    { name_of_medicine: 'Alpha', active_substance: 'examplumab', medicine_status: 'Withdrawn' },
+    { name_of_medicine: 'Gamma', active_substance: 'examplumab', medicine_status: 'Authorised' },
+    { name_of_medicine: 'Beta', active_substance: 'examplumab', medicine_status: 'Authorised' }
+  ];
+  assert.deepEqual(ranked('examplumab', records).map(([name]) => name), ['Beta', 'Gamma', 'Alpha']);
+});
+
+test('close scores are ambiguous, a clear exact hit is not', () => {
+  const records = [
+    ...medicines(),
+    { name_of_medicine: 'Humalog Mix25', active_substance: 'insulin lispro', medicine_status: 'Authorised' }
+  ];
+  assert.equal(isAmbiguous(rankMedicines('Humalog', records)), false);
+  assert.equal(isAmbiguous(rankMedicines('Humalg', records)), true);
+  assert.equal(isAmbiguous(rankMedicines('semaglutide', records)), true);
+  assert.equal(isAmbiguous([]), false);
+});
+
+test('get_medicine_by_name returns the best match with scored candidates', async () => {
+  const lookup = await getMedicineByName('Ozempik');
+  assert.equal(lookup.found, true);
+  assert.equal(lookup.medicine.name_of_medicine, 'Ozempic');
+  assert.equal(lookup.match.match_type, 'fuzzy');
+  assert.equal(lookup.ambiguous, false);
+  assert.ok(lookup.candidates.every(c => typeof c.score === 'number' && c.ema_product_number !== undefined));
+
+  const missing = await getMedicineByName('Nonexistium');
+  assert.equal(missing.found, false);
+  assert.deepEqual(missing.candidates, []);
+});
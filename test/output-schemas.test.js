@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { stubEmaReports, connectClient, tempDir, writeSnapshot } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const { TOOLS } = require('../src/tools.js');
+const { OUTPUT_SCHEMAS } = require('../src/output-schemas.js');
+const { summariseResult } = require('../src/summaries.js');
+
+const stub = stubEmaReports();
+let client;
+
+test.before(async () => {
+  client = await connectClient();
+  // Caches the output schemas, so callTool validates structuredContent against them
+  await client.listTools();
+});
+
+test.after(async () => {
+  await client.close();
+  stub.restore();
+});
+
+// One call per typed tool that runs on the fixture reports alone
+const CALLS = {
+  ema_search_medicines: { active_substance: 'semaglutide' },
+  ema_get_medicine_by_name: { name: 'Ozempic' },
+  ema_get_orphan_designations: {},
+  ema_get_supply_shortages: { status: 'ongoing' },
+  ema_get_referrals: {},
+  ema_get_post_auth_procedures: { medicine_name: 'Tecartus' },
+  ema_get_dhpcs: { format: 'summary' },
+  ema_get_psusas: {},
+  ema_get_pips: { fields: ['decision_number'] },
+  ema_search_epar_documents: { medicine_name: 'Ozempic' },
+  ema_search_all_documents: { search_term: 'semaglutide' },
+  ema_search_non_epar_documents: {},
+  ema_search_documents_fulltext: { query: 'semaglutide' },
+  ema_get_statistics: { dataset: 'medicines', group_by: ['medicine_status'], interval: 'year' },
+  ema_get_medicine_dossier: { name: 'Ozempic' },
+  ema_get_medicine_timeline: { name: 'Tecartus' },
+  ema_resolve_substance: { active_substance: 'Ozempic' }
+};
+
+test('every typed tool declares an object output schema', async () => {
+  const { tools } = await client.listTools();
+  for (const tool of TOOLS) {
+    const listed = tools.find(t => t.name === tool.name);
+    assert.equal(listed.outputSchema.type, 'object', `${tool.name} has no output schema`);
+    assert.deepEqual(listed.outputSchema, JSON.parse(JSON.stringify(OUTPUT_SCHEMAS[tool.method])));
+  }
+});
+
+for (const [name, args] of Object.entries(CALLS)) {
+  test(`${name} returns structured content matching its output schema and a text summary`, async () => {
+    // The client rejects structuredContent that does not validate against the output schema
+    const result = await client.callTool({ name, arguments: args });
+
+    assert.ok(!result.isError, result.isError ? result.content[0].text : '');
+    assert.equal(typeof result.structuredContent, 'object');
+    assert.equal(result.content.length, 1);
+    assert.throws(() => JSON.parse(result.content[0].text), SyntaxError, 'summary is plain text, not JSON');
+    assert.ok(result.content[0].text.length < JSON.stringify(result.structuredContent).length);
+  });
+}
+
+test('ema_get_changes output validates for a snapshot diff', async (t) => {
+  const root = tempDir('schemas');
+  process.env.EMA_SNAPSHOT_ROOT = root;
+  t.after(() => delete process.env.EMA_SNAPSHOT_ROOT);
+  const reports = fixtureReports();
+  writeSnapshot(path.join(root, '2026-09-01'), reports, '2026-09-01T06:00:00.000Z');
+  reports['medicines-output-medicines_json-report_en.json'][4].medicine_status = 'Authorised';
+  writeSnapshot(path.join(root, '2026-09-08'), reports, '2026-09-08T06:00:00.000Z');
+
+  const result = await client.callTool({
+    name: 'ema_get_changes',
+    arguments: { dataset: 'medicines', from_snapshot: '2026-09-01', to_snapshot: '2026-09-08' }
+  });
+  assert.ok(!result.isError);
+  assert.equal(result.structuredContent.summary.modified, 1);
+  assert.match(result.content[0].text, /0 added, 0 removed, 1 modified/);
+});
+
+test('list summaries number the page, label records and point to the next cursor', () => {
+  const text = summariseResult('get_supply_shortages', {
+    source: 'EMA Medicine Shortages',
+    offset: 10,
+    total_count: 30,
+    returned_count: 2,
+    has_more: true,
+    results: [
+      { medicine_affected: 'Ozempic', start_of_shortage_date: '2022-08-01' },
+      { medicine_affected: null }
+    ]
+  });
+  assert.equal(text, [
+    'EMA Medicine Shortages: records 11-12 of 30.',
+    '11. Ozempic (2022-08-01)',
+    '12. (unnamed)',
+    'More results: pass next_cursor as cursor.'
+  ].join('\n'));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { searchMedicines, getSupplyShortages } = require('../src/ema-api.js');
+
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+test('reports the true total and pages through every record with next_cursor', async () => {
+  const names = [];
+  let page = await searchMedicines({ limit: 2 });
+  assert.equal(page.total_count, 5);
+  assert.equal(page.offset, 0);
+
+  for (;;) {
+    names.push(...page.results.map(m => m.name_of_medicine));
+    if (!page.has_more) break;
+    page = await searchMedicines({ limit: 2, cursor: page.next_cursor });
+  }
+
+  assert.equal(names.length, 5);
+  assert.equal(new Set(names).size, 5);
+  assert.equal(page.next_cursor, null);
+  assert.equal(page.returned_count, 1);
+});
+
+test('offset skips records', async () => {
+  const all = await searchMedicines({});
+  const page = await searchMedicines({ offset: 3, limit: 10 });
+
+  assert.deepEqual(page.results, all.results.slice(3));
+  assert.equal(page.has_more, false);
+});
+
+test('a cursor keeps working when only presentation parameters change', async () => {
+  const first = await searchMedicines({ limit: 2, status: 'Authorised' });
+  const next = await searchMedicines({ limit: 1, status: 'Authorised', fields: ['name_of_medicine'], cursor: first.next_cursor });
+
+  assert.equal(next.offset, 2);
+  assert.deepEqual(Object.keys(next.results[0]), ['name_of_medicine']);
+});
+
+test('rejects a cursor from another query or another method', async () => {
+  const first = await searchMedicines({ limit: 1, status: 'Authorised' });
+
+  await assert.rejects(searchMedicines({ limit: 1, status: 'Withdrawn', cursor: first.next_cursor }), /cursor does not belong to this query/);
+  await assert.rejects(getSupplyShortages({ limit: 1, status: 'Ongoing', cursor: first.next_cursor }), /cursor does not belong to this query/);
+});
+
+test('validates offset and cursor', async () => {
+  await assert.rejects(searchMedicines({ offset: -1 }), /offset must be a non-negative integer/);
+  await assert.rejects(searchMedicines({ cursor: 'not-a-cursor' }), /cursor is invalid/);
+  await assert.rejects(searchMedicines({ cursor: Buffer.from('{"o":-1,"q":"x"}').toString('base64url') }), /cursor is invalid/);
+
+  const first = await searchMedicines({ limit: 1 });
+  await assert.rejects(searchMedicines({ limit: 1, offset: 1, cursor: first.next_cursor }), /offset and cursor cannot be combined/);
+});
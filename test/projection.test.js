@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { searchMedicines, getSupplyShortages, shapeRecords, validateProjectionParams } = require('../src/ema-api.js');
+const { getMedicineDossier } = require('../src/dossier.js');
+
+// Revalidate on every call, so fixture edits are picked up
+process.env.EMA_CACHE_TTL_SECONDS = '0';
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const LONG_INDICATION = `Ozempic is indicated for the treatment of adults with insufficiently controlled type 2 diabetes mellitus ${'as an adjunct to diet and exercise '.repeat(20)}`;
+
+test('fields keeps only the listed fields, in the listed order, and skips missing ones', async () => {
+  const page = await searchMedicines({ active_substance: 'semaglutide', fields: ['medicine_status', 'name_of_medicine', 'no_such_field'] });
+  assert.deepEqual(page.results, [
+    { medicine_status: 'Authorised', name_of_medicine: 'Ozempic' },
+    { medicine_status: 'Authorised', name_of_medicine: 'Wegovy' }
+  ]);
+  assert.equal(page.truncation, undefined);
+});
+
+test('ids_only and summary formats use the per-method field views', async () => {
+  const ids = await getSupplyShortages({ format: 'ids_only' });
+  assert.deepEqual(ids.results.map(record => Object.keys(record).sort()), [['medicine_affected', 'shortage_url'], ['medicine_affected', 'shortage_url']]);
+
+  const summary = await searchMedicines({ name: 'Ozempic', format: 'summary' });
+  assert.ok(!('international_non_proprietary_name_common_name' in summary.results[0]));
+  assert.equal(summary.results[0].marketing_authorisation_date, '2018-02-08');
+});
+
+test('summary format truncates long free text and reports which fields were cut', async () => {
+  const medicines = stub.reports['medicines-output-medicines_json-report_en.json'];
+  medicines[0].therapeutic_area_mesh = LONG_INDICATION;
+  medicines[0].medicine_url = `https://www.ema.europa.eu/en/medicines/human/EPAR/${'x'.repeat(400)}`;
+  try {
+    const page = await searchMedicines({ name: 'Ozempic', format: 'summary' });
+    const record = page.results[0];
+    assert.ok(record.therapeutic_area_mesh.endsWith('…'));
+    assert.ok(record.therapeutic_area_mesh.length <= 301);
+    assert.equal(record.medicine_url, medicines[0].medicine_url, 'URLs are never truncated');
+    assert.deepEqual(page.truncation, { max_text_length: 300, truncated_fields: { therapeutic_area_mesh: 1 } });
+  } finally {
+    medicines[0].therapeutic_area_mesh = 'Diabetes Mellitus, Type 2';
+    medicines[0].medicine_url = 'https://www.ema.europa.eu/en/medicines/human/EPAR/ozempic';
+  }
+});
+
+test('max_text_length applies to full records and counts truncations per field', () => {
+  const records = [{ title: 'a'.repeat(50), body: 'b'.repeat(10) }, { title: 'c'.repeat(60) }];
+  const shaped = shapeRecords(records, { max_text_length: 20 }, 'search_all_documents');
+  assert.equal(shaped.records[0].title, `${'a'.repeat(20)}…`);
+  assert.equal(shaped.records[0].body, 'b'.repeat(10));
+  assert.deepEqual(shaped.truncation, { max_text_length: 20, truncated_fields: { title: 2 } });
+  assert.equal(shapeRecords(records, {}, 'search_all_documents').truncation, null);
+});
+
+test('the dossier applies projection to its medicines and every section', async () => {
+  const dossier = await getMedicineDossier({ name: 'Ozempic', format: 'ids_only' });
+  assert.deepEqual(dossier.medicines, [{ ema_product_number: 'EMEA/H/C/004174', name_of_medicine: 'Ozempic' }]);
+  assert.deepEqual(Object.keys(dossier.sections.supply_shortages.results[0]).sort(), ['medicine_affected', 'shortage_url']);
+});
+
+test('rejects invalid projection parameters', () => {
+  assert.throws(() => validateProjectionParams({ fields: [] }), /fields must be a non-empty array/);
+  assert.throws(() => validateProjectionParams({ format: 'compact' }), /format must be one of: full, summary, ids_only/);
+  assert.throws(() => validateProjectionParams({ fields: ['name_of_medicine'], format: 'summary' }), /cannot be combined/);
+  assert.throws(() => validateProjectionParams({ max_text_length: 5 }), /at least 20/);
+  assert.doesNotThrow(() => validateProjectionParams({ fields: ['name_of_medicine'], format: 'full', max_text_length: 20 }));
+});
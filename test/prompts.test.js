@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { connectClient } = require('./helpers.js');
+const { listPrompts, getPrompt } = require('../src/prompts.js');
+const { findToolByMethod, validateToolArguments } = require('../src/tools.js');
+
+// Arguments that exercise every optional argument of every prompt
+const SAMPLE_ARGUMENTS = {
+  regulatory_profile: { substance: 'semaglutide' },
+  safety_signal_review: { medicine: 'Ozempic', since: '2023-06' },
+  shortage_impact: { therapeutic_area: 'Diabetes Mellitus' },
+  orphan_landscape: { condition: 'amyotrophic lateral sclerosis', since: '2020' }
+};
+
+/**
+ * Extract the ema_info calls a rendered prompt asks for
+ * @param {string} text - Prompt text
+ * @returns {Array<Object>} Call arguments, including method
+ */
+function emaInfoCalls(text) {
+  return [...text.matchAll(/ema_info (\{.*?\})(?=$|[\s.,;)])/gm)].map(match => JSON.parse(match[1]));
+}
+
+test('lists every prompt with its arguments', () => {
+  const prompts = listPrompts();
+  assert.deepEqual(prompts.map(p => p.name).sort(), Object.keys(SAMPLE_ARGUMENTS).sort());
+  for (const prompt of prompts) {
+    assert.ok(prompt.description);
+    assert.ok(prompt.arguments.some(argument => argument.required));
+  }
+});
+
+test('every ema_info call in a rendered prompt is valid for its method', () => {
+  for (const [name, args] of Object.entries(SAMPLE_ARGUMENTS)) {
+    const text = getPrompt(name, args).messages[0].content.text;
+    const calls = emaInfoCalls(text);
+    assert.ok(calls.length > 0, `${name} has no ema_info calls`);
+    assert.equal(calls.length, text.split('ema_info ').length - 1, `${name} has a call that is not valid JSON`);
+
+    for (const { method, ...params } of calls) {
+      const tool = findToolByMethod(method);
+      assert.ok(tool, `${name} calls unknown method ${method}`);
+      assert.doesNotThrow(() => validateToolArguments(tool, params), `${name}: ${method} ${JSON.stringify(params)}`);
+    }
+  }
+});
+
+test('arguments are trimmed and optional arguments are left out when not given', () => {
+  const withSince = getPrompt('orphan_landscape', { condition: '  ALS ', since: '2020' }).messages[0].content.text;
+  assert.match(withSince, /^Map the EU orphan landscape for ALS since 2020\./);
+  assert.ok(emaInfoCalls(withSince).some(call => call.date_from === '2020'));
+
+  const withoutSince = getPrompt('orphan_landscape', { condition: 'ALS' }).messages[0].content.text;
+  assert.ok(emaInfoCalls(withoutSince).every(call => call.date_from === undefined));
+});
+
+test('rejects unknown prompts and missing required arguments', () => {
+  assert.throws(() => getPrompt('nope'), /Unknown prompt: nope. Available: regulatory_profile/);
+  assert.throws(() => getPrompt('safety_signal_review', { medicine: ' ' }), /medicine argument is required for prompt safety_signal_review/);
+});
+
+test('prompts are served over MCP', async (t) => {
+  const client = await connectClient();
+  t.after(() => client.close());
+
+  const { prompts } = await client.listPrompts();
+  assert.equal(prompts.length, listPrompts().length);
+
+  const result = await client.getPrompt({ name: 'safety_signal_review', arguments: { medicine: 'Ozempic' } });
+  assert.equal(result.messages[0].role, 'user');
+  assert.match(result.messages[0].content.text, /Ozempic/);
+});
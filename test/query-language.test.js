@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { parseQuery, getQueryFields, matchesQuery } = require('../src/query-language.js');
+const { parseEmaDate, searchMedicines } = require('../src/ema-api.js');
+
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const term = (field, value, operator = ':') => ({ type: 'term', field, operator, value });
+
+test('NOT binds tightest, then AND, then OR, and adjacent terms are ANDed', () => {
+  assert.deepEqual(parseQuery('a OR b c'), {
+    type: 'or',
+    operands: [term(null, 'a'), { type: 'and', operands: [term(null, 'b'), term(null, 'c')] }]
+  });
+  assert.deepEqual(parseQuery('NOT a AND b'), {
+    type: 'and',
+    operands: [{ type: 'not', operand: term(null, 'a') }, term(null, 'b')]
+  });
+  assert.deepEqual(parseQuery('(a OR b) NOT c'), {
+    type: 'and',
+    operands: [{ type: 'or', operands: [term(null, 'a'), term(null, 'b')] }, { type: 'not', operand: term(null, 'c') }]
+  });
+  // Lower-case keywords are ordinary words
+  assert.deepEqual(parseQuery('a or b'), { type: 'and', operands: [term(null, 'a'), term(null, 'or'), term(null, 'b')] });
+});
+
+test('field terms take quoted phrases, wildcards and comparison operators', () => {
+  assert.deepEqual(parseQuery('Therapeutic_Area:"breast cancer"'), term('therapeutic_area', 'breast cancer'));
+  assert.deepEqual(parseQuery('name:"say \\"hi\\" \\\\ bye"'), term('name', 'say "hi" \\ bye'));
+  assert.deepEqual(parseQuery('orphan:*'), term('orphan', '*', 'exists'));
+  assert.deepEqual(parseQuery('orphan:"*"'), term('orphan', '*'));
+  assert.deepEqual(parseQuery('status:=Authorised'), term('status', 'Authorised', '='));
+  assert.deepEqual(parseQuery('date:>=2020-01 count:<3.5'), {
+    type: 'and',
+    operands: [term('date', '2020-01', '>='), term('count', '3.5', '<')]
+  });
+  assert.deepEqual(parseQuery('name:""'), term('name', ''));
+  assert.deepEqual(getQueryFields(parseQuery('name:a OR (status:b NOT name:c) free')), ['name', 'status']);
+});
+
+test('syntax errors name the position and what was expected', () => {
+  assert.throws(() => parseQuery('name:"open'), /Invalid query at position 6 \(near ""open"\): unclosed quote/);
+  assert.throws(() => parseQuery('(a OR b'), /position 1 .*unclosed "\("/);
+  assert.throws(() => parseQuery('a OR b)'), /position 7 .*unexpected "\)" without a matching "\("/);
+  assert.throws(() => parseQuery('a AND'), /position 6: query ends after "AND"; expected a term/);
+  assert.throws(() => parseQuery('OR a'), /position 1 .*expected a term or "\(" but found "OR"/);
+  assert.throws(() => parseQuery('name: a'), /position 1 .*expected a value after "name:"/);
+  assert.throws(() => parseQuery('date:>soon'), /> needs a date \(YYYY, YYYY-MM or YYYY-MM-DD\) or a number, got "soon"/);
+  assert.throws(() => parseQuery('   '), /query must be a non-empty string/);
+  assert.throws(() => parseQuery('(a'), { code: 'EMA_INVALID_PARAMETER' });
+});
+
+test('length, term count and nesting depth are limited', () => {
+  assert.throws(() => parseQuery('a'.repeat(2001)), /query must be at most 2000 characters/);
+  assert.throws(() => parseQuery(Array.from({ length: 65 }, (_, i) => `t${i}`).join(' ')), /at most 64 terms/);
+  assert.doesNotThrow(() => parseQuery(`${'('.repeat(16)}a${')'.repeat(16)}`));
+  assert.throws(() => parseQuery(`${'NOT '.repeat(17)}a`), /more than 16 levels deep/);
+  assert.equal(parseQuery('a').type, 'term');
+});
+
+test('terms match folded text, Yes/No flags, exact values, dates and numbers', () => {
+  const record = {
+    name_of_medicine: 'Ozempic', orphan_medicine: 'No', status: 'Autorisé', therapeutic_area: 'Diabetes  Mellitus, Type 2',
+    decision_date: '08/02/2018', strength: '0.25', empty: '  '
+  };
+  const context = {
+    fields: { name: ['name_of_medicine'], orphan: ['orphan_medicine'], status: ['status'], area: ['therapeutic_area'], date: ['decision_date'], strength: ['strength'], empty: ['empty'], missing: ['missing'] },
+    parseDate: parseEmaDate
+  };
+  const matches = query => matchesQuery(parseQuery(query), record, context);
+
+  assert.equal(matches('name:ozem'), true);
+  assert.equal(matches('name:=ozem'), false);
+  assert.equal(matches('name:=OZEMPIC'), true);
+  assert.equal(matches('status:autorise'), true);
+  assert.equal(matches('area:"diabetes mellitus"'), true);
+  assert.equal(matches('orphan:false'), true);
+  assert.equal(matches('orphan:yes'), false);
+  assert.equal(matches('date:>=2018-02 date:<2018-02-09 date:<=2018'), true);
+  assert.equal(matches('date:>2018'), false);
+  assert.equal(matches('strength:<1 strength:>0.2'), true);
+  assert.equal(matches('empty:* OR missing:*'), false);
+  assert.equal(matches('name:* NOT missing:x'), true);
+  assert.equal(matches('"mellitus, type"'), true);
+});
+
+test('list methods resolve query aliases and reject unknown fields', async () => {
+  const page = await searchMedicines({ query: 'active_substance:semaglutide AND NOT name:wegovy AND date:<2019' });
+  assert.deepEqual(page.results.map(m => m.name_of_medicine), ['Ozempic']);
+
+  const fallback = await searchMedicines({ query: 'ema_product_number:"EMEA/H/C/000088"' });
+  assert.deepEqual(fallback.results.map(m => m.name_of_medicine), ['Humalog']);
+
+  await assert.rejects(searchMedicines({ query: 'colour:red' }), /Unknown query field "colour" for search_medicines\. Use name, /);
+});
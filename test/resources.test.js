@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports, connectClient } = require('./helpers.js');
+const { EMA_DATASETS } = require('../src/ema-api.js');
+const { listResources, readResource } = require('../src/resources.js');
+
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+/**
+ * Read a resource and parse its JSON body
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Object>} Resource body
+ */
+async function read(uri) {
+  const { contents } = await readResource(uri);
+  assert.equal(contents[0].mimeType, 'application/json');
+  assert.equal(contents[0].uri, uri);
+  return JSON.parse(contents[0].text);
+}
+
+test('reads a medicine by full (URI-encoded) or short product number', async () => {
+  const full = await read('ema://medicine/EMEA%2FH%2FC%2F004174');
+  assert.equal(full.record.name_of_medicine, 'Ozempic');
+  assert.equal(full.record.marketing_authorisation_date, '2018-02-08');
+  assert.ok(full.source_url);
+
+  const short = await read('ema://medicine/005422');
+  assert.equal(short.record.name_of_medicine, 'Wegovy');
+});
+
+test('reads shortages by URL slug, referrals by procedure number and EPAR documents by trade name', async () => {
+  assert.equal((await read('ema://shortage/humalog')).record.supply_shortage_status, 'Resolved');
+  assert.equal((await read('ema://referral/EMEA%2FH%2FA-20%2F1520')).record.current_status, 'Completed');
+  assert.equal((await read('ema://referral/glp-1')).record.procedure_number, 'EMEA/H/A-20/1520');
+
+  const documents = await read('ema://epar/ozempic/documents');
+  assert.equal(documents.medicine_name, 'Ozempic');
+  assert.equal(documents.total_count, 1);
+  assert.equal(documents.documents[0].first_published_date, '2018-02-15');
+});
+
+test('dataset metadata reports the record count, fields and covered date range', async () => {
+  const metadata = await read('ema://dataset/shortages/metadata');
+  assert.equal(metadata.record_count, 2);
+  assert.deepEqual(metadata.date_range, { earliest: '2021-03-15', latest: '2022-08-01' });
+  assert.ok(metadata.fields.includes('supply_shortage_status'));
+  assert.deepEqual(metadata.key_fields, EMA_DATASETS.shortages.keyFields);
+
+  const herbal = await read('ema://dataset/herbal_medicines/metadata');
+  assert.equal(herbal.record_count, 2);
+  assert.deepEqual(herbal.date_range, { earliest: '2019-07-09', latest: '2023-11-15' });
+  assert.deepEqual(herbal.key_fields, ['herbal_url', 'herbal_substance']);
+});
+
+test('unknown records, datasets and URIs fail with a helpful message', async () => {
+  await assert.rejects(read('ema://medicine/999999'), /No medicine with EMA product number "999999"/);
+  await assert.rejects(read('ema://dataset/nope/metadata'), /Unknown dataset "nope". Available: medicines/);
+  await assert.rejects(read('ema://epar/Nonexistium/documents'), /No EPAR documents/);
+  await assert.rejects(read('ema://medicine/%E0%A4%A'), /Invalid URI encoding/);
+  await assert.rejects(read('ema://nothing/here'), /Unknown resource URI: ema:\/\/nothing\/here. Supported templates: ema:\/\/medicine/);
+});
+
+test('resources and templates are listed and readable over MCP', async (t) => {
+  const client = await connectClient();
+  t.after(() => client.close());
+
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), listResources().map(r => r.uri));
+  assert.ok(resources.some(r => r.uri === 'ema://dataset/medicines/metadata'));
+  assert.ok(resources.some(r => r.uri === 'ema://dataset/article58_medicines/metadata'));
+
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates.map(r => r.uriTemplate), [
+    'ema://medicine/{product_number}',
+    'ema://shortage/{id}',
+    'ema://referral/{procedure}',
+    'ema://epar/{medicine}/documents',
+    'ema://dataset/{name}/metadata'
+  ]);
+
+  const { contents } = await client.readResource({ uri: 'ema://shortage/ozempic' });
+  assert.equal(JSON.parse(contents[0].text).record.medicine_affected, 'Ozempic');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { stubEmaReports, tempDir, writeSnapshot } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const { handleRestRequest, buildOpenApiDocument } = require('../src/rest-api.js');
+
+const stub = stubEmaReports();
+let server;
+let port;
+
+test.before(async () => {
+  server = http.createServer((req, res) => handleRestRequest(req, res, { token: null, allowedHosts: null }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+test.after(() => {
+  server.close();
+  stub.restore();
+});
+
+/**
+ * GET a REST route and parse the JSON body
+ * @param {string} route - Path and query string
+ * @returns {Promise<{status: number, body: Object}>} Status and body
+ */
+function get(route) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: route }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    }).on('error', reject);
+  });
+}
+
+test('parameters that do not fit the data return 400', async () => {
+  const reversed = await get('/shortages?date_from=2024-06-01&date_to=2024-01-01');
+  assert.equal(reversed.status, 400);
+  assert.equal(reversed.body.error, 'date_from must not be after date_to');
+
+  const unknownField = await get('/medicines?query=colour:red');
+  assert.equal(unknownField.status, 400);
+  assert.match(unknownField.body.error, /Unknown query field "colour"/);
+
+  const unknownGroup = await get('/statistics?dataset=medicines&group_by=colour');
+  assert.equal(unknownGroup.status, 400);
+  assert.match(unknownGroup.body.error, /group_by field "colour" does not occur/);
+
+  assert.equal((await get('/medicines?sort_by=colour')).status, 400);
+});
+
+test('a cursor from another query returns 400', async () => {
+  const first = await get('/medicines?limit=1&status=Authorised');
+  assert.equal(first.status, 200);
+
+  const foreign = await get(`/medicines?limit=1&status=Withdrawn&cursor=${encodeURIComponent(first.body.next_cursor)}`);
+  assert.equal(foreign.status, 400);
+  assert.match(foreign.body.error, /cursor does not belong to this query/);
+});
+
+test('an unknown snapshot or a key_field missing from the dataset returns 400', async () => {
+  const root = tempDir('rest');
+  const from = writeSnapshot(path.join(root, 'from'), fixtureReports(), '2026-09-01T06:00:00.000Z');
+  const to = writeSnapshot(path.join(root, 'to'), fixtureReports(), '2026-09-08T06:00:00.000Z');
+  const changes = `/changes?dataset=shortages&from_snapshot=${encodeURIComponent(from)}&to_snapshot=${encodeURIComponent(to)}`;
+
+  assert.equal((await get(changes)).status, 200);
+
+  const badKey = await get(`${changes}&key_field=colour`);
+  assert.equal(badKey.status, 400);
+  assert.match(badKey.body.error, /key_field "colour" does not occur/);
+
+  const missing = await get(`/changes?dataset=shortages&from_snapshot=${encodeURIComponent(path.join(root, 'missing'))}`);
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /EMA snapshot not found/);
+});
+
+test('a failed EMA request returns 502', async () => {
+  const fileName = 'medicines-output-paediatric_investigation_plans-output-json-report_en.json';
+  const report = stub.reports[fileName];
+  delete stub.reports[fileName];
+  try {
+    const response = await get('/pips');
+    assert.equal(response.status, 502);
+    assert.match(response.body.error, /^EMA API request failed/);
+  } finally {
+    stub.reports[fileName] = report;
+  }
+});
+
+test('the OpenAPI document describes 400, 500 and 502 responses', () => {
+  const responses = buildOpenApiDocument({}).paths['/shortages'].get.responses;
+  assert.deepEqual(Object.keys(responses).sort(), ['200', '400', '500', '502']);
+  assert.match(responses[400].description, /cursor from another query/);
+});
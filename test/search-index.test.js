@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stubEmaReports, tempDir } = require('./helpers.js');
+const { stem, tokenize, buildSearchIndex, parseSearchQuery, searchIndex, buildSnippets } = require('../src/search-index.js');
+const { searchDocumentsFullText } = require('../src/ema-api.js');
+
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const WEIGHTS = { title: 3, content: 1 };
+
+test('the stemmer follows Porter\'s published examples', () => {
+  const examples = {
+    caresses: 'caress', ponies: 'poni', agreed: 'agre', plastered: 'plaster', motoring: 'motor', sing: 'sing',
+    conflated: 'conflat', hopping: 'hop', falling: 'fall', filing: 'file', happy: 'happi', relational: 'relat',
+    generalization: 'gener', hopeful: 'hope', goodness: 'good', allowance: 'allow', adoption: 'adopt',
+    probate: 'probat', cease: 'ceas', controll: 'control', roll: 'roll', effective: 'effect', bowdlerize: 'bowdler'
+  };
+  for (const [word, expected] of Object.entries(examples)) {
+    assert.equal(stem(word), expected, word);
+  }
+  assert.equal(stem('monitoring'), stem('monitored'));
+  assert.equal(stem('hiv'), 'hiv');
+  assert.equal(stem('covid19'), 'covid19');
+});
+
+test('tokens are stemmed and folded, and stop words keep their position', () => {
+  assert.deepEqual(tokenize('Risk of Hépatite, monitored').map(t => [t.term, t.position, t.start, t.end]), [
+    ['risk', 0, 0, 4],
+    ['hepatit', 2, 8, 16],
+    ['monitor', 3, 18, 27]
+  ]);
+});
+
+test('rarer terms, heavier fields and shorter documents score higher', () => {
+  const index = buildSearchIndex([
+    { title: 'Liver injury', content: 'Rare liver injury reports' },
+    { title: 'Safety update', content: 'Liver findings among many other safety findings in a long review of safety data' },
+    { title: 'Safety update', content: 'Liver findings' },
+    { title: 'Annual report', content: 'Safety of medicines' }
+  ], WEIGHTS);
+
+  const ranked = searchIndex(index, 'liver safety').map(hit => index.documents.indexOf(hit.document));
+  assert.equal(ranked[0], 2, 'short document matching both terms first');
+  assert.ok(ranked.indexOf(2) < ranked.indexOf(1), 'the longer document with the same terms ranks lower');
+
+  const byTitle = searchIndex(index, 'injury');
+  assert.equal(byTitle.length, 1);
+  assert.deepEqual(byTitle[0].matched_terms, ['injuri']);
+
+  const idf = term => searchIndex(index, term)[0].score;
+  assert.ok(idf('rare') > idf('liver'), 'a term in one document outweighs a term in three');
+});
+
+test('phrases, exclusions and the filter drop documents before they are scored', () => {
+  const documents = [
+    { title: 'Suicidal thoughts signal', content: 'semaglutide assessment' },
+    { title: 'Thoughts on suicidal ideation', content: 'semaglutide' },
+    { title: 'Suicidal thoughts review', content: 'liraglutide', withdrawn: true }
+  ];
+  const index = buildSearchIndex(documents, WEIGHTS);
+
+  const checked = [];
+  const hits = searchIndex(index, '"suicidal thoughts" -liraglutide', document => {
+    checked.push(documents.indexOf(document));
+    return true;
+  });
+  assert.deepEqual(hits.map(hit => documents.indexOf(hit.document)), [0]);
+  assert.deepEqual(checked.sort(), [0, 1, 2], 'each candidate is checked once');
+
+  const filtered = searchIndex(index, 'suicidal', document => document.withdrawn !== true);
+  assert.deepEqual(filtered.map(hit => documents.indexOf(hit.document)).sort(), [0, 1]);
+  assert.ok(filtered.every(hit => hit.score > 0));
+});
+
+test('query parsing rejects unclosed quotes and queries of only stop words or exclusions', () => {
+  assert.deepEqual(parseSearchQuery('Liver -"product information"').terms, ['liver']);
+  assert.throws(() => parseSearchQuery('"liver injury'), /unclosed quote/);
+  assert.throws(() => parseSearchQuery('the of -liver'), /at least one word/);
+});
+
+test('snippets highlight matched words in the original text', () => {
+  const index = buildSearchIndex([{ title: 'Monitoring of liver enzymes' }], WEIGHTS);
+  const [hit] = searchIndex(index, 'monitored');
+  const [snippet] = buildSnippets(index, hit.document, hit.matched_terms);
+  assert.equal(snippet.field, 'title');
+  assert.deepEqual(snippet.highlights.map(([start, end]) => snippet.text.slice(start, end)), ['Monitoring']);
+});
+
+test('search_documents_fulltext filters by date before ranking and indexes extracted text', async (t) => {
+  const dated = await searchDocumentsFullText({ query: 'semaglutide', date_from: '2024-04' });
+  assert.deepEqual(dated.results.map(d => d.title), ['Semaglutide PRAC assessment of suicidal thoughts']);
+  assert.equal(dated.total_count, 1);
+
+  const none = await searchDocumentsFullText({ query: 'semaglutide', date_to: '2024-03' });
+  assert.equal(none.total_count, 0);
+
+  const textDir = tempDir('text');
+  fs.writeFileSync(path.join(textDir, 'annual-report-2023.txt'), 'Inspections of semaglutide compounding pharmacies');
+  process.env.EMA_DOCUMENT_TEXT_DIR = textDir;
+  t.after(() => delete process.env.EMA_DOCUMENT_TEXT_DIR);
+
+  const withText = await searchDocumentsFullText({ query: 'compounding' });
+  assert.equal(withText.index.documents_with_text, 1);
+  assert.deepEqual(withText.results.map(d => d.title), ['Annual report 2023']);
+  assert.equal(withText.results[0].snippets[0].field, 'content');
+
+  // Rewriting a file in place, which leaves the directory's own mtime alone, is picked up
+  const dirStat = fs.statSync(textDir);
+  fs.writeFileSync(path.join(textDir, 'annual-report-2023.txt'), 'Inspections of tirzepatide outsourcing facilities');
+  fs.utimesSync(textDir, dirStat.atime, dirStat.mtime);
+  const rewritten = await searchDocumentsFullText({ query: 'outsourcing' });
+  assert.deepEqual(rewritten.results.map(d => d.title), ['Annual report 2023']);
+  assert.equal((await searchDocumentsFullText({ query: 'compounding' })).total_count, 0);
+
+  process.env.EMA_DOCUMENT_TEXT_DIR = path.join(textDir, 'missing');
+  await assert.rejects(searchDocumentsFullText({ query: 'compounding' }),
+    error => /EMA_DOCUMENT_TEXT_DIR not found/.test(error.message) && error.code === 'EMA_UPSTREAM_ERROR');
+});
+
+test('search_documents_fulltext rejects the field filters of the list methods\' query', async () => {
+  const before = stub.requests.length;
+  for (const query of ['medicine_name:Ozempic', 'semaglutide document_type:=Assessment', '-status:Withdrawn suicidal', 'date:>=2024 semaglutide']) {
+    await assert.rejects(searchDocumentsFullText({ query }),
+      error => error.code === 'EMA_INVALID_PARAMETER' && /does not take field filters such as "[^"]+:/.test(error.message) && /medicine_name, document_type/.test(error.message), query);
+  }
+  assert.equal(stub.requests.length, before, 'rejected before any download');
+
+  // Quoted text and colons inside words are searched as words
+  const quoted = await searchDocumentsFullText({ query: '"suicidal: thoughts" 10:30' });
+  assert.deepEqual(quoted.results.map(d => d.title), ['Semaglutide PRAC assessment of suicidal thoughts']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stubEmaReports, tempDir, writeSnapshot } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const {
+  listSnapshots,
+  resolveSnapshotDir,
+  getReportFileName,
+  loadSnapshotReport
+} = require('../src/snapshot.js');
+
+const SHORTAGES_URL = 'https://www.ema.europa.eu/en/documents/report/shortages-output-json-report_en.json';
+
+test('lists snapshots under EMA_SNAPSHOT_ROOT oldest first, ignoring directories without a manifest', () => {
+  const root = tempDir('snapshots');
+  process.env.EMA_SNAPSHOT_ROOT = root;
+  writeSnapshot(path.join(root, '2026-09-08'), {}, '2026-09-08T06:00:00.000Z');
+  writeSnapshot(path.join(root, '2026-09-01'), {}, '2026-09-01T06:00:00.000Z');
+  fs.mkdirSync(path.join(root, '2026-09-15.partial-abc'));
+
+  assert.deepEqual(listSnapshots(), ['2026-09-01', '2026-09-08']);
+});
+
+test('resolves a snapshot by name or by path and names the available snapshots on a miss', () => {
+  const root = tempDir('snapshots');
+  process.env.EMA_SNAPSHOT_ROOT = root;
+  const dir = writeSnapshot(path.join(root, '2026-09-01'), {}, '2026-09-01T06:00:00.000Z');
+
+  assert.equal(resolveSnapshotDir('2026-09-01'), dir);
+  assert.equal(resolveSnapshotDir(dir), dir);
+  assert.throws(() => resolveSnapshotDir('2026-10-01'), /EMA snapshot not found: 2026-10-01 \(available: 2026-09-01\)/);
+});
+
+test('uses the last URL path segment as the snapshot file name', () => {
+  assert.equal(getReportFileName(SHORTAGES_URL), 'shortages-output-json-report_en.json');
+});
+
+test('loads a report with snapshot provenance', () => {
+  const dir = writeSnapshot(path.join(tempDir('snapshot'), 'weekly'), {
+    'shortages-output-json-report_en.json': [{ medicine_affected: 'Ozempic' }]
+  }, '2026-09-01T06:00:00.000Z');
+
+  const { json, provenance } = loadSnapshotReport(dir, SHORTAGES_URL);
+
+  assert.deepEqual(json, [{ medicine_affected: 'Ozempic' }]);
+  assert.equal(provenance.last_updated, '2026-09-01T06:00:00.000Z');
+  assert.equal(provenance.snapshot.name, 'weekly');
+  assert.equal(provenance.snapshot.file, 'shortages-output-json-report_en.json');
+  assert.match(provenance.source_url, /^file:\/\//);
+});
+
+test('reports missing manifests, manifest entries and files', () => {
+  const base = tempDir('snapshot');
+  assert.throws(() => loadSnapshotReport(path.join(base, 'none'), SHORTAGES_URL), /manifest not found/);
+
+  const empty = writeSnapshot(path.join(base, 'empty'), {}, '2026-09-01T06:00:00.000Z');
+  assert.throws(() => loadSnapshotReport(empty, SHORTAGES_URL), /no download date for shortages-output-json-report_en.json/);
+
+  const missing = writeSnapshot(path.join(base, 'missing'), { 'shortages-output-json-report_en.json': [] }, '2026-09-01T06:00:00.000Z');
+  fs.unlinkSync(path.join(missing, 'shortages-output-json-report_en.json'));
+  assert.throws(() => loadSnapshotReport(missing, SHORTAGES_URL), /snapshot file not found/);
+});
+
+test('list methods read from EMA_SNAPSHOT_DIR without contacting EMA', async () => {
+  const dir = writeSnapshot(path.join(tempDir('snapshot'), 'offline'), fixtureReports(), '2026-09-01T06:00:00.000Z');
+  const stub = stubEmaReports({});
+  process.env.EMA_SNAPSHOT_DIR = dir;
+  try {
+    const { getSupplyShortages } = require('../src/ema-api.js');
+    const page = await getSupplyShortages({ status: 'Ongoing' });
+
+    assert.equal(stub.requests.length, 0);
+    assert.deepEqual(page.results.map(s => s.medicine_affected), ['Ozempic']);
+    assert.equal(page.last_updated, '2026-09-01T06:00:00.000Z');
+    assert.equal(page.snapshot.name, 'offline');
+  } finally {
+    delete process.env.EMA_SNAPSHOT_DIR;
+    stub.restore();
+  }
+});
+
+test('herbal and Article 58 exports are read from the snapshot, and a snapshot without them says how to add them', async () => {
+  const base = tempDir('snapshot');
+  const dir = writeSnapshot(path.join(base, 'offline'), fixtureReports(), '2026-09-01T06:00:00.000Z');
+  const stub = stubEmaReports({});
+  process.env.EMA_SNAPSHOT_DIR = dir;
+  try {
+    const { getHerbalMedicines, getArticle58Medicines } = require('../src/ema-api.js');
+    const herbal = await getHerbalMedicines({ substance: 'valerian' });
+    const article58 = await getArticle58Medicines({});
+
+    assert.equal(stub.requests.length, 0);
+    assert.deepEqual(herbal.results.map(h => h.herbal_substance), ['Valerianae radix']);
+    assert.equal(herbal.snapshot.file, 'medicines-output-herbal_medicines-report_en.xlsx');
+    assert.equal(article58.total_count, 2);
+    assert.equal(article58.last_updated, '2026-09-01T06:00:00.000Z');
+
+    process.env.EMA_SNAPSHOT_DIR = writeSnapshot(path.join(base, 'json-only'), {}, '2026-09-01T06:00:00.000Z');
+    await assert.rejects(getHerbalMedicines({}), /not part of the snapshot in .*json-only\. Re-run sync to include it, or set EMA_HERBAL_SOURCE/);
+  } finally {
+    delete process.env.EMA_SNAPSHOT_DIR;
+    stub.restore();
+  }
+});
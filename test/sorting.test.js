@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { searchMedicines, getPostAuthProcedures } = require('../src/ema-api.js');
+
+// Revalidate on every call, so fixture edits are picked up
+process.env.EMA_CACHE_TTL_SECONDS = '0';
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const names = page => page.results.map(m => m.name_of_medicine);
+
+test('dates sort newest first by default and oldest first with sort_order asc', async () => {
+  assert.deepEqual(names(await searchMedicines({ sort_by: 'date' })), ['Wegovy', 'Tecartus', 'Ozempic', 'Zyprexa', 'Humalog']);
+  assert.deepEqual(names(await searchMedicines({ sort_by: 'marketing_authorisation_date', sort_order: 'asc' })),
+    ['Humalog', 'Zyprexa', 'Ozempic', 'Tecartus', 'Wegovy']);
+});
+
+test('text sorts A-Z by default, ignoring case', async () => {
+  stub.reports['medicines-output-medicines_json-report_en.json'].push({ name_of_medicine: 'abilify', medicine_status: 'Authorised' });
+  try {
+    assert.deepEqual(names(await searchMedicines({ sort_by: 'name_of_medicine' })), ['abilify', 'Humalog', 'Ozempic', 'Tecartus', 'Wegovy', 'Zyprexa']);
+    assert.deepEqual(names(await searchMedicines({ sort_by: 'name_of_medicine', sort_order: 'desc' })).slice(0, 2), ['Zyprexa', 'Wegovy']);
+  } finally {
+    stub.reports['medicines-output-medicines_json-report_en.json'].pop();
+  }
+});
+
+test('records without a value sort last in either order', async () => {
+  const asc = await getPostAuthProcedures({ sort_by: 'decision_date', sort_order: 'asc' });
+  const desc = await getPostAuthProcedures({ sort_by: 'decision_date' });
+
+  assert.equal(asc.results[2].procedure_number, 'EMEA/H/C/005102/R/0010');
+  assert.equal(desc.results[2].procedure_number, 'EMEA/H/C/005102/R/0010');
+  assert.equal(desc.results[0].procedure_number, 'EMEA/H/C/005102/II/0042');
+});
+
+test('sorting happens before pagination', async () => {
+  const first = await searchMedicines({ sort_by: 'name_of_medicine', limit: 2 });
+  const second = await searchMedicines({ sort_by: 'name_of_medicine', limit: 2, cursor: first.next_cursor });
+
+  assert.deepEqual([...names(first), ...names(second)], ['Humalog', 'Ozempic', 'Tecartus', 'Wegovy']);
+});
+
+test('validates sort parameters per method', async () => {
+  await assert.rejects(searchMedicines({ sort_by: 'dhpc_type' }), /sort_by for search_medicines must be one of: date, /);
+  await assert.rejects(searchMedicines({ sort_by: 'date', sort_order: 'up' }), /sort_order must be one of: asc, desc/);
+  await assert.rejects(searchMedicines({ sort_order: 'asc' }), /sort_order requires sort_by/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const { getDatasetStatistics } = require('../src/statistics.js');
+
+const reports = fixtureReports();
+reports['medicines-output-medicines_json-report_en.json'].push({
+  name_of_medicine: 'Saxenda', active_substance: 'liraglutide', ema_product_number: 'EMEA/H/C/003780', medicine_status: 'authorised',
+  therapeutic_area_mesh: 'Obesity; Diabetes Mellitus, Type 2', orphan_medicine: 'No', marketing_authorisation_date: '23/03/2015'
+});
+const stub = stubEmaReports(reports);
+test.after(() => stub.restore());
+
+const counts = facet => facet.buckets.map(b => [b.value, b.count]);
+
+test('facets count values case-insensitively under the most frequent spelling, most frequent first', async () => {
+  const stats = await getDatasetStatistics({ dataset: 'medicines', group_by: 'medicine_status' });
+  assert.equal(stats.total_count, 6);
+  assert.equal(stats.dataset_count, 6);
+  assert.deepEqual(counts(stats.facets[0]), [['Authorised', 5], ['Withdrawn', 1]]);
+  assert.equal(stats.facets[0].missing_count, 0);
+  assert.equal(stats.source, 'EMA Dataset Statistics');
+
+  const top = await getDatasetStatistics({ dataset: 'medicines', group_by: ['medicine_status', 'conditional_approval'], top: 1 });
+  assert.deepEqual(top.facets.map(f => [f.field, f.distinct_count, f.other_count, f.missing_count]), [
+    ['medicine_status', 2, 1, 0],
+    ['conditional_approval', 2, 1, 1]
+  ]);
+  assert.deepEqual(counts(top.facets[0]), [['Authorised', 5]]);
+});
+
+test('split_values counts each part of a multi-valued field once', async () => {
+  const whole = await getDatasetStatistics({ dataset: 'medicines', group_by: 'therapeutic_area_mesh' });
+  assert.equal(whole.facets[0].distinct_count, 6);
+
+  const split = await getDatasetStatistics({ dataset: 'medicines', group_by: 'therapeutic_area_mesh', split_values: true });
+  assert.deepEqual(counts(split.facets[0]), [
+    ['Diabetes Mellitus, Type 2', 2], ['Obesity', 2], ['Diabetes Mellitus', 1], ['Lymphoma, Mantle-Cell', 1], ['Schizophrenia', 1]
+  ]);
+});
+
+test('records are filtered by query and date range, and time series fill gaps with zeros', async () => {
+  const stats = await getDatasetStatistics({ dataset: 'medicines', group_by: 'medicine_status', interval: 'year', query: 'status:authorised', date_from: '2015' });
+  assert.equal(stats.total_count, 4);
+  assert.deepEqual(stats.filters, { query: 'status:authorised', date_from: '2015', date_to: null, date_fields: ['marketing_authorisation_date', 'european_commission_decision_date'] });
+  assert.deepEqual(stats.time_series.points.map(p => p.period), ['2015', '2016', '2017', '2018', '2019', '2020', '2021', '2022']);
+  assert.deepEqual(stats.time_series.points.map(p => p.count), [1, 0, 0, 1, 0, 1, 0, 1]);
+  assert.equal(stats.time_series.undated_count, 0);
+  assert.deepEqual(stats.facets[0].buckets[0].series.map(p => p.count), [1, 0, 0, 1, 0, 1, 0, 1]);
+
+  const months = await getDatasetStatistics({ dataset: 'medicines', group_by: ['month', 'year'], date_to: '1996' });
+  assert.deepEqual(counts(months.facets[0]), [['1996-04', 1], ['1996-05', 0], ['1996-06', 0], ['1996-07', 0], ['1996-08', 0], ['1996-09', 1]]);
+  assert.equal(months.facets[0].distinct_count, 2);
+  assert.deepEqual(counts(months.facets[1]), [['1996', 2]]);
+  assert.equal(months.time_series, undefined);
+});
+
+test('parameters are validated before the dataset is loaded', async () => {
+  const invalid = [
+    [{ dataset: 'products', group_by: 'x' }, /dataset must be one of: medicines, /],
+    [{ dataset: 'medicines' }, /group_by or interval is required/],
+    [{ dataset: 'medicines', group_by: ['a', 'b', 'c', 'd', 'e', 'f'] }, /at most 5 fields/],
+    [{ dataset: 'medicines', group_by: ['year', 'year'] }, /must not repeat a field/],
+    [{ dataset: 'medicines', group_by: [''] }, /group_by must be a field name/],
+    [{ dataset: 'medicines', interval: 'week' }, /interval must be one of: year, month/],
+    [{ dataset: 'medicines', group_by: 'year', top: 0 }, /top must be an integer between 1 and 1000/],
+    [{ dataset: 'medicines', group_by: 'year', split_values: 'yes' }, /split_values must be a boolean/]
+  ];
+  const before = stub.requests.length;
+  for (const [params, message] of invalid) {
+    await assert.rejects(getDatasetStatistics(params), error => message.test(error.message) && error.code === 'EMA_INVALID_PARAMETER');
+  }
+  assert.equal(stub.requests.length, before);
+
+  await assert.rejects(getDatasetStatistics({ dataset: 'medicines', group_by: 'colour' }),
+    /group_by field "colour" does not occur in the medicines dataset\. Use year, month or one of: active_substance, /);
+});
+
+test('counts spreadsheet exports like the JSON reports', async () => {
+  const herbal = await getDatasetStatistics({ dataset: 'herbal_medicines', group_by: ['use_category'], split_values: true, interval: 'year' });
+  assert.equal(herbal.total_count, 2);
+  assert.deepEqual(counts(herbal.facets[0]), [['Traditional use', 2], ['Well-established use', 1]]);
+  assert.deepEqual(herbal.time_series.points.map(p => p.count), [1, 0, 0, 0, 1]);
+
+  const article58 = await getDatasetStatistics({ dataset: 'article58_medicines', group_by: 'opinion_status', date_from: '2015' });
+  assert.deepEqual(counts(article58.facets[0]), [['Positive', 1]]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  splitSubstanceComponents,
+  canonicalSubstanceId,
+  buildSubstanceIndex,
+  resolveSubstance,
+  matchesSubstance
+} = require('../src/substance-index.js');
+
+test('counter-ions and hydrates beside an active moiety map to the base substance', () => {
+  assert.equal(canonicalSubstanceId('Metformin Hydrochloride'), 'metformin');
+  assert.equal(canonicalSubstanceId('atorvastatin calcium'), 'atorvastatin');
+  assert.equal(canonicalSubstanceId('esomeprazole magnesium trihydrate'), 'esomeprazole');
+  assert.equal(canonicalSubstanceId('lithium carbonate'), 'lithium');
+  assert.equal(canonicalSubstanceId('acetaminophen'), 'paracetamol');
+});
+
+test('a name made only of counter-ions stays whole instead of collapsing to a bare anion', () => {
+  assert.equal(canonicalSubstanceId('zinc acetate'), 'zinc acetate');
+  assert.equal(canonicalSubstanceId('calcium carbonate'), 'calcium carbonate');
+  assert.equal(canonicalSubstanceId('sodium hydrogen carbonate'), 'sodium hydrogen carbonate');
+  assert.notEqual(canonicalSubstanceId('zinc oxide'), canonicalSubstanceId('magnesium oxide'));
+  assert.equal(canonicalSubstanceId('lysine'), 'lysine');
+  assert.equal(canonicalSubstanceId('monohydrate'), 'monohydrate');
+});
+
+test('combinations split on separators outside parentheses only', () => {
+  assert.deepEqual(splitSubstanceComponents('insulin aspart / insulin degludec'), ['insulin aspart', 'insulin degludec']);
+  assert.deepEqual(splitSubstanceComponents('insulin aspart/insulin degludec'), ['insulin aspart', 'insulin degludec']);
+  assert.deepEqual(splitSubstanceComponents('Emtricitabine, rilpivirine and tenofovir alafenamide'),
+    ['Emtricitabine', 'rilpivirine', 'tenofovir alafenamide']);
+  assert.deepEqual(splitSubstanceComponents('ezetimibe + simvastatin'), ['ezetimibe', 'simvastatin']);
+  assert.deepEqual(splitSubstanceComponents('tenofovir disoproxil (as fumarate, succinate)/emtricitabine'),
+    ['tenofovir disoproxil (as fumarate, succinate)', 'emtricitabine']);
+  assert.deepEqual(splitSubstanceComponents(null), []);
+});
+
+test('vaccine, cell therapy and strain names are kept whole', () => {
+  const vaccine = 'Diphtheria, tetanus, pertussis (acellular, component), hepatitis B (rDNA) and Haemophilus type b conjugate vaccine (adsorbed)';
+  assert.deepEqual(splitSubstanceComponents(vaccine), [vaccine]);
+  assert.deepEqual(splitSubstanceComponents('autologous anti-CD19-transduced CD3+ cells'), ['autologous anti-CD19-transduced CD3+ cells']);
+  assert.deepEqual(splitSubstanceComponents('A/California/7/2009 (H1N1)v like strain'), ['A/California/7/2009 (H1N1)v like strain']);
+});
+
+test('the index keeps different salts of different metals apart and resolves trade names', () => {
+  const index = buildSubstanceIndex([
+    { name_of_medicine: 'Wilzin', active_substance: 'zinc acetate', ema_product_number: 'EMEA/H/C/000450' },
+    { name_of_medicine: 'Renvela', active_substance: 'sevelamer carbonate', ema_product_number: 'EMEA/H/C/000993' },
+    { name_of_medicine: 'Lipitorix', active_substance: 'atorvastatin calcium trihydrate', ema_product_number: 'EMEA/H/C/009999' }
+  ]);
+
+  assert.deepEqual([...index.substances.keys()].sort(), ['atorvastatin', 'sevelamer', 'zinc acetate']);
+  assert.deepEqual(resolveSubstance('Wilzin', index).ids, ['zinc acetate']);
+  assert.deepEqual(resolveSubstance('atorvastatin', index), { query: 'atorvastatin', ids: ['atorvastatin'], normalised: 'atorvastatin', via: 'substance' });
+
+  const acetate = resolveSubstance('calcium acetate', index);
+  assert.equal(matchesSubstance('zinc acetate', acetate), false);
+});
+
+test('a broad term still matches every component containing it as whole words', () => {
+  const resolved = resolveSubstance('insulin', null);
+  assert.equal(matchesSubstance('insulin aspart / insulin degludec', resolved), true);
+  assert.equal(matchesSubstance('insulinoma antigen', resolved), false);
+});
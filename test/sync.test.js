@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { stubEmaReports, tempDir } = require('./helpers.js');
+const { fixtureReports } = require('./fixtures/reports.js');
+const { syncSnapshot, runSync } = require('../src/sync.js');
+const { getDatasetConfig, DATASET_NAMES } = require('../src/ema-api.js');
+const { resolveSnapshotDir } = require('../src/snapshot.js');
+
+// sync reports progress on stderr
+test.beforeEach(t => t.mock.method(console, 'error', () => {}));
+
+test('writes every dataset report and spreadsheet export with a checksum manifest', async () => {
+  const stub = stubEmaReports();
+  try {
+    const root = tempDir('sync');
+    const result = await syncSnapshot({ root, name: '2026-09-01' });
+    const dir = path.join(root, '2026-09-01');
+
+    assert.equal(result.complete, true);
+    assert.deepEqual(result.failed, {});
+    assert.deepEqual(fs.readdirSync(root), ['2026-09-01']);
+
+    for (const datasetName of DATASET_NAMES) {
+      const dataset = getDatasetConfig(datasetName);
+      const entry = result.files[dataset.endpoint];
+      assert.equal(entry.dataset, datasetName);
+      const body = fs.readFileSync(path.join(dir, dataset.endpoint));
+      assert.equal(entry.sha256, crypto.createHash('sha256').update(body).digest('hex'));
+      assert.equal(entry.bytes, body.length);
+    }
+    assert.equal(result.files['shortages-output-json-report_en.json'].record_count, 2);
+    assert.equal(result.files['documents-output-json-report_en.json'].record_count, 3);
+    assert.equal(result.files['medicines-output-herbal_medicines-report_en.xlsx'].record_count, 2);
+    assert.equal(result.files['medicines-output-eu_m4all-report_en.xlsx'].record_count, 2);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.snapshot, '2026-09-01');
+    assert.equal(manifest.generator, 'ema-mcp-server sync');
+  } finally {
+    stub.restore();
+  }
+});
+
+test('records failed downloads and marks the snapshot incomplete', async () => {
+  const reports = fixtureReports();
+  delete reports['dhpc-output-json-report_en.json'];
+  reports['referrals-output-json-report_en.json'] = { unexpected: true };
+  const stub = stubEmaReports(reports);
+  try {
+    const result = await syncSnapshot({ root: tempDir('sync'), name: 'partial' });
+
+    assert.equal(result.complete, false);
+    assert.deepEqual(Object.keys(result.failed).sort(), ['dhpc-output-json-report_en.json', 'referrals-output-json-report_en.json']);
+    assert.match(result.failed['referrals-output-json-report_en.json'].error, /non-array response/);
+    assert.ok(result.files['shortages-output-json-report_en.json']);
+  } finally {
+    stub.restore();
+  }
+});
+
+test('refuses to overwrite an existing snapshot', async () => {
+  const root = tempDir('sync');
+  fs.mkdirSync(path.join(root, 'taken'));
+
+  await assert.rejects(syncSnapshot({ root, name: 'taken' }), /already exists/);
+});
+
+test('a synced snapshot can be resolved and read back by name', async () => {
+  const stub = stubEmaReports();
+  const root = tempDir('sync');
+  process.env.EMA_SNAPSHOT_ROOT = root;
+  try {
+    assert.equal(await runSync(['--name', 'weekly']), 0);
+  } finally {
+    stub.restore();
+  }
+
+  const { loadEmaDataset } = require('../src/ema-api.js');
+  const { data, provenance } = await loadEmaDataset('shortages', resolveSnapshotDir('weekly'));
+  assert.equal(data.length, 2);
+  assert.equal(provenance.snapshot.name, 'weekly');
+});
+
+test('rejects unknown options, missing values and unsafe snapshot names', async () => {
+  await assert.rejects(runSync(['--bogus']), /Unknown sync option: --bogus/);
+  await assert.rejects(runSync(['--name']), /--name requires a value/);
+  await assert.rejects(runSync(['--name', '../escape']), /Invalid snapshot name/);
+  await assert.rejects(runSync(['--name', '.hidden']), /Invalid snapshot name/);
+});
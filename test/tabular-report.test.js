@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildZip, buildXlsx } = require('./fixtures/xlsx.js');
+const { readReportRows, rowsToRecords, normaliseHeader } = require('../src/tabular-report.js');
+
+const HERBAL_COLUMNS = {
+  herbal_substance: ['latin_name_of_herbal_substance'],
+  first_published_date: ['first_published']
+};
+
+test('reads the first visible sheet in workbook order, whatever its part is called', () => {
+  const workbook = buildXlsx([
+    { name: 'Notes', rows: [['hidden notes']], part: 'sheet1.xml', hidden: true },
+    { name: 'Data', rows: [['data sheet']], part: 'sheet3.xml' },
+    { name: 'Lookup', rows: [['lookup sheet']], part: 'sheet2.xml' }
+  ]);
+  assert.deepEqual(readReportRows(workbook), [['data sheet']]);
+});
+
+test('without a workbook part, the lowest numbered worksheet is read', () => {
+  const sheet = text => `<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>${text}</t></is></c></row></sheetData></worksheet>`;
+  const archive = buildZip({
+    'xl/worksheets/sheet10.xml': sheet('tenth'),
+    'xl/worksheets/sheet2.xml': sheet('second')
+  });
+  assert.deepEqual(readReportRows(archive), [['second']]);
+  assert.throws(() => readReportRows(buildZip({ 'xl/styles.xml': '<styleSheet/>' })), /workbook has no worksheet/);
+});
+
+test('empty and attributed shared string items keep the indexes of later strings', () => {
+  const archive = buildZip({
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1">' +
+      '<c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c>' +
+      '</row></sheetData></worksheet>',
+    'xl/sharedStrings.xml': '<sst><si/><si xml:space="preserve"><t>Valerian</t></si><si><r><t>Pepper</t></r><r><t>mint</t></r><rPh><t>reading</t></rPh></si><si><t>A &amp; B</t></si></sst>'
+  }, { deflate: false });
+  assert.deepEqual(readReportRows(archive), [['', 'Valerian', 'Peppermint', 'A & B']]);
+});
+
+test('cells are placed by reference and typed: numbers, booleans, inline and formula strings', () => {
+  const archive = buildZip({
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+      '<row r="1"><c r="B1"><v>43655</v></c><c r="D1" t="b"><v>1</v></c></row>' +
+      '<row r="2"/>' +
+      '<row r="3"><c r="A3" t="inlineStr"><is><t>inline</t></is></c><c r="C3" t="str"><f>A3</f><v>formula</v></c><c r="AA3"><v></v></c></row>' +
+      '</sheetData></worksheet>'
+  });
+  const rows = readReportRows(archive);
+  assert.deepEqual(rows[0], [null, 43655, null, true]);
+  assert.deepEqual(rows[1], []);
+  assert.equal(rows[2].length, 27);
+  assert.deepEqual(rows[2].slice(0, 3), ['inline', null, 'formula']);
+});
+
+test('finds the header below a title block, renames columns and converts serial dates', () => {
+  const rows = readReportRows(buildXlsx([{
+    rows: [
+      ['Herbal medicines for human use'],
+      [],
+      ['Latin name of herbal substance', 'First published', 'Règle spéciale'],
+      ['Valerianae radix', 43655, '  yes  '],
+      [null, null, ''],
+      ['Thymi herba', null, 12]
+    ]
+  }]));
+
+  assert.deepEqual(rowsToRecords(rows, HERBAL_COLUMNS, [['herbal_substance']]), [
+    { herbal_substance: 'Valerianae radix', first_published_date: '2019-07-09', regle_speciale: 'yes' },
+    { herbal_substance: 'Thymi herba', first_published_date: null, regle_speciale: '12' }
+  ]);
+  assert.throws(() => rowsToRecords([['Title'], ['Name', 'Date']], HERBAL_COLUMNS, [['herbal_substance']]),
+    /no header row with the expected columns \(herbal_substance\); first row: Title/);
+});
+
+test('CSV and JSON copies of an export read into the same rows', () => {
+  const csv = Buffer.from('\uFEFFLatin name of herbal substance;Status\r\n"Menthae; folium";"Final ""adopted"""\r\nThymi herba;Draft\n');
+  assert.deepEqual(readReportRows(csv), [
+    ['Latin name of herbal substance', 'Status'],
+    ['Menthae; folium', 'Final "adopted"'],
+    ['Thymi herba', 'Draft']
+  ]);
+
+  const json = Buffer.from(JSON.stringify({ data: [{ a: 1 }, { a: 2, b: 'x' }] }));
+  assert.deepEqual(readReportRows(json), [['a', 'b'], [1, undefined], [2, 'x']]);
+
+  assert.throws(() => readReportRows(Buffer.from('<!DOCTYPE html><html></html>')), /received an HTML page/);
+  assert.throws(() => readReportRows(Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(10)])), /not a valid ZIP archive/);
+  assert.equal(normaliseHeader(' Date of (first) publication '), 'date_of_first_publication');
+});
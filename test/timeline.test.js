@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports } = require('./helpers.js');
+const { getMedicineTimeline } = require('../src/timeline.js');
+
+// Revalidate on every call, so fixture edits are picked up
+process.env.EMA_CACHE_TTL_SECONDS = '0';
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const MEDICINES = 'medicines-output-medicines_json-report_en.json';
+const POST_AUTHORISATION = 'medicines-output-post_authorisation_json-report_en.json';
+
+const summary = timeline => timeline.events.map(e => [e.date, e.type, e.title, e.reference]);
+
+test('medicine milestones and section events are merged in date order', async () => {
+  const timeline = await getMedicineTimeline({ name: 'Tecartus' });
+
+  assert.equal(timeline.found, true);
+  assert.equal(timeline.medicine.conditional_approval, 'Yes');
+  assert.deepEqual(summary(timeline), [
+    ['2019-03-12', 'orphan_designation', 'Orphan designation Positive: Treatment of mantle cell lymphoma', 'EU/3/19/2153'],
+    ['2020-01-30', 'start_of_evaluation', 'Start of evaluation', 'EMEA/H/C/005102'],
+    ['2020-10-22', 'chmp_opinion', 'CHMP opinion adopted', 'EMEA/H/C/005102'],
+    ['2020-12-14', 'marketing_authorisation', 'Conditional marketing authorisation', 'EMEA/H/C/005102'],
+    ['2021-10-01', 'post_authorisation_procedure', 'Renewal', 'EMEA/H/C/005102/R/0010'],
+    ['2023-05-02', 'dhpc', 'DHPC: Safety', null],
+    ['2024-03-15', 'conversion_to_standard', 'Conditional marketing authorisation converted to standard', 'EMEA/H/C/005102/II/0042']
+  ]);
+  assert.equal(timeline.events[0].matched_on, 'substance');
+  assert.equal(timeline.events[4].date_field, 'opinion_date');
+  assert.equal(timeline.source, 'EMA Medicine Timeline');
+});
+
+test('substance-level sections contribute PIP, PSUSA and referral events', async () => {
+  const timeline = await getMedicineTimeline({ ema_product_number: 'EMEA/H/C/004174' });
+
+  assert.deepEqual(summary(timeline), [
+    ['2018-02-08', 'marketing_authorisation', 'Marketing authorisation', 'EMEA/H/C/004174'],
+    ['2019-03-03', 'pip_decision', 'PIP decision: PIP, Endocrinology', 'P/0100/2019'],
+    ['2020-01-01', 'post_authorisation_procedure', 'Type II variation', 'EMEA/H/C/004174/II/0001'],
+    ['2021-05-05', 'psusa', 'PSUSA outcome: Variation', 'PSUSA/00010671/202012'],
+    ['2023-07-10', 'referral', 'Referral started: semaglutide, liraglutide, Completed', 'EMEA/H/A-20/1520'],
+    ['2024-01-10', 'dhpc', 'DHPC: Safety', null]
+  ]);
+});
+
+test('event_types and date ranges select events, and undated events sort last in source order', async () => {
+  stub.reports[POST_AUTHORISATION].push(
+    { medicine_name: 'Tecartus', procedure_number: 'EMEA/H/C/005102/X/0003' },
+    { medicine_name: 'Tecartus', procedure_number: 'EMEA/H/C/005102/WS/0007' }
+  );
+  try {
+    const all = await getMedicineTimeline({ name: 'Tecartus', event_types: ['post_authorisation_procedure'] });
+    assert.deepEqual(summary(all), [
+      ['2021-10-01', 'post_authorisation_procedure', 'Renewal', 'EMEA/H/C/005102/R/0010'],
+      [null, 'post_authorisation_procedure', 'Line extension', 'EMEA/H/C/005102/X/0003'],
+      [null, 'post_authorisation_procedure', 'Worksharing variation', 'EMEA/H/C/005102/WS/0007']
+    ]);
+    assert.equal(all.undated_count, 2);
+
+    const dated = await getMedicineTimeline({ name: 'Tecartus', date_from: '2020-10', date_to: '2021' });
+    assert.deepEqual(dated.events.map(e => e.date), ['2020-10-22', '2020-12-14', '2021-10-01']);
+    assert.equal(dated.undated_count, 0);
+  } finally {
+    stub.reports[POST_AUTHORISATION].splice(-2);
+  }
+});
+
+test('suspension and withdrawal dates on the medicine become events', async () => {
+  const zyprexa = stub.reports[MEDICINES].find(m => m.name_of_medicine === 'Zyprexa');
+  zyprexa.suspension_of_marketing_authorisation_date = '01/06/2010';
+  zyprexa.withdrawal_expiry_revocation_lapse_of_marketing_authorisation_date = '15/03/2012';
+  try {
+    const timeline = await getMedicineTimeline({ name: 'Zyprexa', event_types: ['suspension', 'withdrawal'] });
+    assert.deepEqual(summary(timeline), [
+      ['2010-06-01', 'suspension', 'Marketing authorisation suspended', 'EMEA/H/C/000115'],
+      ['2012-03-15', 'withdrawal', 'Marketing authorisation withdrawn, expired, revoked or lapsed', 'EMEA/H/C/000115']
+    ]);
+  } finally {
+    delete zyprexa.suspension_of_marketing_authorisation_date;
+    delete zyprexa.withdrawal_expiry_revocation_lapse_of_marketing_authorisation_date;
+  }
+});
+
+test('an unknown medicine returns no events, and parameters are validated', async () => {
+  const missing = await getMedicineTimeline({ name: 'Nonexistium' });
+  assert.equal(missing.found, false);
+  assert.equal(missing.total_count, 0);
+  assert.deepEqual(missing.events, []);
+
+  await assert.rejects(getMedicineTimeline({}), /name or ema_product_number parameter is required/);
+  await assert.rejects(getMedicineTimeline({ name: ' ' }), /name must be a non-empty string/);
+  await assert.rejects(getMedicineTimeline({ name: 'Tecartus', event_types: ['approval'] }),
+    error => /event_types must be an array of: orphan_designation, /.test(error.message) && error.code === 'EMA_INVALID_PARAMETER');
+  await assert.rejects(getMedicineTimeline({ name: 'Tecartus', date_from: '14/12/2020' }), /date_from/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubEmaReports, connectClient } = require('./helpers.js');
+const { TOOLS, validateToolArguments, findToolByMethod, combinedPropertySchema } = require('../src/tools.js');
+
+const stub = stubEmaReports();
+let client;
+
+test.before(async () => {
+  client = await connectClient();
+});
+
+test.after(async () => {
+  await client.close();
+  stub.restore();
+});
+
+/**
+ * Call a tool and parse the JSON error or ema_info result text
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments
+ * @returns {Promise<Object>} {isError, body}
+ */
+async function call(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { isError: Boolean(result.isError), body: result.isError || name === 'ema_info' ? JSON.parse(result.content[0].text) : result.structuredContent };
+}
+
+test('ema_info declares every typed tool parameter with the typed tool\'s constraints', async () => {
+  const { tools } = await client.listTools();
+  const info = tools.find(tool => tool.name === 'ema_info').inputSchema.properties;
+
+  for (const tool of TOOLS) {
+    for (const [key, schema] of Object.entries(tool.properties)) {
+      assert.ok(info[key], `ema_info is missing ${key}`);
+      assert.equal(info[key].type, schema.type, `${key} has a different type in ema_info`);
+    }
+  }
+  assert.deepEqual({ type: info.top.type, minimum: info.top.minimum, maximum: info.top.maximum }, { type: 'integer', minimum: 1, maximum: 1000 });
+  assert.equal(info.limit.maximum, 10000);
+});
+
+test('combined schemas widen ranges and merge enums across methods', () => {
+  assert.deepEqual(combinedPropertySchema('limit'), { type: 'integer', minimum: 1, maximum: 10000 });
+  assert.ok(combinedPropertySchema('sort_by').enum.includes('dissemination_date'));
+  assert.deepEqual(combinedPropertySchema('output_format'), {});
+});
+
+test('ema_info validates arguments against the method\'s typed tool', async () => {
+  const fractional = await call('ema_info', { method: 'get_statistics', dataset: 'medicines', group_by: ['medicine_status'], top: 2.5 });
+  assert.equal(fractional.isError, true);
+  assert.equal(fractional.body.error, 'top must be an integer');
+
+  const overLimit = await call('ema_info', { method: 'get_medicine_by_name', name: 'Ozempic', limit: 500 });
+  assert.equal(overLimit.body.error, 'limit must be at most 100');
+
+  const foreign = await call('ema_info', { method: 'get_dhpcs', watchlist: 'mine' });
+  assert.match(foreign.body.error, /^Unknown parameter for ema_get_dhpcs: watchlist/);
+
+  const missing = await call('ema_info', { method: 'get_changes' });
+  assert.match(missing.body.error, /dataset parameter is required/);
+});
+
+test('ema_info ignores the baseline shared parameters a method does not take, the typed tools do not', async () => {
+  const dhpcs = await call('ema_info', { method: 'get_dhpcs', medicine_name: 'Tecartus', therapeutic_area: 'Oncology', orphan: true });
+  assert.equal(dhpcs.isError, false);
+  assert.deepEqual(dhpcs.body.results.map(d => d.name_of_medicine), ['Tecartus']);
+
+  const psusas = await call('ema_info', { method: 'get_psusas', active_substance: 'semaglutide', year: 2021, safety: true });
+  assert.equal(psusas.body.total_count, 1);
+
+  const statistics = await call('ema_info', { method: 'get_statistics', dataset: 'medicines', group_by: ['medicine_status'], limit: 50 });
+  assert.equal(statistics.body.total_count, 5);
+
+  const timeline = await call('ema_info', { method: 'get_medicine_timeline', name: 'Tecartus', limit: 10, status: 'Authorised' });
+  assert.equal(timeline.body.found, true);
+
+  const typed = await call('ema_get_dhpcs', { therapeutic_area: 'Oncology' });
+  assert.equal(typed.isError, true);
+  assert.match(typed.body.error, /^Unknown parameter for ema_get_dhpcs: therapeutic_area/);
+});
+
+test('ema_info and the typed tool return the same result for valid arguments', async () => {
+  const args = { active_substance: 'semaglutide', sort_by: 'name_of_medicine' };
+  const typed = await call('ema_search_medicines', args);
+  const info = await call('ema_info', { method: 'search_medicines', ...args });
+
+  assert.equal(typed.isError, false);
+  assert.deepEqual(info.body.results, typed.body.results);
+  assert.equal(info.body.total_count, typed.body.total_count);
+  assert.deepEqual(typed.body.results.map(m => m.name_of_medicine), ['Ozempic', 'Wegovy']);
+});
+
+test('typed tools reject wrong types, out-of-range values and unknown parameters', () => {
+  const tool = findToolByMethod('get_supply_shortages');
+  assert.throws(() => validateToolArguments(tool, { limit: '10' }), /limit must be an integer/);
+  assert.throws(() => validateToolArguments(tool, { offset: -1 }), /offset must be at least 0/);
+  assert.throws(() => validateToolArguments(tool, { date_from: '01/02/2024' }), /date_from has an invalid format/);
+  assert.throws(() => validateToolArguments(tool, { colour: 'red' }), /Unknown parameter for ema_get_supply_shortages: colour/);
+  assert.doesNotThrow(() => validateToolArguments(tool, { medicine_name: 'Ozempic', limit: 5 }));
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stubEmaReports, tempDir } = require('./helpers.js');
+const { saveWatchlist, checkWatchlist } = require('../src/watchlist.js');
+
+// Revalidate on every call, so fixture edits are picked up
+process.env.EMA_CACHE_TTL_SECONDS = '0';
+process.env.EMA_WATCHLIST_DIR = tempDir('watchlist');
+const stub = stubEmaReports();
+test.after(() => stub.restore());
+
+const MEDICINES = 'medicines-output-medicines_json-report_en.json';
+
+const readFile = name => JSON.parse(fs.readFileSync(path.join(process.env.EMA_WATCHLIST_DIR, `${name}.json`), 'utf8'));
+
+test('products are pinned to their EMA product number when saved', async () => {
+  const saved = await saveWatchlist({ watchlist: 'pinned', products: ['Ozempic', '005102', 'Ozempic-NL'] });
+  assert.equal(saved.saved, true);
+  assert.deepEqual(saved.items.map(item => [item.value, item.ema_product_number, item.name_of_medicine]), [
+    ['Ozempic', 'EMEA/H/C/004174', 'Ozempic'],
+    ['005102', 'EMEA/H/C/005102', 'Tecartus'],
+    ['Ozempic-NL', null, null]
+  ]);
+
+  // A renamed medicine is still found by its number; an unknown name is watched as written
+  const ozempic = stub.reports[MEDICINES].find(m => m.name_of_medicine === 'Ozempic');
+  ozempic.name_of_medicine = 'Ozempic Pen';
+  try {
+    const check = await checkWatchlist({ watchlist: 'pinned' });
+    assert.deepEqual(check.items.map(item => item.resolved_name), ['Ozempic Pen', 'Tecartus', null]);
+  } finally {
+    ozempic.name_of_medicine = 'Ozempic';
+  }
+});
+
+test('ambiguous and loosely matching product names are rejected with their candidates', async () => {
+  const result = await saveWatchlist({ watchlist: 'guessing', products: ['semaglutide', 'Ozempik', 'Humalog'] });
+
+  assert.equal(result.saved, false);
+  assert.match(result.message, /nothing was saved/);
+  assert.deepEqual(result.unresolved.map(u => [u.value, u.reason, u.candidates.map(c => c.ema_product_number)]), [
+    ['semaglutide', 'ambiguous', ['EMEA/H/C/004174', 'EMEA/H/C/005422']],
+    ['Ozempik', 'weak_match', ['EMEA/H/C/004174']]
+  ]);
+  assert.equal(fs.existsSync(path.join(process.env.EMA_WATCHLIST_DIR, 'guessing.json')), false);
+
+  // Items already on the list are not resolved again
+  await saveWatchlist({ watchlist: 'kept', products: ['Humalog'] });
+  const file = readFile('kept');
+  file.items[0].ema_product_number = 'EMEA/H/C/000115';
+  fs.writeFileSync(path.join(process.env.EMA_WATCHLIST_DIR, 'kept.json'), JSON.stringify(file));
+  const kept = await saveWatchlist({ watchlist: 'kept', products: ['Humalog', 'Tecartus'], mode: 'add' });
+  assert.deepEqual(kept.items.map(item => item.ema_product_number), ['EMEA/H/C/000115', 'EMEA/H/C/005102']);
+});
+
+test('checks record a baseline, then report new, changed and removed records once', async () => {
+  const shortages = stub.reports['shortages-output-json-report_en.json'];
+  const dhpcs = stub.reports['dhpc-output-json-report_en.json'];
+  const procedures = stub.reports['medicines-output-post_authorisation_json-report_en.json'];
+  const original = { shortage: { ...shortages[0] }, dhpcs: [...dhpcs], procedures: [...procedures] };
+  const restoreShortage = () => {
+    for (const field of Object.keys(shortages[0])) delete shortages[0][field];
+    Object.assign(shortages[0], original.shortage);
+  };
+
+  await saveWatchlist({ watchlist: 'transitions', products: ['Ozempic'] });
+  const baseline = await checkWatchlist({ watchlist: 'transitions' });
+  assert.equal(baseline.total_count, 0);
+  assert.equal(baseline.summary.baseline_items, 1);
+  assert.deepEqual(baseline.items[0].tracked, { shortages: 1, dhpcs: 1, referrals: 1, psusas: 1, post_authorisation: 1 });
+
+  try {
+    shortages[0].supply_shortage_status = 'Resolved';
+    dhpcs.push({ name_of_medicine: 'Ozempic', dhpc_type: 'Quality', dissemination_date: '01/09/2026', dhpc_url: 'https://www.ema.europa.eu/en/medicines/dhpc/ozempic-pens' });
+    procedures.splice(0, 1);
+
+    const expected = [
+      ['shortages', 'changed', { supply_shortage_status: { from: 'Ongoing', to: 'Resolved' } }],
+      ['dhpcs', 'new', undefined],
+      ['post_authorisation', 'removed', undefined]
+    ];
+    const alertSummary = check => check.alerts.map(alert => [alert.dataset, alert.change, alert.changes]);
+
+    const dryRun = await checkWatchlist({ watchlist: 'transitions', dry_run: true });
+    assert.deepEqual(alertSummary(dryRun), expected);
+    assert.deepEqual(dryRun.alerts[2].record, { medicine_name: 'Ozempic', procedure_number: 'EMEA/H/C/004174/II/0001', decision_date: '2020-01-01' });
+
+    const check = await checkWatchlist({ watchlist: 'transitions' });
+    assert.deepEqual(alertSummary(check), expected, 'a dry run does not record its check');
+    assert.equal(check.previous_check, baseline.checked_at);
+    assert.equal(check.alerts[1].date, '2026-09-01');
+
+    const again = await checkWatchlist({ watchlist: 'transitions' });
+    assert.equal(again.total_count, 0);
+    assert.equal(again.summary.baseline_items, 0);
+
+    // Edits to untracked fields and new report columns raise no alerts
+    shortages[0].therapeutic_area_mesh = 'Diabetes Mellitus';
+    shortages[0].alternative_treatments = 'Other GLP-1 receptor agonists';
+    const untracked = await checkWatchlist({ watchlist: 'transitions' });
+    assert.equal(untracked.total_count, 0);
+
+    // A tracked field changing after them is reported with its old value
+    shortages[0].start_of_shortage_date = '15/08/2022';
+    const edited = await checkWatchlist({ watchlist: 'transitions' });
+    assert.deepEqual(alertSummary(edited), [['shortages', 'changed', { start_of_shortage_date: { from: '2022-08-01', to: '2022-08-15' } }]]);
+  } finally {
+    restoreShortage();
+    dhpcs.splice(0, dhpcs.length, ...original.dhpcs);
+    procedures.splice(0, procedures.length, ...original.procedures);
+  }
+});
+
+test('the state file keeps only the key, date, URL and status fields of each record', async () => {
+  await saveWatchlist({ watchlist: 'compact', products: ['Ozempic'] });
+  await checkWatchlist({ watchlist: 'compact' });
+
+  const state = readFile('compact').state['product:ozempic'].datasets;
+  assert.deepEqual(state.shortages['https://www.ema.europa.eu/en/medicines/human/shortages/ozempic'], {
+    medicine_affected: 'Ozempic',
+    supply_shortage_status: 'Ongoing',
+    start_of_shortage_date: '2022-08-01',
+    first_published_date: '2022-08-05',
+    shortage_url: 'https://www.ema.europa.eu/en/medicines/human/shortages/ozempic'
+  });
+});
+
+test('states holding whole records or hashes from earlier versions are compared without false alerts', async () => {
+  await saveWatchlist({ watchlist: 'legacy', products: ['Ozempic'] });
+  await checkWatchlist({ watchlist: 'legacy' });
+
+  const file = readFile('legacy');
+  file.state['product:ozempic'].datasets.post_authorisation = {
+    'EMEA/H/C/004174/II/0001': { medicine_name: 'Ozempic', procedure_number: 'EMEA/H/C/004174/II/0001', decision_date: '2020-01-01', scope: 'Whole record' },
+    'EMEA/H/C/004174/II/0000': { medicine_name: 'Ozempic', procedure_number: 'EMEA/H/C/004174/II/0000', scope: 'Old scope' }
+  };
+  file.state['product:ozempic'].datasets.dhpcs = {
+    'https://www.ema.europa.eu/en/medicines/dhpc/semaglutide': {
+      hash: '0123456789abcdef',
+      fields: { name_of_medicine: 'Ozempic, Wegovy', dhpc_type: 'Safety', dissemination_date: '2024-01-10', dhpc_url: 'https://www.ema.europa.eu/en/medicines/dhpc/semaglutide' }
+    }
+  };
+  fs.writeFileSync(path.join(process.env.EMA_WATCHLIST_DIR, 'legacy.json'), JSON.stringify(file));
+
+  const check = await checkWatchlist({ watchlist: 'legacy' });
+  assert.deepEqual(check.alerts.map(alert => [alert.dataset, alert.change, alert.key, alert.record]), [
+    ['post_authorisation', 'removed', 'EMEA/H/C/004174/II/0000', { medicine_name: 'Ozempic', procedure_number: 'EMEA/H/C/004174/II/0000' }]
+  ]);
+  assert.deepEqual(readFile('legacy').state['product:ozempic'].datasets.post_authorisation['EMEA/H/C/004174/II/0001'],
+    { medicine_name: 'Ozempic', procedure_number: 'EMEA/H/C/004174/II/0001', decision_date: '2020-01-01' });
+});
+
+test('therapeutic areas are matched in one pass per dataset over the medicines of the area', async () => {
+  await saveWatchlist({ watchlist: 'area', therapeutic_areas: ['Diabetes'] });
+
+  const before = stub.requests.length;
+  const check = await checkWatchlist({ watchlist: 'area' });
+  const requested = stub.requests.slice(before).map(request => request.url.split('/').pop());
+
+  assert.deepEqual(check.items[0].tracked, { shortages: 2, dhpcs: 1, referrals: 1, psusas: 1, post_authorisation: 1 });
+  for (const report of ['dhpc-output-json-report_en.json', 'referrals-output-json-report_en.json', 'medicines-output-post_authorisation_json-report_en.json']) {
+    assert.equal(requested.filter(name => name === report).length, 1, report);
+  }
+
+  const state = readFile('area').state['therapeutic_area:diabetes'].datasets;
+  assert.deepEqual(Object.keys(state.post_authorisation), ['EMEA/H/C/004174/II/0001']);
+  assert.equal(state.psusas['PSUSA/00010671/202012'].decision_date, '2021-05-05');
+});